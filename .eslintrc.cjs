@@ -4,6 +4,7 @@ module.exports = {
     es2021: true
   },
   extends: ['eslint:recommended'],
+  ignorePatterns: ['dist/'],
   parserOptions: {
     ecmaVersion: 'latest',
     sourceType: 'module'
@@ -1,23 +1,266 @@
 import { Synapse, RPC_URLS } from '@filoz/synapse-sdk';
 import { ethers } from 'ethers';
+import { sha256Hex, computePieceCid, pieceSizeFromCid, parsePieceCid } from './lib/hash.js';
+import {
+    MAX_PIECE_SIZE,
+    assertChunkSize,
+    splitIntoChunks,
+    buildChunkManifest,
+    encodeChunkManifest,
+    isChunkManifest,
+    parseChunkManifest
+} from './lib/chunking.js';
+import {
+    DEFAULT_STREAM_CHUNK_SIZE,
+    iterateStream,
+    readChunks,
+    bytesToStream,
+    toNodeReadable,
+    readBlob
+} from './lib/streams.js';
+import {
+    encrypt,
+    decrypt,
+    generateKey,
+    isEncryptedEnvelope
+} from './lib/encryption.js';
+import {
+    sniffMimeType,
+    mimeEssence,
+    assertMetadata,
+    hasMetadataHeader,
+    wrapWithMetadata,
+    unwrapMetadata
+} from './lib/metadata.js';
+import { SynapseBackend } from './lib/backends/synapse.js';
+import { MemoryBackend } from './lib/backends/memory.js';
+import { Catalog } from './lib/catalog/catalog.js';
+import { MemoryCatalogStore } from './lib/catalog/memory.js';
+import { JsonFileCatalogStore } from './lib/catalog/json-file.js';
+import { IndexedDBCatalogStore } from './lib/catalog/indexeddb.js';
+import { UploadJournal } from './lib/journal/journal.js';
+import { MemoryJournalStore } from './lib/journal/memory.js';
+import { JsonFileJournalStore } from './lib/journal/json-file.js';
+import { IndexedDBJournalStore } from './lib/journal/indexeddb.js';
+import { resolveRetryPolicy, withRetry } from './lib/retry.js';
+import { createLogger } from './lib/logger.js';
+import { Emitter } from './lib/emitter.js';
+import { DEFAULT_CONCURRENCY, assertConcurrency, settleWithConcurrency } from './lib/concurrency.js';
+import { Budget, DEFAULT_DURATION_DAYS, calculateCost } from './lib/budget.js';
+import {
+    FILECOIN_CHAINS,
+    assertEip1193,
+    ensureChain,
+    getInjectedProvider,
+    networkForChainId,
+    parseChainId,
+    requestAccounts
+} from './lib/wallet.js';
+import {
+    EPOCHS_PER_DAY,
+    DEFAULT_LOCKUP_DAYS,
+    formatUSDFC,
+    parseUSDFC,
+    maxBigInt
+} from './lib/payments.js';
+import {
+    collectDirectory,
+    buildDirectoryManifest,
+    parseDirectoryManifest,
+    normalizeRelativePath
+} from './lib/directory.js';
+import { buildDocument, parseDocument, toJSONValue } from './lib/documents.js';
+import { assertCompressionMode, compress, decompress, decompressStream, isCompressed } from './lib/compression.js';
+import { loadFs, loadPath, readEnv } from '#platform';
+import { assertSchema, assertMatchesSchema, validateSchema } from './lib/schema.js';
+import { createPinningProvider, formatGatewayURL, DEFAULT_GATEWAY_URL } from './lib/pinning/pinning.js';
+import { PinataPinningProvider } from './lib/pinning/pinata.js';
+import { PinningServiceProvider } from './lib/pinning/pinning-service.js';
+import { KuboPinningProvider } from './lib/pinning/kubo.js';
+import { MemoryCache } from './lib/cache/memory.js';
+import { FileSystemCache } from './lib/cache/fs.js';
+import { BrowserCache } from './lib/cache/browser.js';
+import {
+    FileStorageError,
+    NotInitializedError,
+    ValidationError,
+    FileTooLargeError,
+    InsufficientAllowanceError,
+    InsufficientFundsError,
+    BudgetExceededError,
+    PieceNotFoundError,
+    PinningError,
+    WalletError,
+    WrongNetworkError,
+    NetworkError,
+    TimeoutError,
+    IntegrityError,
+    DecryptionError,
+    toFileStorageError
+} from './lib/errors.js';
 
-class FileStorage {
-    constructor() {
+// Storage prices are re-read from the network at most this often
+const PRICING_CACHE_MS = 10 * 60 * 1000;
+
+/**
+ * Filecoin storage client.
+ *
+ * Instances are event emitters (`on`, `once`, `off`) publishing structured
+ * lifecycle events:
+ *   initialized        { network }
+ *   upload:start       { filename, size }
+ *   upload:progress    { filename, phase, bytesDone, totalBytes, pieceCid? }
+ *   upload:complete    { result }
+ *   upload:error       { filename, error }
+ *   download:start     { pieceCid }
+ *   download:complete  { pieceCid, size }
+ *   download:error     { pieceCid, error }
+ *   deposit:submitted  { amount, hash }
+ *   deposit:confirmed  { amount, hash }
+ *   approval:submitted { service, hash }
+ *   approval:confirmed { service, hash }
+ *   withdraw:submitted { amount, hash }
+ *   withdraw:confirmed { amount, hash }
+ *   revocation:submitted { service, hash }
+ *   revocation:confirmed { service, hash }
+ *   topup              { size, deposited, rateAllowance, lockupAllowance }
+ *   wallet:connected   { account, chainId, network }
+ *   wallet:accountsChanged { account, previousAccount }
+ *   wallet:chainChanged { chainId, network, supported }
+ *   wallet:disconnected { account }
+ *   wallet:error       { error }
+ *   pin:complete       { cid, gatewayURL }
+ *   pin:failed         { cid, error }
+ *   retry              { operation, attempt, delayMs, error }
+ */
+class FileStorage extends Emitter {
+    /**
+     * Create an isolated storage client. Each instance holds its own Synapse
+     * connection, so several wallets or networks can be used side by side.
+     * @param {Object} [options] - Default options for `initialize()`
+     */
+    constructor(options = {}) {
+        super();
+        this.options = { ...options };
+        this.logger = createLogger(this.options);
         this.synapse = null;
+        this.backend = null;
+        this.network = null;
         this.isInitialized = false;
+        this.catalog = new Catalog(this.options.catalogStore);
+        this.journal = this.options.journal ? new UploadJournal(this.options.journal) : null;
+        this.retryPolicy = resolveRetryPolicy(this.options.retry);
+        this.pinning = null;
+        this.gatewayURLTemplate = this.options.gatewayURL ?? DEFAULT_GATEWAY_URL;
+        this.cache = this.options.cache || null;
+        // Built by initialize(), once the token's decimals are known
+        this.budget = null;
+        this.autoTopUp = this.options.autoTopUp || null;
+        this._pricing = null;
+        this._decimals = null;
+        this._account = null;
+        this._funding = null;
+        this._wallet = null;
+        this._walletChanges = Promise.resolve();
+    }
+
+    /**
+     * Report errors thrown by event listeners through the configured logger
+     * @param {Error} error
+     * @param {string} event
+     */
+    _onListenerError(error, event) {
+        this.logger.error(`Listener for '${event}' threw:`, error);
     }
 
     /**
-     * Initialize the storage module
+     * Initialize the storage module. Options passed here override the ones
+     * given to the constructor.
      * @param {Object} options - Configuration options
      * @param {string} [options.privateKey] - Private key for wallet
      * @param {ethers.Provider} [options.provider] - Ethers provider (for browser)
      * @param {string} [options.network] - Network to use ('mainnet' or 'calibration')
      * @param {string} [options.authorization] - GLIF authorization token
+     * @param {Object} [options.backend] - Custom storage backend (e.g. `new MemoryBackend()`);
+     *   skips Synapse entirely. See `lib/backends/synapse.js` for the interface.
+     * @param {Object} [options.catalogStore] - Where the upload catalog is kept (in memory by default).
+     *   See `lib/catalog/memory.js` for the interface.
+     * @param {Object|false} [options.journal] - Upload journal store, e.g. `new JsonFileJournalStore(path)`.
+     *   Uploads of content already stored with the same settings then return the stored piece without paying
+     *   again, and interrupted uploads resume from their last completed stage. Off when omitted.
+     *   See `lib/journal/memory.js` for the interface.
+     * @param {Object|false} [options.retry] - Retry policy for network operations:
+     *   `{ maxAttempts, initialDelayMs, maxDelayMs, factor, jitter, timeoutMs }`, or `false` to disable retries.
+     *   Every public method also accepts `retry`, `timeoutMs` and `signal` in its options to override it per call.
+     * @param {Object} [options.logger] - Logger with debug/info/warn/error methods (defaults to console)
+     * @param {string} [options.logLevel] - 'silent', 'error', 'warn', 'info' or 'debug'. The SDK is
+     *   silent unless a logger or a level is given.
+     * @param {Object|false} [options.pinning] - Pinning provider used to pin uploads for gateway access:
+     *   a provider instance, or `{ type: 'pinata', jwt }`, `{ type: 'pinning-service', endpoint, accessToken }`
+     *   or `{ type: 'kubo', apiURL }`. See `lib/pinning/pinning.js` for the interface. Uploads are not pinned
+     *   when this is omitted.
+     * @param {string} [options.gatewayURL] - Gateway URL template; `{cid}` and `{filename}` are substituted
+     *   (default 'https://ipfs.io/ipfs/{cid}')
+     * @param {Object|false} [options.cache] - Download cache, e.g. `new MemoryCache({ maxBytes, ttlMs })`.
+     *   Downloads are not cached when this is omitted. See `lib/cache/memory.js` for the interface.
+     * @param {Object} [options.budget] - Spending limits that uploads are refused beyond:
+     *   `{ maxPerUpload, maxPerDay, maxPerSession, durationDays }`. Limits are in whole USDFC (or bigint
+     *   base units) and apply to each upload's cost projected over `durationDays` (default 30).
+     *   The session starts at `initialize()`.
+     * @param {Object|false} [options.autoTopUp] - `{ minAvailable, targetDeposit }` (see `ensureFunded`). When an
+     *   upload fails its allowance preflight, deposit enough for its lockup on top of `minAvailable`, raise the
+     *   service allowances just enough for it, and check again. Off when omitted.
+     * @param {AbortSignal} [options.signal] - Abort initialization
      */
     async initialize(options = {}) {
         try {
-            const { privateKey, provider, network = 'calibration', authorization } = options;
+            const {
+                privateKey,
+                provider,
+                network = 'calibration',
+                authorization,
+                backend,
+                catalogStore,
+                journal,
+                retry,
+                logger,
+                logLevel,
+                pinning,
+                gatewayURL = DEFAULT_GATEWAY_URL,
+                cache,
+                budget,
+                autoTopUp
+            } = { ...this.options, ...options };
+
+            this.retryPolicy = resolveRetryPolicy(retry);
+            this.logger = createLogger({ logger, logLevel });
+            this.pinning = this._createPinningProvider(pinning);
+            this.gatewayURLTemplate = gatewayURL;
+            this.cache = cache || null;
+            this.budget = null;
+            this.autoTopUp = autoTopUp || null;
+            this._pricing = null;
+            this._decimals = null;
+            this._account = null;
+
+            if (options.catalogStore) {
+                this.catalog = new Catalog(catalogStore);
+            }
+            if (options.journal !== undefined) {
+                this.journal = journal ? new UploadJournal(journal) : null;
+            }
+
+            if (backend) {
+                this.synapse = null;
+                this.backend = backend;
+                this.network = network;
+                this.budget = budget ? new Budget(budget, await this._tokenDecimals(options)) : null;
+                this.isInitialized = true;
+
+                this.logger.info(`FileStorage initialized with custom backend on ${network} network`);
+                this.emit('initialized', { network });
+                return true;
+            }
 
             let synapseOptions = {
                 authorization,
@@ -32,349 +275,2661 @@ class FileStorage {
             } else if (provider) {
                 synapseOptions.provider = provider;
             } else {
-                throw new Error('Must provide either privateKey or provider');
+                throw new ValidationError('Must provide either privateKey or provider');
             }
 
-            this.synapse = await Synapse.create(synapseOptions);
+            this.synapse = await this._withRetry(
+                () => Synapse.create(synapseOptions),
+                options,
+                { operation: 'Synapse initialization' }
+            );
+            this.backend = new SynapseBackend(this.synapse, { withCDN: synapseOptions.withCDN });
+            this.network = network;
+            this.budget = budget ? new Budget(budget, await this._tokenDecimals(options)) : null;
             this.isInitialized = true;
 
-            console.log(`FileStorage initialized on ${network} network`);
+            this.logger.info(`FileStorage initialized on ${network} network`);
+            this.emit('initialized', { network });
             return true;
         } catch (error) {
-            console.error('Failed to initialize FileStorage:', error);
+            this.logger.error('Failed to initialize FileStorage:', error);
             throw error;
         }
     }
 
+    /**
+     * Connect an injected browser wallet (MetaMask or any EIP-1193 provider)
+     * and initialize with it. Requests account access, then checks that the
+     * wallet is on the network's chain and asks it to switch, or to add the
+     * chain, when it is not. While connected, account and chain changes in the
+     * wallet re-initialize the client; switching to another chain leaves it
+     * uninitialized until the wallet is back on the network.
+     * @param {Object} [options] - Connection options; any other option is passed to `initialize()`
+     * @param {Object} [options.provider] - EIP-1193 provider (defaults to `window.ethereum`)
+     * @param {string} [options.network='calibration'] - 'mainnet' or 'calibration'
+     * @param {boolean} [options.switchChain=true] - Ask the wallet to switch to the network's chain
+     * @param {boolean} [options.addChain=true] - Offer to add the chain when the wallet does not know it
+     * @param {boolean} [options.watch=true] - Follow `accountsChanged` and `chainChanged` from the wallet
+     * @returns {Promise<{account: string, chainId: number, network: string}>}
+     * @throws {WalletError} If there is no wallet or the user rejects the connection
+     * @throws {WrongNetworkError} If the wallet stays on another chain
+     */
+    async connectBrowserWallet(options = {}) {
+        const {
+            provider = getInjectedProvider(),
+            network = 'calibration',
+            switchChain = true,
+            addChain = true,
+            watch = true,
+            ...initOptions
+        } = options;
+
+        if (!provider) {
+            throw new WalletError('No browser wallet found. Install a wallet such as MetaMask, or pass an EIP-1193 `provider`.');
+        }
+        assertEip1193(provider);
+        if (!FILECOIN_CHAINS[network]) {
+            throw new ValidationError(`Unknown network "${network}". Use 'mainnet' or 'calibration'.`);
+        }
+
+        this.disconnectBrowserWallet();
+        const [account] = await requestAccounts(provider);
+        const chainId = await ensureChain(provider, network, { switchChain, addChain });
+
+        const wallet = { provider, network, account, chainId, initOptions, listeners: null };
+        await this._initializeWithWallet(wallet);
+        this._wallet = wallet;
+
+        if (watch && typeof provider.on === 'function') {
+            wallet.listeners = {
+                accountsChanged: (accounts) => this._onWalletChange(() => this._onAccountsChanged(wallet, accounts)),
+                chainChanged: (chainId) => this._onWalletChange(() => this._onChainChanged(wallet, chainId))
+            };
+            for (const [event, listener] of Object.entries(wallet.listeners)) {
+                provider.on(event, listener);
+            }
+        }
+
+        this.logger.info(`Browser wallet ${account} connected on ${network}`);
+        this.emit('wallet:connected', { account, chainId, network });
+        return { account, chainId, network };
+    }
+
+    /**
+     * Stop following the browser wallet connected with `connectBrowserWallet`.
+     * The client stays initialized with the current account.
+     */
+    disconnectBrowserWallet() {
+        const wallet = this._wallet;
+        if (!wallet) return;
+        this._wallet = null;
+        if (wallet.listeners && typeof wallet.provider.removeListener === 'function') {
+            for (const [event, listener] of Object.entries(wallet.listeners)) {
+                wallet.provider.removeListener(event, listener);
+            }
+        }
+    }
+
+    /**
+     * Initialize with the signer of a browser wallet
+     * @param {Object} wallet - Connection state from `connectBrowserWallet`
+     */
+    async _initializeWithWallet(wallet) {
+        await this.initialize({
+            ...wallet.initOptions,
+            // A private key given to the constructor would otherwise take precedence
+            privateKey: undefined,
+            provider: new ethers.BrowserProvider(wallet.provider, wallet.chainId),
+            network: wallet.network
+        });
+    }
+
+    /**
+     * Handle wallet events one at a time, so a burst of changes cannot
+     * interleave re-initializations
+     * @param {() => Promise<void>} handler
+     */
+    _onWalletChange(handler) {
+        this._walletChanges = this._walletChanges.then(handler).catch((error) => {
+            this.logger.error('Failed to follow browser wallet change:', error);
+            this.emit('wallet:error', { error });
+        });
+    }
+
+    /**
+     * Leave the client uninitialized until the wallet is usable again
+     */
+    _suspendWallet() {
+        this.isInitialized = false;
+        this.synapse = null;
+        this.backend = null;
+    }
+
+    async _onAccountsChanged(wallet, accounts) {
+        if (this._wallet !== wallet) return;
+
+        const previousAccount = wallet.account;
+        const [account = null] = Array.isArray(accounts) ? accounts : [];
+        wallet.account = account;
+        if (!account) {
+            this._suspendWallet();
+            this.logger.info('Browser wallet disconnected');
+            this.emit('wallet:disconnected', { account: previousAccount });
+            return;
+        }
+        if (previousAccount && account.toLowerCase() === previousAccount.toLowerCase() && this.isInitialized) {
+            return;
+        }
+
+        if (wallet.chainId === FILECOIN_CHAINS[wallet.network].chainId) {
+            await this._initializeWithWallet(wallet);
+        }
+        this.logger.info(`Browser wallet account changed to ${account}`);
+        this.emit('wallet:accountsChanged', { account, previousAccount });
+    }
+
+    async _onChainChanged(wallet, rawChainId) {
+        if (this._wallet !== wallet) return;
+
+        const chainId = parseChainId(rawChainId);
+        wallet.chainId = chainId;
+        const supported = chainId === FILECOIN_CHAINS[wallet.network].chainId;
+        if (!supported) {
+            this._suspendWallet();
+            this.logger.warn(`Browser wallet switched to chain ${chainId}; expected ${wallet.network}`);
+        } else if (wallet.account) {
+            await this._initializeWithWallet(wallet);
+        }
+        this.emit('wallet:chainChanged', { chainId, network: networkForChainId(chainId), supported });
+    }
+
+    /**
+     * Resolve the `pinning` option into a provider
+     * @param {Object|false|undefined} config
+     * @returns {Object|null}
+     */
+    _createPinningProvider(config) {
+        // Node.js callers used to configure Pinata through the environment only
+        const jwt = readEnv('PINATA_JWT');
+        if (config === undefined && jwt) {
+            this.logger.warn('Reading PINATA_JWT from the environment is deprecated; pass `pinning` to initialize() instead.');
+            return createPinningProvider({ type: 'pinata', jwt });
+        }
+        return createPinningProvider(config);
+    }
+
     /**
      * Prepare wallet for storage operations (deposit and approve service)
      * @param {number} depositAmount - Amount of USDFC to deposit (in whole tokens)
      * @param {number} rateAllowance - Rate allowance per epoch (in whole tokens)
      * @param {number} lockupAllowance - Total lockup allowance (in whole tokens)
      * @param {number} maxLockupDays - Max lockup period in days
+     * @param {Object} [options] - Call options (`signal`, `retry`, `timeoutMs`)
      */
-    async setupWallet(depositAmount = 10, rateAllowance = 10, lockupAllowance = 1000, maxLockupDays = 30) {
+    async setupWallet(depositAmount = 10, rateAllowance = 10, lockupAllowance = 1000, maxLockupDays = 30, options = {}) {
         if (!this.isInitialized) {
-            throw new Error('FileStorage not initialized. Call initialize() first.');
+            throw new NotInitializedError();
         }
 
         try {
-            // Convert whole tokens to base units (18 decimals)
-            const parse = (amount) => ethers.parseUnits(amount.toString(), 18);
+            const decimals = await this._tokenDecimals(options);
+            const parse = (amount, name) => parseUSDFC(amount, name, decimals);
 
-            console.log('Checking current balance...');
-            const walletBalance = await this.synapse.payments.walletBalance();
-            console.log(`Wallet USDFC balance: ${ethers.formatUnits(walletBalance, 18)}`);
+            this.logger.debug('Checking current balance...');
+            const walletBalance = await this._withRetry(
+                () => this.backend.walletBalance(),
+                options,
+                { operation: 'Wallet balance query' }
+            );
+            this.logger.info(`Wallet USDFC balance: ${formatUSDFC(walletBalance, decimals)}`);
 
             // Deposit funds
-            console.log(`Depositing ${depositAmount} USDFC...`);
-            const depositTx = await this.synapse.payments.deposit(parse(depositAmount));
-            console.log(`Deposit transaction: ${depositTx.hash}`);
-            await depositTx.wait();
-            console.log('Deposit confirmed');
+            this.logger.info(`Depositing ${depositAmount} USDFC...`);
+            await this._deposit(parse(depositAmount, 'depositAmount'), options);
 
             // Approve Warm Storage service
-            console.log('Approving Warm Storage service...');
-            const warmStorageAddress = await this.synapse.getWarmStorageAddress();
-            const approveTx = await this.synapse.payments.approveService(
-                warmStorageAddress,
-                parse(rateAllowance),
-                parse(lockupAllowance),
-                BigInt(maxLockupDays) * 2880n // Convert days to epochs (1 day = 2880 epochs)
+            this.logger.info('Approving Warm Storage service...');
+            await this._approveService(
+                parse(rateAllowance, 'rateAllowance'),
+                parse(lockupAllowance, 'lockupAllowance'),
+                BigInt(maxLockupDays) * EPOCHS_PER_DAY,
+                options
             );
-            console.log(`Service approval transaction: ${approveTx.hash}`);
-            await approveTx.wait();
-            console.log('Service approval confirmed');
 
             // Check final balance
-            const availableBalance = await this.synapse.payments.balance();
-            console.log(`Available balance in payments contract: ${ethers.formatUnits(availableBalance, 18)} USDFC`);
+            const availableBalance = await this._withRetry(
+                () => this.backend.balance(),
+                options,
+                { operation: 'Balance query' }
+            );
+            this.logger.info(`Available balance in payments contract: ${formatUSDFC(availableBalance, decimals)} USDFC`);
 
             return true;
         } catch (error) {
-            console.error('Wallet setup failed:', error);
+            this.logger.error('Wallet setup failed:', error);
             throw error;
         }
     }
 
-    async pinToIPFS(cid, filename = "file") {
-        if (!process.env.PINATA_JWT) {
-            console.warn("⚠️ PINATA_JWT not set. Skipping pinning.");
-            return null;
+    /**
+     * Deposit USDFC into the payments contract until the available balance
+     * reaches a minimum. Does nothing when it already does, so it is safe to
+     * call before every batch of work. Concurrent calls share one deposit.
+     * @param {Object} params
+     * @param {number|string|bigint} params.minAvailable - Available balance to guarantee, in whole USDFC
+     *   (or bigint base units)
+     * @param {number|string|bigint} [params.targetDeposit] - Available balance to top up to when below
+     *   the minimum (default `minAvailable`)
+     * @param {AbortSignal} [params.signal] - Abort the operation
+     * @param {Object|false} [params.retry] - Retry policy overrides for this call
+     * @param {number} [params.timeoutMs] - Per-attempt timeout for this call
+     * @returns {Promise<{deposited: bigint, available: bigint, hash: string|null}>}
+     * @throws {InsufficientFundsError} If the wallet holds too little USDFC for the deposit
+     */
+    async ensureFunded(params = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
+        if (params.minAvailable == null) {
+            throw new ValidationError('minAvailable is required');
         }
 
+        // Concurrent callers wait for the deposit in flight, then re-check
+        while (this._funding) {
+            await this._funding.catch(() => {});
+        }
+        this._funding = this._ensureFunded(params);
         try {
-            const res = await fetch("https://api.pinata.cloud/pinning/pinByHash", {
-                method: "POST",
-                headers: {
-                    "Authorization": `Bearer ${process.env.PINATA_JWT}`,
-                    "Content-Type": "application/json"
-                },
-                body: JSON.stringify({
-                    hashToPin: cid,
-                    pinataMetadata: {
-                        name: filename
-                    }
-                })
-            });
+            return await this._funding;
+        } finally {
+            this._funding = null;
+        }
+    }
 
-            const data = await res.json();
-            if (res.ok) {
-                console.log(`✅ Pinned to Pinata: ${cid}`);
-                return `https://ipfs.io/ipfs/${cid}`;
-            } else {
-                console.error("❌ Pinning error:", data);
-                return null;
-            }
-        } catch (err) {
-            console.error("❌ Pinning request failed:", err);
-            return null;
+    async _ensureFunded(params) {
+        const decimals = await this._tokenDecimals(params);
+        const minAvailable = parseUSDFC(params.minAvailable, 'minAvailable', decimals);
+        const targetDeposit = params.targetDeposit == null
+            ? minAvailable
+            : parseUSDFC(params.targetDeposit, 'targetDeposit', decimals);
+        if (targetDeposit < minAvailable) {
+            throw new ValidationError('targetDeposit must be at least minAvailable');
+        }
+
+        const available = await this._withRetry(
+            () => this.backend.balance(),
+            params,
+            { operation: 'Balance query' }
+        );
+        if (available >= minAvailable) {
+            return { deposited: 0n, available, hash: null };
         }
+
+        const amount = targetDeposit - available;
+        const walletBalance = await this._withRetry(
+            () => this.backend.walletBalance(),
+            params,
+            { operation: 'Wallet balance query' }
+        );
+        if (walletBalance < amount) {
+            throw new InsufficientFundsError(
+                `Depositing ${formatUSDFC(amount, decimals)} USDFC needs more than the ` +
+                `${formatUSDFC(walletBalance, decimals)} USDFC in the wallet`,
+                { details: { required: amount, walletBalance, available } }
+            );
+        }
+
+        this.logger.info(`Topping up payments balance with ${formatUSDFC(amount, decimals)} USDFC...`);
+        const hash = await this._deposit(amount, params);
+        return { deposited: amount, available: available + amount, hash };
     }
 
     /**
-     * Upload a file (image or JSON)
-     * @param {File|Blob|Uint8Array|Object|string} file - The file to upload
-     * @param {string} [filename] - Optional filename for metadata
-     * @returns {Promise<{pieceCid: string, size: number, timestamp: number, filename?: string}>}
+     * Withdraw available USDFC from the payments contract back to the wallet.
+     * Funds locked up for stored data cannot be withdrawn.
+     * @param {number|string|bigint} amount - Amount in whole USDFC (or bigint base units)
+     * @param {Object} [options] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<{amount: bigint, hash: string}>}
+     * @throws {InsufficientFundsError} If more than the available balance is requested
      */
-    async uploadFile(file, filename) {
+    async withdraw(amount, options = {}) {
         if (!this.isInitialized) {
-            throw new Error('FileStorage not initialized. Call initialize() first.');
+            throw new NotInitializedError();
         }
 
-        try {
-            let data;
-            let actualFilename = filename;
-
-            if (typeof File !== 'undefined' && file instanceof File) {
-                data = new Uint8Array(await file.arrayBuffer());
-                actualFilename = actualFilename || file.name;
-            } else if (typeof Blob !== 'undefined' && file instanceof Blob) {
-                data = new Uint8Array(await file.arrayBuffer());
-            } else if (Buffer.isBuffer(file)) {
-                data = new Uint8Array(file);
-            } else if (file instanceof Uint8Array) {
-                data = file;
-            } else if (typeof file === 'string') {
-                data = new TextEncoder().encode(file);
-            } else if (typeof file === 'object') {
-                const jsonString = JSON.stringify(file);
-                data = new TextEncoder().encode(jsonString);
-            } else {
-                throw new Error('Unsupported file type.');
-            }
-
-            // ✅ allow very small files now
-            if (data.length < 1) {
-                throw new Error('File must be at least 1 byte');
-            }
-            if (data.length > 209715200) {
-                throw new Error('File must be smaller than 200 MiB');
-            }
-
-            console.log(`Uploading ${data.length} bytes...`);
+        const decimals = await this._tokenDecimals(options);
+        const value = parseUSDFC(amount, 'amount', decimals);
+        if (value === 0n) {
+            throw new ValidationError('amount must be positive');
+        }
 
-            const preflight = await this.synapse.storage.preflightUpload(data.length);
-            if (!preflight.allowanceCheck.sufficient) {
-                throw new Error('Insufficient allowance for upload. Please setup wallet first.');
-            }
+        const available = await this._withRetry(
+            () => this.backend.balance(),
+            options,
+            { operation: 'Balance query' }
+        );
+        if (value > available) {
+            throw new InsufficientFundsError(
+                `Cannot withdraw ${formatUSDFC(value, decimals)} USDFC; ` +
+                `${formatUSDFC(available, decimals)} USDFC is available`,
+                { details: { requested: value, available } }
+            );
+        }
 
-            // Upload to Synapse (Filecoin)
-            const uploadResult = await this.synapse.storage.upload(data);
+        this.logger.info(`Withdrawing ${formatUSDFC(value, decimals)} USDFC...`);
+        // Withdrawals are not idempotent, so a failed submission is never retried
+        const tx = await this._withRetry(
+            () => this.backend.withdraw(value),
+            { ...options, retry: false },
+            { operation: 'Withdrawal' }
+        );
+        this.emit('withdraw:submitted', { amount: value, hash: tx.hash });
+        await this._withRetry(() => tx.wait(), options, { operation: 'Withdrawal confirmation' });
+        this.logger.info('Withdrawal confirmed');
+        this.emit('withdraw:confirmed', { amount: value, hash: tx.hash });
+        return { amount: value, hash: tx.hash };
+    }
 
-            const result = {
-                pieceCid: uploadResult.pieceCid,
-                size: data.length,
-                timestamp: Date.now()
-            };
-            if (actualFilename) result.filename = actualFilename;
+    /**
+     * Get the Warm Storage service approval of this wallet
+     * @param {Object} [options] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<{service: string, isApproved: boolean, rateAllowance: bigint, rateUsed: bigint,
+     *   lockupAllowance: bigint, lockupUsed: bigint, maxLockupPeriod: bigint, maxLockupDays: number, formatted: Object}>}
+     *   - Allowances in USDFC base units, `maxLockupPeriod` in epochs; `formatted` has the allowances as USDFC strings
+     */
+    async getServiceApproval(options = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
 
-            console.log(`Upload successful! PieceCID: ${result.pieceCid}`);
+        const decimals = await this._tokenDecimals(options);
+        const service = await this._withRetry(
+            () => this.backend.getWarmStorageAddress(),
+            options,
+            { operation: 'Warm Storage address lookup' }
+        );
+        const approval = await this._withRetry(
+            () => this.backend.serviceApproval(service),
+            options,
+            { operation: 'Service approval query' }
+        );
 
-            // 🔹 Pin to Pinata for gateway access
-            const gatewayURL = await this.pinToIPFS(result.pieceCid, actualFilename || "file");
-            if (gatewayURL) {
-                result.gatewayURL = gatewayURL;
-                console.log(`🌍 Accessible at: ${gatewayURL}`);
-            }
+        const amounts = ['rateAllowance', 'rateUsed', 'lockupAllowance', 'lockupUsed'];
+        return {
+            service,
+            ...approval,
+            maxLockupDays: Number(approval.maxLockupPeriod / EPOCHS_PER_DAY),
+            formatted: Object.fromEntries(amounts.map((key) => [key, formatUSDFC(approval[key], decimals)]))
+        };
+    }
 
-            return result;
-        } catch (error) {
-            console.error('Upload failed:', error);
-            throw error;
+    /**
+     * Revoke the Warm Storage service approval. Data already stored keeps
+     * being paid for; new uploads fail until the service is approved again.
+     * @param {Object} [options] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<{service: string, hash: string}>}
+     */
+    async revokeService(options = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
         }
+
+        const service = await this._withRetry(
+            () => this.backend.getWarmStorageAddress(),
+            options,
+            { operation: 'Warm Storage address lookup' }
+        );
+        this.logger.info('Revoking Warm Storage service approval...');
+        const tx = await this._withRetry(
+            () => this.backend.revokeService(service),
+            { ...options, retry: false },
+            { operation: 'Service revocation' }
+        );
+        this.emit('revocation:submitted', { service, hash: tx.hash });
+        await this._withRetry(() => tx.wait(), options, { operation: 'Service revocation confirmation' });
+        this.logger.info('Service approval revoked');
+        this.emit('revocation:confirmed', { service, hash: tx.hash });
+        return { service, hash: tx.hash };
     }
 
+    /**
+     * Submit a deposit and wait for it to be confirmed
+     * @param {bigint} amount - Base units
+     * @param {Object} [callOptions] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<string>} - Transaction hash
+     */
+    async _deposit(amount, callOptions = {}) {
+        // Deposits are not idempotent, so a failed submission is never retried
+        const depositTx = await this._withRetry(
+            () => this.backend.deposit(amount),
+            { ...callOptions, retry: false },
+            { operation: 'Deposit' }
+        );
+        this.logger.info(`Deposit transaction: ${depositTx.hash}`);
+        this.emit('deposit:submitted', { amount, hash: depositTx.hash });
+        await this._withRetry(() => depositTx.wait(), callOptions, { operation: 'Deposit confirmation' });
+        this.logger.info('Deposit confirmed');
+        this.emit('deposit:confirmed', { amount, hash: depositTx.hash });
+        return depositTx.hash;
+    }
 
     /**
-     * Upload an image file
-     * @param {File|Blob} imageFile - The image file to upload
-     * @returns {Promise<{pieceCid: string, size: number, timestamp: number, filename: string, type: string}>}
+     * Approve the Warm Storage service and wait for the approval to be confirmed
+     * @param {bigint} rateAllowance - Base units per epoch
+     * @param {bigint} lockupAllowance - Base units
+     * @param {bigint} maxLockupPeriod - Epochs
+     * @param {Object} [callOptions] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<string>} - Transaction hash
      */
-    async uploadImage(imageFile) {
-        if (!(imageFile instanceof File) && !(imageFile instanceof Blob)) {
-            throw new Error('Image must be a File or Blob object');
-        }
+    async _approveService(rateAllowance, lockupAllowance, maxLockupPeriod, callOptions = {}) {
+        const warmStorageAddress = await this._withRetry(
+            () => this.backend.getWarmStorageAddress(),
+            callOptions,
+            { operation: 'Warm Storage address lookup' }
+        );
+        const approveTx = await this._withRetry(() => this.backend.approveService(
+            warmStorageAddress,
+            rateAllowance,
+            lockupAllowance,
+            maxLockupPeriod
+        ), callOptions, { operation: 'Service approval' });
+        this.logger.info(`Service approval transaction: ${approveTx.hash}`);
+        this.emit('approval:submitted', { service: warmStorageAddress, hash: approveTx.hash });
+        await this._withRetry(() => approveTx.wait(), callOptions, { operation: 'Service approval confirmation' });
+        this.logger.info('Service approval confirmed');
+        this.emit('approval:confirmed', { service: warmStorageAddress, hash: approveTx.hash });
+        return approveTx.hash;
+    }
 
-        const result = await this.uploadFile(imageFile, imageFile.name);
-        return {
-            ...result,
-            type: imageFile.type || 'image/unknown'
-        };
+    /**
+     * Decimals of the payment token, from the backend
+     * @param {Object} [callOptions] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<number>}
+     */
+    async _tokenDecimals(callOptions = {}) {
+        this._decimals ??= await this._withRetry(
+            () => this.backend.decimals(),
+            callOptions,
+            { operation: 'Token decimals query' }
+        );
+        return this._decimals;
     }
 
     /**
-     * Upload JSON data
-     * @param {Object|string} jsonData - JSON object or string to upload
-     * @param {string} [filename] - Optional filename for metadata
-     * @returns {Promise<{pieceCid: string, size: number, timestamp: number, filename?: string}>}
+     * Address of the account paying for uploads, from the backend
+     * @param {Object} [callOptions] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<string>}
      */
-    async uploadJSON(jsonData, filename = 'data.json') {
-        const result = await this.uploadFile(jsonData, filename);
-        return result;
+    async _accountAddress(callOptions = {}) {
+        this._account ??= (await this._withRetry(
+            () => this.backend.address(),
+            callOptions,
+            { operation: 'Account address query' }
+        )).toLowerCase();
+        return this._account;
     }
 
     /**
-     * Download a file by PieceCID
-     * @param {string} pieceCid - The PieceCID of the file to download
-     * @param {Object} [options] - Download options
-     * @param {boolean} [options.returnAs] - Return type ('blob', 'text', 'json', 'uint8array')
-     * @returns {Promise<Blob|string|Object|Uint8Array>}
+     * Raise the deposit and the service allowances just enough for an upload
+     * that failed its preflight check (the `autoTopUp` option)
+     * @param {number} size - Bytes about to be uploaded
+     * @param {Object} preflight - The failed preflight result
+     * @param {Object} [callOptions] - Call options (`signal`, `retry`, `timeoutMs`)
      */
-    async downloadFile(pieceCid, options = {}) {
-        if (!this.isInitialized) {
-            throw new Error('FileStorage not initialized. Call initialize() first.');
+    async _autoTopUp(size, preflight, callOptions = {}) {
+        const { minAvailable = 0, targetDeposit } = this.autoTopUp;
+        const decimals = await this._tokenDecimals(callOptions);
+        const rateNeeded = preflight.estimatedCost.perEpoch;
+        const lockupNeeded = rateNeeded * DEFAULT_LOCKUP_DAYS * EPOCHS_PER_DAY;
+        this.logger.info(`Preflight failed for ${size} bytes (${preflight.allowanceCheck.message}), topping up...`);
+
+        // The new lockup comes out of the available balance, on top of the configured minimum
+        const min = parseUSDFC(minAvailable, 'autoTopUp.minAvailable', decimals) + lockupNeeded;
+        const target = targetDeposit == null
+            ? min
+            : maxBigInt(parseUSDFC(targetDeposit, 'autoTopUp.targetDeposit', decimals), min);
+        const { deposited } = await this.ensureFunded({ ...callOptions, minAvailable: min, targetDeposit: target });
+
+        const approval = await this.getServiceApproval(callOptions);
+        const rateAllowance = maxBigInt(approval.rateAllowance, approval.rateUsed + rateNeeded);
+        const lockupAllowance = maxBigInt(approval.lockupAllowance, approval.lockupUsed + lockupNeeded);
+        const maxLockupPeriod = maxBigInt(approval.maxLockupPeriod, DEFAULT_LOCKUP_DAYS * EPOCHS_PER_DAY);
+        if (
+            !approval.isApproved ||
+            rateAllowance !== approval.rateAllowance ||
+            lockupAllowance !== approval.lockupAllowance ||
+            maxLockupPeriod !== approval.maxLockupPeriod
+        ) {
+            await this._approveService(rateAllowance, lockupAllowance, maxLockupPeriod, callOptions);
         }
+        this.emit('topup', { size, deposited, rateAllowance, lockupAllowance });
+    }
 
-        const { returnAs = 'uint8array' } = options;
+    /**
+     * Run a network operation under the instance retry policy. Failures are
+     * mapped onto the SDK error classes once retries are exhausted.
+     * @param {Function} operation - `(signal) => Promise`, called once per attempt
+     * @param {Object} [callOptions] - Per-call overrides
+     * @param {AbortSignal} [callOptions.signal] - Abort the operation
+     * @param {Object|false} [callOptions.retry] - Retry policy overrides
+     * @param {number} [callOptions.timeoutMs] - Per-attempt timeout
+     * @param {Object} [context] - Error context (`operation` name, `pieceCid`), and `retryTimeouts: false` for
+     *   operations that must not run twice (see `withRetry`)
+     * @returns {Promise<any>}
+     */
+    async _withRetry(operation, callOptions = {}, context = {}) {
+        const { signal, retry, timeoutMs } = callOptions;
+        const policy = resolveRetryPolicy(
+            this.retryPolicy,
+            retry,
+            timeoutMs !== undefined ? { timeoutMs } : undefined
+        );
 
         try {
-            console.log(`Downloading file with PieceCID: ${pieceCid}`);
-            const data = await this.synapse.storage.download(pieceCid);
-
-            switch (returnAs) {
-                case 'blob':
-                    return new Blob([data]);
-                case 'text':
-                    return new TextDecoder().decode(data);
-                case 'json':
-                    const text = new TextDecoder().decode(data);
-                    return JSON.parse(text);
-                case 'uint8array':
-                default:
-                    return data;
-            }
+            return await withRetry(operation, {
+                policy,
+                signal,
+                retryTimeouts: context.retryTimeouts,
+                onRetry: (error, attempt, delay) => {
+                    const operationName = context.operation ?? 'Operation';
+                    this.logger.warn(
+                        `${operationName} attempt ${attempt} failed (${error.message}), retrying in ${Math.round(delay)} ms...`
+                    );
+                    this.emit('retry', { operation: operationName, attempt, delayMs: delay, error });
+                }
+            });
         } catch (error) {
-            console.error('Download failed:', error);
-            throw error;
+            throw toFileStorageError(error, context);
         }
     }
 
     /**
-     * Download and display an image
-     * @param {string} pieceCid - The PieceCID of the image
-     * @returns {Promise<string>} - Data URL of the image
+     * Generate a random 256-bit key for use with the `encryption` option
+     * @returns {Promise<Uint8Array>} - Raw key bytes; store these safely, they cannot be recovered
+     */
+    async generateEncryptionKey() {
+        return await generateKey();
+    }
+
+    /**
+     * Pin a CID with the configured pinning provider for gateway access
+     * @param {string} cid - The CID to pin
+     * @param {string} [filename] - Name recorded with the pin
+     * @param {Object} [options] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<string|null>} - Gateway URL, or null if pinning is not configured
+     * @throws {PinningError} If the pinning service rejects the request or cannot be reached
      */
-    async downloadImage(pieceCid) {
+    async pinToIPFS(cid, filename = "file", options = {}) {
+        if (!this.pinning) {
+            this.logger.warn("No pinning provider configured. Skipping pinning.");
+            return null;
+        }
+
         try {
-            const blob = await this.downloadFile(pieceCid, { returnAs: 'blob' });
-            return URL.createObjectURL(blob);
+            await this._withPinning(
+                (signal) => this.pinning.pin(String(cid), { name: filename, signal }),
+                options,
+                'Pinning request'
+            );
         } catch (error) {
-            console.error('Image download failed:', error);
+            if (!options.signal?.aborted) {
+                this.emit('pin:failed', { cid: String(cid), error });
+            }
             throw error;
         }
+
+        const gatewayURL = this.getGatewayURL(cid, filename);
+        this.logger.info(`Pinned to ${this.pinning.name}: ${cid}`);
+        this.emit('pin:complete', { cid: String(cid), gatewayURL });
+        return gatewayURL;
     }
 
     /**
-     * Download JSON data
-     * @param {string} pieceCid - The PieceCID of the JSON data
-     * @returns {Promise<Object>} - Parsed JSON object
+     * Remove a pin from the configured pinning provider
+     * @param {string} cid - The pinned CID
+     * @param {Object} [options] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<boolean>} - False if the CID was not pinned
+     * @throws {PinningError}
+     */
+    async unpin(cid, options = {}) {
+        this._requirePinning();
+        const removed = await this._withPinning(
+            (signal) => this.pinning.unpin(String(cid), { signal }),
+            options,
+            'Unpin request'
+        );
+        if (removed) this.logger.info(`Unpinned from ${this.pinning.name}: ${cid}`);
+        return removed;
+    }
+
+    /**
+     * List pins held by the configured pinning provider
+     * @param {Object} [options] - Query and call options
+     * @param {string|string[]} [options.status='pinned'] - 'queued', 'pinning', 'pinned' and/or 'failed'
+     * @param {number} [options.limit=100] - Maximum number of pins returned
+     * @returns {Promise<Array<{cid: string, name: string|null, status: string, requestId: string|null, created: string|null}>>}
+     * @throws {PinningError}
      */
-    async downloadJSON(pieceCid) {
+    async listPins(options = {}) {
+        this._requirePinning();
+        const { status, limit } = options;
+        return await this._withPinning(
+            (signal) => this.pinning.listPins({ status, limit, signal }),
+            options,
+            'List pins request'
+        );
+    }
+
+    /**
+     * Look up the pin for a CID on the configured pinning provider
+     * @param {string} cid - The CID to look up
+     * @param {Object} [options] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<{cid: string, name: string|null, status: string, requestId: string|null, created: string|null}|null>}
+     *   - The pin, or null if the CID is not pinned
+     * @throws {PinningError}
+     */
+    async pinStatus(cid, options = {}) {
+        this._requirePinning();
+        return await this._withPinning(
+            (signal) => this.pinning.pinStatus(String(cid), { signal }),
+            options,
+            'Pin status request'
+        );
+    }
+
+    /**
+     * Build the public gateway URL for a CID from the `gatewayURL` template
+     * @param {string} cid
+     * @param {string} [filename]
+     * @returns {string}
+     */
+    getGatewayURL(cid, filename) {
+        return formatGatewayURL(this.gatewayURLTemplate, cid, filename);
+    }
+
+    _requirePinning() {
+        if (!this.pinning) {
+            throw new ValidationError('No pinning provider configured. Pass `pinning` to initialize().');
+        }
+    }
+
+    /**
+     * Run a pinning provider call with retries, reporting failures as PinningError
+     * @param {(signal?: AbortSignal) => Promise<any>} operation
+     * @param {Object} callOptions - Call options (`signal`, `retry`, `timeoutMs`)
+     * @param {string} operationName - Used in log and error messages
+     * @returns {Promise<any>}
+     */
+    async _withPinning(operation, callOptions, operationName) {
         try {
-            return await this.downloadFile(pieceCid, { returnAs: 'json' });
+            return await this._withRetry(operation, callOptions, { operation: operationName });
         } catch (error) {
-            console.error('JSON download failed:', error);
-            throw error;
+            if (error instanceof PinningError || callOptions.signal?.aborted) throw error;
+            // `_withRetry` has already prefixed the message with the operation name
+            throw new PinningError(error.message, {
+                cause: error,
+                details: { provider: this.pinning.name }
+            });
         }
     }
 
     /**
-     * Get storage information and account status
-     * @returns {Promise<Object>} - Storage and account information
+     * Pin an upload for gateway access without failing the upload: the data
+     * is already stored, so pinning errors are only logged.
+     * @param {string} cid - The CID to pin
+     * @param {string} filename - Name recorded with the pin
+     * @param {Object} [options] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<string|null>} - Gateway URL, or null if pinning was skipped or failed
      */
-    async getStorageInfo() {
-        if (!this.isInitialized) {
-            throw new Error('FileStorage not initialized. Call initialize() first.');
-        }
+    async _pinUpload(cid, filename, options = {}) {
+        if (!this.pinning) return null;
 
         try {
-            const [balance, accountInfo, storageInfo] = await Promise.all([
-                this.synapse.payments.balance().catch(() => null),
-                this.synapse.payments.accountInfo().catch(() => null),
-                this.synapse.storage.getStorageInfo().catch(() => null)
-            ]);
-
-            return {
-                balance: balance ? ethers.formatUnits(balance, 18) : "0",
-                accountInfo: accountInfo
-                    ? {
-                        availableFunds: accountInfo.availableFunds
-                            ? ethers.formatUnits(accountInfo.availableFunds, 18)
-                            : "0",
-                        lockedFunds: accountInfo.lockedFunds
-                            ? ethers.formatUnits(accountInfo.lockedFunds, 18)
-                            : "0",
-                        totalFunds: accountInfo.totalFunds
-                            ? ethers.formatUnits(accountInfo.totalFunds, 18)
-                            : "0"
-                    }
-                    : { availableFunds: "0", lockedFunds: "0", totalFunds: "0" },
-                storageInfo: storageInfo
-                    ? {
-                        pricing: storageInfo.pricing ?? {},
-                        providers: Array.isArray(storageInfo.providers)
-                            ? storageInfo.providers.length
-                            : 0,
-                        network: storageInfo.serviceParameters?.network ?? "unknown"
-                    }
-                    : { pricing: {}, providers: 0, network: "unknown" }
-            };
+            return await this.pinToIPFS(cid, filename, options);
         } catch (error) {
-            console.error('⚠️ Failed to get storage info safely:', error);
-            return {
-                balance: "0",
-                accountInfo: { availableFunds: "0", lockedFunds: "0", totalFunds: "0" },
-                storageInfo: { pricing: {}, providers: 0, network: "unknown" }
-            };
+            if (options.signal?.aborted) throw error;
+            this.logger.error("Pinning failed:", error);
+            return null;
         }
     }
 
-
     /**
-     * Check if a PieceCID exists on the network
-     * @param {string} pieceCid - The PieceCID to check
-     * @returns {Promise<boolean>} - True if the piece exists
+     * Upload a file (image or JSON)
+     * @param {File|Blob|Uint8Array|Object|string} file - The file to upload
+     * @param {string} [filename] - Optional filename for metadata
+     * @param {Object} [options] - Upload options
+     * @param {boolean} [options.chunked] - Split the file into several pieces and store a manifest.
+     *   Files larger than 200 MiB are chunked automatically unless this is `false`.
+     * @param {number} [options.chunkSize] - Chunk size in bytes (max 200 MiB)
+     * @param {Object} [options.encryption] - Encrypt with AES-GCM before upload
+     * @param {CryptoKey|Uint8Array} [options.encryption.key] - AES key (16, 24 or 32 bytes)
+     * @param {string} [options.encryption.passphrase] - Passphrase to derive a key from (PBKDF2-SHA256)
+     * @param {number} [options.encryption.iterations] - PBKDF2 iterations (default 600000, at most 10000000)
+     * @param {string} [options.mimeType] - MIME type; defaults to the type of a File/Blob, then to the
+     *   type detected from the content
+     * @param {Object} [options.metadata] - JSON-serialisable user metadata stored with the piece (max 64 KiB)
+     * @param {boolean} [options.embedMetadata=true] - Set to false to never prefix the piece with a metadata
+     *   header, e.g. when the type is recorded elsewhere. By default a header is written when `metadata`
+     *   is given or `mimeType` differs from the detected type.
+     * @param {string} [options.compress] - 'gzip', 'brotli' or 'auto' to compress the content before upload
+     *   (and before encryption). 'auto' picks brotli where the runtime supports it, gzip otherwise, and skips
+     *   types that are already compressed. Content is stored uncompressed when compressing does not shrink it.
+     *   Downloads decompress transparently.
+     * @param {string[]} [options.tags] - Tags recorded in the catalog
+     * @param {AbortSignal} [options.signal] - Abort the upload
+     * @param {Object|false} [options.retry] - Retry policy overrides for this call
+     * @param {number} [options.timeoutMs] - Per-attempt timeout for this call
+     * @param {Function} [options.onProgress] - Called with `{ filename, phase, bytesDone, totalBytes, pieceCid? }`
+     *   as the upload moves through the 'reading', 'preflight', 'uploading', 'confirmed' and 'pinning' phases
+     * @param {boolean} [options.preflight=true] - Set to false to skip the per-piece allowance check,
+     *   e.g. when the caller has already checked a whole batch
+     * @param {boolean} [options.journal=true] - Set to false to bypass the upload journal for this call.
+     *   Encrypted uploads are never journaled.
+     * @returns {Promise<{pieceCid: string, size: number, timestamp: number, sha256: string, filename?: string,
+     *   mimeType?: string, metadata?: Object, manifest?: Object, encrypted?: boolean, compression?: string|null,
+     *   originalSize?: number, storedSize?: number, reused?: boolean}>}
+     *   - `sha256` is the hex SHA-256 of the content before encryption; pass it to `downloadFile` as `expectedHash`.
+     *   With `compress`, `compression` is the algorithm used (null if skipped), and `originalSize` and
+     *   `storedSize` are the content and stored byte counts. `reused` is true when the upload journal already
+     *   held this content and nothing was uploaded.
+     * @throws {BudgetExceededError} If the upload would exceed a limit of the `budget` option
      */
-    async checkFileExists(pieceCid) {
+    async uploadFile(file, filename, options = {}) {
         if (!this.isInitialized) {
-            throw new Error('FileStorage not initialized. Call initialize() first.');
+            throw new NotInitializedError();
         }
 
-        try {
-            // Try to download a small part to check existence
-            await this.synapse.storage.download(pieceCid);
-            return true;
-        } catch (error) {
-            if (error.message.includes('not found') || error.message.includes('404')) {
-                return false;
-            }
-            throw error;
+        let actualFilename = filename;
+        if (typeof File !== 'undefined' && file instanceof File) {
+            actualFilename = actualFilename || file.name;
         }
-    }
+        const report = this._progressReporter(actualFilename, options.onProgress);
+        let reservation = null;
+
+        try {
+            let data;
+            let mimeType = options.mimeType;
+
+            if (typeof Blob !== 'undefined' && file instanceof Blob) {
+                report('reading', 0, file.size);
+                data = await readBlob(file, (bytesRead) => report('reading', bytesRead, file.size));
+                mimeType = mimeType || file.type;
+            } else if (file instanceof Uint8Array) {
+                // Node.js Buffers are Uint8Arrays too
+                data = file;
+            } else if (typeof file === 'string') {
+                data = new TextEncoder().encode(file);
+            } else if (typeof file === 'object') {
+                const jsonString = JSON.stringify(file);
+                data = new TextEncoder().encode(jsonString);
+            } else {
+                throw new ValidationError('Unsupported file type.');
+            }
+            if (!(typeof Blob !== 'undefined' && file instanceof Blob)) {
+                report('reading', data.length, data.length);
+            }
+
+            // ✅ allow very small files now
+            if (data.length < 1) {
+                throw new ValidationError('File must be at least 1 byte');
+            }
+
+            const {
+                chunked,
+                chunkSize = MAX_PIECE_SIZE,
+                encryption,
+                tags,
+                metadata,
+                embedMetadata = true,
+                compress: compressMode
+            } = options;
+            if (metadata !== undefined) assertMetadata(metadata);
+            if (compressMode !== undefined) assertCompressionMode(compressMode);
+            const detectedType = sniffMimeType(data);
+            mimeType = mimeType || detectedType || undefined;
+
+            this.emit('upload:start', { filename: actualFilename ?? null, size: data.length });
+            const contentHash = await sha256Hex(data);
+
+            // Compressed content sits inside the metadata header and the encryption envelope
+            const compressed = compressMode ? await compress(data, compressMode, mimeType) : null;
+            const content = compressed?.data ?? data;
+            // Plain pieces are typed by sniffing on download; a header is only
+            // needed for what sniffing cannot tell, and to keep content that
+            // starts like an SDK-framed piece from being read as one
+            const needsHeader = (!compressed && startsWithReservedMagic(data)) || (embedMetadata && (
+                metadata !== undefined || (mimeType !== undefined && mimeEssence(mimeType) !== detectedType)
+            ));
+            // The header records the compression, since content wrapped in it may
+            // merely start like a compression header
+            const compression = compressed?.algorithm;
+            let payload = needsHeader
+                ? wrapWithMetadata(content, embedMetadata ? { mimeType, metadata, compression } : { compression })
+                : content;
+            if (encryption) {
+                payload = await encrypt(payload, encryption);
+            }
+
+            const useChunks = chunked === true || (chunked !== false && payload.length > MAX_PIECE_SIZE);
+            if (!useChunks && payload.length > MAX_PIECE_SIZE) {
+                throw new FileTooLargeError(payload.length, MAX_PIECE_SIZE);
+            }
+            // Encrypted payloads differ on every upload (fresh IV), so only plain content is journaled.
+            // A journal store may be shared, so entries are also keyed by where the piece was stored.
+            const journalKey = this.journal && !encryption && options.journal !== false
+                ? await this.journal.keyFor(contentHash, {
+                    network: this.network,
+                    account: await this._accountAddress(options),
+                    mimeType: mimeType ?? null,
+                    metadata: embedMetadata ? metadata ?? null : null,
+                    compress: compressMode ?? null,
+                    chunkSize: useChunks ? chunkSize : null,
+                    filename: useChunks ? actualFilename ?? null : null
+                })
+                : null;
+            let journaled = journalKey ? await this._journalCall('get', journalKey) : null;
+            if (journaled?.result && !await this._pieceExists(journaled.result.pieceCid, options)) {
+                this.logger.warn(`Journaled piece ${journaled.result.pieceCid} is no longer stored, uploading again`);
+                journaled = null;
+            }
+
+            let result;
+            if (journaled?.result) {
+                // Already stored by an earlier call: return it instead of paying again
+                this.logger.info(`Content already uploaded as ${journaled.result.pieceCid}, skipping upload`);
+                result = { ...journaled.result, pieceCid: parsePieceCid(journaled.result.pieceCid), reused: true };
+                if (actualFilename) result.filename = actualFilename;
+                else delete result.filename;
+                report('confirmed', result.size, result.size, { pieceCid: String(result.pieceCid) });
+            } else {
+                // Interrupted after the piece was sent: it was paid for then and only needs recording
+                const alreadyStored = !useChunks && journaled?.pieceCid
+                    ? await this._pieceExists(journaled.pieceCid, options)
+                    : false;
+                if (!alreadyStored) {
+                    reservation = await this._reserveBudget(payload.length, options);
+                }
+                const checkpoint = journalKey ? this._journalCheckpoint(journalKey, journaled) : null;
+
+                if (useChunks) {
+                    // Unencrypted chunks stay plain content, with the type and metadata in the
+                    // manifest. Encrypted files keep both, and the filename, out of the plaintext manifest.
+                    result = encryption
+                        ? await this._uploadChunked(payload, { encrypted: true }, chunkSize, options, report)
+                        : await this._uploadChunked(
+                            content,
+                            {
+                                filename: actualFilename,
+                                mimeType,
+                                metadata: embedMetadata ? metadata : undefined,
+                                compression: compressed?.algorithm
+                            },
+                            chunkSize,
+                            options,
+                            report,
+                            checkpoint
+                        );
+                } else {
+                    let uploadResult;
+                    if (alreadyStored) {
+                        this.logger.info(`Piece ${journaled.pieceCid} was stored before an interruption`);
+                        uploadResult = { pieceCid: parsePieceCid(journaled.pieceCid) };
+                        report('confirmed', payload.length, payload.length, { pieceCid: journaled.pieceCid });
+                    } else {
+                        this.logger.info(`Uploading ${payload.length} bytes...`);
+
+                        // Upload to Synapse (Filecoin)
+                        uploadResult = await this._uploadPiece(payload, options, {
+                            report,
+                            totalBytes: payload.length,
+                            beforeUpload: checkpoint ? () => checkpoint.begin(computePieceCid(payload)) : undefined
+                        });
+                    }
+
+                    result = {
+                        pieceCid: uploadResult.pieceCid,
+                        size: payload.length,
+                        timestamp: Date.now()
+                    };
+                }
+                result.sha256 = contentHash;
+                if (actualFilename) result.filename = actualFilename;
+                if (mimeType) result.mimeType = mimeType;
+                if (metadata !== undefined) result.metadata = metadata;
+                if (encryption) result.encrypted = true;
+                if (compressMode) {
+                    result.compression = compressed?.algorithm ?? null;
+                    result.originalSize = data.length;
+                    result.storedSize = result.size;
+                }
+
+                this.logger.info(`Upload successful! PieceCID: ${result.pieceCid}`);
+                if (journalKey) await this._journalCall('markUploaded', journalKey, result);
+            }
+
+            // Pin with the configured provider (if any) for gateway access
+            let gatewayURL = journaled?.gatewayURL ?? null;
+            if (!gatewayURL) {
+                if (this.pinning) {
+                    report('pinning', result.size, result.size, { pieceCid: String(result.pieceCid) });
+                }
+                gatewayURL = await this._pinUpload(result.pieceCid, actualFilename || "file", options);
+                if (gatewayURL && journalKey) await this._journalCall('markPinned', journalKey, gatewayURL);
+            }
+            if (gatewayURL) {
+                result.gatewayURL = gatewayURL;
+                this.logger.info(`Accessible at: ${gatewayURL}`);
+            }
+
+            await this._recordUpload(result, { mimeType, metadata, sha256: contentHash, tags });
+
+            this.emit('upload:complete', { result });
+            return result;
+        } catch (error) {
+            if (reservation) this.budget.release(reservation);
+            this.logger.error('Upload failed:', error);
+            this.emit('upload:error', { filename: actualFilename ?? null, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Add a finished upload to the catalog. Catalog failures are logged but
+     * never fail the upload itself, since the data is already stored.
+     * @param {Object} result - Upload result
+     * @param {Object} details - Extra catalog fields (mimeType, metadata, sha256, tags)
+     */
+    async _recordUpload(result, details) {
+        try {
+            await this.catalog.record({
+                ...details,
+                pieceCid: result.pieceCid,
+                size: result.size,
+                timestamp: result.timestamp,
+                filename: result.filename,
+                gatewayURL: result.gatewayURL,
+                encrypted: result.encrypted,
+                chunked: Boolean(result.manifest)
+            });
+        } catch (error) {
+            this.logger.error('Failed to record upload in catalog:', error);
+        }
+    }
+
+    /**
+     * Call an upload journal method. Failures are logged and never fail the
+     * upload, since the journal only saves repeated work.
+     * @param {string} method - 'get', 'markUploaded' or 'markPinned'
+     * @param {...*} args
+     * @returns {Promise<*>} - The method's result, or null if it failed
+     */
+    async _journalCall(method, ...args) {
+        try {
+            return await this.journal[method](...args);
+        } catch (error) {
+            this.logger.warn(`Upload journal ${method} failed:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Progress hooks that record an upload in the journal as it goes
+     * @param {string} key - Journal key of the upload
+     * @param {Object|null} entry - Existing journal entry, if the upload was interrupted before
+     * @returns {{chunks: Object[], begin: Function, save: Function}}
+     *   - `begin(pieceCid?)` runs once a piece passed its preflight and, unlike `save(chunks)`, fails the
+     *   upload if it cannot be recorded, since nothing has been paid for yet
+     */
+    _journalCheckpoint(key, entry) {
+        return {
+            chunks: entry?.chunks ?? [],
+            begin: (pieceCid = null) => this.journal.begin(key, pieceCid),
+            save: (chunks) => this._journalCall('saveChunks', key, chunks)
+        };
+    }
+
+    /**
+     * Whether a piece is already stored, for uploads interrupted after sending
+     * it. Lookup failures count as missing, so the piece is uploaded again.
+     * @param {string} pieceCid
+     * @param {Object} [callOptions] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<boolean>}
+     */
+    async _pieceExists(pieceCid, callOptions = {}) {
+        try {
+            return (await this.getPieceStatus(pieceCid, callOptions)).exists;
+        } catch (error) {
+            if (callOptions.signal?.aborted) throw error;
+            this.logger.warn(`Could not check for piece ${pieceCid}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Build the function that publishes upload progress to the caller's
+     * `onProgress` callback and as 'upload:progress' events
+     * @param {string} [filename] - Filename reported with each update
+     * @param {Function} [onProgress] - Callback from the upload options
+     * @returns {(phase: string, bytesDone: number, totalBytes: number|null, extra?: Object) => void}
+     */
+    _progressReporter(filename, onProgress) {
+        return (phase, bytesDone, totalBytes, extra = {}) => {
+            const progress = { filename: filename ?? null, phase, bytesDone, totalBytes, ...extra };
+            if (onProgress) {
+                try {
+                    onProgress(progress);
+                } catch (error) {
+                    this.logger.error('onProgress callback threw:', error);
+                }
+            }
+            this.emit('upload:progress', progress);
+        };
+    }
+
+    /**
+     * Check that the service allowances cover storing `size` more bytes, topping
+     * them up first when the `autoTopUp` option is set
+     * @param {number} size - Bytes to be uploaded
+     * @param {Object} [callOptions] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @param {Object} [details] - Extra fields for the error details
+     * @returns {Promise<Object>} - The backend's preflight result
+     * @throws {InsufficientAllowanceError}
+     */
+    async _preflight(size, callOptions = {}, details = {}) {
+        const check = () => this._withRetry(
+            () => this.backend.preflightUpload(size),
+            callOptions,
+            { operation: 'Upload preflight' }
+        );
+        let preflight = await check();
+        if (!preflight.allowanceCheck.sufficient && this.autoTopUp) {
+            await this._autoTopUp(size, preflight, callOptions);
+            preflight = await check();
+        }
+        if (!preflight.allowanceCheck.sufficient) {
+            throw new InsufficientAllowanceError(undefined, {
+                details: {
+                    size,
+                    reason: preflight.allowanceCheck.message,
+                    estimatedCost: preflight.estimatedCost,
+                    ...details
+                }
+            });
+        }
+        return preflight;
+    }
+
+    /**
+     * Current storage prices, cached for a few minutes since they change rarely
+     * @param {Object} [callOptions] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<{noCDN: bigint, withCDN: bigint, epochsPerMonth: bigint}>} - Prices per TiB per month
+     */
+    async _storagePricing(callOptions = {}) {
+        if (this._pricing && Date.now() - this._pricing.fetchedAt < PRICING_CACHE_MS) {
+            return this._pricing;
+        }
+        const info = await this._withRetry(
+            () => this.backend.getStorageInfo(),
+            callOptions,
+            { operation: 'Storage pricing query' }
+        );
+        this._pricing = {
+            noCDN: BigInt(info.pricing.noCDN.perTiBPerMonth),
+            withCDN: BigInt(info.pricing.withCDN.perTiBPerMonth),
+            epochsPerMonth: BigInt(info.serviceParameters.epochsPerMonth),
+            fetchedAt: Date.now()
+        };
+        return this._pricing;
+    }
+
+    /**
+     * Reserve the cost of an upload against the `budget` option
+     * @param {number} size - Bytes about to be stored
+     * @param {Object} [callOptions] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @param {number} [uploadSize=size] - Bytes of the whole upload so far, when it is stored in parts
+     * @returns {Promise<Object|null>} - Reservation, or null when no budget is configured
+     * @throws {BudgetExceededError}
+     */
+    async _reserveBudget(size, callOptions = {}, uploadSize = size) {
+        if (!this.budget) {
+            return null;
+        }
+        const { signal, retry, timeoutMs } = callOptions;
+        const estimateOptions = { durationDays: this.budget.durationDays, signal, retry, timeoutMs };
+        const estimate = await this.estimateCost(size, estimateOptions);
+        const uploadEstimate = uploadSize === size ? estimate : await this.estimateCost(uploadSize, estimateOptions);
+
+        return this.budget.reserve(estimate.total, {
+            uploadCost: uploadEstimate.total,
+            details: { estimate: uploadEstimate }
+        });
+    }
+
+    /**
+     * Run the allowance preflight check and upload a single piece
+     * @param {Uint8Array} data - Piece bytes (at most 200 MiB)
+     * @param {Object} [callOptions] - Call options (`signal`, `retry`, `timeoutMs`, `preflight`)
+     * @param {Object} [progress] - Progress reporting for this piece
+     * @param {Function} progress.report - Reporter from `_progressReporter`
+     * @param {number} [progress.offset] - Bytes of the file uploaded before this piece
+     * @param {number|null} progress.totalBytes - Total bytes of the file, if known
+     * @param {Function} [progress.beforeUpload] - Awaited after the preflight, right before sending the piece
+     * @returns {Promise<{pieceCid: string, size: number, pieceId?: number}>}
+     */
+    async _uploadPiece(data, callOptions = {}, progress = null) {
+        const { offset = 0, totalBytes = null, beforeUpload } = progress ?? {};
+        const report = progress?.report ?? (() => {});
+
+        if (callOptions.preflight !== false) {
+            report('preflight', offset, totalBytes);
+            await this._preflight(data.length, callOptions);
+        }
+        if (beforeUpload) await beforeUpload();
+
+        report('uploading', offset, totalBytes);
+        // A timed-out upload cannot be cancelled and may still store (and pay for) the piece, so it is not retried
+        const uploadResult = await this._withRetry(
+            () => this.backend.upload(data, {
+                onUploadComplete: (pieceCid) => {
+                    report('uploading', offset + data.length, totalBytes, { pieceCid: String(pieceCid) });
+                }
+            }),
+            callOptions,
+            { operation: 'Upload', retryTimeouts: false }
+        );
+        report('confirmed', offset + data.length, totalBytes, { pieceCid: String(uploadResult.pieceCid) });
+        return uploadResult;
+    }
+
+    /**
+     * Upload a file as a series of pieces followed by a manifest piece
+     * @param {Uint8Array} data - File bytes
+     * @param {Object} details - Optional fields recorded in the manifest
+     * @param {string} [details.filename] - Filename
+     * @param {string} [details.mimeType] - MIME type
+     * @param {Object} [details.metadata] - User metadata
+     * @param {string} [details.compression] - Algorithm `data` was compressed with
+     * @param {boolean} [details.encrypted] - Whether `data` is an encryption envelope
+     * @param {number} chunkSize - Maximum bytes per piece
+     * @param {Object} [callOptions] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @param {Function} [report] - Progress reporter from `_progressReporter`
+     * @param {Object} [checkpoint] - Upload journal hooks from `_journalCheckpoint`: chunks listed in
+     *   `checkpoint.chunks` are not uploaded again, and progress is saved after every chunk
+     * @returns {Promise<{pieceCid: string, size: number, timestamp: number, filename?: string, manifest: Object}>}
+     */
+    async _uploadChunked(data, details, chunkSize, callOptions = {}, report = undefined, checkpoint = null) {
+        const { filename, mimeType, metadata, compression, encrypted } = details;
+        const parts = splitIntoChunks(data, chunkSize);
+        this.logger.info(`Uploading ${data.length} bytes in ${parts.length} chunks...`);
+
+        const chunks = [];
+        let offset = 0;
+        for (const [index, part] of parts.entries()) {
+            const sha256 = await sha256Hex(part);
+            const stored = checkpoint?.chunks[index];
+            if (stored && stored.size === part.length && stored.sha256 === sha256) {
+                chunks.push(stored);
+                offset += part.length;
+                report?.('confirmed', offset, data.length, { pieceCid: stored.pieceCid });
+                this.logger.debug(`Chunk ${index + 1}/${parts.length} already uploaded: ${stored.pieceCid}`);
+                continue;
+            }
+
+            const uploadResult = await this._uploadPiece(part, callOptions, {
+                report,
+                offset,
+                totalBytes: data.length,
+                beforeUpload: checkpoint ? () => checkpoint.begin() : undefined
+            });
+            chunks.push({
+                pieceCid: String(uploadResult.pieceCid),
+                size: part.length,
+                sha256
+            });
+            await checkpoint?.save(chunks);
+            offset += part.length;
+            this.logger.debug(`Chunk ${index + 1}/${parts.length} uploaded: ${uploadResult.pieceCid}`);
+        }
+
+        const manifest = buildChunkManifest({
+            filename,
+            totalSize: data.length,
+            chunkSize,
+            sha256: await sha256Hex(data),
+            mimeType,
+            metadata,
+            compression,
+            encrypted,
+            chunks
+        });
+        const manifestUpload = await this._uploadPiece(encodeChunkManifest(manifest), callOptions);
+
+        const result = {
+            pieceCid: manifestUpload.pieceCid,
+            size: data.length,
+            timestamp: Date.now(),
+            manifest
+        };
+        if (filename) result.filename = filename;
+        return result;
+    }
+
+    /**
+     * Download every chunk listed in a manifest and reassemble the original bytes
+     * @param {Object} manifest - Chunk manifest produced by `uploadFile`
+     * @param {Object} [callOptions] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<Uint8Array>}
+     */
+    async _downloadChunked(manifest, callOptions = {}) {
+        const data = new Uint8Array(manifest.totalSize);
+        let offset = 0;
+
+        for (const chunk of manifest.chunks) {
+            const part = await this._downloadChunk(chunk, callOptions);
+            if (offset + part.length > data.length) {
+                throw new IntegrityError('Chunks exceed the total size recorded in the manifest');
+            }
+            data.set(part, offset);
+            offset += part.length;
+        }
+
+        if (offset !== manifest.totalSize) {
+            throw new IntegrityError(`Reassembled ${offset} bytes, expected ${manifest.totalSize}`, {
+                details: { expected: manifest.totalSize, actual: offset }
+            });
+        }
+        if (manifest.sha256) {
+            const hash = await sha256Hex(data);
+            if (hash !== manifest.sha256) {
+                throw new IntegrityError('Reassembled file failed hash verification', {
+                    details: { expected: manifest.sha256, actual: hash }
+                });
+            }
+        }
+        return data;
+    }
+
+    /**
+     * Check downloaded bytes against the piece commitment they were requested by
+     * @param {string} pieceCid - PieceCID the bytes were downloaded as
+     * @param {Uint8Array} data - Downloaded bytes
+     * @throws {IntegrityError}
+     */
+    _verifyPiece(pieceCid, data) {
+        const actual = computePieceCid(data);
+        if (actual !== String(pieceCid)) {
+            throw new IntegrityError(`Downloaded data does not match PieceCID ${pieceCid}`, {
+                details: { pieceCid: String(pieceCid), expected: String(pieceCid), actual }
+            });
+        }
+    }
+
+    /**
+     * Download a single piece, going through the download cache when one is configured.
+     * With `verify`, bytes are checked before they are cached, and a cached
+     * entry that fails the check is dropped and downloaded again.
+     * @param {string} pieceCid - PieceCID of the piece
+     * @param {Object} [callOptions] - Call options (`signal`, `retry`, `timeoutMs`, `cache`, `verify`)
+     * @param {string} [operation='Download'] - Used in log and error messages
+     * @returns {Promise<Uint8Array>}
+     * @throws {IntegrityError} If `verify` is set and the downloaded bytes do not match `pieceCid`
+     */
+    async _downloadPiece(pieceCid, callOptions = {}, operation = 'Download') {
+        const useCache = this._cacheEnabled(callOptions);
+        if (useCache) {
+            const cached = await this._cacheCall('get', pieceCid);
+            if (cached && callOptions.verify && computePieceCid(cached) !== String(pieceCid)) {
+                this.logger.warn(`Cached copy of ${pieceCid} failed verification; downloading it again`);
+                await this._cacheCall('delete', pieceCid);
+            } else if (cached) {
+                this.logger.debug(`Cache hit: ${pieceCid}`);
+                return cached;
+            }
+        }
+
+        const data = await this._withRetry(
+            () => this.backend.download(pieceCid),
+            callOptions,
+            { operation, pieceCid }
+        );
+        if (callOptions.verify) this._verifyPiece(pieceCid, data);
+        if (useCache) await this._cacheCall('set', pieceCid, data);
+        return data;
+    }
+
+    _cacheEnabled(callOptions = {}) {
+        return Boolean(this.cache) && callOptions.cache !== false;
+    }
+
+    /**
+     * Call a download cache method. The cache is an optimisation, so its
+     * failures are logged and treated as a miss.
+     * @param {string} method - 'get', 'has', 'set' or 'delete'
+     * @param {string} pieceCid
+     * @param {...*} args
+     * @returns {Promise<*>} - The method's result, or null if it failed
+     */
+    async _cacheCall(method, pieceCid, ...args) {
+        try {
+            return await this.cache[method](String(pieceCid), ...args);
+        } catch (error) {
+            this.logger.warn(`Download cache ${method} failed:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Remove every piece from the download cache
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
+        await this.cache?.clear();
+    }
+
+    /**
+     * Download a single manifest chunk and verify its size and hash
+     * @param {{index: number, pieceCid: string, size: number, sha256: string}} chunk - Manifest entry
+     * @param {Object} [callOptions] - Call options (`signal`, `retry`, `timeoutMs`, `verify`)
+     * @returns {Promise<Uint8Array>}
+     */
+    async _downloadChunk(chunk, callOptions = {}) {
+        const part = await this._downloadPiece(chunk.pieceCid, callOptions, 'Chunk download');
+        if (part.length !== chunk.size) {
+            throw new IntegrityError(`Chunk ${chunk.index} has ${part.length} bytes, expected ${chunk.size}`, {
+                details: { pieceCid: chunk.pieceCid, index: chunk.index, expected: chunk.size, actual: part.length }
+            });
+        }
+        const hash = await sha256Hex(part);
+        if (hash !== chunk.sha256) {
+            throw new IntegrityError(`Chunk ${chunk.index} (${chunk.pieceCid}) failed hash verification`, {
+                details: { pieceCid: chunk.pieceCid, index: chunk.index, expected: chunk.sha256, actual: hash }
+            });
+        }
+        return part;
+    }
+
+    /**
+     * Upload an image file
+     * @param {File|Blob} imageFile - The image file to upload
+     * @param {Object} [options] - Upload options (see `uploadFile`)
+     * @returns {Promise<{pieceCid: string, size: number, timestamp: number, filename: string, type: string}>}
+     *   - `type` is the file's MIME type, or the type detected from its content
+     */
+    async uploadImage(imageFile, options = {}) {
+        // A File is a Blob; the File global only exists in browsers and Node.js 20+
+        if (!(imageFile instanceof Blob)) {
+            throw new ValidationError('Image must be a File or Blob object');
+        }
+
+        const result = await this.uploadFile(imageFile, imageFile.name, options);
+        return {
+            ...result,
+            type: result.mimeType ?? 'application/octet-stream'
+        };
+    }
+
+    /**
+     * Upload JSON data
+     * @param {Object|string} jsonData - JSON object or string to upload
+     * @param {string} [filename] - Optional filename for metadata
+     * @param {Object} [options] - Upload options (see `uploadFile`)
+     * @returns {Promise<{pieceCid: string, size: number, timestamp: number, filename?: string}>}
+     */
+    async uploadJSON(jsonData, filename = 'data.json', options = {}) {
+        const result = await this.uploadFile(jsonData, filename, options);
+        return result;
+    }
+
+    /**
+     * Upload the contents of a stream without buffering the whole payload.
+     * The stream is read `chunkSize` bytes at a time and each chunk is uploaded
+     * before more data is pulled, so memory use stays bounded and the source's
+     * backpressure is respected. Streams larger than one chunk are stored as a
+     * chunk manifest (see `uploadFile` with `chunked: true`).
+     * @param {ReadableStream|import('stream').Readable} readable - Web or Node.js readable stream
+     * @param {Object} [options] - Upload options
+     * @param {string} [options.filename] - Optional filename for metadata
+     * @param {number} [options.chunkSize] - Bytes buffered per piece (default 32 MiB, max 200 MiB)
+     * @param {string} [options.mimeType] - MIME type recorded in the catalog
+     * @param {string[]} [options.tags] - Tags recorded in the catalog
+     * @param {AbortSignal} [options.signal] - Abort the upload
+     * @param {Object|false} [options.retry] - Retry policy overrides for this call
+     * @param {number} [options.timeoutMs] - Per-attempt timeout for this call
+     * @param {Function} [options.onProgress] - Progress callback (see `uploadFile`). `totalBytes` is
+     *   `null` until the end of the stream has been read.
+     * @returns {Promise<{pieceCid: string, size: number, timestamp: number, filename?: string, manifest?: Object}>}
+     * @throws {BudgetExceededError} If the stream grows beyond a limit of the `budget` option
+     */
+    async uploadStream(readable, options = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
+
+        const { filename, chunkSize = DEFAULT_STREAM_CHUNK_SIZE, mimeType, tags } = options;
+        assertChunkSize(chunkSize);
+        const reservations = [];
+
+        try {
+            this.logger.info('Uploading stream...');
+            this.emit('upload:start', { filename: filename ?? null, size: null });
+
+            // Hold back one chunk so a stream that fits in a single piece is
+            // stored as-is instead of behind a manifest
+            const chunks = [];
+            let pending = null;
+            let totalSize = 0;
+
+            let offset = 0;
+            const report = this._progressReporter(filename, options.onProgress);
+
+            // The size is unknown up front, so the budget is reserved piece by piece
+            const reserve = async (part) => {
+                const reservation = await this._reserveBudget(part.length, options, offset + part.length);
+                if (reservation) reservations.push(reservation);
+            };
+
+            const uploadChunk = async (part, totalBytes = null) => {
+                await reserve(part);
+                const uploadResult = await this._uploadPiece(part, options, { report, offset, totalBytes });
+                chunks.push({
+                    pieceCid: String(uploadResult.pieceCid),
+                    size: part.length,
+                    sha256: await sha256Hex(part)
+                });
+                offset += part.length;
+                this.logger.debug(`Chunk ${chunks.length} uploaded: ${uploadResult.pieceCid}`);
+            };
+
+            for await (const part of readChunks(iterateStream(readable), chunkSize)) {
+                options.signal?.throwIfAborted();
+                if (pending) await uploadChunk(pending);
+                pending = part;
+                totalSize += part.length;
+                report('reading', totalSize, null);
+            }
+
+            if (!pending) {
+                throw new ValidationError('File must be at least 1 byte');
+            }
+
+            let result;
+            if (chunks.length === 0) {
+                const piece = startsWithReservedMagic(pending) ? wrapWithMetadata(pending, {}) : pending;
+                await reserve(piece);
+                const uploadResult = await this._uploadPiece(piece, options, { report, totalBytes: piece.length });
+                result = {
+                    pieceCid: uploadResult.pieceCid,
+                    size: totalSize,
+                    timestamp: Date.now()
+                };
+            } else {
+                await uploadChunk(pending, totalSize);
+                const manifest = buildChunkManifest({ filename, totalSize, chunkSize, chunks });
+                const manifestUpload = await this._uploadPiece(encodeChunkManifest(manifest), options);
+                result = {
+                    pieceCid: manifestUpload.pieceCid,
+                    size: totalSize,
+                    timestamp: Date.now(),
+                    manifest
+                };
+            }
+            if (filename) result.filename = filename;
+
+            this.logger.info(`Stream upload successful! PieceCID: ${result.pieceCid}`);
+
+            if (this.pinning) {
+                report('pinning', totalSize, totalSize, { pieceCid: String(result.pieceCid) });
+            }
+            const gatewayURL = await this._pinUpload(result.pieceCid, filename || "file", options);
+            if (gatewayURL) {
+                result.gatewayURL = gatewayURL;
+                this.logger.info(`Accessible at: ${gatewayURL}`);
+            }
+
+            await this._recordUpload(result, { mimeType, tags });
+
+            this.emit('upload:complete', { result });
+            return result;
+        } catch (error) {
+            for (const reservation of reservations) this.budget.release(reservation);
+            this.logger.error('Stream upload failed:', error);
+            this.emit('upload:error', { filename: filename ?? null, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Upload several files in parallel. One allowance preflight covers the
+     * whole batch, so an underfunded account fails before anything is
+     * uploaded; after that, each file succeeds or fails on its own.
+     * @param {Array<File|Blob|Uint8Array|string|{file: *, filename?: string, options?: Object}>} files - Files
+     *   to upload. Use the `{ file, filename, options }` form to name an entry, pass per-file options,
+     *   or upload a plain object as JSON.
+     * @param {Object} [options] - Batch options; any other option is passed to every `uploadFile` call
+     * @param {number} [options.concurrency=3] - Maximum uploads in flight
+     * @param {Function} [options.onProgress] - Called with `{ completed, failed, total, bytesDone, totalBytes, item }`
+     *   whenever an upload progresses; `item` is `{ index, filename, phase }`
+     * @param {AbortSignal} [options.signal] - Abort the batch; uploads that have not started are skipped
+     * @returns {Promise<{results: Array<{ok: boolean, filename: string|null, result?: Object, error?: Error}>, succeeded: number, failed: number}>}
+     * @throws {InsufficientAllowanceError} If the allowances do not cover the whole batch
+     */
+    async uploadMany(files, options = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
+        if (!Array.isArray(files)) {
+            throw new ValidationError('files must be an array');
+        }
+
+        const items = files.map((entry) => {
+            const { file, filename, options: itemOptions } = isUploadDescriptor(entry) ? entry : { file: entry };
+            return {
+                filename: filename ?? (typeof File !== 'undefined' && file instanceof File ? file.name : null),
+                size: inputByteLength(file),
+                options: itemOptions,
+                read: async () => file
+            };
+        });
+
+        const { results, succeeded, failed } = await this._uploadBatch(items, options);
+        return {
+            results: results.map((outcome, index) => (outcome.ok
+                ? { ok: true, filename: items[index].filename, result: outcome.value }
+                : { ok: false, filename: items[index].filename, error: outcome.error })),
+            succeeded,
+            failed
+        };
+    }
+
+    /**
+     * Upload a batch of files behind a single allowance preflight. Inputs are
+     * only read when their upload starts, so at most `concurrency` of them
+     * are held in memory.
+     * @param {Array<{filename: string|null, size: number, options?: Object, read: () => Promise<*>}>} items
+     * @param {Object} options - Batch options (`concurrency`, `onProgress`, `signal`) and upload options
+     * @returns {Promise<{results: Array<{ok: true, value: Object}|{ok: false, error: Error}>, succeeded: number, failed: number}>}
+     */
+    async _uploadBatch(items, options) {
+        const { concurrency = DEFAULT_CONCURRENCY, onProgress, ...uploadOptions } = options;
+        assertConcurrency(concurrency);
+
+        const totalBytes = items.reduce((sum, item) => sum + item.size, 0);
+        this.logger.info(`Uploading ${items.length} files (${totalBytes} bytes)...`);
+        if (totalBytes > 0) {
+            await this._preflight(totalBytes, uploadOptions, { files: items.length });
+        }
+
+        const bytesDone = new Array(items.length).fill(0);
+        let completed = 0;
+        let failed = 0;
+        const report = (index, phase) => {
+            if (!onProgress) return;
+            try {
+                onProgress({
+                    completed,
+                    failed,
+                    total: items.length,
+                    bytesDone: bytesDone.reduce((sum, n) => sum + n, 0),
+                    totalBytes,
+                    item: { index, filename: items[index].filename, phase }
+                });
+            } catch (error) {
+                this.logger.error('onProgress callback threw:', error);
+            }
+        };
+
+        const results = await settleWithConcurrency(items, concurrency, async (item, index) => {
+            try {
+                const result = await this.uploadFile(await item.read(), item.filename ?? undefined, {
+                    ...uploadOptions,
+                    ...item.options,
+                    preflight: false,
+                    onProgress: ({ phase, bytesDone: done }) => {
+                        // Byte counts past the reading phase include any encryption overhead
+                        if (phase !== 'reading') bytesDone[index] = Math.min(done, item.size);
+                        report(index, phase);
+                    }
+                });
+                bytesDone[index] = item.size;
+                completed++;
+                report(index, 'complete');
+                return result;
+            } catch (error) {
+                failed++;
+                report(index, 'failed');
+                throw error;
+            }
+        }, options.signal);
+        options.signal?.throwIfAborted();
+
+        this.logger.info(`Batch upload finished: ${completed} succeeded, ${failed} failed`);
+        return { results, succeeded: completed, failed };
+    }
+
+    /**
+     * Upload a directory tree. Every file goes through `uploadFile`, then a
+     * JSON manifest mapping relative paths to PieceCIDs, sizes and MIME types
+     * is stored as its own piece. The manifest PieceCID identifies the
+     * directory for `downloadDirectory` and `readFromDirectory`.
+     * @param {string|FileList|File[]} source - Directory path (Node.js), or a FileList / array of Files
+     *   (browser; `webkitRelativePath` is used when present)
+     * @param {Object} [options] - Batch options (see `uploadMany`); any other option is passed to
+     *   every `uploadFile` call, including the one storing the manifest
+     * @param {string} [options.name] - Directory name recorded in the manifest
+     * @returns {Promise<{pieceCid: string, size: number, timestamp: number, filename: string, manifest: Object}>}
+     *   - The manifest upload, with the manifest itself
+     * @throws {FileStorageError} With code DIRECTORY_UPLOAD_FAILED if any file fails; `details.failures` lists them
+     */
+    async uploadDirectory(source, options = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
+
+        const { name: nameOption, onProgress, concurrency, ...uploadOptions } = options;
+        const { name: sourceName, entries } = await collectDirectory(source);
+        const name = nameOption ?? sourceName;
+
+        // uploadFile rejects empty files, so they live only in the manifest
+        const toUpload = entries.filter((entry) => entry.size > 0);
+        const { results } = await this._uploadBatch(
+            toUpload.map((entry) => ({
+                filename: entry.path,
+                size: entry.size,
+                // The manifest records each type, so the pieces stay plain content
+                options: { mimeType: entry.mimeType, embedMetadata: false },
+                read: entry.read
+            })),
+            { ...uploadOptions, onProgress, concurrency }
+        );
+
+        const failures = results
+            .map((outcome, index) => ({ path: toUpload[index].path, error: outcome.error }))
+            .filter((failure) => failure.error);
+        if (failures.length > 0) {
+            throw new FileStorageError(`${failures.length} of ${entries.length} files failed to upload`, {
+                code: 'DIRECTORY_UPLOAD_FAILED',
+                cause: failures[0].error,
+                details: { failures }
+            });
+        }
+
+        const pieceCids = new Map(toUpload.map((entry, index) => [entry.path, results[index].value.pieceCid]));
+        const manifest = buildDirectoryManifest({
+            name,
+            files: entries.map((entry) => ({
+                path: entry.path,
+                pieceCid: pieceCids.get(entry.path) ?? null,
+                size: entry.size,
+                mimeType: entry.mimeType
+            }))
+        });
+
+        const result = await this.uploadFile(
+            new TextEncoder().encode(JSON.stringify(manifest)),
+            `${name ?? 'directory'}.manifest.json`,
+            { ...uploadOptions, mimeType: 'application/json' }
+        );
+        this.logger.info(`Directory uploaded: ${entries.length} files, manifest ${result.pieceCid}`);
+        return { ...result, manifest };
+    }
+
+    /**
+     * Download a file by PieceCID
+     * @param {string} pieceCid - The PieceCID of the file to download
+     * @param {Object} [options] - Download options
+     * @param {boolean} [options.returnAs] - Return type ('blob', 'text', 'json', 'uint8array'). Blobs are typed
+     *   with the MIME type stored with the upload, or the type detected from the content.
+     * @param {boolean} [options.withMetadata=false] - Return `{ data, mimeType, metadata }` instead of the data alone
+     * @param {boolean} [options.resolveManifest=true] - Reassemble chunked uploads when given a manifest PieceCID
+     * @param {Object} [options.encryption] - Key or passphrase used to encrypt the file
+     * @param {CryptoKey|Uint8Array} [options.encryption.key] - AES key
+     * @param {string} [options.encryption.passphrase] - Passphrase
+     * @param {string} [options.expectedHash] - Hex SHA-256 of the content (the `sha256` of the upload result);
+     *   checked after reassembly and decryption
+     * @param {boolean} [options.verify=false] - Recompute the PieceCID of every downloaded piece locally
+     * @param {boolean} [options.cache=true] - Set to false to bypass the download cache
+     * @param {AbortSignal} [options.signal] - Abort the download
+     * @param {Object|false} [options.retry] - Retry policy overrides for this call
+     * @param {number} [options.timeoutMs] - Per-attempt timeout for this call
+     * @returns {Promise<Blob|string|Object|Uint8Array|{data: Blob|string|Object|Uint8Array, mimeType: string|null, metadata: Object|null}>}
+     * @throws {IntegrityError} If the content does not match `expectedHash` or a piece fails verification
+     */
+    async downloadFile(pieceCid, options = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
+
+        const { returnAs = 'uint8array', resolveManifest = true, encryption, expectedHash, withMetadata = false } = options;
+
+        try {
+            this.logger.info(`Downloading file with PieceCID: ${pieceCid}`);
+            this.emit('download:start', { pieceCid: String(pieceCid) });
+            let data = await this._downloadPiece(pieceCid, options);
+            const manifest = parseChunkManifest(data);
+            let descriptor = null;
+            // Whether `data` is a piece as `uploadFile` frames it, rather than plain content
+            let framed = true;
+            if (manifest && !resolveManifest) {
+                // The manifest itself, as a plain JSON document
+                data = new TextEncoder().encode(JSON.stringify(manifest));
+                framed = false;
+            } else if (manifest) {
+                this.logger.info(`Reassembling ${manifest.chunks.length} chunks...`);
+                data = await this._downloadChunked(manifest, options);
+                descriptor = { mimeType: manifest.mimeType, metadata: manifest.metadata };
+                // Unencrypted chunks hold the content itself, described by the manifest
+                framed = manifest.encrypted === true;
+                if (!framed && manifest.compression) {
+                    data = await decompress(data);
+                }
+            }
+
+            if (encryption) {
+                data = await decrypt(data, encryption);
+            } else if (framed && isEncryptedEnvelope(data)) {
+                throw new DecryptionError('Piece is encrypted. Pass options.encryption to decrypt it.');
+            }
+
+            if (framed) {
+                const decoded = await decodeContent(data);
+                descriptor = decoded.descriptor ?? descriptor;
+                data = decoded.content;
+            }
+
+            if (expectedHash) {
+                const hash = await sha256Hex(data);
+                if (hash !== expectedHash.toLowerCase()) {
+                    throw new IntegrityError(`Content of ${pieceCid} does not match the expected SHA-256`, {
+                        details: { pieceCid: String(pieceCid), expected: expectedHash, actual: hash }
+                    });
+                }
+            }
+
+            this.emit('download:complete', { pieceCid: String(pieceCid), size: data.length });
+
+            const mimeType = descriptor?.mimeType ?? sniffMimeType(data);
+            let output;
+            switch (returnAs) {
+                case 'blob':
+                    output = new Blob([data], { type: mimeType ?? '' });
+                    break;
+                case 'text':
+                    output = new TextDecoder().decode(data);
+                    break;
+                case 'json': {
+                    const text = new TextDecoder().decode(data);
+                    output = JSON.parse(text);
+                    break;
+                }
+                case 'uint8array':
+                default:
+                    output = data;
+            }
+            return withMetadata
+                ? { data: output, mimeType, metadata: descriptor?.metadata ?? null }
+                : output;
+        } catch (error) {
+            this.logger.error('Download failed:', error);
+            this.emit('download:error', { pieceCid: String(pieceCid), error });
+            throw error;
+        }
+    }
+
+    /**
+     * Check that local bytes are the content stored under a PieceCID. Single
+     * pieces are verified locally by recomputing the PieceCID; for chunked
+     * uploads the manifest is downloaded and each chunk is checked against it.
+     * Pieces stored with a metadata header are downloaded and compared.
+     * Encrypted uploads cannot be verified this way, since the stored bytes are
+     * ciphertext; compare their `sha256` instead.
+     * @param {string} pieceCid - PieceCID (or manifest PieceCID) returned by an upload
+     * @param {File|Blob|Uint8Array|string} localBytes - The content to check
+     * @param {Object} [options] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<boolean>} - True if the content matches
+     */
+    async verifyFile(pieceCid, localBytes, options = {}) {
+        let data;
+        if (typeof Blob !== 'undefined' && localBytes instanceof Blob) {
+            data = new Uint8Array(await localBytes.arrayBuffer());
+        } else if (localBytes instanceof Uint8Array) {
+            data = localBytes;
+        } else if (typeof localBytes === 'string') {
+            data = new TextEncoder().encode(localBytes);
+        } else {
+            throw new ValidationError('localBytes must be a File, Blob, Uint8Array or string');
+        }
+
+        if (data.length > 0 && data.length <= MAX_PIECE_SIZE && computePieceCid(data) === String(pieceCid)) {
+            return true;
+        }
+
+        // Chunked uploads are addressed by their manifest, which has to be fetched
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
+        const stored = await this._downloadPiece(pieceCid, options);
+        const manifest = parseChunkManifest(stored);
+        if (!manifest) {
+            // A header or compression makes the stored bytes differ from the content
+            const { content } = await decodeContent(stored);
+            return bytesEqual(content, data);
+        }
+        if (manifest.compression) {
+            // Chunks hold compressed bytes, so compare the reassembled content
+            const original = await this.downloadFile(pieceCid, { ...options, returnAs: 'uint8array', withMetadata: false });
+            return bytesEqual(original, data);
+        }
+        if (manifest.totalSize !== data.length) {
+            return false;
+        }
+
+        let offset = 0;
+        for (const chunk of manifest.chunks) {
+            const part = data.subarray(offset, offset + chunk.size);
+            if (part.length !== chunk.size || computePieceCid(part) !== chunk.pieceCid) {
+                return false;
+            }
+            offset += chunk.size;
+        }
+        return offset === data.length;
+    }
+
+    /**
+     * Download and display an image
+     * @param {string} pieceCid - The PieceCID of the image
+     * @param {Object} [options] - Download options (see `downloadFile`)
+     * @returns {Promise<string>} - Data URL of the image
+     */
+    async downloadImage(pieceCid, options = {}) {
+        try {
+            const blob = await this.downloadFile(pieceCid, { ...options, returnAs: 'blob', withMetadata: false });
+            return URL.createObjectURL(blob);
+        } catch (error) {
+            this.logger.error('Image download failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Download JSON data
+     * @param {string} pieceCid - The PieceCID of the JSON data
+     * @param {Object} [options] - Download options (see `downloadFile`)
+     * @returns {Promise<Object>} - Parsed JSON object
+     */
+    async downloadJSON(pieceCid, options = {}) {
+        try {
+            return await this.downloadFile(pieceCid, { ...options, returnAs: 'json' });
+        } catch (error) {
+            this.logger.error('JSON download failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Download a file as a stream. Chunked uploads are fetched one chunk at a
+     * time as the consumer reads, so only a single piece is held in memory.
+     * Encrypted uploads are authenticated as a whole, so they are downloaded
+     * and decrypted in full before the stream starts.
+     * @param {string} pieceCid - The PieceCID (or manifest PieceCID) to download
+     * @param {Object} [options] - Download options
+     * @param {string} [options.format='web'] - 'web' for a ReadableStream, 'node' for a Node.js Readable
+     * @param {Object} [options.encryption] - Key or passphrase used to encrypt the file (see `downloadFile`)
+     * @param {boolean} [options.verify=false] - Recompute the PieceCID of every downloaded piece locally
+     * @param {boolean} [options.cache=true] - Set to false to bypass the download cache
+     * @param {AbortSignal} [options.signal] - Abort the download; errors the stream if already returned
+     * @param {Object|false} [options.retry] - Retry policy overrides for this call
+     * @param {number} [options.timeoutMs] - Per-attempt timeout for this call
+     * @returns {Promise<ReadableStream<Uint8Array>|import('stream').Readable>}
+     * @throws {DecryptionError} If the file is encrypted and `options.encryption` is missing or wrong
+     */
+    async downloadStream(pieceCid, options = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
+
+        const { format = 'web', encryption } = options;
+        if (format !== 'web' && format !== 'node') {
+            throw new ValidationError(`Unsupported stream format: ${format}`);
+        }
+
+        try {
+            this.logger.info(`Streaming file with PieceCID: ${pieceCid}`);
+            this.emit('download:start', { pieceCid: String(pieceCid) });
+            const data = await this._downloadPiece(pieceCid, options);
+            const manifest = parseChunkManifest(data);
+            let stream;
+            if (manifest?.encrypted || (!manifest && isEncryptedEnvelope(data))) {
+                if (!encryption) {
+                    throw new DecryptionError('Piece is encrypted. Pass options.encryption to decrypt it.');
+                }
+                const envelope = manifest ? await this._downloadChunked(manifest, options) : data;
+                const { content } = await decodeContent(await decrypt(envelope, encryption));
+                stream = bytesToStream(content);
+            } else if (manifest) {
+                stream = this._createChunkStream(manifest, options);
+                if (manifest.compression) {
+                    stream = await decompressStream(stream, manifest.compression);
+                }
+            } else {
+                const { content } = await decodeContent(data);
+                stream = bytesToStream(content);
+            }
+
+            return format === 'node' ? await toNodeReadable(stream) : stream;
+        } catch (error) {
+            this.logger.error('Stream download failed:', error);
+            this.emit('download:error', { pieceCid: String(pieceCid), error });
+            throw error;
+        }
+    }
+
+    /**
+     * Download several files in parallel. Each file succeeds or fails on its
+     * own; one missing piece does not abort the batch.
+     * @param {string[]} pieceCids - PieceCIDs to download
+     * @param {Object} [options] - Batch options; any other option is passed to every `downloadFile` call
+     * @param {number} [options.concurrency=3] - Maximum downloads in flight
+     * @param {Function} [options.onProgress] - Called with `{ completed, failed, total, bytesDone, item }` after
+     *   each download finishes; `item` is `{ index, pieceCid, ok }`
+     * @param {AbortSignal} [options.signal] - Abort the batch; downloads that have not started are skipped
+     * @returns {Promise<{results: Array<{ok: boolean, pieceCid: string, data?: *, error?: Error}>, succeeded: number, failed: number}>}
+     */
+    async downloadMany(pieceCids, options = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
+        if (!Array.isArray(pieceCids)) {
+            throw new ValidationError('pieceCids must be an array');
+        }
+
+        const { concurrency = DEFAULT_CONCURRENCY, onProgress, ...downloadOptions } = options;
+        assertConcurrency(concurrency);
+
+        let completed = 0;
+        let failed = 0;
+        let bytesDone = 0;
+        const report = (index, ok) => {
+            if (!onProgress) return;
+            try {
+                onProgress({
+                    completed,
+                    failed,
+                    total: pieceCids.length,
+                    bytesDone,
+                    item: { index, pieceCid: String(pieceCids[index]), ok }
+                });
+            } catch (error) {
+                this.logger.error('onProgress callback threw:', error);
+            }
+        };
+
+        const outcomes = await settleWithConcurrency(pieceCids, concurrency, async (pieceCid, index) => {
+            try {
+                const data = await this.downloadFile(pieceCid, downloadOptions);
+                completed++;
+                bytesDone += data?.length ?? data?.size ?? 0;
+                report(index, true);
+                return data;
+            } catch (error) {
+                failed++;
+                report(index, false);
+                throw error;
+            }
+        }, options.signal);
+        options.signal?.throwIfAborted();
+
+        const results = outcomes.map((outcome, index) => (outcome.ok
+            ? { ok: true, pieceCid: String(pieceCids[index]), data: outcome.value }
+            : { ok: false, pieceCid: String(pieceCids[index]), error: outcome.error }));
+
+        this.logger.info(`Batch download finished: ${completed} succeeded, ${failed} failed`);
+        return { results, succeeded: completed, failed };
+    }
+
+    /**
+     * Fetch and parse a directory manifest
+     * @param {string} manifestCid - PieceCID returned by `uploadDirectory`
+     * @param {Object} [options] - Download options (see `downloadFile`)
+     * @returns {Promise<Object>} - The manifest
+     */
+    async getDirectoryManifest(manifestCid, options = {}) {
+        const data = await this.downloadFile(manifestCid, { ...options, returnAs: 'uint8array', withMetadata: false });
+        const manifest = parseDirectoryManifest(data);
+        if (!manifest) {
+            throw new ValidationError(`${manifestCid} is not a directory manifest`);
+        }
+        return manifest;
+    }
+
+    /**
+     * Rebuild a directory uploaded with `uploadDirectory` on the local
+     * filesystem (Node.js only). Existing files are overwritten.
+     * @param {string} manifestCid - PieceCID returned by `uploadDirectory`
+     * @param {string} targetDir - Directory to write into; created if missing
+     * @param {Object} [options] - Batch options (see `downloadMany`); any other option is passed to
+     *   every `downloadFile` call
+     * @returns {Promise<{manifest: Object, targetDir: string, files: number}>}
+     * @throws {FileStorageError} With code DIRECTORY_DOWNLOAD_FAILED if any file fails; `details.failures` lists them
+     */
+    async downloadDirectory(manifestCid, targetDir, options = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
+        if (typeof targetDir !== 'string' || !targetDir) {
+            throw new ValidationError('targetDir must be a directory path');
+        }
+
+        const fs = await loadFs();
+        const nodePath = await loadPath();
+        const { concurrency = DEFAULT_CONCURRENCY, onProgress, ...downloadOptions } = options;
+
+        const manifest = await this.getDirectoryManifest(manifestCid, downloadOptions);
+        const root = nodePath.resolve(targetDir);
+        const destinations = manifest.files.map((file) => {
+            const destination = nodePath.resolve(root, ...normalizeRelativePath(file.path).split('/'));
+            if (!destination.startsWith(root + nodePath.sep)) {
+                throw new ValidationError(`Invalid path in directory: ${file.path}`);
+            }
+            return destination;
+        });
+
+        const write = async (index, data) => {
+            await fs.mkdir(nodePath.dirname(destinations[index]), { recursive: true });
+            await fs.writeFile(destinations[index], data);
+        };
+
+        // Empty files were never uploaded
+        const empty = manifest.files.flatMap((file, index) => (file.pieceCid ? [] : [index]));
+        await Promise.all(empty.map((index) => write(index, new Uint8Array(0))));
+
+        const stored = manifest.files.flatMap((file, index) => (file.pieceCid ? [index] : []));
+        const { results } = await this.downloadMany(stored.map((index) => manifest.files[index].pieceCid), {
+            ...downloadOptions,
+            concurrency,
+            onProgress,
+            returnAs: 'uint8array',
+            withMetadata: false
+        });
+
+        const failures = [];
+        for (const [i, outcome] of results.entries()) {
+            const index = stored[i];
+            try {
+                if (!outcome.ok) throw outcome.error;
+                await write(index, outcome.data);
+            } catch (error) {
+                failures.push({ path: manifest.files[index].path, error });
+            }
+        }
+        if (failures.length > 0) {
+            throw new FileStorageError(`${failures.length} of ${manifest.files.length} files failed to download`, {
+                code: 'DIRECTORY_DOWNLOAD_FAILED',
+                cause: failures[0].error,
+                details: { failures }
+            });
+        }
+
+        this.logger.info(`Directory ${manifestCid} written to ${root}`);
+        return { manifest, targetDir: root, files: manifest.files.length };
+    }
+
+    /**
+     * Download a single file from a directory uploaded with `uploadDirectory`
+     * @param {string} manifestCid - PieceCID returned by `uploadDirectory`
+     * @param {string} relPath - Path of the file inside the directory, e.g. 'images/logo.png'
+     * @param {Object} [options] - Download options (see `downloadFile`). Blobs are typed with the
+     *   MIME type recorded in the manifest.
+     * @returns {Promise<Uint8Array|Blob|string|Object>}
+     * @throws {PieceNotFoundError} If the directory has no file at `relPath`
+     */
+    async readFromDirectory(manifestCid, relPath, options = {}) {
+        const { returnAs = 'uint8array' } = options;
+        const manifest = await this.getDirectoryManifest(manifestCid, options);
+        const path = normalizeRelativePath(relPath);
+        const file = manifest.files.find((entry) => entry.path === path);
+        if (!file) {
+            throw new PieceNotFoundError(manifestCid, {
+                message: `No file at "${path}" in directory ${manifestCid}`
+            });
+        }
+
+        if (returnAs === 'blob') {
+            const data = file.pieceCid
+                ? await this.downloadFile(file.pieceCid, { ...options, returnAs: 'uint8array', withMetadata: false })
+                : new Uint8Array(0);
+            return new Blob([data], { type: file.mimeType });
+        }
+        if (!file.pieceCid) {
+            // Empty files are only recorded in the manifest
+            if (returnAs === 'text') return '';
+            if (returnAs === 'json') throw new ValidationError(`${path} is empty and cannot be parsed as JSON`);
+            return new Uint8Array(0);
+        }
+        return await this.downloadFile(file.pieceCid, options);
+    }
+
+    /**
+     * Create a stream that downloads manifest chunks on demand
+     * @param {Object} manifest - Chunk manifest produced by `uploadFile` or `uploadStream`
+     * @param {Object} [callOptions] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {ReadableStream<Uint8Array>}
+     */
+    _createChunkStream(manifest, callOptions = {}) {
+        let index = 0;
+        let received = 0;
+
+        return new ReadableStream({
+            pull: async (controller) => {
+                if (index >= manifest.chunks.length) {
+                    if (received !== manifest.totalSize) {
+                        controller.error(new IntegrityError(`Reassembled ${received} bytes, expected ${manifest.totalSize}`, {
+                            details: { expected: manifest.totalSize, actual: received }
+                        }));
+                        return;
+                    }
+                    controller.close();
+                    return;
+                }
+                const part = await this._downloadChunk(manifest.chunks[index++], callOptions);
+                received += part.length;
+                controller.enqueue(part);
+            }
+        }, { highWaterMark: 0 });
+    }
+
+    /**
+     * Store a JSON document after validating it against a JSON Schema. The
+     * schema is stored with the document and applies to its later versions.
+     * @param {Object|boolean} schema - JSON Schema (see `lib/schema.js` for the supported keywords)
+     * @param {any} data - JSON-serialisable document content
+     * @param {Object} [options] - Upload options (see `uploadFile`)
+     * @param {string} [options.filename='document.json'] - Filename recorded in the catalog
+     * @returns {Promise<{pieceCid: string, size: number, timestamp: number, sha256: string, revision: number, previous: null}>}
+     * @throws {ValidationError} If `data` does not match `schema`; `details.errors` lists the failures
+     */
+    async putDocument(schema, data, options = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
+
+        assertSchema(schema);
+        const value = toJSONValue(data);
+        assertMatchesSchema(schema, value);
+        return await this._storeDocument(buildDocument({ schema, data: value }), options);
+    }
+
+    /**
+     * Store a new version of a document. Pieces are immutable, so this
+     * uploads a new document that links back to `prevCid`; keep the returned
+     * PieceCID as the latest version.
+     * @param {string} prevCid - PieceCID of the version being replaced
+     * @param {any} data - JSON-serialisable document content
+     * @param {Object} [options] - Upload options (see `uploadFile`), plus the download options needed to
+     *   read the previous version (e.g. `encryption`)
+     * @param {Object|boolean} [options.schema] - New schema for this and later versions (default: the previous
+     *   version's schema)
+     * @param {string} [options.filename='document.json'] - Filename recorded in the catalog
+     * @returns {Promise<{pieceCid: string, size: number, timestamp: number, sha256: string, revision: number, previous: string}>}
+     * @throws {ValidationError} If `prevCid` is not a document or `data` does not match the schema
+     */
+    async updateDocument(prevCid, data, options = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
+
+        const { schema: newSchema, ...uploadOptions } = options;
+        const previous = await this.getDocument(prevCid, uploadOptions);
+        const schema = newSchema ?? previous.schema;
+        assertSchema(schema);
+        const value = toJSONValue(data);
+        assertMatchesSchema(schema, value);
+
+        return await this._storeDocument(
+            buildDocument({ schema, data: value, previous: previous.cid, revision: previous.revision + 1 }),
+            uploadOptions
+        );
+    }
+
+    /**
+     * Upload a built document
+     * @param {Object} document - From `buildDocument`
+     * @param {Object} options - Upload options
+     * @returns {Promise<Object>}
+     */
+    async _storeDocument(document, options) {
+        const { filename = 'document.json', ...uploadOptions } = options;
+        const result = await this.uploadFile(
+            new TextEncoder().encode(JSON.stringify(document)),
+            filename,
+            { ...uploadOptions, mimeType: 'application/json' }
+        );
+        this.logger.info(`Document revision ${document.revision} stored: ${result.pieceCid}`);
+        return { ...result, revision: document.revision, previous: document.previous };
+    }
+
+    /**
+     * Fetch one version of a document stored with `putDocument` or `updateDocument`
+     * @param {string} cid - PieceCID of the version
+     * @param {Object} [options] - Download options (see `downloadFile`)
+     * @returns {Promise<{cid: string, revision: number, previous: string|null, timestamp: number, schema: Object|boolean, data: any}>}
+     * @throws {ValidationError} If `cid` is not a document
+     */
+    async getDocument(cid, options = {}) {
+        const bytes = await this.downloadFile(cid, { ...options, returnAs: 'uint8array', withMetadata: false });
+        const document = parseDocument(bytes);
+        if (!document) {
+            throw new ValidationError(`${cid} is not a document`);
+        }
+        const { revision, previous, timestamp, schema, data } = document;
+        return { cid: String(cid), revision, previous, timestamp, schema, data };
+    }
+
+    /**
+     * Walk the version chain of a document back to its first version
+     * @param {string} cid - PieceCID of the version to start from, usually the latest
+     * @param {Object} [options] - Download options (see `downloadFile`)
+     * @param {number} [options.limit] - Maximum number of versions returned
+     * @returns {Promise<Array<{cid: string, revision: number, previous: string|null, timestamp: number, schema: Object|boolean, data: any}>>}
+     *   - Versions, newest first
+     * @throws {IntegrityError} If the chain's revision numbers are inconsistent
+     */
+    async getHistory(cid, options = {}) {
+        const { limit = Infinity, ...downloadOptions } = options;
+        if (limit !== Infinity && (!Number.isInteger(limit) || limit < 1)) {
+            throw new ValidationError('limit must be a positive integer');
+        }
+
+        const history = [];
+        let next = String(cid);
+        while (next && history.length < limit) {
+            const version = await this.getDocument(next, downloadOptions);
+            const newer = history[history.length - 1];
+            // Revisions count down by one to 1, which also rules out cycles
+            if (newer && version.revision !== newer.revision - 1) {
+                throw new IntegrityError(
+                    `Document ${newer.cid} (revision ${newer.revision}) links to ${next} with revision ${version.revision}`,
+                    { details: { cid: newer.cid, previous: next } }
+                );
+            }
+            history.push(version);
+            next = version.previous;
+        }
+        return history;
+    }
+
+    /**
+     * Get storage information and account status
+     * @param {Object} [options] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<Object>} - Storage and account information
+     */
+    async getStorageInfo(options = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
+
+        try {
+            const [balance, accountInfo, storageInfo, decimals] = await Promise.all([
+                this._withRetry(() => this.backend.balance(), options, { operation: 'Balance query' })
+                    .catch(() => null),
+                this._withRetry(() => this.backend.accountInfo(), options, { operation: 'Account query' })
+                    .catch(() => null),
+                this._withRetry(() => this.backend.getStorageInfo(), options, { operation: 'Storage info query' })
+                    .catch(() => null),
+                // Falls back to USDFC's 18 decimals when the token cannot be queried
+                this._tokenDecimals(options).catch(() => undefined)
+            ]);
+            options.signal?.throwIfAborted();
+
+            return {
+                balance: balance ? formatUSDFC(balance, decimals) : "0",
+                accountInfo: accountInfo
+                    ? {
+                        availableFunds: accountInfo.availableFunds
+                            ? formatUSDFC(accountInfo.availableFunds, decimals)
+                            : "0",
+                        lockedFunds: accountInfo.lockedFunds
+                            ? formatUSDFC(accountInfo.lockedFunds, decimals)
+                            : "0",
+                        totalFunds: accountInfo.totalFunds
+                            ? formatUSDFC(accountInfo.totalFunds, decimals)
+                            : "0"
+                    }
+                    : { availableFunds: "0", lockedFunds: "0", totalFunds: "0" },
+                storageInfo: storageInfo
+                    ? {
+                        pricing: storageInfo.pricing ?? {},
+                        providers: Array.isArray(storageInfo.providers)
+                            ? storageInfo.providers.length
+                            : 0,
+                        network: storageInfo.serviceParameters?.network ?? "unknown"
+                    }
+                    : { pricing: {}, providers: 0, network: "unknown" }
+            };
+        } catch (error) {
+            if (options.signal?.aborted) throw error;
+            this.logger.error('Failed to get storage info safely:', error);
+            return {
+                balance: "0",
+                accountInfo: { availableFunds: "0", lockedFunds: "0", totalFunds: "0" },
+                storageInfo: { pricing: {}, providers: 0, network: "unknown" }
+            };
+        }
+    }
+
+
+    /**
+     * Look up where a piece is stored and how its proofs are doing, from
+     * provider and data set metadata. A piece outside your data sets is
+     * looked up by retrieving it and reported with a null provider.
+     * @param {string} pieceCid - The PieceCID to look up
+     * @param {Object} [options] - Call options (`signal`, `retry`, `timeoutMs`)
+     * @returns {Promise<{pieceCid: string, exists: boolean, size: number, provider: {id: number, name: string, address: string}|null,
+     *   dataSetId: number|null, pieceId: number|null, withCDN: boolean|null, retrievalUrl: string|null,
+     *   proof: {lastProven: Date|null, nextProofDue: Date|null, inChallengeWindow: boolean, hoursUntilChallengeWindow: number|null, overdue: boolean}}>}
+     *   `size` is the payload size encoded in the PieceCID; `provider`, `dataSetId` and `pieceId` are null
+     *   when the piece is stored outside your data sets
+     * @throws {ValidationError} If `pieceCid` is not a valid PieceCID
+     */
+    async getPieceStatus(pieceCid, options = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
+
+        const size = pieceSizeFromCid(pieceCid);
+        if (size === null) {
+            throw new ValidationError(`Invalid PieceCID: ${pieceCid}`);
+        }
+
+        const status = await this._withRetry(
+            () => this.backend.pieceStatus(String(pieceCid)),
+            options,
+            { operation: 'Piece status' }
+        );
+
+        return {
+            pieceCid: String(pieceCid),
+            exists: status.exists,
+            size,
+            provider: status.provider,
+            dataSetId: status.dataSetId,
+            pieceId: status.pieceId,
+            withCDN: status.withCDN,
+            retrievalUrl: status.retrievalUrl,
+            proof: {
+                lastProven: status.lastProven,
+                nextProofDue: status.nextProofDue,
+                inChallengeWindow: status.inChallengeWindow,
+                hoursUntilChallengeWindow: status.hoursUntilChallengeWindow,
+                overdue: status.isProofOverdue
+            }
+        };
+    }
+
+    /**
+     * Project what storing some bytes will cost, from the current storage pricing
+     * @param {number} sizeBytes - Bytes to store
+     * @param {Object} [options] - Estimate options
+     * @param {number} [options.durationDays=30] - Storage period to project `total` over
+     * @param {boolean} [options.withCDN] - Price with CDN retrieval (defaults to how uploads are made)
+     * @param {AbortSignal} [options.signal] - Abort the pricing query
+     * @param {Object|false} [options.retry] - Retry policy overrides for this call
+     * @param {number} [options.timeoutMs] - Per-attempt timeout for this call
+     * @returns {Promise<{size: number, withCDN: boolean, durationDays: number, perEpoch: bigint, perDay: bigint,
+     *   perMonth: bigint, total: bigint, lockup: bigint, formatted: Object}>}
+     *   - Amounts are USDFC base units; `formatted` has the same amounts as USDFC strings.
+     *     `lockup` is the deposit the Warm Storage service locks while the data is stored.
+     */
+    async estimateCost(sizeBytes, options = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
+
+        const { durationDays = DEFAULT_DURATION_DAYS } = options;
+        if (!Number.isInteger(sizeBytes) || sizeBytes < 0) {
+            throw new ValidationError('sizeBytes must be a non-negative integer');
+        }
+        if (typeof durationDays !== 'number' || !(durationDays > 0)) {
+            throw new ValidationError('durationDays must be a positive number');
+        }
+
+        const pricing = await this._storagePricing(options);
+        const decimals = await this._tokenDecimals(options);
+        const withCDN = options.withCDN ?? this.backend.withCDN ?? true;
+        const cost = calculateCost(sizeBytes, {
+            pricePerTiBPerMonth: withCDN ? pricing.withCDN : pricing.noCDN,
+            epochsPerMonth: pricing.epochsPerMonth,
+            durationDays
+        });
+
+        return {
+            size: sizeBytes,
+            withCDN,
+            durationDays,
+            ...cost,
+            formatted: Object.fromEntries(
+                Object.entries(cost).map(([key, amount]) => [key, formatUSDFC(amount, decimals)])
+            )
+        };
+    }
+
+    /**
+     * Report spending against the `budget` option
+     * @returns {{limits: Object, durationDays: number, session: bigint, lastDay: bigint, formatted: Object}|null}
+     *   - Limits and amounts in USDFC base units; null when no budget is configured
+     */
+    getBudgetUsage() {
+        if (!this.budget) {
+            return null;
+        }
+        const { session, lastDay } = this.budget.usage();
+        return {
+            limits: { ...this.budget.limits },
+            durationDays: this.budget.durationDays,
+            session,
+            lastDay,
+            formatted: {
+                session: formatUSDFC(session, this.budget.decimals),
+                lastDay: formatUSDFC(lastDay, this.budget.decimals)
+            }
+        };
+    }
+
+    /**
+     * Check if a PieceCID exists on the network
+     * @param {string} pieceCid - The PieceCID to check
+     * @param {Object} [options] - Call options (`signal`, `retry`, `timeoutMs`, `cache`)
+     * @returns {Promise<boolean>} - True if the piece exists
+     * @throws {ValidationError} If `pieceCid` is not a valid PieceCID
+     */
+    async checkFileExists(pieceCid, options = {}) {
+        if (!this.isInitialized) {
+            throw new NotInitializedError();
+        }
+
+        if (this._cacheEnabled(options) && await this._cacheCall('has', pieceCid)) {
+            return true;
+        }
+
+        const status = await this.getPieceStatus(pieceCid, options);
+        return status.exists;
+    }
+
+    /**
+     * List uploads recorded in the local catalog
+     * @param {Object} [options] - Query options
+     * @param {Object|Function} [options.filter] - Predicate, or criteria object with any of:
+     *   `filename` (substring or RegExp), `mimeType` (exact, or prefix ending in '/'),
+     *   `tags` (all must match), `minSize`, `maxSize`, `since`, `until` (timestamps)
+     * @param {Object} [options.sort] - `{ by: 'timestamp'|'size'|'filename'|'mimeType', order: 'asc'|'desc' }`
+     * @param {Object} [options.paginate] - `{ offset, limit }` (default first 50)
+     * @returns {Promise<{items: Object[], total: number, offset: number, limit: number}>}
+     */
+    async listFiles(options = {}) {
+        return await this.catalog.list(options);
+    }
+
+    /**
+     * Get the catalog entry for an upload
+     * @param {string} pieceCid - The PieceCID of the upload
+     * @returns {Promise<Object|null>} - Catalog entry, or null if the piece is not in the catalog
+     */
+    async getFileInfo(pieceCid) {
+        return await this.catalog.get(pieceCid);
+    }
+
+    /**
+     * Add tags to a catalog entry
+     * @param {string} pieceCid - The PieceCID of the upload
+     * @param {string|string[]} tags - Tags to add
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Replace the existing tags
+     * @returns {Promise<Object>} - Updated catalog entry
+     */
+    async tagFile(pieceCid, tags, options = {}) {
+        return await this.catalog.tag(pieceCid, tags, options);
+    }
+
+    /**
+     * Remove an upload from the local catalog. The stored piece is not affected.
+     * @param {string} pieceCid - The PieceCID of the upload
+     * @returns {Promise<boolean>} - True if an entry was removed
+     */
+    async removeFromCatalog(pieceCid) {
+        return await this.catalog.remove(pieceCid);
+    }
+
+    /**
+     * List uploads recorded in the upload journal
+     * @param {Object} [options]
+     * @param {string} [options.stage] - Only uploads at this stage: 'preflight' (interrupted before it
+     *   was stored), 'uploaded' (stored, not pinned) or 'pinned'
+     * @returns {Promise<Array<{key: string, sha256: string, stage: string, pieceCid: string|null,
+     *   chunks: Object[], result: Object|null, gatewayURL: string|null, createdAt: number, updatedAt: number}>>}
+     *   - Most recently updated first; empty when no journal is configured
+     */
+    async listJournal(options = {}) {
+        return this.journal ? await this.journal.list(options) : [];
+    }
+
+    /**
+     * Forget journaled uploads of some content, so the next upload of it is
+     * stored and paid for again. The stored pieces are not affected.
+     * @param {string} sha256 - Hex SHA-256 of the content (`sha256` of the upload result)
+     * @returns {Promise<number>} - Number of journal entries removed
+     */
+    async removeFromJournal(sha256) {
+        return this.journal ? await this.journal.removeContent(sha256) : 0;
+    }
+}
+
+/**
+ * Whether an `uploadMany` entry is a `{ file, filename, options }` descriptor
+ * rather than the file itself
+ * @param {*} entry
+ * @returns {boolean}
+ */
+function isUploadDescriptor(entry) {
+    return entry !== null
+        && typeof entry === 'object'
+        && Object.getPrototypeOf(entry) === Object.prototype
+        && 'file' in entry;
+}
+
+/**
+ * Number of bytes `uploadFile` will read from an input
+ * @param {*} file
+ * @returns {number}
+ */
+function inputByteLength(file) {
+    if (typeof Blob !== 'undefined' && file instanceof Blob) return file.size;
+    if (file instanceof Uint8Array) return file.length;
+    if (typeof file === 'string') return new TextEncoder().encode(file).length;
+    if (file !== null && typeof file === 'object') return new TextEncoder().encode(JSON.stringify(file)).length;
+    // Unsupported inputs are rejected by uploadFile, failing only their own entry
+    return 0;
+}
+
+/**
+ * Whether content starts like a piece the SDK frames itself (a chunk
+ * manifest, an encryption envelope, a metadata header or compressed
+ * content). Such content is stored behind a metadata header, so that
+ * downloads only ever interpret framing the SDK wrote.
+ * @param {Uint8Array} data
+ * @returns {boolean}
+ */
+function startsWithReservedMagic(data) {
+    return isChunkManifest(data) || isEncryptedEnvelope(data) || hasMetadataHeader(data) || isCompressed(data);
 }
 
+/**
+ * Split a single piece framed by `uploadFile` (after decryption) into its
+ * descriptor and content. Content is only decompressed when the SDK
+ * compressed it: the header says so, or there is no header and the piece
+ * starts with a compression header.
+ * @param {Uint8Array} data
+ * @returns {Promise<{descriptor: Object|null, content: Uint8Array}>}
+ */
+async function decodeContent(data) {
+    const { descriptor, content } = unwrapMetadata(data);
+    if (descriptor) {
+        return { descriptor, content: descriptor.compression ? await decompress(content) : content };
+    }
+    return { descriptor: null, content: isCompressed(data) ? await decompress(data) : data };
+}
+
+/**
+ * Compare two byte arrays
+ * @param {Uint8Array} a
+ * @param {Uint8Array} b
+ * @returns {boolean}
+ */
+function bytesEqual(a, b) {
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * Create a new, independent FileStorage instance
+ * @param {Object} [options] - Default options for `initialize()` (privateKey, provider, network, authorization)
+ * @returns {FileStorage}
+ */
+export function createFileStorage(options = {}) {
+    return new FileStorage(options);
+}
+
+export {
+    FileStorage,
+    SynapseBackend,
+    MemoryBackend,
+    MemoryCatalogStore,
+    JsonFileCatalogStore,
+    IndexedDBCatalogStore,
+    MemoryJournalStore,
+    JsonFileJournalStore,
+    IndexedDBJournalStore,
+    PinataPinningProvider,
+    PinningServiceProvider,
+    KuboPinningProvider,
+    MemoryCache,
+    FileSystemCache,
+    BrowserCache,
+    validateSchema,
+    FileStorageError,
+    NotInitializedError,
+    ValidationError,
+    FileTooLargeError,
+    InsufficientAllowanceError,
+    InsufficientFundsError,
+    BudgetExceededError,
+    PieceNotFoundError,
+    PinningError,
+    WalletError,
+    WrongNetworkError,
+    NetworkError,
+    TimeoutError,
+    IntegrityError,
+    DecryptionError
+};
+
 // Create a singleton instance
 const fileStorage = new FileStorage();
 
@@ -0,0 +1,546 @@
+#!/usr/bin/env node
+import { readFile, writeFile, stat } from 'node:fs/promises';
+import { realpathSync } from 'node:fs';
+import { basename, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { format, parseArgs } from 'node:util';
+import { config as loadEnv } from 'dotenv';
+import { createFileStorage, JsonFileJournalStore, ValidationError, PieceNotFoundError } from '../dist/FileStorage.node.mjs';
+
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_USAGE = 2;
+export const EXIT_NOT_FOUND = 3;
+// Conventional exit code for a process stopped by SIGINT
+export const EXIT_INTERRUPTED = 130;
+
+// Read from the working directory when `--config` and FILECOIN_STORAGE_CONFIG are not given
+const DEFAULT_CONFIG_FILE = 'filecoin-storage.config.json';
+
+// Config file keys passed through to `initialize()`
+const CONFIG_KEYS = [
+    'privateKey', 'network', 'authorization', 'pinning', 'gatewayURL',
+    'retry', 'logLevel', 'budget', 'autoTopUp'
+];
+
+const GLOBAL_OPTIONS = {
+    config: { type: 'string' },
+    'private-key': { type: 'string' },
+    network: { type: 'string' },
+    authorization: { type: 'string' },
+    'pinata-jwt': { type: 'string' },
+    journal: { type: 'string' },
+    json: { type: 'boolean' },
+    verbose: { type: 'boolean', short: 'v' },
+    help: { type: 'boolean', short: 'h' },
+    version: { type: 'boolean' }
+};
+
+const USAGE = `Usage: filecoin-storage <command> [options]
+
+Commands:
+  upload <path...>             Upload files; directories are uploaded with a manifest
+      --mime-type <type>         MIME type of the uploaded files
+      --metadata <json>          JSON object stored with each file
+      --tag <tag>                Catalog tag (repeatable)
+      --compress <mode>          Compress with gzip, brotli or auto
+      --name <name>              Directory name recorded in the manifest
+      --encrypt                  Encrypt with a passphrase, prompted for unless
+                                 FILECOIN_STORAGE_PASSPHRASE is set
+  download <pieceCid>          Download a file to stdout or to -o
+      -o, --output <path>        Output file (output directory with --directory)
+      --directory                Rebuild a directory uploaded with \`upload\`
+      --expected-hash <sha256>   Check the content against the upload's sha256
+      --verify                   Recompute the PieceCID of every downloaded piece
+      --decrypt                  Decrypt with a passphrase, prompted for unless
+                                 FILECOIN_STORAGE_PASSPHRASE is set
+  exists <pieceCid>            Check whether a piece is stored (exit code 3 if not)
+  info                         Show balances and storage service details
+  setup-wallet                 Deposit USDFC and approve the storage service
+      --deposit <usdfc>          Amount to deposit (default 10)
+      --rate <usdfc>             Rate allowance per epoch (default 10)
+      --lockup <usdfc>           Lockup allowance (default 1000)
+      --days <days>              Maximum lockup period in days (default 30)
+  pin <cid>                    Pin a CID with the configured pinning provider
+      --name <name>              Name recorded with the pin
+
+Options:
+  --config <path>              Config file (env FILECOIN_STORAGE_CONFIG, default ./${DEFAULT_CONFIG_FILE})
+  --private-key <key>          Wallet private key (env PRIVATE_KEY)
+  --network <name>             'mainnet' or 'calibration' (env FILECOIN_NETWORK, default calibration)
+  --authorization <token>      GLIF authorization token (env GLIF_AUTHORIZATION)
+  --pinata-jwt <jwt>           Pin uploads with Pinata (env PINATA_JWT)
+  --journal <path>             Upload journal file; uploads already recorded there are not
+                               paid for again (env FILECOIN_STORAGE_JOURNAL)
+  --json                       Print results and errors as JSON
+  -v, --verbose                Log progress to stderr
+  -h, --help                   Show this help
+  --version                    Show the version
+
+Exit codes: 0 success, 1 failure, 2 invalid usage or configuration, 3 piece not found, 130 interrupted`;
+
+/**
+ * Commands by name. `options` extends the global options for `parseArgs`;
+ * `run` receives the initialized client, positionals and parsed values and
+ * returns `{ result, text, exitCode? }`, where `text` is the human-readable form.
+ */
+const COMMANDS = {
+    upload: {
+        options: {
+            'mime-type': { type: 'string' },
+            metadata: { type: 'string' },
+            tag: { type: 'string', multiple: true },
+            compress: { type: 'string' },
+            name: { type: 'string' },
+            encrypt: { type: 'boolean' }
+        },
+        run: upload
+    },
+    download: {
+        options: {
+            output: { type: 'string', short: 'o' },
+            directory: { type: 'boolean' },
+            'expected-hash': { type: 'string' },
+            verify: { type: 'boolean' },
+            decrypt: { type: 'boolean' }
+        },
+        run: download
+    },
+    exists: { options: {}, run: exists },
+    info: { options: {}, run: info },
+    'setup-wallet': {
+        options: {
+            deposit: { type: 'string' },
+            rate: { type: 'string' },
+            lockup: { type: 'string' },
+            days: { type: 'string' }
+        },
+        run: setupWallet
+    },
+    pin: {
+        options: {
+            name: { type: 'string' }
+        },
+        run: pin
+    }
+};
+
+/**
+ * Require exactly `count` positional arguments
+ * @param {string[]} positionals
+ * @param {number} count
+ * @param {string} usage - Command synopsis for the error message
+ */
+function expectPositionals(positionals, count, usage) {
+    if (positionals.length !== count) {
+        throw new ValidationError(`Usage: filecoin-storage ${usage}`);
+    }
+}
+
+/**
+ * Encryption option from the environment, or prompted for when `requested`.
+ * Passphrases are never taken as flags, which would leave them in shell
+ * history and process listings.
+ * @param {boolean|undefined} requested - `--encrypt` or `--decrypt` was given
+ * @param {Object} io - `env`, `stdin`, `stderr` and `signal` of the command
+ * @returns {Promise<{passphrase: string}|undefined>}
+ */
+async function encryptionOption(requested, { env, stdin, stderr, signal }) {
+    const passphrase = env.FILECOIN_STORAGE_PASSPHRASE
+        || (requested ? await promptPassphrase(stdin, stderr, signal) : undefined);
+    return passphrase ? { passphrase } : undefined;
+}
+
+/**
+ * Read a passphrase from the terminal without echoing it
+ * @param {NodeJS.ReadStream} stdin
+ * @param {NodeJS.WritableStream} stderr - Where the prompt is written
+ * @param {AbortSignal} signal
+ * @returns {Promise<string>}
+ */
+async function promptPassphrase(stdin, stderr, signal) {
+    if (!stdin?.isTTY) {
+        throw new ValidationError('Set FILECOIN_STORAGE_PASSPHRASE to encrypt or decrypt when not running in a terminal');
+    }
+
+    stderr.write('Passphrase: ');
+    stdin.setRawMode(true);
+    stdin.resume();
+    const passphrase = await new Promise((done, fail) => {
+        let input = '';
+        const finish = (settle, value) => {
+            stdin.off('data', onData);
+            signal.removeEventListener('abort', onAbort);
+            settle(value);
+        };
+        const onAbort = () => finish(fail, signal.reason);
+        const onData = (chunk) => {
+            for (const char of String(chunk)) {
+                if (char === '\r' || char === '\n') {
+                    return finish(done, input);
+                }
+                if (char === '\u0003') {
+                    // Raw mode delivers Ctrl+C as input instead of raising SIGINT
+                    return finish(fail, new DOMException('Interrupted', 'AbortError'));
+                }
+                input = char === '\u007f' || char === '\b' ? Array.from(input).slice(0, -1).join('') : input + char;
+            }
+        };
+        stdin.on('data', onData);
+        signal.addEventListener('abort', onAbort, { once: true });
+    }).finally(() => {
+        stdin.setRawMode(false);
+        stdin.pause();
+        stderr.write('\n');
+    });
+
+    if (!passphrase) {
+        throw new ValidationError('The passphrase must not be empty');
+    }
+    return passphrase;
+}
+
+async function upload(storage, positionals, values, io) {
+    const { cwd, signal } = io;
+    if (positionals.length === 0) {
+        throw new ValidationError('Usage: filecoin-storage upload <path...>');
+    }
+
+    let metadata;
+    if (values.metadata !== undefined) {
+        try {
+            metadata = JSON.parse(values.metadata);
+        } catch (error) {
+            throw new ValidationError('--metadata must be a JSON object', { cause: error });
+        }
+    }
+
+    const options = {
+        mimeType: values['mime-type'],
+        metadata,
+        tags: values.tag,
+        compress: values.compress,
+        encryption: await encryptionOption(values.encrypt, io),
+        signal
+    };
+
+    // Keep going after a failure so one bad path does not hide the others
+    const results = [];
+    for (const path of positionals) {
+        try {
+            const absolute = resolve(cwd, path);
+            if ((await stat(absolute)).isDirectory()) {
+                // Directory files keep their own types, so --mime-type only applies to plain files
+                const { pieceCid, size, sha256, manifest } = await storage.uploadDirectory(absolute, {
+                    ...options,
+                    mimeType: undefined,
+                    name: values.name ?? basename(absolute)
+                });
+                results.push({ path, directory: true, pieceCid: String(pieceCid), size, sha256, files: manifest.files.length });
+            } else {
+                const data = new Uint8Array(await readFile(absolute));
+                const result = await storage.uploadFile(data, basename(absolute), options);
+                results.push({
+                    path,
+                    pieceCid: String(result.pieceCid),
+                    size: result.size,
+                    sha256: result.sha256,
+                    mimeType: result.mimeType,
+                    gatewayURL: result.gatewayURL,
+                    reused: result.reused
+                });
+            }
+        } catch (error) {
+            if (signal.aborted) throw error;
+            results.push({ path, error: describeError(error) });
+        }
+    }
+
+    const failed = results.filter((result) => result.error).length;
+    return {
+        result: results,
+        text: results.map((result) => {
+            if (result.error) return `${result.path}\tfailed: ${result.error.message}`;
+            const summary = result.directory ? `${result.files} files` : `${result.size} bytes${result.reused ? ' (already uploaded)' : ''}`;
+            return [result.path, result.pieceCid, summary, result.gatewayURL].filter(Boolean).join('\t');
+        }).join('\n'),
+        exitCode: failed > 0 ? EXIT_FAILURE : EXIT_OK
+    };
+}
+
+async function download(storage, positionals, values, io) {
+    const { cwd, signal, json, stdout } = io;
+    expectPositionals(positionals, 1, 'download <pieceCid> [-o file]');
+    const [pieceCid] = positionals;
+    const output = values.output && resolve(cwd, values.output);
+    const options = {
+        encryption: await encryptionOption(values.decrypt, io),
+        expectedHash: values['expected-hash'],
+        verify: values.verify,
+        signal
+    };
+
+    if (values.directory) {
+        if (!output) {
+            throw new ValidationError('--directory needs an output directory (-o)');
+        }
+        const { files, targetDir } = await storage.downloadDirectory(pieceCid, output, options);
+        return {
+            result: { pieceCid, output: targetDir, files },
+            text: `Saved ${files} files to ${targetDir}`
+        };
+    }
+
+    if (!output && json) {
+        throw new ValidationError('--json needs an output file (-o); file contents cannot be printed as JSON');
+    }
+
+    const data = await storage.downloadFile(pieceCid, { ...options, returnAs: 'uint8array' });
+    if (!output) {
+        await new Promise((done, fail) => stdout.write(data, (error) => (error ? fail(error) : done())));
+        return { result: null, text: null };
+    }
+
+    await writeFile(output, data);
+    return {
+        result: { pieceCid, output, size: data.length },
+        text: `Saved ${data.length} bytes to ${output}`
+    };
+}
+
+async function exists(storage, positionals, values, { signal }) {
+    expectPositionals(positionals, 1, 'exists <pieceCid>');
+    const [pieceCid] = positionals;
+    const found = await storage.checkFileExists(pieceCid, { signal });
+    return {
+        result: { pieceCid, exists: found },
+        text: `${pieceCid}: ${found ? 'found' : 'not found'}`,
+        exitCode: found ? EXIT_OK : EXIT_NOT_FOUND
+    };
+}
+
+async function info(storage, positionals, values, { signal }) {
+    expectPositionals(positionals, 0, 'info');
+    const { balance, accountInfo, storageInfo } = await storage.getStorageInfo({ signal });
+    return {
+        result: { network: storage.network, balance, accountInfo, storageInfo },
+        text: [
+            `Network:          ${storage.network}`,
+            `Available funds:  ${accountInfo.availableFunds} USDFC`,
+            `Locked funds:     ${accountInfo.lockedFunds} USDFC`,
+            `Total funds:      ${accountInfo.totalFunds} USDFC`,
+            `Providers:        ${storageInfo.providers}`
+        ].join('\n')
+    };
+}
+
+async function setupWallet(storage, positionals, values, { signal }) {
+    expectPositionals(positionals, 0, 'setup-wallet [--deposit n] [--rate n] [--lockup n] [--days n]');
+    const { deposit = '10', rate = '10', lockup = '1000' } = values;
+    const days = Number(values.days ?? 30);
+    if (!Number.isInteger(days) || days < 1) {
+        throw new ValidationError('--days must be a positive integer');
+    }
+
+    await storage.setupWallet(deposit, rate, lockup, days, { signal });
+    const result = { deposited: deposit, rateAllowance: rate, lockupAllowance: lockup, maxLockupDays: days };
+    return {
+        result,
+        text: `Deposited ${result.deposited} USDFC and approved the storage service ` +
+            `(rate ${result.rateAllowance} USDFC/epoch, lockup ${result.lockupAllowance} USDFC, ${days} days)`
+    };
+}
+
+async function pin(storage, positionals, values, { signal }) {
+    expectPositionals(positionals, 1, 'pin <cid> [--name name]');
+    if (!storage.pinning) {
+        throw new ValidationError('No pinning provider configured. Use --pinata-jwt, PINATA_JWT or `pinning` in the config file.');
+    }
+    const [cid] = positionals;
+    const gatewayURL = await storage.pinToIPFS(cid, values.name, { signal });
+    return {
+        result: { cid, gatewayURL },
+        text: gatewayURL
+    };
+}
+
+/**
+ * Read the config file, if any. An explicitly named file must exist.
+ * @param {string|undefined} path - From `--config` or the environment
+ * @param {string} cwd
+ * @returns {Promise<Object>}
+ */
+async function loadConfigFile(path, cwd) {
+    const file = resolve(cwd, path ?? DEFAULT_CONFIG_FILE);
+    let text;
+    try {
+        text = await readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT' && path === undefined) return {};
+        throw new ValidationError(`Cannot read config file ${file}: ${error.message}`, { cause: error });
+    }
+
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (error) {
+        throw new ValidationError(`Config file ${file} is not valid JSON`, { cause: error });
+    }
+    if (config === null || typeof config !== 'object' || Array.isArray(config)) {
+        throw new ValidationError(`Config file ${file} must hold a JSON object`);
+    }
+    return config;
+}
+
+/**
+ * Build `initialize()` options from flags, the environment and the config
+ * file, in that order of precedence
+ * @param {Object} values - Parsed flags
+ * @param {Object} env
+ * @param {string} cwd
+ * @returns {Promise<Object>}
+ */
+async function resolveConfig(values, env, cwd) {
+    const file = await loadConfigFile(values.config ?? env.FILECOIN_STORAGE_CONFIG, cwd);
+    const config = Object.fromEntries(CONFIG_KEYS.filter((key) => key in file).map((key) => [key, file[key]]));
+
+    const pinataJwt = values['pinata-jwt'] ?? env.PINATA_JWT;
+    const journal = values.journal ?? env.FILECOIN_STORAGE_JOURNAL ?? file.journal;
+    return {
+        ...config,
+        privateKey: values['private-key'] ?? env.PRIVATE_KEY ?? config.privateKey,
+        network: values.network ?? env.FILECOIN_NETWORK ?? config.network ?? 'calibration',
+        authorization: values.authorization ?? env.GLIF_AUTHORIZATION ?? config.authorization,
+        // Pass `false` rather than leaving it unset, so the SDK does not fall back to PINATA_JWT itself
+        pinning: pinataJwt ? { type: 'pinata', jwt: pinataJwt } : config.pinning ?? false,
+        logLevel: values.verbose ? 'info' : config.logLevel ?? 'silent',
+        journal: journal ? new JsonFileJournalStore(resolve(cwd, journal)) : undefined
+    };
+}
+
+/**
+ * Plain description of an error for JSON output
+ * @param {Error} error
+ * @returns {{name: string, code?: string, message: string, details?: Object}}
+ */
+function describeError(error) {
+    return {
+        name: error?.name ?? 'Error',
+        code: error?.code,
+        message: error?.message ?? String(error),
+        details: error?.details
+    };
+}
+
+/**
+ * Exit code for an error
+ * @param {Error} error
+ * @returns {number}
+ */
+function exitCodeFor(error) {
+    if (error instanceof PieceNotFoundError) return EXIT_NOT_FOUND;
+    if (error instanceof ValidationError || error?.code?.startsWith?.('ERR_PARSE_ARGS')) return EXIT_USAGE;
+    return EXIT_FAILURE;
+}
+
+// bigint amounts are printed as decimal strings
+const toJSON = (value) => JSON.stringify(
+    value,
+    (key, item) => (typeof item === 'bigint' ? item.toString() : item),
+    2
+);
+
+/**
+ * Run the command line interface
+ * @param {string[]} argv - Arguments after the executable and script path
+ * @param {Object} [io] - Environment to run in, for embedding and tests
+ * @param {Object} [io.env=process.env]
+ * @param {string} [io.cwd=process.cwd()]
+ * @param {NodeJS.ReadStream} [io.stdin=process.stdin] - Where passphrases are prompted for
+ * @param {NodeJS.WritableStream} [io.stdout=process.stdout]
+ * @param {NodeJS.WritableStream} [io.stderr=process.stderr]
+ * @param {(options: Object) => Object} [io.createStorage] - Creates the client (default `createFileStorage`)
+ * @param {AbortSignal} [io.signal] - Abort the running command
+ * @returns {Promise<number>} - Exit code
+ */
+export async function main(argv, io = {}) {
+    const {
+        env = process.env,
+        cwd = process.cwd(),
+        stdin = process.stdin,
+        stdout = process.stdout,
+        stderr = process.stderr,
+        createStorage = createFileStorage,
+        signal = new AbortController().signal
+    } = io;
+    const json = argv.includes('--json');
+    const print = (text) => stdout.write(`${text}\n`);
+
+    try {
+        // Global options may come before the command, so find it with a lenient first pass
+        const [commandName] = parseArgs({
+            args: argv,
+            options: GLOBAL_OPTIONS,
+            allowPositionals: true,
+            strict: false
+        }).positionals;
+        const command = Object.hasOwn(COMMANDS, commandName) ? COMMANDS[commandName] : null;
+        const { values, positionals } = parseArgs({
+            args: argv,
+            options: { ...GLOBAL_OPTIONS, ...command?.options },
+            allowPositionals: true
+        });
+
+        if (values.version) {
+            const pkg = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'));
+            print(json ? toJSON({ version: pkg.version }) : pkg.version);
+            return EXIT_OK;
+        }
+        if (values.help || !commandName) {
+            (values.help ? stdout : stderr).write(`${USAGE}\n`);
+            return values.help ? EXIT_OK : EXIT_USAGE;
+        }
+        if (!command) {
+            throw new ValidationError(`Unknown command '${commandName}'. Run with --help for usage.`);
+        }
+
+        const config = await resolveConfig(values, env, cwd);
+        // Logs go to stderr so stdout only carries results
+        const log = (...args) => stderr.write(`${format(...args)}\n`);
+        const logger = { debug: log, info: log, warn: log, error: log };
+        const storage = createStorage({ ...config, logger });
+        await storage.initialize({ signal });
+
+        const { result, text, exitCode = EXIT_OK } = await command.run(
+            storage,
+            positionals.slice(1),
+            values,
+            { env, cwd, signal, json, stdin, stdout, stderr }
+        );
+        if (json) {
+            print(toJSON(result));
+        } else if (text) {
+            print(text);
+        }
+        return exitCode;
+    } catch (error) {
+        if (signal.aborted || error?.name === 'AbortError') {
+            if (!json) stderr.write('Interrupted\n');
+            return EXIT_INTERRUPTED;
+        }
+        if (json) {
+            print(toJSON({ error: describeError(error) }));
+        } else {
+            stderr.write(`Error: ${error?.message ?? error}\n`);
+        }
+        return exitCodeFor(error);
+    }
+}
+
+// Run when executed directly (including through an npm bin symlink), not when imported
+if (process.argv[1] && realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    loadEnv({ quiet: true });
+    const controller = new AbortController();
+    process.once('SIGINT', () => controller.abort());
+    process.exitCode = await main(process.argv.slice(2), { signal: controller.signal });
+}
@@ -0,0 +1,347 @@
+import { calculate as calculatePieceCid } from '@filoz/synapse-sdk/piece';
+
+const TOKEN_UNIT = 10n ** 18n;
+const TIB = 1024n ** 4n;
+const EPOCHS_PER_DAY = 2880n;
+const EPOCHS_PER_MONTH = 86400n;
+const DEFAULT_LOCKUP_DAYS = 10n;
+const WARM_STORAGE_ADDRESS = '0x0000000000000000000000000000000000000001';
+const ACCOUNT_ADDRESS = '0x0000000000000000000000000000000000000006';
+const PROVIDER = { id: 1, name: 'memory', serviceProvider: '0x0000000000000000000000000000000000000003' };
+const DATA_SET_ID = 1;
+
+/**
+ * In-memory storage backend for tests and offline development.
+ *
+ * Implements the backend interface documented in `./synapse.js` without
+ * touching the network: pieces live in a Map keyed by their real PieceCID,
+ * and payments follow the same allowance rules as the Warm Storage service.
+ * Failures can be injected per operation to exercise error paths.
+ */
+export class MemoryBackend {
+    /**
+     * @param {Object} [options] - Simulation options
+     * @param {bigint} [options.walletBalance] - Initial wallet USDFC balance in base units (default 1000 USDFC)
+     * @param {bigint} [options.funds] - Initial funds deposited in the payments contract (default 0)
+     * @param {bigint} [options.pricePerTiBPerMonth] - Storage price without CDN (default 2 USDFC)
+     * @param {bigint} [options.pricePerTiBPerMonthWithCDN] - Storage price with CDN (default 3 USDFC)
+     * @param {boolean} [options.withCDN=true] - Whether uploads are priced with CDN
+     * @param {string} [options.network='calibration'] - Network reported by getStorageInfo
+     * @param {number} [options.decimals=18] - Decimals of the payment token
+     * @param {string} [options.account] - Address of the simulated account
+     */
+    constructor(options = {}) {
+        this.network = options.network ?? 'calibration';
+        this.withCDN = options.withCDN ?? true;
+        this.tokenDecimals = options.decimals ?? 18;
+        this.account = options.account ?? ACCOUNT_ADDRESS;
+        this.pricing = {
+            noCDN: options.pricePerTiBPerMonth ?? 2n * TOKEN_UNIT,
+            withCDN: options.pricePerTiBPerMonthWithCDN ?? 3n * TOKEN_UNIT
+        };
+
+        this.pieces = new Map();
+        this.pieceIds = new Map();
+        this.wallet = options.walletBalance ?? 1000n * TOKEN_UNIT;
+        this.funds = options.funds ?? 0n;
+        this.lockupCurrent = 0n;
+        this.approval = {
+            isApproved: false,
+            rateAllowance: 0n,
+            rateUsed: 0n,
+            lockupAllowance: 0n,
+            lockupUsed: 0n,
+            maxLockupPeriod: 0n
+        };
+
+        this._failures = new Map();
+        this._txCount = 0;
+        this._nextPieceId = 0;
+    }
+
+    /**
+     * Make an upcoming call to `operation` reject
+     * @param {string} operation - Backend method name, e.g. 'upload' or 'deposit'
+     * @param {Object} [options]
+     * @param {Error} [options.error] - Error to throw (default: a generic simulated failure)
+     * @param {number} [options.times=1] - Number of consecutive calls that fail
+     * @param {number} [options.after=0] - Number of calls that succeed before failures start
+     * @param {boolean} [options.transient] - Mark the error as transient (retried) or permanent (not retried)
+     * @param {number} [options.delayMs=0] - Reject only after this delay, e.g. to exercise timeouts
+     */
+    injectFailure(operation, { error, times = 1, after = 0, transient, delayMs = 0 } = {}) {
+        const failure = error ?? new Error(`Simulated ${operation} failure`);
+        if (transient !== undefined) failure.transient = transient;
+
+        const queue = this._failures.get(operation) ?? [];
+        queue.push({ error: failure, times, after, delayMs });
+        this._failures.set(operation, queue);
+    }
+
+    /**
+     * Remove all injected failures
+     */
+    clearFailures() {
+        this._failures.clear();
+    }
+
+    async _maybeFail(operation) {
+        const queue = this._failures.get(operation);
+        if (!queue || queue.length === 0) return;
+
+        const failure = queue[0];
+        if (failure.after > 0) {
+            failure.after--;
+            return;
+        }
+        failure.times--;
+        if (failure.times <= 0) queue.shift();
+        if (failure.delayMs > 0) {
+            await new Promise((resolve) => setTimeout(resolve, failure.delayMs));
+        }
+        throw failure.error;
+    }
+
+    _transaction() {
+        this._txCount++;
+        const hash = `0x${this._txCount.toString(16).padStart(64, '0')}`;
+        return {
+            hash,
+            wait: async () => ({ hash, status: 1 })
+        };
+    }
+
+    _costs(size) {
+        const price = this.withCDN ? this.pricing.withCDN : this.pricing.noCDN;
+        const perEpoch = (price * BigInt(size)) / (TIB * EPOCHS_PER_MONTH);
+        return {
+            perEpoch,
+            perDay: perEpoch * EPOCHS_PER_DAY,
+            perMonth: perEpoch * EPOCHS_PER_MONTH
+        };
+    }
+
+    _allowanceCheck(size) {
+        const costs = this._costs(size);
+        const lockupNeeded = costs.perEpoch * DEFAULT_LOCKUP_DAYS * EPOCHS_PER_DAY;
+        const needsRate = this.approval.rateAllowance < this.approval.rateUsed + costs.perEpoch;
+        const needsLockup = this.approval.lockupAllowance < this.approval.lockupUsed + lockupNeeded;
+
+        let message;
+        if (!this.approval.isApproved) {
+            message = 'Warm Storage service is not approved';
+        } else if (needsRate && needsLockup) {
+            message = 'Insufficient rate and lockup allowances';
+        } else if (needsRate) {
+            message = 'Insufficient rate allowance';
+        } else if (needsLockup) {
+            message = 'Insufficient lockup allowance';
+        }
+
+        return {
+            costs,
+            lockupNeeded,
+            sufficient: this.approval.isApproved && !needsRate && !needsLockup,
+            message
+        };
+    }
+
+    async preflightUpload(size) {
+        await this._maybeFail('preflightUpload');
+        const check = this._allowanceCheck(size);
+        return {
+            estimatedCost: check.costs,
+            allowanceCheck: { sufficient: check.sufficient, message: check.message },
+            selectedProvider: null,
+            selectedDataSetId: null
+        };
+    }
+
+    async upload(data, callbacks = {}) {
+        await this._maybeFail('upload');
+        const bytes = data instanceof ArrayBuffer ? new Uint8Array(data) : data;
+
+        const check = this._allowanceCheck(bytes.length);
+        if (!check.sufficient) {
+            throw new Error(check.message);
+        }
+        if (this.funds - this.lockupCurrent < check.lockupNeeded) {
+            throw new Error('Insufficient funds in payments contract');
+        }
+
+        const pieceCid = calculatePieceCid(bytes);
+        this.pieces.set(pieceCid.toString(), new Uint8Array(bytes));
+        this.approval.rateUsed += check.costs.perEpoch;
+        this.approval.lockupUsed += check.lockupNeeded;
+        this.lockupCurrent += check.lockupNeeded;
+
+        const pieceId = this._nextPieceId++;
+        this.pieceIds.set(pieceCid.toString(), pieceId);
+        callbacks.onUploadComplete?.(pieceCid);
+        callbacks.onPieceAdded?.();
+        callbacks.onPieceConfirmed?.([pieceId]);
+
+        return { pieceCid, size: bytes.length, pieceId };
+    }
+
+    async download(pieceCid) {
+        await this._maybeFail('download');
+        const data = this.pieces.get(String(pieceCid));
+        if (!data) {
+            throw new Error(`Piece not found: ${pieceCid}`);
+        }
+        return new Uint8Array(data);
+    }
+
+    async pieceStatus(pieceCid) {
+        await this._maybeFail('pieceStatus');
+        const pieceId = this.pieceIds.get(String(pieceCid));
+        const exists = pieceId !== undefined;
+        return {
+            exists,
+            provider: exists ? { id: PROVIDER.id, name: PROVIDER.name, address: PROVIDER.serviceProvider } : null,
+            dataSetId: exists ? DATA_SET_ID : null,
+            pieceId: exists ? pieceId : null,
+            withCDN: exists ? this.withCDN : null,
+            retrievalUrl: null,
+            lastProven: null,
+            nextProofDue: null,
+            inChallengeWindow: false,
+            hoursUntilChallengeWindow: null,
+            isProofOverdue: false
+        };
+    }
+
+    async getStorageInfo() {
+        await this._maybeFail('getStorageInfo');
+        const perTiB = (perMonth) => ({
+            perTiBPerMonth: perMonth,
+            perTiBPerDay: (perMonth * EPOCHS_PER_DAY) / EPOCHS_PER_MONTH,
+            perTiBPerEpoch: perMonth / EPOCHS_PER_MONTH
+        });
+
+        return {
+            pricing: {
+                noCDN: perTiB(this.pricing.noCDN),
+                withCDN: perTiB(this.pricing.withCDN),
+                tokenAddress: '0x0000000000000000000000000000000000000002',
+                tokenSymbol: 'USDFC'
+            },
+            providers: [{ ...PROVIDER }],
+            serviceParameters: {
+                network: this.network,
+                epochsPerMonth: EPOCHS_PER_MONTH,
+                epochsPerDay: EPOCHS_PER_DAY,
+                epochDuration: 30,
+                minUploadSize: 1,
+                maxUploadSize: 209715200,
+                warmStorageAddress: WARM_STORAGE_ADDRESS,
+                paymentsAddress: '0x0000000000000000000000000000000000000004',
+                pdpVerifierAddress: '0x0000000000000000000000000000000000000005'
+            },
+            allowances: {
+                service: WARM_STORAGE_ADDRESS,
+                rateAllowance: this.approval.rateAllowance,
+                lockupAllowance: this.approval.lockupAllowance,
+                rateUsed: this.approval.rateUsed,
+                lockupUsed: this.approval.lockupUsed
+            }
+        };
+    }
+
+    async walletBalance() {
+        await this._maybeFail('walletBalance');
+        return this.wallet;
+    }
+
+    async balance() {
+        await this._maybeFail('balance');
+        return this.funds - this.lockupCurrent;
+    }
+
+    async accountInfo() {
+        await this._maybeFail('accountInfo');
+        return {
+            funds: this.funds,
+            lockupCurrent: this.lockupCurrent,
+            lockupRate: this.approval.rateUsed,
+            lockupLastSettledAt: 0n,
+            availableFunds: this.funds - this.lockupCurrent
+        };
+    }
+
+    async decimals() {
+        await this._maybeFail('decimals');
+        return this.tokenDecimals;
+    }
+
+    async deposit(amount) {
+        await this._maybeFail('deposit');
+        const value = BigInt(amount);
+        if (value <= 0n) {
+            throw new Error('Deposit amount must be positive');
+        }
+        if (value > this.wallet) {
+            throw new Error('Insufficient USDFC balance in wallet');
+        }
+        this.wallet -= value;
+        this.funds += value;
+        return this._transaction();
+    }
+
+    async withdraw(amount) {
+        await this._maybeFail('withdraw');
+        const value = BigInt(amount);
+        if (value <= 0n) {
+            throw new Error('Withdrawal amount must be positive');
+        }
+        if (value > this.funds - this.lockupCurrent) {
+            throw new Error('Insufficient available funds in payments contract');
+        }
+        this.funds -= value;
+        this.wallet += value;
+        return this._transaction();
+    }
+
+    async approveService(service, rateAllowance, lockupAllowance, maxLockupPeriod) {
+        await this._maybeFail('approveService');
+        if (service !== WARM_STORAGE_ADDRESS) {
+            throw new Error(`Unknown service address: ${service}`);
+        }
+        this.approval.isApproved = true;
+        this.approval.rateAllowance = BigInt(rateAllowance);
+        this.approval.lockupAllowance = BigInt(lockupAllowance);
+        this.approval.maxLockupPeriod = BigInt(maxLockupPeriod);
+        return this._transaction();
+    }
+
+    async revokeService(service) {
+        await this._maybeFail('revokeService');
+        if (service !== WARM_STORAGE_ADDRESS) {
+            throw new Error(`Unknown service address: ${service}`);
+        }
+        this.approval.isApproved = false;
+        this.approval.rateAllowance = 0n;
+        this.approval.lockupAllowance = 0n;
+        this.approval.maxLockupPeriod = 0n;
+        return this._transaction();
+    }
+
+    async serviceApproval(service) {
+        await this._maybeFail('serviceApproval');
+        if (service !== WARM_STORAGE_ADDRESS) {
+            throw new Error(`Unknown service address: ${service}`);
+        }
+        return { ...this.approval };
+    }
+
+    async getWarmStorageAddress() {
+        await this._maybeFail('getWarmStorageAddress');
+        return WARM_STORAGE_ADDRESS;
+    }
+
+    async address() {
+        await this._maybeFail('address');
+        return this.account;
+    }
+}
@@ -0,0 +1,228 @@
+import { WarmStorageService } from '@filoz/synapse-sdk/warm-storage';
+import { MAX_PIECE_SIZE } from '../chunking.js';
+
+/**
+ * Storage backend interface
+ *
+ * FileStorage never talks to the network directly; every storage and
+ * payments call goes through a backend object with the methods below.
+ * `SynapseBackend` forwards them to the Synapse SDK and `MemoryBackend`
+ * simulates them in memory. Amounts are bigints in base units (18 decimals).
+ *
+ * Storage:
+ *   preflightUpload(size)                 -> { estimatedCost: {perEpoch, perDay, perMonth}, allowanceCheck: {sufficient, message?} }
+ *                                            size may exceed the 200 MiB piece limit when checking a whole batch
+ *   upload(data, callbacks?)              -> { pieceCid, size, pieceId? }
+ *                                            callbacks: { onUploadComplete(pieceCid), onPieceAdded(tx?), onPieceConfirmed(pieceIds) }
+ *   download(pieceCid)                    -> Uint8Array (rejects with a "not found" error for unknown pieces)
+ *   pieceStatus(pieceCid)                 -> { exists, provider: {id, name, address}|null, dataSetId, pieceId, withCDN,
+ *                                              retrievalUrl, lastProven, nextProofDue, inChallengeWindow,
+ *                                              hoursUntilChallengeWindow, isProofOverdue }
+ *                                            answered from provider and data set metadata; a piece outside your data
+ *                                            sets is looked up on your providers without downloading it, and reported
+ *                                            with a null dataSetId
+ *   getStorageInfo()                      -> { pricing, providers, serviceParameters, allowances }
+ *
+ * Payments:
+ *   address()                             -> string, address of the account that pays for uploads
+ *   walletBalance()                       -> bigint, USDFC held by the wallet
+ *   balance()                             -> bigint, available funds in the payments contract
+ *   accountInfo()                         -> { funds, lockupCurrent, lockupRate, lockupLastSettledAt, availableFunds }
+ *   decimals()                            -> number, decimals of the payment token (18 for USDFC)
+ *   deposit(amount)                       -> transaction { hash, wait() }
+ *   withdraw(amount)                      -> transaction { hash, wait() }, moves available funds back to the wallet
+ *   approveService(service, rateAllowance, lockupAllowance, maxLockupPeriod) -> transaction { hash, wait() }
+ *   revokeService(service)                -> transaction { hash, wait() }
+ *   serviceApproval(service)              -> { isApproved, rateAllowance, rateUsed, lockupAllowance, lockupUsed, maxLockupPeriod }
+ *   getWarmStorageAddress()               -> string, address of the Warm Storage service
+ */
+export class SynapseBackend {
+    /**
+     * @param {import('@filoz/synapse-sdk').Synapse} synapse - Initialized Synapse instance
+     * @param {Object} [options]
+     * @param {boolean} [options.withCDN=true] - Whether uploads use the CDN, for batch allowance checks
+     * @param {Function} [options.fetch] - fetch implementation for provider piece lookups (defaults to the global one)
+     */
+    constructor(synapse, { withCDN = true, fetch = globalThis.fetch } = {}) {
+        this.synapse = synapse;
+        this.withCDN = withCDN;
+        this.fetch = fetch;
+        this._warmStorage = null;
+    }
+
+    async preflightUpload(size) {
+        if (size <= MAX_PIECE_SIZE) {
+            return await this.synapse.storage.preflightUpload(size);
+        }
+
+        // Synapse only preflights sizes it can upload as one piece, so larger
+        // batch checks ask the Warm Storage contract directly
+        this._warmStorage ??= await WarmStorageService.create(
+            this.synapse.getProvider(),
+            this.synapse.getWarmStorageAddress()
+        );
+        const check = await this._warmStorage.checkAllowanceForStorage(size, this.withCDN, this.synapse.payments);
+        return {
+            estimatedCost: check.costs,
+            allowanceCheck: { sufficient: check.sufficient, message: check.message },
+            selectedProvider: null,
+            selectedDataSetId: null
+        };
+    }
+
+    async upload(data, callbacks) {
+        return await this.synapse.storage.upload(data, { callbacks });
+    }
+
+    async download(pieceCid) {
+        return await this.synapse.storage.download(pieceCid);
+    }
+
+    async pieceStatus(pieceCid) {
+        // Only existing data sets are checked: resolving the default storage
+        // context would create a data set, an on-chain transaction, if there is none
+        const dataSets = await this.synapse.storage.findDataSets();
+        const checkedProviders = new Set();
+        let found = null;
+        for (const dataSet of dataSets) {
+            if (!dataSet.isLive || !dataSet.isManaged) continue;
+            checkedProviders.add(dataSet.providerId);
+
+            const context = await this.synapse.storage.createContext({
+                dataSetId: dataSet.pdpVerifierDataSetId,
+                withCDN: dataSet.withCDN
+            });
+            const status = await context.pieceStatus(pieceCid);
+            if (!status.exists) continue;
+
+            // A provider may hold the piece in another client's data set; prefer ours
+            found = { context, status };
+            if (status.pieceId !== undefined) break;
+        }
+
+        if (!found) {
+            // Your other providers may still serve the piece from another client's data set
+            const elsewhere = await this._findOnProviders(pieceCid, dataSets, checkedProviders);
+            return {
+                exists: elsewhere !== null,
+                provider: elsewhere?.provider ?? null,
+                dataSetId: null,
+                pieceId: null,
+                withCDN: null,
+                retrievalUrl: elsewhere?.retrievalUrl ?? null,
+                lastProven: null,
+                nextProofDue: null,
+                inChallengeWindow: false,
+                hoursUntilChallengeWindow: null,
+                isProofOverdue: false
+            };
+        }
+
+        const { context, status } = found;
+        const inDataSet = status.pieceId !== undefined;
+        return {
+            exists: true,
+            provider: {
+                id: context.provider.id,
+                name: context.provider.name,
+                address: context.serviceProvider
+            },
+            dataSetId: inDataSet ? context.dataSetId : null,
+            pieceId: inDataSet ? status.pieceId : null,
+            withCDN: context.withCDN,
+            retrievalUrl: status.retrievalUrl,
+            lastProven: status.dataSetLastProven,
+            nextProofDue: status.dataSetNextProofDue,
+            inChallengeWindow: status.inChallengeWindow ?? false,
+            hoursUntilChallengeWindow: status.hoursUntilChallengeWindow ?? null,
+            isProofOverdue: status.isProofOverdue ?? false
+        };
+    }
+
+    /**
+     * Ask the providers of your live data sets, other than those already
+     * checked, whether they hold a piece. Their piece lookup endpoint (the one
+     * Synapse queries before a retrieval) answers without sending the piece.
+     * @param {string} pieceCid
+     * @param {Object[]} dataSets - From `findDataSets()`
+     * @param {Set<number>} checkedProviders - Provider IDs already asked
+     * @returns {Promise<{provider: {id, name, address}, retrievalUrl: string}|null>}
+     */
+    async _findOnProviders(pieceCid, dataSets, checkedProviders) {
+        const providerIds = new Set(
+            dataSets
+                .filter((dataSet) => dataSet.isLive && !checkedProviders.has(dataSet.providerId))
+                .map((dataSet) => dataSet.providerId)
+        );
+        for (const providerId of providerIds) {
+            const provider = await this.synapse.getProviderInfo(providerId).catch(() => null);
+            const serviceURL = provider?.products?.PDP?.data?.serviceURL?.replace(/\/$/, '');
+            if (!serviceURL) continue;
+
+            const response = await this.fetch(`${serviceURL}/pdp/piece?${new URLSearchParams({ pieceCid })}`);
+            if (response.ok) {
+                return {
+                    provider: { id: provider.id, name: provider.name, address: provider.serviceProvider },
+                    retrievalUrl: `${serviceURL}/piece/${pieceCid}`
+                };
+            }
+            if (response.status !== 404) {
+                throw new Error(`Piece lookup on provider ${provider.id} failed with HTTP ${response.status}`);
+            }
+        }
+        return null;
+    }
+
+    async getStorageInfo() {
+        return await this.synapse.storage.getStorageInfo();
+    }
+
+    async walletBalance() {
+        return await this.synapse.payments.walletBalance();
+    }
+
+    async balance() {
+        return await this.synapse.payments.balance();
+    }
+
+    async accountInfo() {
+        return await this.synapse.payments.accountInfo();
+    }
+
+    async decimals() {
+        return this.synapse.payments.decimals();
+    }
+
+    async deposit(amount) {
+        return await this.synapse.payments.deposit(amount);
+    }
+
+    async withdraw(amount) {
+        return await this.synapse.payments.withdraw(amount);
+    }
+
+    async approveService(service, rateAllowance, lockupAllowance, maxLockupPeriod) {
+        return await this.synapse.payments.approveService(
+            service,
+            rateAllowance,
+            lockupAllowance,
+            maxLockupPeriod
+        );
+    }
+
+    async revokeService(service) {
+        return await this.synapse.payments.revokeService(service);
+    }
+
+    async serviceApproval(service) {
+        return await this.synapse.payments.serviceApproval(service);
+    }
+
+    async getWarmStorageAddress() {
+        return this.synapse.getWarmStorageAddress();
+    }
+
+    async address() {
+        return await this.synapse.getSigner().getAddress();
+    }
+}
@@ -0,0 +1,122 @@
+import { BudgetExceededError, ValidationError } from './errors.js';
+import { EPOCHS_PER_DAY, DEFAULT_LOCKUP_DAYS, TOKEN_DECIMALS, formatUSDFC, parseUSDFC } from './payments.js';
+
+export const DEFAULT_DURATION_DAYS = 30;
+
+const TIB = 1024n ** 4n;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LIMITS = ['maxPerUpload', 'maxPerDay', 'maxPerSession'];
+
+/**
+ * Project the cost of storing some bytes, the same way the Warm Storage
+ * service prices them
+ * @param {number} size - Bytes stored
+ * @param {Object} params
+ * @param {bigint} params.pricePerTiBPerMonth - Price in base units
+ * @param {bigint} params.epochsPerMonth - Epochs per month on this network
+ * @param {number} params.durationDays - Storage period to project `total` over
+ * @returns {{perEpoch: bigint, perDay: bigint, perMonth: bigint, total: bigint, lockup: bigint}}
+ */
+export function calculateCost(size, { pricePerTiBPerMonth, epochsPerMonth, durationDays }) {
+    const perEpoch = (BigInt(pricePerTiBPerMonth) * BigInt(size)) / (TIB * BigInt(epochsPerMonth));
+    const durationEpochs = BigInt(Math.ceil(durationDays * Number(EPOCHS_PER_DAY)));
+    return {
+        perEpoch,
+        perDay: perEpoch * EPOCHS_PER_DAY,
+        perMonth: perEpoch * BigInt(epochsPerMonth),
+        total: perEpoch * durationEpochs,
+        lockup: perEpoch * DEFAULT_LOCKUP_DAYS * EPOCHS_PER_DAY
+    };
+}
+
+/**
+ * Spending limits for uploads. An upload's cost is its projected cost over
+ * `durationDays`. Costs are reserved before an upload starts, so concurrent
+ * uploads cannot overshoot a limit together, and released if it fails.
+ */
+export class Budget {
+    /**
+     * @param {Object} options
+     * @param {number|string|bigint} [options.maxPerUpload] - Limit for a single upload
+     * @param {number|string|bigint} [options.maxPerDay] - Limit for uploads in any 24 hour window
+     * @param {number|string|bigint} [options.maxPerSession] - Limit for all uploads made by this instance
+     * @param {number} [options.durationDays=30] - Storage period an upload's cost is projected over
+     * @param {number} [decimals=18] - Decimals of the payment token, for whole USDFC limits and messages
+     */
+    constructor(options = {}, decimals = TOKEN_DECIMALS) {
+        const { durationDays = DEFAULT_DURATION_DAYS } = options;
+        if (typeof durationDays !== 'number' || !(durationDays > 0)) {
+            throw new ValidationError('budget.durationDays must be a positive number');
+        }
+        this.durationDays = durationDays;
+        this.decimals = decimals;
+        this.limits = {};
+        for (const limit of LIMITS) {
+            this.limits[limit] = options[limit] == null ? null : parseUSDFC(options[limit], `budget.${limit}`, decimals);
+        }
+        // Reservations from the last 24 hours, plus a running total for the session
+        this._recent = [];
+        this._sessionTotal = 0n;
+    }
+
+    /**
+     * Total cost reserved by this instance and within the last 24 hours
+     * @param {number} [now=Date.now()]
+     * @returns {{session: bigint, lastDay: bigint}}
+     */
+    usage(now = Date.now()) {
+        this._recent = this._recent.filter((entry) => entry.timestamp > now - DAY_MS);
+        const lastDay = this._recent.reduce((sum, entry) => sum + entry.cost, 0n);
+        return { session: this._sessionTotal, lastDay };
+    }
+
+    /**
+     * Reserve the cost of (part of) an upload, or throw if it would exceed a limit
+     * @param {bigint} cost - Cost to reserve now
+     * @param {Object} [options]
+     * @param {bigint} [options.uploadCost=cost] - Cost of the whole upload so far, checked against
+     *   `maxPerUpload` when an upload reserves its cost in parts
+     * @param {Object} [options.details] - Extra fields for the error details, e.g. the full estimate
+     * @returns {{cost: bigint, timestamp: number}} - Reservation to pass to `release` if the upload fails
+     * @throws {BudgetExceededError}
+     */
+    reserve(cost, { uploadCost = cost, details = {} } = {}) {
+        const now = Date.now();
+        const { session, lastDay } = this.usage(now);
+        const checks = [
+            ['maxPerUpload', uploadCost, 0n],
+            ['maxPerDay', cost, lastDay],
+            ['maxPerSession', cost, session]
+        ];
+
+        for (const [limit, amount, spent] of checks) {
+            const max = this.limits[limit];
+            if (max === null || spent + amount <= max) continue;
+
+            const format = (value) => formatUSDFC(value, this.decimals);
+            const already = limit === 'maxPerUpload' ? '' : ` (${format(spent)} USDFC already used)`;
+            throw new BudgetExceededError(
+                `Upload would cost ${format(amount)} USDFC over ${this.durationDays} days, ` +
+                `exceeding ${limit} of ${format(max)} USDFC${already}`,
+                { details: { limit, max, spent, cost: amount, durationDays: this.durationDays, ...details } }
+            );
+        }
+
+        const reservation = { cost, timestamp: now };
+        this._recent.push(reservation);
+        this._sessionTotal += cost;
+        return reservation;
+    }
+
+    /**
+     * Give back a reservation, e.g. because the upload failed
+     * @param {{cost: bigint, timestamp: number}} reservation
+     */
+    release(reservation) {
+        if (reservation.released) return;
+        reservation.released = true;
+        const index = this._recent.indexOf(reservation);
+        if (index !== -1) this._recent.splice(index, 1);
+        this._sessionTotal -= reservation.cost;
+    }
+}
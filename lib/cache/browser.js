@@ -0,0 +1,127 @@
+import { ValidationError } from '../errors.js';
+import { DEFAULT_CACHE_MAX_BYTES, assertCacheLimits } from './memory.js';
+
+// Cache API keys must be URLs; this origin is never fetched
+const KEY_PREFIX = 'https://filecoin-storage-sdk.invalid/piece/';
+const STORED_AT = 'x-stored-at';
+const USED_AT = 'x-used-at';
+const SIZE = 'x-size';
+
+/**
+ * Download cache backed by the browser Cache API (`caches`), which is
+ * available in windows and service workers on secure origins. Entries are
+ * evicted least recently used first.
+ */
+export class BrowserCache {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.cacheName='filecoin-storage-sdk'] - Cache Storage bucket name
+     * @param {number} [options.maxBytes] - Total bytes kept before the least recently used pieces are evicted (default 100 MiB)
+     * @param {number} [options.ttlMs=0] - Drop entries this long after they were stored; 0 keeps them until evicted
+     * @param {CacheStorage} [options.caches] - CacheStorage implementation (defaults to the global `caches`)
+     */
+    constructor({ cacheName = 'filecoin-storage-sdk', maxBytes = DEFAULT_CACHE_MAX_BYTES, ttlMs = 0, caches } = {}) {
+        assertCacheLimits({ maxBytes, ttlMs });
+        this.cacheName = cacheName;
+        this.maxBytes = maxBytes;
+        this.ttlMs = ttlMs;
+        this._caches = caches ?? globalThis.caches;
+        this._cache = null;
+        this._writeQueue = Promise.resolve();
+    }
+
+    async _open() {
+        if (!this._caches) {
+            throw new ValidationError('The Cache API is not available in this environment');
+        }
+        this._cache ??= await this._caches.open(this.cacheName);
+        return this._cache;
+    }
+
+    _expired(response) {
+        return this.ttlMs > 0 && Number(response.headers.get(STORED_AT)) + this.ttlMs <= Date.now();
+    }
+
+    _response(data, storedAt) {
+        return new Response(data, {
+            headers: {
+                'content-type': 'application/octet-stream',
+                [SIZE]: String(data.length),
+                [STORED_AT]: String(storedAt),
+                [USED_AT]: String(Date.now())
+            }
+        });
+    }
+
+    async _lookup(pieceCid) {
+        const cache = await this._open();
+        const key = KEY_PREFIX + pieceCid;
+        const response = await cache.match(key);
+        if (!response) return null;
+        if (this._expired(response)) {
+            await cache.delete(key);
+            return null;
+        }
+        return response;
+    }
+
+    async get(pieceCid) {
+        const response = await this._lookup(pieceCid);
+        if (!response) return null;
+
+        const data = new Uint8Array(await response.arrayBuffer());
+        // Re-store with a fresh use time so eviction stays least recently used
+        const cache = await this._open();
+        await cache.put(KEY_PREFIX + pieceCid, this._response(data, Number(response.headers.get(STORED_AT))));
+        return data;
+    }
+
+    async has(pieceCid) {
+        return (await this._lookup(pieceCid)) !== null;
+    }
+
+    async set(pieceCid, data) {
+        if (data.length > this.maxBytes) return;
+
+        this._writeQueue = this._writeQueue.catch(() => {}).then(async () => {
+            const cache = await this._open();
+            const key = KEY_PREFIX + pieceCid;
+
+            const entries = [];
+            for (const request of await cache.keys()) {
+                if (request.url === key) continue;
+                const response = await cache.match(request);
+                if (!response) continue;
+                if (this._expired(response)) {
+                    await cache.delete(request);
+                    continue;
+                }
+                entries.push({
+                    request,
+                    size: Number(response.headers.get(SIZE)),
+                    usedAt: Number(response.headers.get(USED_AT))
+                });
+            }
+
+            let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+            entries.sort((a, b) => a.usedAt - b.usedAt);
+            for (const entry of entries) {
+                if (total + data.length <= this.maxBytes) break;
+                await cache.delete(entry.request);
+                total -= entry.size;
+            }
+
+            await cache.put(key, this._response(data, Date.now()));
+        });
+        return this._writeQueue;
+    }
+
+    async delete(pieceCid) {
+        return await (await this._open()).delete(KEY_PREFIX + pieceCid);
+    }
+
+    async clear() {
+        await this._caches?.delete(this.cacheName);
+        this._cache = null;
+    }
+}
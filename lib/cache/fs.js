@@ -0,0 +1,153 @@
+import { ValidationError } from '../errors.js';
+import { loadFs, loadPath } from '#platform';
+import { assertCacheLimits } from './memory.js';
+
+const DEFAULT_MAX_BYTES = 1024 * 1024 * 1024;
+
+// PieceCIDs are base32; anything else could escape the cache directory
+const SAFE_KEY = /^[a-z0-9]+$/i;
+
+/**
+ * Download cache stored as one file per piece in a directory (Node.js
+ * only). A file's modification time records when it was stored, for
+ * `ttlMs`; its access time is bumped on every hit, for LRU eviction.
+ */
+export class FileSystemCache {
+    /**
+     * @param {Object} options
+     * @param {string} options.directory - Cache directory; created if missing
+     * @param {number} [options.maxBytes] - Total bytes kept before the least recently used pieces are evicted (default 1 GiB)
+     * @param {number} [options.ttlMs=0] - Drop entries this long after they were stored; 0 keeps them until evicted
+     */
+    constructor({ directory, maxBytes = DEFAULT_MAX_BYTES, ttlMs = 0 } = {}) {
+        if (!directory) {
+            throw new ValidationError('FileSystemCache requires a directory');
+        }
+        assertCacheLimits({ maxBytes, ttlMs });
+        this.directory = directory;
+        this.maxBytes = maxBytes;
+        this.ttlMs = ttlMs;
+        this._writeQueue = Promise.resolve();
+    }
+
+    async _path(pieceCid) {
+        const key = String(pieceCid);
+        if (!SAFE_KEY.test(key)) {
+            throw new ValidationError(`Invalid PieceCID for cache: ${key}`);
+        }
+        const { join } = await loadPath();
+        return join(this.directory, key);
+    }
+
+    _expired(stats) {
+        return this.ttlMs > 0 && stats.mtimeMs + this.ttlMs <= Date.now();
+    }
+
+    async _stat(path) {
+        const { stat, rm } = await loadFs();
+        try {
+            const stats = await stat(path);
+            if (!this._expired(stats)) return stats;
+            await rm(path, { force: true });
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return null;
+    }
+
+    async get(pieceCid) {
+        const path = await this._path(pieceCid);
+        const stats = await this._stat(path);
+        if (!stats) return null;
+
+        const { readFile, utimes } = await loadFs();
+        try {
+            const data = new Uint8Array(await readFile(path));
+            await utimes(path, new Date(), stats.mtime);
+            return data;
+        } catch (error) {
+            // Evicted by a concurrent write
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async has(pieceCid) {
+        return (await this._stat(await this._path(pieceCid))) !== null;
+    }
+
+    async set(pieceCid, data) {
+        const path = await this._path(pieceCid);
+        if (data.length > this.maxBytes) return;
+
+        // Serialize writes so eviction sees a consistent directory
+        this._writeQueue = this._writeQueue.catch(() => {}).then(async () => {
+            const { writeFile, rename, mkdir } = await loadFs();
+            await mkdir(this.directory, { recursive: true });
+            await this._evict(data.length, path);
+            const tmpPath = `${path}.tmp`;
+            await writeFile(tmpPath, data);
+            await rename(tmpPath, path);
+        });
+        return this._writeQueue;
+    }
+
+    /**
+     * Remove expired entries, then least recently used ones until `incoming`
+     * more bytes fit
+     * @param {number} incoming - Size of the entry about to be written
+     * @param {string} replacing - Path of that entry, which does not count
+     */
+    async _evict(incoming, replacing) {
+        const { readdir, stat, rm } = await loadFs();
+        const { join } = await loadPath();
+
+        const entries = [];
+        for (const name of await readdir(this.directory)) {
+            if (!SAFE_KEY.test(name)) continue;
+            const path = join(this.directory, name);
+            if (path === replacing) continue;
+            try {
+                const stats = await stat(path);
+                if (this._expired(stats)) {
+                    await rm(path, { force: true });
+                } else {
+                    entries.push({ path, size: stats.size, usedAt: stats.atimeMs });
+                }
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+
+        let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+        entries.sort((a, b) => a.usedAt - b.usedAt);
+        for (const entry of entries) {
+            if (total + incoming <= this.maxBytes) break;
+            await rm(entry.path, { force: true });
+            total -= entry.size;
+        }
+    }
+
+    async delete(pieceCid) {
+        const path = await this._path(pieceCid);
+        const { rm } = await loadFs();
+        const existed = (await this._stat(path)) !== null;
+        await rm(path, { force: true });
+        return existed;
+    }
+
+    async clear() {
+        const { readdir, rm } = await loadFs();
+        const { join } = await loadPath();
+        let names = [];
+        try {
+            names = await readdir(this.directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return;
+            throw error;
+        }
+        await Promise.all(names
+            .filter((name) => SAFE_KEY.test(name))
+            .map((name) => rm(join(this.directory, name), { force: true })));
+    }
+}
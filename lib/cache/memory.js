@@ -0,0 +1,105 @@
+import { ValidationError } from '../errors.js';
+
+/**
+ * Download cache interface
+ *
+ * A download cache keeps raw piece bytes keyed by PieceCID. Pieces are
+ * content-addressed, so a cached piece never goes stale; `ttlMs` only bounds
+ * how long unused data is kept. All methods are async.
+ *
+ *   get(pieceCid)        -> Uint8Array, or null on a miss or expired entry
+ *   has(pieceCid)        -> boolean
+ *   set(pieceCid, data)  -> void; evicts older entries to stay within maxBytes
+ *   delete(pieceCid)     -> boolean, whether an entry was removed
+ *   clear()              -> void
+ */
+
+export const DEFAULT_CACHE_MAX_BYTES = 100 * 1024 * 1024;
+
+/**
+ * Validate the options shared by every cache implementation
+ * @param {Object} options
+ * @param {number} options.maxBytes
+ * @param {number} options.ttlMs
+ */
+export function assertCacheLimits({ maxBytes, ttlMs }) {
+    if (!Number.isFinite(maxBytes) || maxBytes < 0) {
+        throw new ValidationError('maxBytes must be a non-negative number');
+    }
+    if (!Number.isFinite(ttlMs) || ttlMs < 0) {
+        throw new ValidationError('ttlMs must be a non-negative number (0 disables expiry)');
+    }
+}
+
+/**
+ * In-memory least-recently-used download cache
+ */
+export class MemoryCache {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxBytes] - Total bytes kept before the least recently used pieces are evicted (default 100 MiB)
+     * @param {number} [options.ttlMs=0] - Drop entries this long after they were stored; 0 keeps them until evicted
+     */
+    constructor({ maxBytes = DEFAULT_CACHE_MAX_BYTES, ttlMs = 0 } = {}) {
+        assertCacheLimits({ maxBytes, ttlMs });
+        this.maxBytes = maxBytes;
+        this.ttlMs = ttlMs;
+        this.size = 0;
+        // Map iteration order doubles as recency order, oldest first
+        this.entries = new Map();
+    }
+
+    _live(pieceCid) {
+        const entry = this.entries.get(pieceCid);
+        if (!entry) return null;
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this._remove(pieceCid);
+            return null;
+        }
+        return entry;
+    }
+
+    _remove(pieceCid) {
+        const entry = this.entries.get(pieceCid);
+        if (!entry) return false;
+        this.entries.delete(pieceCid);
+        this.size -= entry.data.length;
+        return true;
+    }
+
+    async get(pieceCid) {
+        const entry = this._live(pieceCid);
+        if (!entry) return null;
+        this.entries.delete(pieceCid);
+        this.entries.set(pieceCid, entry);
+        // Hand out copies so callers cannot corrupt the cached bytes
+        return entry.data.slice();
+    }
+
+    async has(pieceCid) {
+        return this._live(pieceCid) !== null;
+    }
+
+    async set(pieceCid, data) {
+        this._remove(pieceCid);
+        if (data.length > this.maxBytes) return;
+
+        while (this.size + data.length > this.maxBytes) {
+            this._remove(this.entries.keys().next().value);
+        }
+        this.entries.set(pieceCid, {
+            data: data.slice(),
+            expiresAt: this.ttlMs ? Date.now() + this.ttlMs : 0
+        });
+        this.size += data.length;
+    }
+
+    async delete(pieceCid) {
+        return this._remove(pieceCid);
+    }
+
+    async clear() {
+        this.entries.clear();
+        this.size = 0;
+    }
+}
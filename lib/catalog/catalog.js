@@ -0,0 +1,192 @@
+import { MemoryCatalogStore } from './memory.js';
+import { PieceNotFoundError, ValidationError } from '../errors.js';
+
+const SORT_FIELDS = ['timestamp', 'size', 'filename', 'mimeType'];
+const DEFAULT_PAGE_SIZE = 50;
+
+/**
+ * Normalise user tags into a sorted list of unique, non-empty strings
+ * @param {string|string[]} tags
+ * @returns {string[]}
+ */
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : [tags];
+    const cleaned = list.map((tag) => {
+        if (typeof tag !== 'string' || tag.trim() === '') {
+            throw new ValidationError('Tags must be non-empty strings');
+        }
+        return tag.trim();
+    });
+    return [...new Set(cleaned)].sort();
+}
+
+/**
+ * Check whether an entry matches a listFiles filter
+ * @param {Object} entry - Catalog entry
+ * @param {Object} filter - Filter criteria
+ * @returns {boolean}
+ */
+function matchesFilter(entry, filter) {
+    const { filename, mimeType, tags, minSize, maxSize, since, until } = filter;
+
+    if (filename !== undefined) {
+        const name = entry.filename ?? '';
+        const matched = filename instanceof RegExp
+            ? filename.test(name)
+            : name.toLowerCase().includes(String(filename).toLowerCase());
+        if (!matched) return false;
+    }
+    if (mimeType !== undefined) {
+        const type = entry.mimeType ?? '';
+        // 'image/' matches every image type, 'image/png' only PNGs
+        const matched = mimeType.endsWith('/') ? type.startsWith(mimeType) : type === mimeType;
+        if (!matched) return false;
+    }
+    if (tags !== undefined && !normalizeTags(tags).every((tag) => entry.tags.includes(tag))) {
+        return false;
+    }
+    if (minSize !== undefined && entry.size < minSize) return false;
+    if (maxSize !== undefined && entry.size > maxSize) return false;
+    if (since !== undefined && entry.timestamp < Number(since)) return false;
+    if (until !== undefined && entry.timestamp > Number(until)) return false;
+    return true;
+}
+
+/**
+ * Local index of uploaded pieces
+ */
+export class Catalog {
+    /**
+     * @param {Object} [store] - Catalog store (defaults to an in-memory store).
+     *   See `./memory.js` for the store interface.
+     */
+    constructor(store = new MemoryCatalogStore()) {
+        this.store = store;
+    }
+
+    /**
+     * Record an upload, replacing any previous entry for the same PieceCID
+     * while keeping its tags
+     * @param {Object} info - Upload details
+     * @param {string} info.pieceCid - PieceCID of the upload
+     * @param {number} info.size - Size in bytes
+     * @param {number} [info.timestamp] - Upload time (ms since epoch)
+     * @param {string} [info.filename] - Filename
+     * @param {string} [info.mimeType] - MIME type
+     * @param {Object} [info.metadata] - User metadata
+     * @param {string} [info.sha256] - Hex SHA-256 of the content
+     * @param {string} [info.gatewayURL] - IPFS gateway URL, if pinned
+     * @param {string[]} [info.tags] - User tags
+     * @param {boolean} [info.encrypted] - Whether the content is encrypted
+     * @param {boolean} [info.chunked] - Whether the PieceCID is a chunk manifest
+     * @returns {Promise<Object>} - The stored entry
+     */
+    async record(info) {
+        const pieceCid = String(info.pieceCid);
+        const existing = await this.store.get(pieceCid);
+        const tags = normalizeTags([...(existing?.tags ?? []), ...(info.tags ?? [])]);
+
+        const entry = {
+            pieceCid,
+            filename: info.filename ?? null,
+            mimeType: info.mimeType ?? null,
+            metadata: info.metadata ?? null,
+            size: info.size,
+            sha256: info.sha256 ?? null,
+            gatewayURL: info.gatewayURL ?? null,
+            tags,
+            encrypted: Boolean(info.encrypted),
+            chunked: Boolean(info.chunked),
+            timestamp: info.timestamp ?? Date.now()
+        };
+        await this.store.put(entry);
+        return entry;
+    }
+
+    /**
+     * @param {string} pieceCid
+     * @returns {Promise<Object|null>}
+     */
+    async get(pieceCid) {
+        return await this.store.get(String(pieceCid));
+    }
+
+    /**
+     * List entries with optional filtering, sorting and pagination
+     * @param {Object} [options]
+     * @param {Object|Function} [options.filter] - Filter criteria or predicate
+     * @param {{by?: string, order?: 'asc'|'desc'}} [options.sort] - Sort order (default newest first)
+     * @param {{offset?: number, limit?: number}} [options.paginate] - Page window (default first 50)
+     * @returns {Promise<{items: Object[], total: number, offset: number, limit: number}>}
+     */
+    async list({ filter, sort = {}, paginate = {} } = {}) {
+        const { by = 'timestamp', order = 'desc' } = sort;
+        if (!SORT_FIELDS.includes(by)) {
+            throw new ValidationError(`Cannot sort by "${by}". Use one of: ${SORT_FIELDS.join(', ')}`);
+        }
+        if (order !== 'asc' && order !== 'desc') {
+            throw new ValidationError('Sort order must be "asc" or "desc"');
+        }
+
+        const { offset = 0, limit = DEFAULT_PAGE_SIZE } = paginate;
+        if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1) {
+            throw new ValidationError('Pagination offset must be >= 0 and limit must be >= 1');
+        }
+
+        let entries = await this.store.list();
+        if (typeof filter === 'function') {
+            entries = entries.filter(filter);
+        } else if (filter) {
+            entries = entries.filter((entry) => matchesFilter(entry, filter));
+        }
+
+        const direction = order === 'asc' ? 1 : -1;
+        entries.sort((a, b) => {
+            const left = a[by] ?? '';
+            const right = b[by] ?? '';
+            if (left < right) return -direction;
+            if (left > right) return direction;
+            return 0;
+        });
+
+        return {
+            items: entries.slice(offset, offset + limit),
+            total: entries.length,
+            offset,
+            limit
+        };
+    }
+
+    /**
+     * Add tags to an entry
+     * @param {string} pieceCid
+     * @param {string|string[]} tags - Tags to add
+     * @param {Object} [options]
+     * @param {boolean} [options.replace=false] - Replace existing tags instead of adding
+     * @returns {Promise<Object>} - Updated entry
+     */
+    async tag(pieceCid, tags, { replace = false } = {}) {
+        const entry = await this.store.get(String(pieceCid));
+        if (!entry) {
+            throw new PieceNotFoundError(pieceCid, {
+                message: `PieceCID ${pieceCid} is not in the catalog`
+            });
+        }
+
+        const newTags = normalizeTags(tags);
+        const updated = {
+            ...entry,
+            tags: replace ? newTags : normalizeTags([...entry.tags, ...newTags])
+        };
+        await this.store.put(updated);
+        return updated;
+    }
+
+    /**
+     * @param {string} pieceCid
+     * @returns {Promise<boolean>} - Whether an entry was removed
+     */
+    async remove(pieceCid) {
+        return await this.store.delete(String(pieceCid));
+    }
+}
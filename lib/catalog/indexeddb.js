@@ -0,0 +1,16 @@
+import { IndexedDBStore } from '../store/indexeddb.js';
+
+/**
+ * Catalog store persisted in IndexedDB (browser)
+ */
+export class IndexedDBCatalogStore extends IndexedDBStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dbName='filecoin-storage-sdk'] - Database name
+     * @param {string} [options.storeName='catalog'] - Object store name
+     * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation (defaults to the global one)
+     */
+    constructor(options = {}) {
+        super(options, { dbName: 'filecoin-storage-sdk', storeName: 'catalog', keyPath: 'pieceCid' });
+    }
+}
@@ -0,0 +1,21 @@
+import { JsonFileStore } from '../store/json-file.js';
+
+/**
+ * Catalog store persisted to a JSON file on disk (Node.js only).
+ * The file is read once on first use and rewritten atomically after every
+ * change.
+ */
+export class JsonFileCatalogStore extends JsonFileStore {
+    /**
+     * @param {string} filePath - Path of the JSON file; created if missing
+     */
+    constructor(filePath) {
+        super(filePath, {
+            name: 'JsonFileCatalogStore',
+            kind: 'catalog',
+            collection: 'files',
+            keyPath: 'pieceCid',
+            errorCode: 'CATALOG_ERROR'
+        });
+    }
+}
@@ -0,0 +1,32 @@
+/**
+ * Catalog store interface
+ *
+ * A catalog store persists catalog entries keyed by PieceCID. All methods are
+ * async so stores can be backed by files, IndexedDB or a remote database.
+ *
+ *   get(pieceCid)   -> entry or null
+ *   put(entry)      -> void, inserts or replaces `entry` (keyed by entry.pieceCid)
+ *   delete(pieceCid) -> boolean, whether an entry was removed
+ *   list()          -> entry[], every stored entry
+ */
+export class MemoryCatalogStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(pieceCid) {
+        return this.entries.get(pieceCid) ?? null;
+    }
+
+    async put(entry) {
+        this.entries.set(entry.pieceCid, entry);
+    }
+
+    async delete(pieceCid) {
+        return this.entries.delete(pieceCid);
+    }
+
+    async list() {
+        return [...this.entries.values()];
+    }
+}
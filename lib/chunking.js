@@ -0,0 +1,149 @@
+import { IntegrityError, ValidationError } from './errors.js';
+
+// Largest payload Synapse accepts for a single piece (200 MiB)
+export const MAX_PIECE_SIZE = 209715200;
+
+export const MANIFEST_TYPE = 'filecoin-storage-sdk/chunked-manifest';
+export const MANIFEST_VERSION = 1;
+
+// Manifest pieces are the magic "FSMAN" followed by the manifest JSON. Uploads
+// whose content starts with the magic are stored behind a metadata header, so
+// only manifests written by the SDK start with it.
+const MAGIC = [0x46, 0x53, 0x4d, 0x41, 0x4e];
+
+/**
+ * Ensure a chunk size fits within a single piece
+ * @param {number} chunkSize - Requested chunk size in bytes
+ */
+export function assertChunkSize(chunkSize) {
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_PIECE_SIZE) {
+        throw new ValidationError(`chunkSize must be an integer between 1 and ${MAX_PIECE_SIZE} bytes`);
+    }
+}
+
+/**
+ * Split bytes into consecutive chunks of at most `chunkSize` bytes
+ * @param {Uint8Array} data - Bytes to split
+ * @param {number} chunkSize - Maximum chunk size in bytes
+ * @returns {Uint8Array[]} - Views onto `data`, in order
+ */
+export function splitIntoChunks(data, chunkSize) {
+    assertChunkSize(chunkSize);
+
+    const chunks = [];
+    for (let offset = 0; offset < data.length; offset += chunkSize) {
+        chunks.push(data.subarray(offset, Math.min(offset + chunkSize, data.length)));
+    }
+    return chunks;
+}
+
+/**
+ * Build the manifest describing a chunked upload
+ * @param {Object} params
+ * @param {string} [params.filename] - Original filename
+ * @param {number} params.totalSize - Size of the reassembled file in bytes
+ * @param {number} params.chunkSize - Chunk size used when splitting
+ * @param {string} [params.sha256] - Hex SHA-256 of the whole file, when known up front
+ * @param {string} [params.mimeType] - MIME type of the file
+ * @param {Object} [params.metadata] - User metadata attached to the upload
+ * @param {string} [params.compression] - 'gzip' or 'brotli' when the chunks hold compressed content
+ *   (starting with its compression header)
+ * @param {boolean} [params.encrypted] - Whether the chunks hold an encryption envelope rather than the content
+ * @param {Array<{pieceCid: string, size: number, sha256: string}>} params.chunks - Chunks in order
+ * @returns {Object} - Manifest object
+ */
+export function buildChunkManifest({
+    filename, totalSize, chunkSize, sha256, mimeType, metadata, compression, encrypted, chunks
+}) {
+    const manifest = {
+        type: MANIFEST_TYPE,
+        version: MANIFEST_VERSION,
+        totalSize,
+        chunkSize,
+        chunks: chunks.map((chunk, index) => ({
+            index,
+            pieceCid: chunk.pieceCid,
+            size: chunk.size,
+            sha256: chunk.sha256
+        }))
+    };
+    if (sha256) manifest.sha256 = sha256;
+    if (filename) manifest.filename = filename;
+    if (mimeType) manifest.mimeType = mimeType;
+    if (metadata) manifest.metadata = metadata;
+    if (compression) manifest.compression = compression;
+    if (encrypted) manifest.encrypted = true;
+    return manifest;
+}
+
+/**
+ * Check whether bytes start with the chunk manifest magic
+ * @param {Uint8Array} data
+ * @returns {boolean}
+ */
+export function isChunkManifest(data) {
+    return data.length >= MAGIC.length && MAGIC.every((byte, i) => data[i] === byte);
+}
+
+/**
+ * Encode a manifest as the bytes of a manifest piece
+ * @param {Object} manifest - Manifest from `buildChunkManifest`
+ * @returns {Uint8Array}
+ */
+export function encodeChunkManifest(manifest) {
+    const json = new TextEncoder().encode(JSON.stringify(manifest));
+    const output = new Uint8Array(MAGIC.length + json.length);
+    output.set(MAGIC, 0);
+    output.set(json, MAGIC.length);
+    return output;
+}
+
+/**
+ * Check whether downloaded bytes are a chunk manifest and parse them if so
+ * @param {Uint8Array} data - Downloaded piece bytes
+ * @returns {Object|null} - Manifest object, or null if `data` is not a manifest
+ * @throws {IntegrityError} If `data` starts with the manifest magic but holds no valid manifest
+ */
+export function parseChunkManifest(data) {
+    if (!isChunkManifest(data)) {
+        return null;
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(data.subarray(MAGIC.length)));
+    } catch (error) {
+        throw new IntegrityError('Chunk manifest is corrupt', { cause: error });
+    }
+
+    if (
+        manifest?.type !== MANIFEST_TYPE ||
+        manifest.version !== MANIFEST_VERSION ||
+        !Array.isArray(manifest.chunks)
+    ) {
+        throw new IntegrityError('Unsupported chunk manifest', {
+            details: { type: manifest?.type, version: manifest?.version }
+        });
+    }
+
+    let total = 0;
+    for (const [index, chunk] of manifest.chunks.entries()) {
+        if (
+            typeof chunk?.pieceCid !== 'string' ||
+            typeof chunk.sha256 !== 'string' ||
+            !Number.isSafeInteger(chunk.size) ||
+            chunk.size < 0
+        ) {
+            throw new IntegrityError(`Chunk manifest entry ${index} is malformed`, {
+                details: { index }
+            });
+        }
+        total += chunk.size;
+    }
+    if (manifest.totalSize !== total) {
+        throw new IntegrityError(`Chunk manifest totalSize ${manifest.totalSize} does not match its ${total} chunk bytes`, {
+            details: { expected: total, actual: manifest.totalSize }
+        });
+    }
+    return manifest;
+}
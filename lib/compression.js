@@ -0,0 +1,247 @@
+import { IntegrityError, ValidationError } from './errors.js';
+import { mimeEssence } from './metadata.js';
+import { isNode, loadStream, loadZlib } from '#platform';
+
+// Header layout (integers big-endian):
+//   magic "FSZIP" (5) | version (1) | algorithm (1) | original length (8) | compressed bytes
+const MAGIC = [0x46, 0x53, 0x5a, 0x49, 0x50];
+export const COMPRESSION_HEADER_VERSION = 1;
+export const COMPRESSION_HEADER_LENGTH = MAGIC.length + 1 + 1 + 8;
+
+const ALGORITHM_IDS = { gzip: 1, brotli: 2 };
+const ALGORITHM_NAMES = { 1: 'gzip', 2: 'brotli' };
+
+export const COMPRESSION_MODES = ['gzip', 'brotli', 'auto'];
+
+// zlib defaults brotli to quality 11, which is far slower than gzip on large
+// payloads for a few percent gain
+const BROTLI_QUALITY = 6;
+
+// Types whose content is already compressed; `auto` leaves them alone
+const COMPRESSED_TYPES = new Set([
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'image/avif',
+    'application/zip',
+    'application/gzip',
+    'application/x-gzip',
+    'application/x-7z-compressed',
+    'application/x-rar-compressed',
+    'application/wasm',
+    'font/woff',
+    'font/woff2'
+]);
+
+/**
+ * Check that a `compress` option is one of the supported modes
+ * @param {string} mode
+ */
+export function assertCompressionMode(mode) {
+    if (!COMPRESSION_MODES.includes(mode)) {
+        throw new ValidationError(`compress must be one of: ${COMPRESSION_MODES.join(', ')}`);
+    }
+}
+
+/**
+ * Check whether bytes start with a compression header
+ * @param {Uint8Array} data
+ * @returns {boolean}
+ */
+export function isCompressed(data) {
+    return data.length >= COMPRESSION_HEADER_LENGTH && MAGIC.every((byte, i) => data[i] === byte);
+}
+
+/**
+ * Whether the runtime can compress and decompress with an algorithm: Node.js
+ * through zlib, browsers through CompressionStream (usually gzip only)
+ * @param {string} algorithm - 'gzip' or 'brotli'
+ * @returns {boolean}
+ */
+export function supportsAlgorithm(algorithm) {
+    if (isNode) return true;
+    if (typeof CompressionStream === 'undefined') return false;
+    try {
+        new CompressionStream(algorithm);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Run bytes through a web CompressionStream or DecompressionStream
+ * @param {Uint8Array} data
+ * @param {TransformStream} transform
+ * @returns {Promise<Uint8Array>}
+ */
+async function transformBytes(data, transform) {
+    const stream = new Blob([data]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Call a callback-style zlib function
+ * @param {Function} fn - e.g. zlib.gzip
+ * @param {Uint8Array} data
+ * @param {Object} [options]
+ * @returns {Promise<Uint8Array>}
+ */
+function runZlib(fn, data, options = {}) {
+    return new Promise((resolve, reject) => {
+        fn(data, options, (error, output) => {
+            if (error) reject(error);
+            else resolve(new Uint8Array(output.buffer, output.byteOffset, output.byteLength));
+        });
+    });
+}
+
+/**
+ * Compress bytes with zlib (Node.js) or CompressionStream
+ * @param {Uint8Array} data
+ * @param {string} algorithm - 'gzip' or 'brotli'
+ * @returns {Promise<Uint8Array>}
+ */
+async function compressBytes(data, algorithm) {
+    if (isNode) {
+        const zlib = await loadZlib();
+        return algorithm === 'brotli'
+            ? await runZlib(zlib.brotliCompress, data, {
+                params: {
+                    [zlib.constants.BROTLI_PARAM_QUALITY]: BROTLI_QUALITY,
+                    [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+                }
+            })
+            : await runZlib(zlib.gzip, data);
+    }
+    return await transformBytes(data, new CompressionStream(algorithm));
+}
+
+/**
+ * Decompress bytes with zlib (Node.js) or DecompressionStream
+ * @param {Uint8Array} data
+ * @param {string} algorithm - 'gzip' or 'brotli'
+ * @returns {Promise<Uint8Array>}
+ */
+async function decompressBytes(data, algorithm) {
+    if (isNode) {
+        const zlib = await loadZlib();
+        return await runZlib(algorithm === 'brotli' ? zlib.brotliDecompress : zlib.gunzip, data);
+    }
+    return await transformBytes(data, new DecompressionStream(algorithm));
+}
+
+/**
+ * Compress content for upload, unless that would not make it smaller
+ * @param {Uint8Array} data - Content bytes
+ * @param {string} mode - 'gzip', 'brotli' or 'auto' (brotli where available, gzip otherwise;
+ *   skips types that are already compressed)
+ * @param {string} [mimeType] - Content type, used by 'auto'
+ * @returns {Promise<{algorithm: string, data: Uint8Array}|null>} - Header and compressed bytes, or null
+ *   when compression was skipped
+ */
+export async function compress(data, mode, mimeType) {
+    assertCompressionMode(mode);
+    if (mode === 'auto' && mimeType && COMPRESSED_TYPES.has(mimeEssence(mimeType))) {
+        return null;
+    }
+
+    const algorithm = mode === 'auto' ? (supportsAlgorithm('brotli') ? 'brotli' : 'gzip') : mode;
+    if (!supportsAlgorithm(algorithm)) {
+        throw new ValidationError(`${algorithm} compression is not available in this environment`);
+    }
+
+    const compressed = await compressBytes(data, algorithm);
+    if (COMPRESSION_HEADER_LENGTH + compressed.length >= data.length) {
+        return null;
+    }
+
+    const output = new Uint8Array(COMPRESSION_HEADER_LENGTH + compressed.length);
+    output.set(MAGIC, 0);
+    output[MAGIC.length] = COMPRESSION_HEADER_VERSION;
+    output[MAGIC.length + 1] = ALGORITHM_IDS[algorithm];
+    new DataView(output.buffer).setBigUint64(MAGIC.length + 2, BigInt(data.length));
+    output.set(compressed, COMPRESSION_HEADER_LENGTH);
+    return { algorithm, data: output };
+}
+
+/**
+ * Read the compression header of some bytes
+ * @param {Uint8Array} data - Bytes starting with a compression header
+ * @returns {{algorithm: string, originalSize: number}}
+ */
+export function readCompressionHeader(data) {
+    const algorithm = ALGORITHM_NAMES[data[MAGIC.length + 1]];
+    if (data[MAGIC.length] !== COMPRESSION_HEADER_VERSION || !algorithm) {
+        throw new IntegrityError('Unsupported compression header');
+    }
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    return { algorithm, originalSize: Number(view.getBigUint64(MAGIC.length + 2)) };
+}
+
+/**
+ * Restore content compressed by `compress`
+ * @param {Uint8Array} data - Bytes starting with a compression header
+ * @returns {Promise<Uint8Array>}
+ * @throws {IntegrityError} If the compressed data is corrupt
+ */
+export async function decompress(data) {
+    const { algorithm, originalSize } = readCompressionHeader(data);
+    if (!supportsAlgorithm(algorithm)) {
+        throw new ValidationError(`${algorithm} decompression is not available in this environment`);
+    }
+
+    let output;
+    try {
+        output = await decompressBytes(data.subarray(COMPRESSION_HEADER_LENGTH), algorithm);
+    } catch (error) {
+        throw new IntegrityError(`Compressed data is corrupt: ${error.message}`, { cause: error });
+    }
+    if (output.length !== originalSize) {
+        throw new IntegrityError(`Decompressed ${output.length} bytes, expected ${originalSize}`);
+    }
+    return output;
+}
+
+/**
+ * Decompress a stream of bytes that starts with a compression header
+ * (chunked uploads read one chunk at a time)
+ * @param {ReadableStream<Uint8Array>} source
+ * @param {string} algorithm - From the chunk manifest
+ * @returns {Promise<ReadableStream<Uint8Array>>}
+ */
+export async function decompressStream(source, algorithm) {
+    if (!supportsAlgorithm(algorithm)) {
+        throw new ValidationError(`${algorithm} decompression is not available in this environment`);
+    }
+
+    let skip = COMPRESSION_HEADER_LENGTH;
+    const stripHeader = new TransformStream({
+        transform(chunk, controller) {
+            if (skip >= chunk.length) {
+                skip -= chunk.length;
+                return;
+            }
+            controller.enqueue(skip > 0 ? chunk.subarray(skip) : chunk);
+            skip = 0;
+        }
+    });
+
+    let decompressor;
+    if (isNode) {
+        const zlib = await loadZlib();
+        const { Duplex } = await loadStream();
+        decompressor = Duplex.toWeb(algorithm === 'brotli' ? zlib.createBrotliDecompress() : zlib.createGunzip());
+    } else {
+        decompressor = new DecompressionStream(algorithm);
+    }
+
+    // Node's web streams hand out Buffers; expose plain Uint8Arrays like every other download stream
+    const toBytes = new TransformStream({
+        transform(chunk, controller) {
+            controller.enqueue(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength));
+        }
+    });
+    return source.pipeThrough(stripHeader).pipeThrough(decompressor).pipeThrough(toBytes);
+}
@@ -0,0 +1,48 @@
+import { ValidationError } from './errors.js';
+
+export const DEFAULT_CONCURRENCY = 3;
+
+/**
+ * Check that a concurrency limit is a positive integer
+ * @param {number} concurrency
+ */
+export function assertConcurrency(concurrency) {
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+        throw new ValidationError('concurrency must be a positive integer');
+    }
+}
+
+/**
+ * Run `task` over every item with at most `concurrency` tasks in flight.
+ * A failing task does not stop the others; each outcome is reported in the
+ * same order as `items`. Once `signal` is aborted no new tasks are started
+ * and the remaining items fail with the abort reason.
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} concurrency
+ * @param {(item: T, index: number) => Promise<R>} task
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<Array<{ok: true, value: R}|{ok: false, error: Error}>>}
+ */
+export async function settleWithConcurrency(items, concurrency, task, signal) {
+    assertConcurrency(concurrency);
+
+    const outcomes = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            try {
+                signal?.throwIfAborted();
+                outcomes[index] = { ok: true, value: await task(items[index], index) };
+            } catch (error) {
+                outcomes[index] = { ok: false, error };
+            }
+        }
+    };
+
+    const workers = Array.from({ length: Math.min(concurrency, items.length) }, worker);
+    await Promise.all(workers);
+    return outcomes;
+}
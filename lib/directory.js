@@ -0,0 +1,206 @@
+import { ValidationError } from './errors.js';
+import { loadFs, loadPath } from '#platform';
+
+export const DIRECTORY_MANIFEST_TYPE = 'filecoin-storage-sdk/directory-manifest';
+export const DIRECTORY_MANIFEST_VERSION = 1;
+
+// Fallback MIME types by extension, for files that do not carry their own
+const MIME_TYPES = {
+    html: 'text/html',
+    htm: 'text/html',
+    css: 'text/css',
+    js: 'text/javascript',
+    mjs: 'text/javascript',
+    json: 'application/json',
+    txt: 'text/plain',
+    md: 'text/markdown',
+    xml: 'application/xml',
+    svg: 'image/svg+xml',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    avif: 'image/avif',
+    ico: 'image/x-icon',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    pdf: 'application/pdf',
+    wasm: 'application/wasm',
+    woff: 'font/woff',
+    woff2: 'font/woff2',
+    zip: 'application/zip'
+};
+
+/**
+ * Guess a MIME type from a file extension
+ * @param {string} path
+ * @returns {string}
+ */
+export function mimeTypeFromPath(path) {
+    const extension = path.split('/').pop().split('.').pop().toLowerCase();
+    return MIME_TYPES[extension] ?? 'application/octet-stream';
+}
+
+/**
+ * Normalise a path inside a directory to forward-slash form and reject
+ * anything that could escape the directory
+ * @param {string} path - Relative path, with `/` or `\` separators
+ * @returns {string}
+ */
+export function normalizeRelativePath(path) {
+    const segments = String(path).split(/[\\/]+/).filter((segment) => segment && segment !== '.');
+    if (segments.length === 0 || segments.includes('..') || /^[a-zA-Z]:$/.test(segments[0])) {
+        throw new ValidationError(`Invalid path in directory: ${path}`);
+    }
+    return segments.join('/');
+}
+
+/**
+ * Build the manifest describing an uploaded directory
+ * @param {Object} params
+ * @param {string} [params.name] - Directory name
+ * @param {Array<{path: string, pieceCid: string|null, size: number, mimeType: string}>} params.files -
+ *   Files in the directory; empty files are not uploaded and have no PieceCID
+ * @returns {Object} - Manifest object, files sorted by path
+ */
+export function buildDirectoryManifest({ name, files }) {
+    const manifest = {
+        type: DIRECTORY_MANIFEST_TYPE,
+        version: DIRECTORY_MANIFEST_VERSION,
+        totalSize: files.reduce((sum, file) => sum + file.size, 0),
+        files: files
+            .map((file) => ({
+                path: file.path,
+                pieceCid: file.pieceCid ? String(file.pieceCid) : null,
+                size: file.size,
+                mimeType: file.mimeType
+            }))
+            .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0))
+    };
+    if (name) manifest.name = name;
+    return manifest;
+}
+
+/**
+ * Parse downloaded bytes as a directory manifest
+ * @param {Uint8Array} data - Downloaded piece bytes
+ * @returns {Object|null} - Manifest object, or null if `data` is not a directory manifest
+ */
+export function parseDirectoryManifest(data) {
+    if (data[0] !== 0x7b) {
+        return null;
+    }
+
+    let manifest;
+    try {
+        manifest = JSON.parse(new TextDecoder().decode(data));
+    } catch {
+        return null;
+    }
+
+    if (
+        manifest?.type !== DIRECTORY_MANIFEST_TYPE ||
+        manifest.version !== DIRECTORY_MANIFEST_VERSION ||
+        !Array.isArray(manifest.files)
+    ) {
+        return null;
+    }
+    return manifest;
+}
+
+/**
+ * List the files of a local directory (Node.js), recursively
+ * @param {string} root - Directory path
+ * @returns {Promise<{name: string, entries: Array<{path: string, size: number, mimeType: string, read: () => Promise<Uint8Array>}>}>}
+ */
+async function collectLocalDirectory(root) {
+    const fs = await loadFs();
+    const nodePath = await loadPath();
+
+    const entries = [];
+    const walk = async (dir, prefix) => {
+        const children = await fs.readdir(dir, { withFileTypes: true });
+        for (const child of children) {
+            const absolute = nodePath.join(dir, child.name);
+            const relative = prefix ? `${prefix}/${child.name}` : child.name;
+            if (child.isDirectory()) {
+                await walk(absolute, relative);
+            } else if (child.isFile()) {
+                const { size } = await fs.stat(absolute);
+                entries.push({
+                    path: relative,
+                    size,
+                    mimeType: mimeTypeFromPath(relative),
+                    read: async () => new Uint8Array(await fs.readFile(absolute))
+                });
+            }
+        }
+    };
+
+    await walk(root, '');
+    return { name: nodePath.basename(nodePath.resolve(root)), entries };
+}
+
+/**
+ * List the files of a browser FileList (e.g. from `<input webkitdirectory>`)
+ * or an array of Files. The folder name that prefixes every
+ * `webkitRelativePath` becomes the directory name.
+ * @param {FileList|File[]} files
+ * @returns {{name: string|undefined, entries: Array<{path: string, size: number, mimeType: string, read: () => Promise<File>}>}}
+ */
+function collectFileList(files) {
+    const list = Array.from(files);
+    const paths = list.map((file) => normalizeRelativePath(file.webkitRelativePath || file.name));
+
+    let name;
+    const [first] = paths.map((path) => path.split('/')[0]);
+    if (paths.every((path) => path.includes('/') && path.split('/')[0] === first)) {
+        name = first;
+        paths.forEach((path, index) => {
+            paths[index] = path.slice(first.length + 1);
+        });
+    }
+
+    return {
+        name,
+        entries: list.map((file, index) => ({
+            path: paths[index],
+            size: file.size,
+            mimeType: file.type || mimeTypeFromPath(paths[index]),
+            read: async () => file
+        }))
+    };
+}
+
+/**
+ * List the files to upload from a directory path (Node.js) or a FileList /
+ * array of Files (browser)
+ * @param {string|FileList|File[]} source
+ * @returns {Promise<{name: string|undefined, entries: Array<{path: string, size: number, mimeType: string, read: () => Promise<Uint8Array|File>}>}>}
+ */
+export async function collectDirectory(source) {
+    const collected = typeof source === 'string'
+        ? await collectLocalDirectory(source)
+        : source && typeof source.length === 'number'
+            ? collectFileList(source)
+            : null;
+    if (!collected) {
+        throw new ValidationError('Directory must be a path, a FileList or an array of Files');
+    }
+    if (collected.entries.length === 0) {
+        throw new ValidationError('Directory contains no files');
+    }
+
+    const seen = new Set();
+    for (const entry of collected.entries) {
+        entry.path = normalizeRelativePath(entry.path);
+        if (seen.has(entry.path)) {
+            throw new ValidationError(`Duplicate path in directory: ${entry.path}`);
+        }
+        seen.add(entry.path);
+    }
+    return collected;
+}
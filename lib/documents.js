@@ -0,0 +1,74 @@
+import { ValidationError } from './errors.js';
+
+export const DOCUMENT_TYPE = 'filecoin-storage-sdk/document';
+export const DOCUMENT_VERSION = 1;
+
+/**
+ * Round-trip a value through JSON, so it is validated and stored exactly as
+ * it will be read back (e.g. without `undefined` properties)
+ * @param {any} data
+ * @returns {any}
+ */
+export function toJSONValue(data) {
+    let json;
+    try {
+        json = JSON.stringify(data);
+    } catch (error) {
+        throw new ValidationError('Document data must be JSON-serialisable', { cause: error });
+    }
+    if (json === undefined) {
+        throw new ValidationError('Document data must be JSON-serialisable');
+    }
+    return JSON.parse(json);
+}
+
+/**
+ * Build a stored document version. The schema travels with every version,
+ * so an update can be validated from the previous version alone.
+ * @param {Object} params
+ * @param {Object|boolean} params.schema - JSON Schema the data was validated against
+ * @param {any} params.data - Document content
+ * @param {string|null} [params.previous=null] - PieceCID of the version this one replaces
+ * @param {number} [params.revision=1] - 1 for a new document, previous revision + 1 for an update
+ * @returns {Object}
+ */
+export function buildDocument({ schema, data, previous = null, revision = 1 }) {
+    return {
+        type: DOCUMENT_TYPE,
+        version: DOCUMENT_VERSION,
+        revision,
+        previous,
+        timestamp: Date.now(),
+        schema,
+        data
+    };
+}
+
+/**
+ * Parse downloaded bytes as a stored document
+ * @param {Uint8Array} data - Downloaded piece bytes
+ * @returns {Object|null} - The document, or null if `data` is not one
+ */
+export function parseDocument(data) {
+    if (data[0] !== 0x7b) {
+        return null;
+    }
+
+    let document;
+    try {
+        document = JSON.parse(new TextDecoder().decode(data));
+    } catch {
+        return null;
+    }
+
+    if (
+        document?.type !== DOCUMENT_TYPE ||
+        document.version !== DOCUMENT_VERSION ||
+        !Number.isInteger(document.revision) || document.revision < 1 ||
+        (document.previous !== null && typeof document.previous !== 'string') ||
+        !('schema' in document) || !('data' in document)
+    ) {
+        return null;
+    }
+    return document;
+}
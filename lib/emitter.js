@@ -0,0 +1,106 @@
+/**
+ * Minimal event emitter that behaves the same in Node.js and the browser
+ * build. Unlike Node's EventEmitter, an 'error' event without listeners is
+ * not thrown, and a throwing listener never interrupts the operation that
+ * emitted the event.
+ */
+export class Emitter {
+    constructor() {
+        this._listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name, e.g. 'upload:progress'
+     * @param {Function} listener - Called with the event payload
+     * @returns {this}
+     */
+    on(event, listener) {
+        if (typeof listener !== 'function') {
+            throw new TypeError('Event listener must be a function');
+        }
+        const listeners = this._listeners.get(event) ?? [];
+        listeners.push(listener);
+        this._listeners.set(event, listeners);
+        return this;
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} event
+     * @param {Function} listener
+     * @returns {this}
+     */
+    once(event, listener) {
+        const wrapper = (payload) => {
+            this.off(event, wrapper);
+            listener(payload);
+        };
+        wrapper.listener = listener;
+        return this.on(event, wrapper);
+    }
+
+    /**
+     * Remove a listener added with `on` or `once`
+     * @param {string} event
+     * @param {Function} listener
+     * @returns {this}
+     */
+    off(event, listener) {
+        const listeners = this._listeners.get(event);
+        if (!listeners) return this;
+
+        const index = listeners.findIndex((l) => l === listener || l.listener === listener);
+        if (index !== -1) listeners.splice(index, 1);
+        if (listeners.length === 0) this._listeners.delete(event);
+        return this;
+    }
+
+    /**
+     * Remove every listener for an event, or for all events
+     * @param {string} [event]
+     * @returns {this}
+     */
+    removeAllListeners(event) {
+        if (event === undefined) {
+            this._listeners.clear();
+        } else {
+            this._listeners.delete(event);
+        }
+        return this;
+    }
+
+    /**
+     * @param {string} event
+     * @returns {number}
+     */
+    listenerCount(event) {
+        return this._listeners.get(event)?.length ?? 0;
+    }
+
+    /**
+     * Call every listener for `event` with `payload`
+     * @param {string} event
+     * @param {Object} [payload]
+     * @returns {boolean} - True if the event had listeners
+     */
+    emit(event, payload) {
+        const listeners = this._listeners.get(event);
+        if (!listeners || listeners.length === 0) return false;
+
+        for (const listener of [...listeners]) {
+            try {
+                listener(payload);
+            } catch (error) {
+                this._onListenerError(error, event);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Hook for errors thrown by listeners. Subclasses may override it to log
+     * them; it is called with the error and the event name.
+     */
+    _onListenerError() {}
+}
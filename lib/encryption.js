@@ -0,0 +1,220 @@
+import { DecryptionError, ValidationError } from './errors.js';
+import { getWebCrypto } from '#platform';
+
+// Envelope layout (all integers big-endian):
+//   magic "FSENC" (5) | version (1) | kdf (1) | [iterations (4) | salt (16)] | iv (12) | ciphertext + tag
+// The header is passed to AES-GCM as additional authenticated data, so any
+// change to it fails decryption just like a change to the ciphertext.
+const MAGIC = [0x46, 0x53, 0x45, 0x4e, 0x43];
+export const ENVELOPE_VERSION = 1;
+
+const KDF_NONE = 0;
+const KDF_PBKDF2 = 1;
+
+const IV_LENGTH = 12;
+const SALT_LENGTH = 16;
+const KEY_LENGTHS = [16, 24, 32];
+
+export const DEFAULT_KDF_ITERATIONS = 600000;
+// The iteration count is read back from the envelope, so cap it: a crafted
+// piece could otherwise keep a download busy deriving a key for hours
+export const MAX_KDF_ITERATIONS = 10000000;
+
+/**
+ * Check whether bytes start with an encryption envelope header
+ * @param {Uint8Array} data
+ * @returns {boolean}
+ */
+export function isEncryptedEnvelope(data) {
+    return data.length > MAGIC.length && MAGIC.every((byte, i) => data[i] === byte);
+}
+
+/**
+ * Generate a random 256-bit AES key
+ * @returns {Promise<Uint8Array>}
+ */
+export async function generateKey() {
+    const crypto = await getWebCrypto();
+    return crypto.getRandomValues(new Uint8Array(32));
+}
+
+/**
+ * Validate encryption options: exactly one of `key` or `passphrase`
+ * @param {Object} encryption
+ */
+function assertEncryptionOptions(encryption) {
+    const { key, passphrase } = encryption;
+    if ((key == null) === (passphrase == null)) {
+        throw new ValidationError('Encryption options must include either a key or a passphrase');
+    }
+    if (passphrase != null && (typeof passphrase !== 'string' || passphrase.length === 0)) {
+        throw new ValidationError('Encryption passphrase must be a non-empty string');
+    }
+}
+
+/**
+ * Turn a caller-provided key into an AES-GCM CryptoKey
+ * @param {SubtleCrypto} subtle
+ * @param {CryptoKey|Uint8Array} key - CryptoKey or 16/24/32 raw key bytes
+ * @returns {Promise<CryptoKey>}
+ */
+async function importRawKey(subtle, key) {
+    if (key instanceof Uint8Array) {
+        if (!KEY_LENGTHS.includes(key.length)) {
+            throw new ValidationError('Encryption key must be 16, 24 or 32 bytes');
+        }
+        return subtle.importKey('raw', key, 'AES-GCM', false, ['encrypt', 'decrypt']);
+    }
+    if (key?.type === 'secret' && key.algorithm?.name === 'AES-GCM') {
+        return key;
+    }
+    throw new ValidationError('Encryption key must be a Uint8Array or an AES-GCM CryptoKey');
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase with PBKDF2-SHA256
+ * @param {SubtleCrypto} subtle
+ * @param {string} passphrase
+ * @param {Uint8Array} salt
+ * @param {number} iterations
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(subtle, passphrase, salt, iterations) {
+    const material = await subtle.importKey(
+        'raw',
+        new TextEncoder().encode(passphrase),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+    return subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt bytes into a versioned envelope
+ * @param {Uint8Array} data - Plaintext
+ * @param {Object} encryption - Encryption options
+ * @param {CryptoKey|Uint8Array} [encryption.key] - AES key
+ * @param {string} [encryption.passphrase] - Passphrase to derive a key from
+ * @param {number} [encryption.iterations] - PBKDF2 iterations for passphrases
+ * @returns {Promise<Uint8Array>} - Envelope bytes
+ */
+export async function encrypt(data, encryption) {
+    assertEncryptionOptions(encryption);
+    const crypto = await getWebCrypto();
+    const { subtle } = crypto;
+
+    let header;
+    let key;
+    if (encryption.passphrase != null) {
+        const { iterations = DEFAULT_KDF_ITERATIONS } = encryption;
+        if (!Number.isInteger(iterations) || iterations < 1 || iterations > MAX_KDF_ITERATIONS) {
+            throw new ValidationError(`KDF iterations must be an integer between 1 and ${MAX_KDF_ITERATIONS}`);
+        }
+        const salt = crypto.getRandomValues(new Uint8Array(SALT_LENGTH));
+        key = await deriveKey(subtle, encryption.passphrase, salt, iterations);
+
+        header = new Uint8Array(MAGIC.length + 2 + 4 + SALT_LENGTH + IV_LENGTH);
+        header.set(MAGIC, 0);
+        header[MAGIC.length] = ENVELOPE_VERSION;
+        header[MAGIC.length + 1] = KDF_PBKDF2;
+        new DataView(header.buffer).setUint32(MAGIC.length + 2, iterations);
+        header.set(salt, MAGIC.length + 6);
+    } else {
+        key = await importRawKey(subtle, encryption.key);
+
+        header = new Uint8Array(MAGIC.length + 2 + IV_LENGTH);
+        header.set(MAGIC, 0);
+        header[MAGIC.length] = ENVELOPE_VERSION;
+        header[MAGIC.length + 1] = KDF_NONE;
+    }
+
+    const iv = crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+    header.set(iv, header.length - IV_LENGTH);
+
+    const ciphertext = new Uint8Array(
+        await subtle.encrypt({ name: 'AES-GCM', iv, additionalData: header }, key, data)
+    );
+
+    const envelope = new Uint8Array(header.length + ciphertext.length);
+    envelope.set(header, 0);
+    envelope.set(ciphertext, header.length);
+    return envelope;
+}
+
+/**
+ * Decrypt an envelope produced by `encrypt`
+ * @param {Uint8Array} envelope - Envelope bytes
+ * @param {Object} encryption - Same key or passphrase used for encryption
+ * @param {CryptoKey|Uint8Array} [encryption.key] - AES key
+ * @param {string} [encryption.passphrase] - Passphrase
+ * @returns {Promise<Uint8Array>} - Plaintext
+ */
+export async function decrypt(envelope, encryption) {
+    assertEncryptionOptions(encryption);
+    if (!isEncryptedEnvelope(envelope)) {
+        throw new DecryptionError('Data is not an encrypted envelope');
+    }
+
+    const version = envelope[MAGIC.length];
+    if (version !== ENVELOPE_VERSION) {
+        throw new DecryptionError(`Unsupported encryption envelope version: ${version}`);
+    }
+
+    const { subtle } = await getWebCrypto();
+    const kdf = envelope[MAGIC.length + 1];
+    let headerLength;
+    let key;
+
+    if (kdf === KDF_PBKDF2) {
+        if (encryption.passphrase == null) {
+            throw new DecryptionError('Data was encrypted with a passphrase, but a key was provided');
+        }
+        headerLength = MAGIC.length + 2 + 4 + SALT_LENGTH + IV_LENGTH;
+        if (envelope.length < headerLength) {
+            throw new DecryptionError('Encryption envelope is truncated');
+        }
+        const view = new DataView(envelope.buffer, envelope.byteOffset, envelope.byteLength);
+        const iterations = view.getUint32(MAGIC.length + 2);
+        if (iterations < 1 || iterations > MAX_KDF_ITERATIONS) {
+            throw new DecryptionError(`Unsupported KDF iteration count: ${iterations}`);
+        }
+        const salt = envelope.slice(MAGIC.length + 6, MAGIC.length + 6 + SALT_LENGTH);
+        key = await deriveKey(subtle, encryption.passphrase, salt, iterations);
+    } else if (kdf === KDF_NONE) {
+        if (encryption.key == null) {
+            throw new DecryptionError('Data was encrypted with a key, but a passphrase was provided');
+        }
+        headerLength = MAGIC.length + 2 + IV_LENGTH;
+        if (envelope.length < headerLength) {
+            throw new DecryptionError('Encryption envelope is truncated');
+        }
+        key = await importRawKey(subtle, encryption.key);
+    } else {
+        throw new DecryptionError(`Unsupported key derivation scheme: ${kdf}`);
+    }
+
+    const header = envelope.slice(0, headerLength);
+    const iv = header.slice(headerLength - IV_LENGTH);
+
+    try {
+        return new Uint8Array(
+            await subtle.decrypt(
+                { name: 'AES-GCM', iv, additionalData: header },
+                key,
+                envelope.subarray(headerLength)
+            )
+        );
+    } catch (error) {
+        throw new DecryptionError(
+            'Decryption failed: wrong key or passphrase, or the data has been tampered with',
+            { cause: error }
+        );
+    }
+}
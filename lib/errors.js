@@ -0,0 +1,209 @@
+/**
+ * Base class for every error thrown by the SDK. `code` is stable and safe to
+ * branch on; `message` is for humans and may change.
+ */
+export class FileStorageError extends Error {
+    /**
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {string} [options.code='FILE_STORAGE_ERROR'] - Stable error code
+     * @param {Error} [options.cause] - Underlying error
+     * @param {Object} [options.details] - Extra structured information
+     */
+    constructor(message, { code = 'FILE_STORAGE_ERROR', cause, details } = {}) {
+        super(message, cause !== undefined ? { cause } : undefined);
+        this.name = new.target.name;
+        this.code = code;
+        if (details !== undefined) this.details = details;
+    }
+}
+
+/** A method was called before `initialize()` */
+export class NotInitializedError extends FileStorageError {
+    constructor(message = 'FileStorage not initialized. Call initialize() first.', options = {}) {
+        super(message, { code: 'NOT_INITIALIZED', ...options });
+    }
+}
+
+/** An argument or option is missing or invalid */
+export class ValidationError extends FileStorageError {
+    constructor(message, options = {}) {
+        super(message, { code: 'VALIDATION_ERROR', ...options });
+    }
+}
+
+/** A payload exceeds the size a single upload can hold */
+export class FileTooLargeError extends ValidationError {
+    constructor(size, maxSize, options = {}) {
+        super(`File is ${size} bytes, which exceeds the ${maxSize} byte limit`, {
+            ...options,
+            details: { size, maxSize }
+        });
+        this.code = 'FILE_TOO_LARGE';
+    }
+}
+
+/** The Warm Storage service allowance does not cover an upload */
+export class InsufficientAllowanceError extends FileStorageError {
+    constructor(message = 'Insufficient allowance for upload. Please setup wallet first.', options = {}) {
+        super(message, { code: 'INSUFFICIENT_ALLOWANCE', ...options });
+    }
+}
+
+/** The wallet or the payments contract holds too little USDFC for an operation */
+export class InsufficientFundsError extends FileStorageError {
+    constructor(message, options = {}) {
+        super(message, { code: 'INSUFFICIENT_FUNDS', ...options });
+    }
+}
+
+/** An upload would exceed a configured spending limit */
+export class BudgetExceededError extends FileStorageError {
+    constructor(message, options = {}) {
+        super(message, { code: 'BUDGET_EXCEEDED', ...options });
+    }
+}
+
+/** A PieceCID is unknown to the network or the local catalog */
+export class PieceNotFoundError extends FileStorageError {
+    constructor(pieceCid, options = {}) {
+        super(options.message ?? `Piece not found: ${pieceCid}`, {
+            code: 'PIECE_NOT_FOUND',
+            ...options,
+            details: { pieceCid: String(pieceCid), ...options.details }
+        });
+    }
+}
+
+/** Pinning to an IPFS pinning service failed */
+export class PinningError extends FileStorageError {
+    constructor(message, options = {}) {
+        super(message, { code: 'PINNING_FAILED', ...options });
+    }
+}
+
+/** A browser wallet is missing, or refused or failed a request; `details.rpcCode` holds its EIP-1193 error code */
+export class WalletError extends FileStorageError {
+    constructor(message, options = {}) {
+        super(message, { code: 'WALLET_ERROR', ...options });
+    }
+}
+
+/** A browser wallet is connected to a different chain than the requested network */
+export class WrongNetworkError extends WalletError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.code = 'WRONG_NETWORK';
+    }
+}
+
+/** A network, RPC or storage provider failure, usually temporary */
+export class NetworkError extends FileStorageError {
+    constructor(message, options = {}) {
+        super(message, { code: 'NETWORK_ERROR', ...options });
+        this.transient = true;
+    }
+}
+
+/** A single attempt exceeded its timeout */
+export class TimeoutError extends NetworkError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.code = 'TIMEOUT';
+    }
+}
+
+/** Downloaded data does not match what was uploaded */
+export class IntegrityError extends FileStorageError {
+    constructor(message, options = {}) {
+        super(message, { code: 'INTEGRITY_ERROR', ...options });
+    }
+}
+
+/** Encrypted data could not be authenticated: wrong key or passphrase, or tampering */
+export class DecryptionError extends IntegrityError {
+    constructor(message, options = {}) {
+        super(message, options);
+        this.code = 'DECRYPTION_FAILED';
+    }
+}
+
+// Error codes from Node.js sockets, undici (fetch) and ethers that indicate a
+// temporary network or provider problem
+const TRANSIENT_CODES = new Set([
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ECONNABORTED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'UND_ERR_SOCKET',
+    'UND_ERR_CONNECT_TIMEOUT',
+    'UND_ERR_HEADERS_TIMEOUT',
+    'NETWORK_ERROR',
+    'SERVER_ERROR',
+    'TIMEOUT'
+]);
+
+const TRANSIENT_MESSAGE = /fetch failed|network error|timed? ?out|socket hang up|rate limit|too many requests|temporarily unavailable|service unavailable|bad gateway|gateway timeout|\b(429|502|503|504)\b/i;
+const PERMANENT_MESSAGE = /insufficient|allowance|must be|invalid|unsupported|not initialized|not found|revert/i;
+const NOT_FOUND_MESSAGE = /not found|\b404\b/i;
+const ALLOWANCE_MESSAGE = /allowance/i;
+
+/**
+ * Decide whether an error is worth retrying. Errors may opt in or out
+ * explicitly with a boolean `transient` property; otherwise the error and its
+ * `cause` chain are inspected for known network and provider failures.
+ * Validation, allowance and not-found errors are never retried.
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isTransientError(error) {
+    let current = error;
+    for (let depth = 0; current && depth < 5; depth++) {
+        if (typeof current.transient === 'boolean') return current.transient;
+        if (current instanceof FileStorageError) return false;
+        if (current.name === 'AbortError') return false;
+
+        const message = String(current.message ?? '');
+        if (PERMANENT_MESSAGE.test(message)) return false;
+        if (TRANSIENT_CODES.has(current.code)) return true;
+
+        const status = current.status ?? current.statusCode;
+        if (status === 429 || status >= 500) return true;
+        if (TRANSIENT_MESSAGE.test(message)) return true;
+
+        current = current.cause;
+    }
+    return false;
+}
+
+/**
+ * Map an error raised by a backend or network call onto the SDK's error
+ * classes. SDK errors and aborts are returned unchanged.
+ * @param {Error} error - The original error
+ * @param {Object} [context]
+ * @param {string} [context.operation='operation'] - What was being attempted, for the message
+ * @param {string} [context.pieceCid] - PieceCID involved, enables PieceNotFoundError mapping
+ * @returns {Error}
+ */
+export function toFileStorageError(error, { operation = 'operation', pieceCid } = {}) {
+    if (error instanceof FileStorageError || error?.name === 'AbortError') {
+        return error;
+    }
+
+    const message = String(error?.message ?? error);
+    if (pieceCid !== undefined && NOT_FOUND_MESSAGE.test(message)) {
+        return new PieceNotFoundError(pieceCid, { cause: error });
+    }
+    if (ALLOWANCE_MESSAGE.test(message)) {
+        return new InsufficientAllowanceError(message, { cause: error });
+    }
+    if (isTransientError(error)) {
+        return new NetworkError(`${operation} failed: ${message}`, { cause: error });
+    }
+    return new FileStorageError(`${operation} failed: ${message}`, {
+        code: 'OPERATION_FAILED',
+        cause: error
+    });
+}
@@ -0,0 +1,81 @@
+import { asPieceCID, calculate as calculatePieceCid } from '@filoz/synapse-sdk/piece';
+import { getWebCrypto } from '#platform';
+
+/**
+ * Resolve a WebCrypto SubtleCrypto implementation
+ * @returns {Promise<SubtleCrypto>}
+ */
+export async function getSubtle() {
+    return (await getWebCrypto()).subtle;
+}
+
+/**
+ * Convert bytes to a lowercase hex string
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export function toHex(bytes) {
+    let hex = '';
+    for (const byte of bytes) {
+        hex += byte.toString(16).padStart(2, '0');
+    }
+    return hex;
+}
+
+/**
+ * Compute the SHA-256 digest of some bytes
+ * @param {Uint8Array} data - Bytes to hash
+ * @returns {Promise<string>} - Hex encoded digest
+ */
+export async function sha256Hex(data) {
+    const subtle = await getSubtle();
+    const digest = await subtle.digest('SHA-256', data);
+    return toHex(new Uint8Array(digest));
+}
+
+/**
+ * Compute the Filecoin piece commitment (PieceCID) of some bytes, exactly as
+ * the storage provider does for an uploaded piece
+ * @param {Uint8Array} data - Piece bytes
+ * @returns {string} - PieceCID string
+ */
+export function computePieceCid(data) {
+    return calculatePieceCid(data).toString();
+}
+
+/**
+ * Read the payload size encoded in a PieceCID (v2). The digest starts with
+ * the padding as a varint, then the tree height, so no download is needed.
+ * @param {string} pieceCid - PieceCID string
+ * @returns {number|null} - Size in bytes, or null if `pieceCid` is not a valid PieceCID
+ */
+export function pieceSizeFromCid(pieceCid) {
+    const parsed = asPieceCID(String(pieceCid));
+    if (!parsed) {
+        return null;
+    }
+
+    const digest = parsed.multihash.digest;
+    let padding = 0n;
+    let shift = 0n;
+    let offset = 0;
+    let byte;
+    do {
+        byte = digest[offset++];
+        padding |= BigInt(byte & 0x7f) << shift;
+        shift += 7n;
+    } while (byte & 0x80);
+
+    // Leaves are 32 bytes after Fr32 padding, which expands every 127 bytes to 128
+    const paddedSize = 32n << BigInt(digest[offset]);
+    return Number((paddedSize * 127n) / 128n - padding);
+}
+
+/**
+ * Parse a PieceCID string into the CID object that uploads return
+ * @param {string} pieceCid - PieceCID string
+ * @returns {Object|null} - PieceCID, or null if `pieceCid` is not a valid PieceCID
+ */
+export function parsePieceCid(pieceCid) {
+    return asPieceCID(String(pieceCid)) ?? null;
+}
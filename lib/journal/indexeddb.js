@@ -0,0 +1,18 @@
+import { IndexedDBStore } from '../store/indexeddb.js';
+
+/**
+ * Journal store persisted in IndexedDB (browser), so uploads survive a
+ * reload or a closed tab
+ */
+export class IndexedDBJournalStore extends IndexedDBStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dbName='filecoin-storage-sdk-journal'] - Database name. Keep it apart from
+     *   the catalog's database, whose schema is created on first open.
+     * @param {string} [options.storeName='uploads'] - Object store name
+     * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation (defaults to the global one)
+     */
+    constructor(options = {}) {
+        super(options, { dbName: 'filecoin-storage-sdk-journal', storeName: 'uploads', keyPath: 'key' });
+    }
+}
@@ -0,0 +1,160 @@
+import { MemoryJournalStore } from './memory.js';
+import { ValidationError } from '../errors.js';
+import { sha256Hex } from '../hash.js';
+
+export const JOURNAL_STAGES = ['preflight', 'uploaded', 'pinned'];
+
+/**
+ * Persistent record of uploads keyed by content hash, so uploading the same
+ * bytes again returns the stored piece instead of paying for it twice, and
+ * an interrupted upload resumes from its last completed stage.
+ *
+ * An entry holds:
+ *   key         - `<sha256>:<settings fingerprint>`; the fingerprint covers the network and account the
+ *                 piece was stored with, and the upload options that change the stored bytes (MIME type,
+ *                 metadata, compression, chunking)
+ *   sha256      - Hex SHA-256 of the content
+ *   stage       - 'preflight' (allowance checked, bytes being sent), 'uploaded' or 'pinned'
+ *   pieceCid    - While in 'preflight', the PieceCID computed locally for a single piece (null for
+ *                 chunked uploads); afterwards the stored PieceCID
+ *   chunks      - Chunked uploads: the chunks stored so far, as listed in the manifest
+ *   result      - The upload result once uploaded, with PieceCIDs as strings
+ *   gatewayURL  - Set once pinned
+ *   createdAt, updatedAt - Timestamps (ms since epoch)
+ */
+export class UploadJournal {
+    /**
+     * @param {Object} [store] - Journal store (defaults to an in-memory store).
+     *   See `./memory.js` for the store interface.
+     */
+    constructor(store = new MemoryJournalStore()) {
+        if (typeof store.get !== 'function' || typeof store.put !== 'function') {
+            throw new ValidationError('journal must be a journal store, e.g. new JsonFileJournalStore(path)');
+        }
+        this.store = store;
+    }
+
+    /**
+     * Journal key for some content uploaded with some settings
+     * @param {string} sha256 - Hex SHA-256 of the content
+     * @param {Object} settings - JSON-serialisable network, account and upload settings that change
+     *   the stored bytes
+     * @returns {Promise<string>}
+     */
+    async keyFor(sha256, settings) {
+        const fingerprint = await sha256Hex(new TextEncoder().encode(JSON.stringify(settings)));
+        return `${sha256}:${fingerprint.slice(0, 16)}`;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {Promise<Object|null>}
+     */
+    async get(key) {
+        return await this.store.get(key);
+    }
+
+    /**
+     * Merge changes into an entry, creating it if needed
+     * @param {string} key
+     * @param {Object} changes
+     * @returns {Promise<Object>} - The stored entry
+     */
+    async _update(key, changes) {
+        const existing = await this.store.get(key);
+        const now = Date.now();
+        const entry = {
+            key,
+            sha256: key.slice(0, key.indexOf(':')),
+            stage: 'preflight',
+            pieceCid: null,
+            chunks: [],
+            result: null,
+            gatewayURL: null,
+            createdAt: now,
+            ...existing,
+            ...changes,
+            updatedAt: now
+        };
+        await this.store.put(entry);
+        return entry;
+    }
+
+    /**
+     * Record that a piece passed its allowance check and is about to be sent
+     * @param {string} key
+     * @param {string|null} [pieceCid=null] - PieceCID computed locally, to check for the piece after a crash
+     * @returns {Promise<Object>}
+     */
+    async begin(key, pieceCid = null) {
+        return await this._update(key, { stage: 'preflight', pieceCid });
+    }
+
+    /**
+     * Record the chunks of a chunked upload stored so far
+     * @param {string} key
+     * @param {Array<{pieceCid: string, size: number, sha256: string}>} chunks
+     * @returns {Promise<Object>}
+     */
+    async saveChunks(key, chunks) {
+        return await this._update(key, { stage: 'preflight', chunks: [...chunks] });
+    }
+
+    /**
+     * Record a finished upload
+     * @param {string} key
+     * @param {Object} result - Upload result
+     * @returns {Promise<Object>}
+     */
+    async markUploaded(key, result) {
+        const stored = JSON.parse(JSON.stringify({ ...result, pieceCid: String(result.pieceCid) }));
+        return await this._update(key, {
+            stage: 'uploaded',
+            pieceCid: stored.pieceCid,
+            chunks: [],
+            result: stored,
+            gatewayURL: null
+        });
+    }
+
+    /**
+     * Record that an upload was pinned
+     * @param {string} key
+     * @param {string} gatewayURL
+     * @returns {Promise<Object>}
+     */
+    async markPinned(key, gatewayURL) {
+        return await this._update(key, { stage: 'pinned', gatewayURL });
+    }
+
+    /**
+     * List entries, most recently updated first
+     * @param {Object} [options]
+     * @param {string} [options.stage] - Only entries at this stage
+     * @returns {Promise<Object[]>}
+     */
+    async list({ stage } = {}) {
+        if (stage !== undefined && !JOURNAL_STAGES.includes(stage)) {
+            throw new ValidationError(`Unknown journal stage "${stage}". Use one of: ${JOURNAL_STAGES.join(', ')}`);
+        }
+        const entries = await this.store.list();
+        return entries
+            .filter((entry) => stage === undefined || entry.stage === stage)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Remove every entry for some content
+     * @param {string} sha256 - Hex SHA-256 of the content
+     * @returns {Promise<number>} - Entries removed
+     */
+    async removeContent(sha256) {
+        const hash = String(sha256).toLowerCase();
+        const entries = (await this.store.list()).filter((entry) => entry.sha256 === hash);
+        let removed = 0;
+        for (const entry of entries) {
+            if (await this.store.delete(entry.key)) removed++;
+        }
+        return removed;
+    }
+}
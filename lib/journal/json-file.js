@@ -0,0 +1,21 @@
+import { JsonFileStore } from '../store/json-file.js';
+
+/**
+ * Journal store persisted to a JSON file on disk (Node.js only).
+ * The file is read once on first use and rewritten atomically after every
+ * change, so a crash leaves either the previous or the new journal.
+ */
+export class JsonFileJournalStore extends JsonFileStore {
+    /**
+     * @param {string} filePath - Path of the JSON file; created if missing
+     */
+    constructor(filePath) {
+        super(filePath, {
+            name: 'JsonFileJournalStore',
+            kind: 'journal',
+            collection: 'uploads',
+            keyPath: 'key',
+            errorCode: 'JOURNAL_ERROR'
+        });
+    }
+}
@@ -0,0 +1,37 @@
+/**
+ * Journal store interface
+ *
+ * A journal store persists upload journal entries keyed by `entry.key`, so an
+ * upload interrupted by a crash can be recognised when it is retried. All
+ * methods are async so stores can be backed by files or IndexedDB.
+ *
+ *   get(key)      -> entry or null
+ *   put(entry)    -> void, inserts or replaces `entry` (keyed by entry.key)
+ *   delete(key)   -> boolean, whether an entry was removed
+ *   list()        -> entry[], every stored entry
+ *
+ * Entries are plain JSON objects; see `./journal.js` for their fields.
+ * `MemoryJournalStore` only lives as long as the process, which still makes
+ * repeated uploads of the same content idempotent within it.
+ */
+export class MemoryJournalStore {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        return this.entries.get(key) ?? null;
+    }
+
+    async put(entry) {
+        this.entries.set(entry.key, entry);
+    }
+
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+
+    async list() {
+        return [...this.entries.values()];
+    }
+}
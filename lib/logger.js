@@ -0,0 +1,41 @@
+import { ValidationError } from './errors.js';
+
+export const LOG_LEVELS = ['silent', 'error', 'warn', 'info', 'debug'];
+
+const noop = () => {};
+
+/**
+ * Build the logger used by FileStorage.
+ *
+ * A logger is any object with `debug`, `info`, `warn` and `error` methods
+ * (`console`, pino, winston, ...). Messages below `level` are dropped before
+ * they reach it. Without a custom logger the SDK is silent unless a level is
+ * given, in which case it logs to the console.
+ * @param {Object} [options]
+ * @param {Object} [options.logger] - Logger to forward to (defaults to `console`)
+ * @param {string} [options.logLevel] - 'silent', 'error', 'warn', 'info' or 'debug'.
+ *   Defaults to 'debug' for a custom logger and 'silent' otherwise.
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ */
+export function createLogger({ logger, logLevel } = {}) {
+    const level = logLevel ?? (logger ? 'debug' : 'silent');
+    const threshold = LOG_LEVELS.indexOf(level);
+    if (threshold === -1) {
+        throw new ValidationError(`Unknown log level "${level}". Use one of: ${LOG_LEVELS.join(', ')}`);
+    }
+
+    const target = logger ?? console;
+    const method = (name) => {
+        if (LOG_LEVELS.indexOf(name) > threshold || typeof target[name] !== 'function') {
+            return noop;
+        }
+        return (...args) => target[name](...args);
+    };
+
+    return {
+        debug: method('debug'),
+        info: method('info'),
+        warn: method('warn'),
+        error: method('error')
+    };
+}
@@ -0,0 +1,188 @@
+import { ValidationError } from './errors.js';
+
+// Header layout (integers big-endian):
+//   magic "FSMETA" (6) | version (1) | descriptor length (4) | descriptor JSON | content
+// The descriptor is `{ mimeType?, metadata?, compression? }`, where
+// `compression` names the algorithm of compressed content (see ./compression.js).
+// Pieces without the header are plain content, so the header is only written
+// when there is something sniffing cannot recover, or when the content itself
+// starts with the magic.
+const MAGIC = [0x46, 0x53, 0x4d, 0x45, 0x54, 0x41];
+export const METADATA_HEADER_VERSION = 1;
+const PREFIX_LENGTH = MAGIC.length + 1 + 4;
+
+// User metadata travels inside every piece it is attached to, so keep it small
+export const MAX_METADATA_SIZE = 64 * 1024;
+
+// Bytes inspected when deciding whether content is text
+const TEXT_SNIFF_LENGTH = 4096;
+// JSON is only parsed in full below this size; larger documents are judged by their first and last bytes
+const JSON_PARSE_LIMIT = 1024 * 1024;
+// Control characters that appear in ordinary text: tab, newline, form feed, carriage return, escape
+const TEXT_CONTROL_BYTES = new Set([0x09, 0x0a, 0x0c, 0x0d, 0x1b]);
+
+const startsWith = (data, bytes, offset = 0) =>
+    data.length >= offset + bytes.length && bytes.every((byte, i) => data[offset + i] === byte);
+
+const ascii = (text) => Array.from(text, (char) => char.charCodeAt(0));
+
+const SIGNATURES = [
+    { mimeType: 'image/png', test: (data) => startsWith(data, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { mimeType: 'image/jpeg', test: (data) => startsWith(data, [0xff, 0xd8, 0xff]) },
+    { mimeType: 'image/gif', test: (data) => startsWith(data, ascii('GIF87a')) || startsWith(data, ascii('GIF89a')) },
+    { mimeType: 'image/webp', test: (data) => startsWith(data, ascii('RIFF')) && startsWith(data, ascii('WEBP'), 8) },
+    { mimeType: 'application/pdf', test: (data) => startsWith(data, ascii('%PDF-')) }
+];
+
+/**
+ * Check whether the start of some bytes reads as UTF-8 text without binary control characters
+ * @param {Uint8Array} data
+ * @returns {boolean}
+ */
+function looksLikeText(data) {
+    const sample = data.subarray(0, TEXT_SNIFF_LENGTH);
+    try {
+        // `stream: true` tolerates a multi-byte character cut off at the end of the sample
+        new TextDecoder('utf-8', { fatal: true }).decode(sample, { stream: true });
+    } catch {
+        return false;
+    }
+    return sample.every((byte) => byte >= 0x20 ? byte !== 0x7f : TEXT_CONTROL_BYTES.has(byte));
+}
+
+/**
+ * Check whether text-like bytes hold a JSON object or array
+ * @param {Uint8Array} data
+ * @returns {boolean}
+ */
+function looksLikeJSON(data) {
+    const isSpace = (byte) => byte === 0x20 || byte === 0x09 || byte === 0x0a || byte === 0x0d;
+    let start = data[0] === 0xef && data[1] === 0xbb && data[2] === 0xbf ? 3 : 0;
+    while (start < data.length && isSpace(data[start])) start++;
+    let end = data.length - 1;
+    while (end > start && isSpace(data[end])) end--;
+
+    const open = data[start];
+    const close = data[end];
+    if (!((open === 0x7b && close === 0x7d) || (open === 0x5b && close === 0x5d))) {
+        return false;
+    }
+    if (data.length > JSON_PARSE_LIMIT) {
+        return true;
+    }
+    try {
+        JSON.parse(new TextDecoder().decode(data));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Detect the MIME type of some bytes from their content. Recognises PNG,
+ * JPEG, GIF, WebP and PDF signatures, JSON documents and plain text.
+ * @param {Uint8Array} data
+ * @returns {string|null} - MIME type, or null if the content is not recognised
+ */
+export function sniffMimeType(data) {
+    if (!data || data.length === 0) {
+        return null;
+    }
+    const signature = SIGNATURES.find(({ test }) => test(data));
+    if (signature) {
+        return signature.mimeType;
+    }
+    if (!looksLikeText(data)) {
+        return null;
+    }
+    return looksLikeJSON(data) ? 'application/json' : 'text/plain';
+}
+
+/**
+ * Strip parameters from a MIME type, e.g. 'text/plain; charset=utf-8' -> 'text/plain'
+ * @param {string} mimeType
+ * @returns {string}
+ */
+export function mimeEssence(mimeType) {
+    return String(mimeType).split(';')[0].trim().toLowerCase();
+}
+
+/**
+ * Check that user metadata is a plain, JSON-serialisable object of a reasonable size
+ * @param {Object} metadata
+ */
+export function assertMetadata(metadata) {
+    if (metadata === null || typeof metadata !== 'object' || Array.isArray(metadata)) {
+        throw new ValidationError('metadata must be a plain object');
+    }
+    let json;
+    try {
+        json = JSON.stringify(metadata);
+    } catch (error) {
+        throw new ValidationError('metadata must be JSON-serialisable', { cause: error });
+    }
+    if (new TextEncoder().encode(json).length > MAX_METADATA_SIZE) {
+        throw new ValidationError(`metadata must be at most ${MAX_METADATA_SIZE} bytes as JSON`);
+    }
+}
+
+/**
+ * Check whether bytes start with the metadata header magic
+ * @param {Uint8Array} data
+ * @returns {boolean}
+ */
+export function hasMetadataHeader(data) {
+    return startsWith(data, MAGIC);
+}
+
+/**
+ * Prefix content with a metadata header
+ * @param {Uint8Array} data - Content bytes
+ * @param {{mimeType?: string, metadata?: Object, compression?: string}} descriptor
+ * @returns {Uint8Array}
+ */
+export function wrapWithMetadata(data, descriptor) {
+    const json = new TextEncoder().encode(JSON.stringify({
+        mimeType: descriptor.mimeType,
+        metadata: descriptor.metadata,
+        compression: descriptor.compression
+    }));
+
+    const output = new Uint8Array(PREFIX_LENGTH + json.length + data.length);
+    output.set(MAGIC, 0);
+    output[MAGIC.length] = METADATA_HEADER_VERSION;
+    new DataView(output.buffer).setUint32(MAGIC.length + 1, json.length);
+    output.set(json, PREFIX_LENGTH);
+    output.set(data, PREFIX_LENGTH + json.length);
+    return output;
+}
+
+/**
+ * Split a metadata header from the content it describes. Bytes without a
+ * valid header are returned unchanged as content.
+ * @param {Uint8Array} data
+ * @returns {{descriptor: {mimeType?: string, metadata?: Object, compression?: string}|null, content: Uint8Array}}
+ */
+export function unwrapMetadata(data) {
+    if (!startsWith(data, MAGIC) || data.length < PREFIX_LENGTH || data[MAGIC.length] !== METADATA_HEADER_VERSION) {
+        return { descriptor: null, content: data };
+    }
+
+    const length = new DataView(data.buffer, data.byteOffset, data.byteLength).getUint32(MAGIC.length + 1);
+    if (PREFIX_LENGTH + length > data.length) {
+        return { descriptor: null, content: data };
+    }
+
+    let descriptor;
+    try {
+        descriptor = JSON.parse(new TextDecoder('utf-8', { fatal: true }).decode(
+            data.subarray(PREFIX_LENGTH, PREFIX_LENGTH + length)
+        ));
+    } catch {
+        return { descriptor: null, content: data };
+    }
+    if (descriptor === null || typeof descriptor !== 'object') {
+        return { descriptor: null, content: data };
+    }
+    return { descriptor, content: data.subarray(PREFIX_LENGTH + length) };
+}
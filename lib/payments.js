@@ -0,0 +1,48 @@
+import { ethers } from 'ethers';
+import { ValidationError } from './errors.js';
+
+// USDFC, like the other payment tokens, has 18 decimals
+export const TOKEN_DECIMALS = 18;
+export const EPOCHS_PER_DAY = 2880n;
+// Warm Storage locks up this many days of payments for every piece
+export const DEFAULT_LOCKUP_DAYS = 10n;
+
+/**
+ * Format base units as a token amount
+ * @param {bigint} amount
+ * @param {number} [decimals=18]
+ * @returns {string}
+ */
+export function formatUSDFC(amount, decimals = TOKEN_DECIMALS) {
+    return ethers.formatUnits(amount, decimals);
+}
+
+/**
+ * Convert a token amount into base units. Numbers and strings are whole
+ * tokens, as in `setupWallet`; bigints are already base units.
+ * @param {number|string|bigint} amount
+ * @param {string} name - Option name, for error messages
+ * @param {number} [decimals=18]
+ * @returns {bigint}
+ */
+export function parseUSDFC(amount, name, decimals = TOKEN_DECIMALS) {
+    let value;
+    try {
+        value = typeof amount === 'bigint' ? amount : ethers.parseUnits(String(amount), decimals);
+    } catch (error) {
+        throw new ValidationError(`${name} must be a USDFC amount`, { cause: error });
+    }
+    if (value < 0n) {
+        throw new ValidationError(`${name} must not be negative`);
+    }
+    return value;
+}
+
+/**
+ * Largest of some bigints
+ * @param {...bigint} values
+ * @returns {bigint}
+ */
+export function maxBigInt(...values) {
+    return values.reduce((max, value) => (value > max ? value : max));
+}
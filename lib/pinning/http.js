@@ -0,0 +1,66 @@
+import { PinningError } from '../errors.js';
+
+/**
+ * Make a request to a pinning API and decode the response body.
+ *
+ * Rate limiting (429) and server errors (5xx) reject with a plain Error
+ * carrying `status`, which the retry layer treats as transient. Any other
+ * non-2xx response rejects with a PinningError, which is never retried.
+ * @param {string} url
+ * @param {Object} [options]
+ * @param {string} [options.method='GET']
+ * @param {Object} [options.headers]
+ * @param {Object} [options.body] - Sent as JSON
+ * @param {AbortSignal} [options.signal]
+ * @param {Function} [options.fetch] - fetch implementation (defaults to the global one)
+ * @param {string} [options.service='Pinning service'] - Name used in error messages
+ * @returns {Promise<Object|string|null>} - Parsed JSON, raw text, or null for an empty body
+ */
+export async function requestJSON(url, options = {}) {
+    const {
+        method = 'GET',
+        headers = {},
+        body,
+        signal,
+        fetch: fetchImpl = globalThis.fetch,
+        service = 'Pinning service'
+    } = options;
+
+    const res = await fetchImpl(url, {
+        method,
+        headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal
+    });
+
+    const text = await res.text();
+    let data = null;
+    if (text) {
+        try {
+            data = JSON.parse(text);
+        } catch {
+            data = text;
+        }
+    }
+
+    if (!res.ok) {
+        const message = `${service} responded with HTTP ${res.status}`;
+        if (res.status === 429 || res.status >= 500) {
+            const error = new Error(message);
+            error.status = res.status;
+            error.response = data;
+            throw error;
+        }
+        throw new PinningError(message, { details: { status: res.status, response: data } });
+    }
+    return data;
+}
+
+/**
+ * Remove trailing slashes from a base URL
+ * @param {string} url
+ * @returns {string}
+ */
+export function trimTrailingSlash(url) {
+    return String(url).replace(/\/+$/, '');
+}
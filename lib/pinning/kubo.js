@@ -0,0 +1,75 @@
+import { requestJSON, trimTrailingSlash } from './http.js';
+
+const DEFAULT_API_URL = 'http://127.0.0.1:5001';
+
+/**
+ * Pinning provider for a Kubo (go-ipfs) node's HTTP RPC API. Pins are
+ * recursive and added synchronously, so they are always reported as pinned.
+ */
+export class KuboPinningProvider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.apiURL] - RPC API base URL (default http://127.0.0.1:5001)
+     * @param {Object} [options.headers] - Extra headers, e.g. Authorization for a protected node
+     * @param {Function} [options.fetch] - fetch implementation
+     */
+    constructor({ apiURL = DEFAULT_API_URL, headers = {}, fetch } = {}) {
+        this.name = 'Kubo';
+        this.apiURL = trimTrailingSlash(apiURL);
+        this.headers = headers;
+        this.fetch = fetch;
+    }
+
+    // The Kubo RPC API only accepts POST
+    _request(command, params, signal) {
+        return requestJSON(`${this.apiURL}/api/v0/${command}?${new URLSearchParams(params)}`, {
+            method: 'POST',
+            headers: this.headers,
+            signal,
+            fetch: this.fetch,
+            service: this.name
+        });
+    }
+
+    async pin(cid, { name, signal } = {}) {
+        const params = { arg: cid };
+        if (name) params.name = name;
+        await this._request('pin/add', params, signal);
+        return { cid, name: name ?? null, status: 'pinned', requestId: null, created: null };
+    }
+
+    async unpin(cid, { signal } = {}) {
+        try {
+            await this._request('pin/rm', { arg: cid }, signal);
+            return true;
+        } catch (error) {
+            if (isNotPinned(error)) return false;
+            throw error;
+        }
+    }
+
+    async listPins({ status = 'pinned', limit = 100, signal } = {}) {
+        if (![].concat(status).includes('pinned')) return [];
+        const data = await this._request('pin/ls', { type: 'recursive', names: 'true' }, signal);
+        return Object.entries(data?.Keys ?? {})
+            .slice(0, limit)
+            .map(([cid, info]) => ({ cid, name: info.Name || null, status: 'pinned', requestId: null, created: null }));
+    }
+
+    async pinStatus(cid, { signal } = {}) {
+        try {
+            const data = await this._request('pin/ls', { arg: cid, type: 'recursive', names: 'true' }, signal);
+            // Keys are in the node's CID encoding, which may differ from `cid`
+            const [info] = Object.values(data?.Keys ?? {});
+            return info ? { cid, name: info.Name || null, status: 'pinned', requestId: null, created: null } : null;
+        } catch (error) {
+            if (isNotPinned(error)) return null;
+            throw error;
+        }
+    }
+}
+
+// Kubo answers HTTP 500 with a "not pinned" message for unknown pins
+function isNotPinned(error) {
+    return /not pinned/i.test(error.response?.Message ?? '');
+}
@@ -0,0 +1,120 @@
+import { ValidationError } from '../errors.js';
+import { requestJSON, trimTrailingSlash } from './http.js';
+
+const DEFAULT_API_URL = 'https://api.pinata.cloud';
+
+// Pinata pin job states, mapped onto Pinning Services API statuses
+const JOB_STATUS = {
+    prechecking: 'queued',
+    retrieving: 'pinning'
+};
+
+/**
+ * Pinning provider for Pinata's pinning API (`pinByHash`)
+ */
+export class PinataPinningProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.jwt - Pinata API JWT
+     * @param {string} [options.apiURL] - API base URL (default https://api.pinata.cloud)
+     * @param {Function} [options.fetch] - fetch implementation
+     */
+    constructor({ jwt, apiURL = DEFAULT_API_URL, fetch } = {}) {
+        if (!jwt) {
+            throw new ValidationError('Pinata pinning requires a JWT');
+        }
+        this.name = 'Pinata';
+        this.jwt = jwt;
+        this.apiURL = trimTrailingSlash(apiURL);
+        this.fetch = fetch;
+    }
+
+    _request(path, { method, body, signal } = {}) {
+        return requestJSON(`${this.apiURL}${path}`, {
+            method,
+            body,
+            signal,
+            headers: { Authorization: `Bearer ${this.jwt}` },
+            fetch: this.fetch,
+            service: this.name
+        });
+    }
+
+    async pin(cid, { name, signal } = {}) {
+        const data = await this._request('/pinning/pinByHash', {
+            method: 'POST',
+            body: { hashToPin: cid, pinataMetadata: name ? { name } : undefined },
+            signal
+        });
+        return {
+            cid,
+            name: name ?? null,
+            status: JOB_STATUS[data?.status] ?? 'queued',
+            requestId: data?.id ?? null,
+            created: null
+        };
+    }
+
+    async unpin(cid, { signal } = {}) {
+        try {
+            await this._request(`/pinning/unpin/${encodeURIComponent(cid)}`, { method: 'DELETE', signal });
+            return true;
+        } catch (error) {
+            if (error.details?.status === 404) return false;
+            throw error;
+        }
+    }
+
+    async listPins({ status = 'pinned', limit = 100, signal } = {}) {
+        const statuses = [].concat(status);
+        const pins = [];
+
+        if (statuses.includes('pinned')) {
+            const params = new URLSearchParams({ status: 'pinned', pageLimit: String(limit) });
+            const data = await this._request(`/data/pinList?${params}`, { signal });
+            pins.push(...(data?.rows ?? []).map(fromPinRow));
+        }
+        if (statuses.some((s) => s !== 'pinned')) {
+            const params = new URLSearchParams({ limit: String(limit) });
+            const data = await this._request(`/pinning/pinJobs?${params}`, { signal });
+            pins.push(...(data?.rows ?? []).map(fromPinJob).filter((pin) => statuses.includes(pin.status)));
+        }
+        return pins.slice(0, limit);
+    }
+
+    async pinStatus(cid, { signal } = {}) {
+        const pinned = await this._request(
+            `/data/pinList?${new URLSearchParams({ hashContains: cid, status: 'pinned', pageLimit: '1' })}`,
+            { signal }
+        );
+        const row = pinned?.rows?.find((r) => r.ipfs_pin_hash === cid);
+        if (row) return fromPinRow(row);
+
+        const jobs = await this._request(
+            `/pinning/pinJobs?${new URLSearchParams({ ipfs_pin_hash: cid, limit: '1' })}`,
+            { signal }
+        );
+        const job = jobs?.rows?.find((r) => r.ipfs_pin_hash === cid);
+        return job ? fromPinJob(job) : null;
+    }
+}
+
+function fromPinRow(row) {
+    return {
+        cid: row.ipfs_pin_hash,
+        name: row.metadata?.name ?? null,
+        status: 'pinned',
+        requestId: row.id ?? null,
+        created: row.date_pinned ?? null
+    };
+}
+
+function fromPinJob(job) {
+    return {
+        cid: job.ipfs_pin_hash,
+        name: job.name ?? null,
+        status: JOB_STATUS[job.status] ?? 'failed',
+        requestId: job.id ?? null,
+        created: job.date_queued ?? null
+    };
+}
@@ -0,0 +1,81 @@
+import { ValidationError } from '../errors.js';
+import { requestJSON, trimTrailingSlash } from './http.js';
+
+const ALL_STATUSES = ['queued', 'pinning', 'pinned', 'failed'];
+
+/**
+ * Pinning provider for any service implementing the IPFS Pinning Services
+ * API spec (https://ipfs.github.io/pinning-services-api-spec/)
+ */
+export class PinningServiceProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.endpoint - API endpoint, e.g. https://api.pinata.cloud/psa
+     * @param {string} options.accessToken - Bearer access token
+     * @param {string} [options.name] - Name used in logs and errors
+     * @param {Function} [options.fetch] - fetch implementation
+     */
+    constructor({ endpoint, accessToken, name = 'Pinning service', fetch } = {}) {
+        if (!endpoint || !accessToken) {
+            throw new ValidationError('Pinning service requires an endpoint and an access token');
+        }
+        this.name = name;
+        this.endpoint = trimTrailingSlash(endpoint);
+        this.accessToken = accessToken;
+        this.fetch = fetch;
+    }
+
+    _request(path, { method, body, signal } = {}) {
+        return requestJSON(`${this.endpoint}${path}`, {
+            method,
+            body,
+            signal,
+            headers: { Authorization: `Bearer ${this.accessToken}` },
+            fetch: this.fetch,
+            service: this.name
+        });
+    }
+
+    async _find(cid, statuses, limit, signal) {
+        const params = new URLSearchParams({ status: statuses.join(','), limit: String(limit) });
+        if (cid) params.set('cid', cid);
+        const data = await this._request(`/pins?${params}`, { signal });
+        return (data?.results ?? []).map(fromPinStatus);
+    }
+
+    async pin(cid, { name, signal } = {}) {
+        const data = await this._request('/pins', {
+            method: 'POST',
+            body: name ? { cid, name } : { cid },
+            signal
+        });
+        return fromPinStatus(data);
+    }
+
+    async unpin(cid, { signal } = {}) {
+        const pins = await this._find(cid, ALL_STATUSES, 1000, signal);
+        for (const pin of pins) {
+            await this._request(`/pins/${encodeURIComponent(pin.requestId)}`, { method: 'DELETE', signal });
+        }
+        return pins.length > 0;
+    }
+
+    async listPins({ status = 'pinned', limit = 100, signal } = {}) {
+        return await this._find(null, [].concat(status), limit, signal);
+    }
+
+    async pinStatus(cid, { signal } = {}) {
+        const [pin] = await this._find(cid, ALL_STATUSES, 1, signal);
+        return pin ?? null;
+    }
+}
+
+function fromPinStatus(status) {
+    return {
+        cid: status.pin?.cid ?? null,
+        name: status.pin?.name ?? null,
+        status: status.status,
+        requestId: status.requestid,
+        created: status.created ?? null
+    };
+}
@@ -0,0 +1,60 @@
+import { ValidationError } from '../errors.js';
+import { PinataPinningProvider } from './pinata.js';
+import { PinningServiceProvider } from './pinning-service.js';
+import { KuboPinningProvider } from './kubo.js';
+
+/**
+ * Pinning provider interface
+ *
+ * Providers pin CIDs on an IPFS pinning service so uploads are reachable
+ * through public gateways. Every method accepts an optional `signal`.
+ *
+ *   name                                  -> string, used in logs and errors
+ *   pin(cid, { name, signal })            -> pin
+ *   unpin(cid, { signal })                -> boolean, whether a pin was removed
+ *   listPins({ status, limit, signal })   -> pin[]
+ *   pinStatus(cid, { signal })            -> pin, or null if the CID is not pinned
+ *
+ * A pin is `{ cid, name, status, requestId, created }`, where status is one
+ * of 'queued', 'pinning', 'pinned' or 'failed' (the Pinning Services API
+ * statuses). `listPins` filters by one status or an array of them.
+ */
+
+export const DEFAULT_GATEWAY_URL = 'https://ipfs.io/ipfs/{cid}';
+
+/**
+ * Build a pinning provider from configuration
+ * @param {Object} config - A provider instance, or `{ type, ...options }` where type is
+ *   'pinata' (`jwt`), 'pinning-service' (`endpoint`, `accessToken`) or 'kubo' (`apiURL`)
+ * @returns {Object|null} - Provider, or null when `config` is empty
+ */
+export function createPinningProvider(config) {
+    if (!config) return null;
+    if (typeof config.pin === 'function') return config;
+
+    const { type, ...options } = config;
+    switch (type) {
+        case 'pinata':
+            return new PinataPinningProvider(options);
+        case 'pinning-service':
+            return new PinningServiceProvider(options);
+        case 'kubo':
+            return new KuboPinningProvider(options);
+        default:
+            throw new ValidationError(`Unknown pinning provider type: ${type}`);
+    }
+}
+
+/**
+ * Fill in a gateway URL template. `{cid}` is replaced by the CID and
+ * `{filename}` by the URL-encoded filename.
+ * @param {string} template - e.g. 'https://{cid}.ipfs.dweb.link' or 'https://gateway.example/ipfs/{cid}'
+ * @param {string} cid
+ * @param {string} [filename]
+ * @returns {string}
+ */
+export function formatGatewayURL(template, cid, filename = '') {
+    return template
+        .replaceAll('{cid}', String(cid))
+        .replaceAll('{filename}', encodeURIComponent(filename));
+}
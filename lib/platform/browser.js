@@ -0,0 +1,33 @@
+import { ValidationError } from '../errors.js';
+
+// Browser counterpart of ./node.js, which documents the interface
+
+export const isNode = false;
+
+/**
+ * Resolve the page's WebCrypto implementation
+ * @returns {Promise<Crypto>}
+ */
+export async function getWebCrypto() {
+    if (!globalThis.crypto?.subtle) {
+        throw new ValidationError('WebCrypto is not available; encryption and hashing need a secure context (HTTPS)');
+    }
+    return globalThis.crypto;
+}
+
+const nodeOnly = (feature) => async () => {
+    throw new ValidationError(`${feature} is only available in Node.js`);
+};
+
+export const loadFs = nodeOnly('File system access');
+export const loadPath = nodeOnly('File system access');
+export const loadStream = nodeOnly('Node.js streams');
+export const loadZlib = nodeOnly('zlib');
+
+/**
+ * Browsers have no environment variables
+ * @returns {undefined}
+ */
+export function readEnv() {
+    return undefined;
+}
@@ -0,0 +1,45 @@
+/**
+ * Runtime services for Node.js. Modules import these through `#platform`,
+ * which package.json maps to this file under the `node` condition and to
+ * `./browser.js` everywhere else, so browser builds never pull in Node.js
+ * built-ins or globals.
+ *
+ * A platform exports:
+ *   isNode                 - Whether Node.js built-ins are available
+ *   getWebCrypto()         - Promise of a WebCrypto implementation
+ *   loadFs()               - Promise of the 'fs/promises' module
+ *   loadPath()             - Promise of the 'path' module
+ *   loadStream()           - Promise of the 'stream' module
+ *   loadZlib()             - Promise of the 'zlib' module
+ *   readEnv(name)          - Environment variable, or undefined
+ * The loaders reject with a ValidationError where the module does not exist.
+ */
+
+export const isNode = true;
+
+/**
+ * Resolve a WebCrypto implementation. Node 19+ exposes it globally; older
+ * versions need the `crypto` module's `webcrypto` export.
+ * @returns {Promise<Crypto>}
+ */
+export async function getWebCrypto() {
+    if (globalThis.crypto?.subtle) {
+        return globalThis.crypto;
+    }
+    const { webcrypto } = await import('crypto');
+    return webcrypto;
+}
+
+export const loadFs = () => import('fs/promises');
+export const loadPath = () => import('path');
+export const loadStream = () => import('stream');
+export const loadZlib = () => import('zlib');
+
+/**
+ * Read an environment variable
+ * @param {string} name
+ * @returns {string|undefined}
+ */
+export function readEnv(name) {
+    return process.env[name];
+}
@@ -0,0 +1,128 @@
+import { TimeoutError, ValidationError, isTransientError } from './errors.js';
+
+export const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 3,
+    initialDelayMs: 500,
+    maxDelayMs: 10000,
+    factor: 2,
+    jitter: true,
+    timeoutMs: 0 // 0 disables the per-attempt timeout
+};
+
+/**
+ * Merge retry policies. `false` disables retries (a single attempt).
+ * @param {...(Object|boolean|undefined)} policies - Later policies override earlier ones
+ * @returns {Object} - Complete retry policy
+ */
+export function resolveRetryPolicy(...policies) {
+    let resolved = { ...DEFAULT_RETRY_POLICY };
+    for (const policy of policies) {
+        if (policy === false) {
+            resolved = { ...resolved, maxAttempts: 1 };
+        } else if (policy && typeof policy === 'object') {
+            resolved = { ...resolved, ...policy };
+        }
+    }
+
+    if (!Number.isInteger(resolved.maxAttempts) || resolved.maxAttempts < 1) {
+        throw new ValidationError('Retry maxAttempts must be a positive integer');
+    }
+    if (!(resolved.timeoutMs >= 0)) {
+        throw new ValidationError('Retry timeoutMs must be zero or a positive number');
+    }
+    return resolved;
+}
+
+/**
+ * Delay before the next attempt: exponential backoff, capped at
+ * `maxDelayMs`, with "equal jitter" (half fixed, half random)
+ * @param {number} attempt - The attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @param {Function} [random=Math.random]
+ * @returns {number} - Delay in milliseconds
+ */
+export function backoffDelay(attempt, policy, random = Math.random) {
+    const base = Math.min(policy.maxDelayMs, policy.initialDelayMs * policy.factor ** (attempt - 1));
+    return policy.jitter ? base / 2 + random() * (base / 2) : base;
+}
+
+/**
+ * Wait for `ms` milliseconds unless the signal aborts first
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Run one attempt, rejecting early if the caller aborts or the timeout expires.
+ * The attempt receives its own AbortSignal which fires in both cases; work
+ * that cannot observe it keeps running in the background, but its result is
+ * ignored.
+ * @param {Function} operation - `(signal) => Promise`
+ * @param {number} timeoutMs
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<any>}
+ */
+function runAttempt(operation, timeoutMs, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const timer = timeoutMs > 0
+        ? setTimeout(() => controller.abort(new TimeoutError(`Operation timed out after ${timeoutMs} ms`)), timeoutMs)
+        : null;
+
+    const aborted = new Promise((_, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+    });
+    const pending = Promise.resolve().then(() => operation(controller.signal));
+    // Whichever promise loses the race must not surface as an unhandled rejection
+    aborted.catch(() => {});
+    pending.catch(() => {});
+
+    return Promise.race([pending, aborted]).finally(() => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    });
+}
+
+/**
+ * Run an operation with retries, per-attempt timeouts and cancellation
+ * @param {Function} operation - `(signal) => Promise`, called once per attempt
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - Retry policy (see `resolveRetryPolicy`)
+ * @param {AbortSignal} [options.signal] - Aborts the operation and any pending retry
+ * @param {Function} [options.onRetry] - `(error, attempt, delayMs) => void`, called before each retry
+ * @param {boolean} [options.retryTimeouts=true] - Set to false for operations that must not run twice:
+ *   a timed-out attempt may still complete in the background, so it is not retried
+ * @returns {Promise<any>}
+ */
+export async function withRetry(operation, { policy = DEFAULT_RETRY_POLICY, signal, onRetry, retryTimeouts = true } = {}) {
+    for (let attempt = 1; ; attempt++) {
+        signal?.throwIfAborted();
+        try {
+            return await runAttempt(operation, policy.timeoutMs, signal);
+        } catch (error) {
+            if (signal?.aborted) throw signal.reason;
+            if (attempt >= policy.maxAttempts || !isTransientError(error)) throw error;
+            if (!retryTimeouts && error instanceof TimeoutError) throw error;
+
+            const delay = backoffDelay(attempt, policy);
+            onRetry?.(error, attempt, delay);
+            await sleep(delay, signal);
+        }
+    }
+}
@@ -0,0 +1,262 @@
+import { ValidationError } from './errors.js';
+
+// Errors reported per validation, so a huge invalid document does not produce a huge error
+const MAX_ERRORS = 20;
+
+/**
+ * Compare two JSON values structurally
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function jsonEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+    if (Array.isArray(a)) {
+        return a.length === b.length && a.every((item, i) => jsonEqual(item, b[i]));
+    }
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length &&
+        keys.every((key) => Object.hasOwn(b, key) && jsonEqual(a[key], b[key]));
+}
+
+/**
+ * JSON Schema type name of a value ('integer' is reported as 'number')
+ * @param {any} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function matchesType(value, type) {
+    if (type === 'integer') return Number.isInteger(value);
+    if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+    return typeOf(value) === type;
+}
+
+/**
+ * Resolve a local `$ref` such as '#/$defs/address'
+ * @param {Object} root - Root schema
+ * @param {string} ref
+ * @returns {Object|boolean}
+ */
+function resolveRef(root, ref) {
+    if (typeof ref !== 'string' || !ref.startsWith('#')) {
+        throw new ValidationError(`Unsupported $ref "${ref}": only references within the schema ('#/...') are supported`);
+    }
+    const target = ref.slice(1).split('/').slice(1)
+        .map((token) => decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, token) => (node !== undefined && node !== null ? node[token] : undefined), root);
+    if (target === undefined) {
+        throw new ValidationError(`Cannot resolve $ref "${ref}"`);
+    }
+    return target;
+}
+
+const pointer = (path, key) => `${path}/${String(key).replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+/**
+ * Validate `value` against `schema`, appending failures to `errors`
+ * @param {Object|boolean} schema
+ * @param {any} value
+ * @param {string} path - JSON Pointer to `value`
+ * @param {Object} root - Root schema, for `$ref`
+ * @param {Array<{path: string, message: string}>} errors
+ */
+function check(schema, value, path, root, errors) {
+    if (errors.length >= MAX_ERRORS) return;
+    const fail = (message) => errors.push({ path: path || '/', message });
+
+    if (schema === true) return;
+    if (schema === false) {
+        fail('is not allowed');
+        return;
+    }
+    if (schema.$ref !== undefined) {
+        check(resolveRef(root, schema.$ref), value, path, root, errors);
+    }
+
+    const passes = (subschema) => {
+        const nested = [];
+        check(subschema, value, path, root, nested);
+        return nested.length === 0;
+    };
+
+    if (schema.type !== undefined) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some((type) => matchesType(value, type))) {
+            fail(`must be ${types.join(' or ')}`);
+            return;
+        }
+    }
+    if (schema.enum !== undefined && !schema.enum.some((option) => jsonEqual(option, value))) {
+        fail(`must be one of ${JSON.stringify(schema.enum)}`);
+    }
+    if (schema.const !== undefined && !jsonEqual(schema.const, value)) {
+        fail(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+        if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+        if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+            fail(`must be > ${schema.exclusiveMinimum}`);
+        }
+        if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+            fail(`must be < ${schema.exclusiveMaximum}`);
+        }
+        if (schema.multipleOf !== undefined && !Number.isInteger(value / schema.multipleOf)) {
+            fail(`must be a multiple of ${schema.multipleOf}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        // Lengths count code points, not UTF-16 units
+        const length = [...value].length;
+        if (schema.minLength !== undefined && length < schema.minLength) {
+            fail(`must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+            fail(`must match pattern ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        const prefix = schema.prefixItems ?? (Array.isArray(schema.items) ? schema.items : []);
+        const rest = Array.isArray(schema.items) ? schema.additionalItems : schema.items;
+        value.forEach((item, index) => {
+            const itemSchema = index < prefix.length ? prefix[index] : rest;
+            if (itemSchema !== undefined) check(itemSchema, item, pointer(path, index), root, errors);
+        });
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(`must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.uniqueItems && value.some((item, i) => value.findIndex((other) => jsonEqual(other, item)) !== i)) {
+            fail('must not contain duplicate items');
+        }
+        if (schema.contains !== undefined) {
+            const matches = value.filter((item) => {
+                const nested = [];
+                check(schema.contains, item, path, root, nested);
+                return nested.length === 0;
+            }).length;
+            if (matches < (schema.minContains ?? 1)) fail('must contain a matching item');
+            if (schema.maxContains !== undefined && matches > schema.maxContains) {
+                fail(`must contain at most ${schema.maxContains} matching items`);
+            }
+        }
+    }
+
+    if (typeOf(value) === 'object') {
+        const keys = Object.keys(value);
+        for (const key of schema.required ?? []) {
+            if (!Object.hasOwn(value, key)) fail(`must have property "${key}"`);
+        }
+        if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+            fail(`must have at least ${schema.minProperties} properties`);
+        }
+        if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+            fail(`must have at most ${schema.maxProperties} properties`);
+        }
+        const patterns = Object.entries(schema.patternProperties ?? {})
+            .map(([pattern, subschema]) => [new RegExp(pattern, 'u'), subschema]);
+        for (const key of keys) {
+            const keyPath = pointer(path, key);
+            if (schema.propertyNames !== undefined) {
+                check(schema.propertyNames, key, keyPath, root, errors);
+            }
+            let matched = false;
+            if (schema.properties && Object.hasOwn(schema.properties, key)) {
+                matched = true;
+                check(schema.properties[key], value[key], keyPath, root, errors);
+            }
+            for (const [regex, subschema] of patterns) {
+                if (regex.test(key)) {
+                    matched = true;
+                    check(subschema, value[key], keyPath, root, errors);
+                }
+            }
+            if (!matched && schema.additionalProperties !== undefined) {
+                if (schema.additionalProperties === false) {
+                    errors.push({ path: keyPath, message: 'is not an allowed property' });
+                } else {
+                    check(schema.additionalProperties, value[key], keyPath, root, errors);
+                }
+            }
+        }
+    }
+
+    for (const subschema of schema.allOf ?? []) {
+        check(subschema, value, path, root, errors);
+    }
+    if (schema.anyOf !== undefined && !schema.anyOf.some(passes)) {
+        fail('must match at least one schema in anyOf');
+    }
+    if (schema.oneOf !== undefined) {
+        const matches = schema.oneOf.filter(passes).length;
+        if (matches !== 1) fail(`must match exactly one schema in oneOf (matched ${matches})`);
+    }
+    if (schema.not !== undefined && passes(schema.not)) {
+        fail('must not match the schema in not');
+    }
+    if (schema.if !== undefined) {
+        const branch = passes(schema.if) ? schema.then : schema.else;
+        if (branch !== undefined) check(branch, value, path, root, errors);
+    }
+}
+
+/**
+ * Check that a JSON Schema is usable: an object (or boolean) that survives a
+ * JSON round trip, since it is stored alongside the documents it describes
+ * @param {Object|boolean} schema
+ */
+export function assertSchema(schema) {
+    if (typeof schema !== 'boolean' && typeOf(schema) !== 'object') {
+        throw new ValidationError('schema must be a JSON Schema object');
+    }
+    try {
+        JSON.stringify(schema);
+    } catch (error) {
+        throw new ValidationError('schema must be JSON-serialisable', { cause: error });
+    }
+}
+
+/**
+ * Validate a value against a JSON Schema. Supports the structural keywords
+ * of draft 2020-12 (type, enum, const, numeric, string, array and object
+ * constraints, allOf/anyOf/oneOf/not, if/then/else) and `$ref` within the
+ * schema. `format` and other annotations are not checked.
+ * @param {Object|boolean} schema
+ * @param {any} value
+ * @returns {Array<{path: string, message: string}>} - Failures, each with a JSON Pointer to the offending
+ *   value; empty when `value` is valid. At most 20 are reported.
+ */
+export function validateSchema(schema, value) {
+    const errors = [];
+    check(schema, value, '', schema, errors);
+    return errors.slice(0, MAX_ERRORS);
+}
+
+/**
+ * Throw if a value does not match a JSON Schema
+ * @param {Object|boolean} schema
+ * @param {any} value
+ * @throws {ValidationError} With the failures in `details.errors`
+ */
+export function assertMatchesSchema(schema, value) {
+    const errors = validateSchema(schema, value);
+    if (errors.length > 0) {
+        const summary = errors.slice(0, 3).map(({ path, message }) => `${path} ${message}`).join('; ');
+        throw new ValidationError(`Document does not match its schema: ${summary}`, { details: { errors } });
+    }
+}
@@ -0,0 +1,82 @@
+import { FileStorageError } from '../errors.js';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<any>}
+ */
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Store of entries persisted in an IndexedDB object store (browser), the
+ * base of the catalog and journal IndexedDB stores
+ */
+export class IndexedDBStore {
+    /**
+     * @param {Object} options
+     * @param {string} [options.dbName] - Database name
+     * @param {string} [options.storeName] - Object store name
+     * @param {IDBFactory} [options.indexedDB] - IndexedDB implementation (defaults to the global one)
+     * @param {Object} defaults
+     * @param {string} defaults.dbName - Database name when not given
+     * @param {string} defaults.storeName - Object store name when not given
+     * @param {string} defaults.keyPath - Entry property holding the key
+     */
+    constructor(options, { dbName, storeName, keyPath }) {
+        this.dbName = options.dbName ?? dbName;
+        this.storeName = options.storeName ?? storeName;
+        this.keyPath = keyPath;
+        this.indexedDB = options.indexedDB ?? globalThis.indexedDB;
+        if (!this.indexedDB) {
+            throw new FileStorageError('IndexedDB is not available in this environment', {
+                code: 'UNSUPPORTED_ENVIRONMENT'
+            });
+        }
+        this._db = null;
+    }
+
+    async _open() {
+        if (this._db) return this._db;
+
+        const request = this.indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+            if (!request.result.objectStoreNames.contains(this.storeName)) {
+                request.result.createObjectStore(this.storeName, { keyPath: this.keyPath });
+            }
+        };
+        this._db = await promisify(request);
+        return this._db;
+    }
+
+    async _store(mode) {
+        const db = await this._open();
+        return db.transaction(this.storeName, mode).objectStore(this.storeName);
+    }
+
+    async get(key) {
+        const store = await this._store('readonly');
+        return (await promisify(store.get(key))) ?? null;
+    }
+
+    async put(entry) {
+        const store = await this._store('readwrite');
+        await promisify(store.put(entry));
+    }
+
+    async delete(key) {
+        if (!(await this.get(key))) return false;
+        const store = await this._store('readwrite');
+        await promisify(store.delete(key));
+        return true;
+    }
+
+    async list() {
+        const store = await this._store('readonly');
+        return await promisify(store.getAll());
+    }
+}
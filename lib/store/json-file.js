@@ -0,0 +1,94 @@
+import { FileStorageError, ValidationError } from '../errors.js';
+import { loadFs, loadPath } from '#platform';
+
+/**
+ * Store of JSON entries persisted to a file on disk (Node.js only), the base
+ * of the catalog and journal file stores. The file holds
+ * `{ version: 1, <collection>: entry[] }` and entries are keyed by their
+ * `keyPath` property. It is read once on first use and rewritten atomically
+ * after every change, so a crash leaves either the previous or the new file.
+ */
+export class JsonFileStore {
+    /**
+     * @param {string} filePath - Path of the JSON file; created if missing
+     * @param {Object} schema
+     * @param {string} schema.name - Store class name, for error messages
+     * @param {string} schema.kind - What the file holds, for error messages
+     * @param {string} schema.collection - File property holding the entries
+     * @param {string} schema.keyPath - Entry property holding the key
+     * @param {string} schema.errorCode - Code of the error thrown when the file cannot be read
+     */
+    constructor(filePath, { name, kind, collection, keyPath, errorCode }) {
+        if (!filePath) {
+            throw new ValidationError(`${name} requires a file path`);
+        }
+        this.filePath = filePath;
+        this._schema = { kind, collection, keyPath, errorCode };
+        this._entries = null;
+        this._loading = null;
+        this._writeQueue = Promise.resolve();
+    }
+
+    _load() {
+        // Concurrent first calls share one read, so none replaces entries another has already added
+        this._loading ??= this._read().catch((error) => {
+            this._loading = null;
+            throw error;
+        });
+        return this._loading;
+    }
+
+    async _read() {
+        const { kind, collection, keyPath, errorCode } = this._schema;
+        const { readFile } = await loadFs();
+        let entries = [];
+        try {
+            const parsed = JSON.parse(await readFile(this.filePath, 'utf8'));
+            entries = Array.isArray(parsed[collection]) ? parsed[collection] : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw new FileStorageError(`Failed to read ${kind} file ${this.filePath}: ${error.message}`, {
+                    code: errorCode,
+                    cause: error
+                });
+            }
+        }
+
+        this._entries = new Map(entries.map((entry) => [entry[keyPath], entry]));
+        return this._entries;
+    }
+
+    async _save() {
+        const snapshot = JSON.stringify({ version: 1, [this._schema.collection]: [...this._entries.values()] }, null, 2);
+
+        // Serialize writes so concurrent updates never interleave on disk
+        this._writeQueue = this._writeQueue.catch(() => {}).then(async () => {
+            const { writeFile, rename, mkdir } = await loadFs();
+            const { dirname } = await loadPath();
+            await mkdir(dirname(this.filePath), { recursive: true });
+            const tmpPath = `${this.filePath}.tmp`;
+            await writeFile(tmpPath, snapshot);
+            await rename(tmpPath, this.filePath);
+        });
+        return this._writeQueue;
+    }
+
+    async get(key) {
+        return (await this._load()).get(key) ?? null;
+    }
+
+    async put(entry) {
+        (await this._load()).set(entry[this._schema.keyPath], entry);
+        await this._save();
+    }
+
+    async delete(key) {
+        const removed = (await this._load()).delete(key);
+        if (removed) await this._save();
+        return removed;
+    }
+
+    async list() {
+        return [...(await this._load()).values()];
+    }
+}
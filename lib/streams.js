@@ -0,0 +1,137 @@
+import { ValidationError } from './errors.js';
+import { loadStream } from '#platform';
+
+// Default amount of stream data buffered before it is uploaded as one piece
+export const DEFAULT_STREAM_CHUNK_SIZE = 32 * 1024 * 1024;
+
+// Slice size used when exposing an in-memory piece as a stream
+const STREAM_SLICE_SIZE = 1024 * 1024;
+
+/**
+ * Normalise a value produced by a stream into bytes
+ * @param {Uint8Array|ArrayBuffer|string} value
+ * @returns {Uint8Array}
+ */
+function toBytes(value) {
+    if (value instanceof Uint8Array) return value;
+    if (value instanceof ArrayBuffer) return new Uint8Array(value);
+    if (typeof value === 'string') return new TextEncoder().encode(value);
+    throw new ValidationError('Stream must produce Uint8Array, Buffer, ArrayBuffer or string chunks');
+}
+
+/**
+ * Iterate over a web ReadableStream or a Node.js Readable.
+ * Data is only pulled from the source when the consumer asks for the next
+ * value, so the source's backpressure is respected.
+ * @param {ReadableStream|import('stream').Readable|AsyncIterable} readable
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+export async function* iterateStream(readable) {
+    if (readable && typeof readable.getReader === 'function') {
+        const reader = readable.getReader();
+        try {
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) return;
+                yield toBytes(value);
+            }
+        } finally {
+            reader.releaseLock();
+        }
+    }
+
+    if (readable && typeof readable[Symbol.asyncIterator] === 'function') {
+        for await (const value of readable) {
+            yield toBytes(value);
+        }
+        return;
+    }
+
+    throw new ValidationError('Expected a ReadableStream or Node.js Readable');
+}
+
+/**
+ * Regroup a byte stream into chunks of exactly `chunkSize` bytes (the last
+ * chunk may be shorter). At most one chunk is buffered at a time.
+ * @param {AsyncIterable<Uint8Array>} source
+ * @param {number} chunkSize
+ * @returns {AsyncGenerator<Uint8Array>}
+ */
+export async function* readChunks(source, chunkSize) {
+    let buffer = new Uint8Array(chunkSize);
+    let filled = 0;
+
+    for await (const value of source) {
+        let offset = 0;
+        while (offset < value.length) {
+            const take = Math.min(chunkSize - filled, value.length - offset);
+            buffer.set(value.subarray(offset, offset + take), filled);
+            filled += take;
+            offset += take;
+
+            if (filled === chunkSize) {
+                yield buffer;
+                buffer = new Uint8Array(chunkSize);
+                filled = 0;
+            }
+        }
+    }
+
+    if (filled > 0) {
+        yield buffer.subarray(0, filled);
+    }
+}
+
+/**
+ * Expose in-memory bytes as a web ReadableStream
+ * @param {Uint8Array} data
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function bytesToStream(data) {
+    let offset = 0;
+    return new ReadableStream({
+        pull(controller) {
+            if (offset >= data.length) {
+                controller.close();
+                return;
+            }
+            const end = Math.min(offset + STREAM_SLICE_SIZE, data.length);
+            controller.enqueue(data.subarray(offset, end));
+            offset = end;
+        }
+    }, { highWaterMark: 0 });
+}
+
+/**
+ * Convert a web ReadableStream into a Node.js Readable
+ * @param {ReadableStream} stream
+ * @returns {Promise<import('stream').Readable>}
+ */
+export async function toNodeReadable(stream) {
+    const { Readable } = await loadStream();
+    return Readable.fromWeb(stream);
+}
+
+/**
+ * Read a File or Blob into memory, reporting how many bytes have been read
+ * so far. Falls back to `arrayBuffer()` where `Blob#stream` is unavailable.
+ * @param {Blob} blob
+ * @param {(bytesRead: number) => void} [onProgress]
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readBlob(blob, onProgress) {
+    if (typeof blob.stream !== 'function') {
+        const data = new Uint8Array(await blob.arrayBuffer());
+        onProgress?.(data.length);
+        return data;
+    }
+
+    const data = new Uint8Array(blob.size);
+    let offset = 0;
+    for await (const value of iterateStream(blob.stream())) {
+        data.set(value, offset);
+        offset += value.length;
+        onProgress?.(offset);
+    }
+    return offset === data.length ? data : data.subarray(0, offset);
+}
@@ -0,0 +1,143 @@
+import { CHAIN_IDS, RPC_URLS } from '@filoz/synapse-sdk';
+import { ValidationError, WalletError, WrongNetworkError } from './errors.js';
+
+// EIP-1193 and EIP-3326 error codes
+const USER_REJECTED = 4001;
+const UNRECOGNIZED_CHAIN = 4902;
+
+/**
+ * Chain parameters for `wallet_addEthereumChain` (EIP-3085), by network name
+ */
+export const FILECOIN_CHAINS = {
+    mainnet: {
+        chainId: CHAIN_IDS.mainnet,
+        chainName: 'Filecoin Mainnet',
+        nativeCurrency: { name: 'Filecoin', symbol: 'FIL', decimals: 18 },
+        rpcUrls: [RPC_URLS.mainnet.http],
+        blockExplorerUrls: ['https://filfox.info/en']
+    },
+    calibration: {
+        chainId: CHAIN_IDS.calibration,
+        chainName: 'Filecoin Calibration',
+        nativeCurrency: { name: 'Test Filecoin', symbol: 'tFIL', decimals: 18 },
+        rpcUrls: [RPC_URLS.calibration.http],
+        blockExplorerUrls: ['https://calibration.filfox.info/en']
+    }
+};
+
+const toHex = (chainId) => `0x${chainId.toString(16)}`;
+
+/**
+ * Read a chain ID as wallets report it (hex string) or as a number
+ * @param {string|number|bigint} chainId
+ * @returns {number}
+ */
+export function parseChainId(chainId) {
+    return Number(typeof chainId === 'string' ? BigInt(chainId) : chainId);
+}
+
+/**
+ * Network name for a chain ID
+ * @param {number} chainId
+ * @returns {string|null} - 'mainnet', 'calibration', or null for other chains
+ */
+export function networkForChainId(chainId) {
+    return Object.keys(FILECOIN_CHAINS).find((network) => FILECOIN_CHAINS[network].chainId === chainId) ?? null;
+}
+
+/**
+ * The wallet injected into the page (`window.ethereum`), if any
+ * @returns {Object|null}
+ */
+export function getInjectedProvider() {
+    return globalThis.ethereum ?? null;
+}
+
+/**
+ * Check that an object implements EIP-1193's `request` method
+ * @param {Object} provider
+ */
+export function assertEip1193(provider) {
+    if (!provider || typeof provider.request !== 'function') {
+        throw new ValidationError('provider must be an EIP-1193 provider with a request() method');
+    }
+}
+
+/**
+ * Send a request to the wallet, reporting failures as WalletError
+ * @param {Object} provider - EIP-1193 provider
+ * @param {string} method
+ * @param {Array} [params]
+ * @returns {Promise<any>}
+ */
+async function walletRequest(provider, method, params) {
+    try {
+        return await provider.request(params === undefined ? { method } : { method, params });
+    } catch (error) {
+        const message = error?.code === USER_REJECTED
+            ? `Wallet request ${method} was rejected by the user`
+            : `Wallet request ${method} failed: ${error?.message ?? error}`;
+        throw new WalletError(message, { cause: error, details: { method, rpcCode: error?.code ?? null } });
+    }
+}
+
+/**
+ * Ask the wallet for access to its accounts
+ * @param {Object} provider - EIP-1193 provider
+ * @returns {Promise<string[]>} - Account addresses, the selected one first
+ * @throws {WalletError} If the user refuses or the wallet exposes no account
+ */
+export async function requestAccounts(provider) {
+    const accounts = await walletRequest(provider, 'eth_requestAccounts');
+    if (!Array.isArray(accounts) || accounts.length === 0) {
+        throw new WalletError('The wallet did not expose any account');
+    }
+    return accounts;
+}
+
+/**
+ * Make sure the wallet is on the chain of `network`, asking it to switch (and,
+ * if it does not know the chain, to add it) when it is not
+ * @param {Object} provider - EIP-1193 provider
+ * @param {string} network - 'mainnet' or 'calibration'
+ * @param {Object} [options]
+ * @param {boolean} [options.switchChain=true] - Ask the wallet to switch chains
+ * @param {boolean} [options.addChain=true] - Offer to add the chain when the wallet does not know it
+ * @returns {Promise<number>} - The wallet's chain ID
+ * @throws {WrongNetworkError} If the wallet stays on another chain
+ */
+export async function ensureChain(provider, network, { switchChain = true, addChain = true } = {}) {
+    const chain = FILECOIN_CHAINS[network];
+    const current = parseChainId(await walletRequest(provider, 'eth_chainId'));
+    if (current === chain.chainId) {
+        return current;
+    }
+
+    const wrongNetwork = (cause) => new WrongNetworkError(
+        `Wallet is on chain ${current}, expected ${chain.chainName} (${chain.chainId})`,
+        { cause, details: { chainId: current, expectedChainId: chain.chainId, network } }
+    );
+    if (!switchChain) {
+        throw wrongNetwork();
+    }
+
+    try {
+        await walletRequest(provider, 'wallet_switchEthereumChain', [{ chainId: toHex(chain.chainId) }]);
+    } catch (error) {
+        if (error.details.rpcCode !== UNRECOGNIZED_CHAIN || !addChain) {
+            throw wrongNetwork(error);
+        }
+        try {
+            // Adding a chain also offers to switch to it
+            await walletRequest(provider, 'wallet_addEthereumChain', [{ ...chain, chainId: toHex(chain.chainId) }]);
+        } catch (addError) {
+            throw wrongNetwork(addError);
+        }
+    }
+
+    const switched = parseChainId(await walletRequest(provider, 'eth_chainId'));
+    if (switched !== chain.chainId) {
+        throw wrongNetwork();
+    }
+    return switched;
+}
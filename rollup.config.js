@@ -0,0 +1,88 @@
+import { builtinModules } from 'module';
+import { readFileSync } from 'fs';
+import resolve from '@rollup/plugin-node-resolve';
+import commonjs from '@rollup/plugin-commonjs';
+import terser from '@rollup/plugin-terser';
+
+const pkg = JSON.parse(readFileSync(new URL('./package.json', import.meta.url), 'utf8'));
+const development = process.env.NODE_ENV === 'development';
+
+const builtins = new Set([...builtinModules, ...builtinModules.map((name) => `node:${name}`)]);
+const isBuiltin = (id) => builtins.has(id);
+
+// Dependencies resolved by Node.js at runtime, including subpaths such as '@filoz/synapse-sdk/piece'
+const isPackage = (names) => (id) => names.some((name) => id === name || id.startsWith(`${name}/`));
+
+const input = 'FileStorage.js';
+const banner = `/*! ${pkg.name} v${pkg.version} | ${pkg.license} */`;
+
+// TypeScript reads a `.d.ts` file in a "type": "module" package as an ES
+// module, so `require()` consumers get the same declarations as a `.d.cts`
+const cjsTypes = () => ({
+    name: 'cjs-types',
+    generateBundle() {
+        this.emitFile({
+            type: 'asset',
+            fileName: 'FileStorage.node.d.cts',
+            source: readFileSync(new URL('./types/index.d.ts', import.meta.url), 'utf8')
+        });
+    }
+});
+
+export default [
+    // Browsers and bundlers: everything bundled, '#platform' resolved to lib/platform/browser.js
+    {
+        input,
+        plugins: [
+            resolve({ browser: true, preferBuiltins: false, exportConditions: ['browser'] }),
+            commonjs()
+        ],
+        output: [
+            { file: 'dist/FileStorage.esm.js', format: 'es', sourcemap: true, banner, inlineDynamicImports: true },
+            {
+                file: 'dist/FileStorage.umd.js',
+                format: 'umd',
+                name: 'FilecoinStorageSDK',
+                exports: 'named',
+                sourcemap: true,
+                banner,
+                inlineDynamicImports: true
+            },
+            ...(development ? [] : [{
+                file: 'dist/FileStorage.umd.min.js',
+                format: 'umd',
+                name: 'FilecoinStorageSDK',
+                exports: 'named',
+                sourcemap: true,
+                banner,
+                inlineDynamicImports: true,
+                plugins: [terser()]
+            }])
+        ]
+    },
+    // Node.js ESM: dependencies stay external, '#platform' resolves to lib/platform/node.js
+    {
+        input,
+        external: (id) => isBuiltin(id) || isPackage(Object.keys(pkg.dependencies))(id),
+        plugins: [resolve({ exportConditions: ['node'], preferBuiltins: true })],
+        output: { file: 'dist/FileStorage.node.mjs', format: 'es', sourcemap: true, banner }
+    },
+    // Node.js CommonJS: the Synapse SDK only ships ES modules, so it is bundled in
+    {
+        input,
+        external: (id) => isBuiltin(id) || isPackage(['ethers', 'dotenv'])(id),
+        plugins: [
+            resolve({ exportConditions: ['node'], preferBuiltins: true }),
+            commonjs(),
+            cjsTypes()
+        ],
+        output: {
+            file: 'dist/FileStorage.node.cjs',
+            format: 'cjs',
+            exports: 'named',
+            sourcemap: true,
+            banner,
+            inlineDynamicImports: true
+        }
+    }
+];
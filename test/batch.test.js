@@ -0,0 +1,82 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { InsufficientAllowanceError, ValidationError } from '../FileStorage.js';
+import { settleWithConcurrency } from '../lib/concurrency.js';
+import { createTestStorage } from './helpers.js';
+
+const unknownCid = 'bafkzcibcaapao7qbqgkbdjjtpbqdqkctxitcrbsrstqhapzbu2cfgbg3nqpozm4y';
+
+test('settleWithConcurrency keeps order and never exceeds the limit', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await settleWithConcurrency([30, 10, 20, 5], 2, async (delay) => {
+        peak = Math.max(peak, ++running);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        running--;
+        if (delay === 20) throw new Error('failed');
+        return delay;
+    });
+
+    assert.equal(peak, 2);
+    assert.deepEqual(results.map((result) => result.ok), [true, true, false, true]);
+    assert.deepEqual(results.filter((result) => result.ok).map((result) => result.value), [30, 10, 5]);
+});
+
+test('uploadMany uploads each file independently after one batch preflight', async () => {
+    const { storage, backend } = await createTestStorage();
+    let preflights = 0;
+    const preflightUpload = backend.preflightUpload.bind(backend);
+    backend.preflightUpload = (size) => {
+        preflights++;
+        return preflightUpload(size);
+    };
+    const progress = [];
+
+    const { results, succeeded, failed } = await storage.uploadMany([
+        'text',
+        { file: { a: 1 }, filename: 'a.json' },
+        42,
+        { file: new Uint8Array(0), filename: 'empty' }
+    ], { concurrency: 2, onProgress: (update) => progress.push(update) });
+
+    assert.equal(succeeded, 2);
+    assert.equal(failed, 2);
+    assert.deepEqual(results.map((result) => result.ok), [true, true, false, false]);
+    assert.equal(results[1].filename, 'a.json');
+    assert.ok(results[2].error instanceof ValidationError);
+    assert.equal(preflights, 1);
+    assert.equal(progress.at(-1).completed + progress.at(-1).failed, 4);
+});
+
+test('uploadMany refuses the whole batch when allowances fall short', async () => {
+    const { storage, backend } = await createTestStorage();
+    backend.approval.rateAllowance = 0n;
+
+    await assert.rejects(storage.uploadMany(['x', 'y']), (error) => {
+        assert.ok(error instanceof InsufficientAllowanceError);
+        assert.equal(error.details.files, 2);
+        return true;
+    });
+    assert.equal(backend.pieces.size, 0);
+});
+
+test('downloadMany returns results in input order with per-entry errors', async () => {
+    const { storage } = await createTestStorage();
+    const a = await storage.uploadFile('first');
+    const b = await storage.uploadFile('second');
+
+    const { results, succeeded, failed } = await storage.downloadMany([b.pieceCid, unknownCid, a.pieceCid], {
+        concurrency: 3,
+        returnAs: 'text'
+    });
+    assert.equal(succeeded, 2);
+    assert.equal(failed, 1);
+    assert.deepEqual(results.map((result) => (result.ok ? result.data : result.error.code)), [
+        'second', 'PIECE_NOT_FOUND', 'first'
+    ]);
+});
+
+test('an aborted batch rejects', async () => {
+    const { storage } = await createTestStorage();
+    await assert.rejects(storage.uploadMany(['x'], { signal: AbortSignal.abort() }), { name: 'AbortError' });
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { BudgetExceededError, ValidationError, MemoryBackend } from '../FileStorage.js';
+import { createTestStorage, sampleBytes } from './helpers.js';
+
+const KiB = 1024;
+
+test('estimateCost projects storage pricing over the storage period', async () => {
+    const { storage } = await createTestStorage();
+    const estimate = await storage.estimateCost(100 * 1024 * KiB);
+    assert.equal(estimate.withCDN, true);
+    assert.equal(estimate.durationDays, 30);
+    assert.equal(estimate.total, estimate.perMonth);
+    assert.equal(estimate.formatted.perMonth, '0.0002861022949056');
+    assert.equal(typeof estimate.lockup, 'bigint');
+
+    const withoutCDN = await storage.estimateCost(100 * 1024 * KiB, { withCDN: false });
+    assert.ok(withoutCDN.perMonth < estimate.perMonth);
+    const year = await storage.estimateCost(100 * 1024 * KiB, { durationDays: 360 });
+    assert.equal(year.total, estimate.total * 12n);
+
+    await assert.rejects(storage.estimateCost(-1), ValidationError);
+    await assert.rejects(storage.estimateCost(1, { durationDays: 0 }), ValidationError);
+});
+
+test('getBudgetUsage is null without a budget', async () => {
+    const { storage } = await createTestStorage();
+    assert.equal(storage.getBudgetUsage(), null);
+});
+
+test('uploads beyond a budget limit are refused before anything is sent', async () => {
+    const { storage, backend } = await createTestStorage();
+    const cost = async (size) => (await storage.estimateCost(size)).total;
+    await storage.initialize({
+        backend,
+        budget: { maxPerUpload: await cost(80 * KiB), maxPerDay: await cost(100 * KiB) }
+    });
+
+    await assert.rejects(storage.uploadFile(sampleBytes(90 * KiB), 'big'), (error) => {
+        assert.ok(error instanceof BudgetExceededError);
+        assert.equal(error.code, 'BUDGET_EXCEEDED');
+        assert.equal(error.details.limit, 'maxPerUpload');
+        return true;
+    });
+    assert.equal(backend.pieces.size, 0);
+
+    await storage.uploadFile(sampleBytes(50 * KiB, 1), 'a');
+    assert.equal(storage.getBudgetUsage().session, await cost(50 * KiB));
+
+    await assert.rejects(storage.uploadFile(sampleBytes(60 * KiB, 2), 'b'), (error) => {
+        assert.equal(error.details.limit, 'maxPerDay');
+        return true;
+    });
+    await storage.uploadFile(sampleBytes(40 * KiB, 3), 'c');
+    assert.equal(storage.getBudgetUsage().lastDay, await cost(50 * KiB) + await cost(40 * KiB));
+});
+
+test('failed and refused uploads are not charged to the budget', async () => {
+    const { storage, backend } = await createTestStorage();
+    await storage.initialize({ backend, budget: { maxPerSession: (await storage.estimateCost(100 * KiB)).total } });
+
+    backend.injectFailure('upload', { error: new Error('boom invalid') });
+    await assert.rejects(storage.uploadFile(sampleBytes(10 * KiB), 'c'), /boom invalid/);
+    assert.equal(storage.getBudgetUsage().session, 0n);
+
+    const stream = Readable.from([sampleBytes(60 * KiB, 1), sampleBytes(60 * KiB, 2)]);
+    await assert.rejects(storage.uploadStream(stream), BudgetExceededError);
+    assert.equal(storage.getBudgetUsage().session, 0n);
+});
+
+test('budgets and estimates use the token decimals reported by the backend', async () => {
+    const { storage } = await createTestStorage({
+        backend: new MemoryBackend({ decimals: 6, pricePerTiBPerMonthWithCDN: 10n ** 15n }),
+        budget: { maxPerUpload: '900' }
+    });
+    assert.equal(storage.getBudgetUsage().limits.maxPerUpload, 900_000_000n);
+    assert.equal((await storage.estimateCost(KiB)).formatted.total, '0.864');
+
+    await storage.uploadFile(sampleBytes(KiB), 'a');
+    assert.equal(storage.getBudgetUsage().formatted.session, '0.864');
+    await assert.rejects(
+        storage.uploadFile(sampleBytes(1024 * KiB), 'b'),
+        /cost 953\.5968 USDFC over 30 days, exceeding maxPerUpload of 900\.0 USDFC/
+    );
+});
+
+test('budget limits must be USDFC amounts', async () => {
+    const { storage, backend } = await createTestStorage();
+    await assert.rejects(storage.initialize({ backend, budget: { maxPerDay: 'abc' } }), ValidationError);
+});
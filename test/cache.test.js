@@ -0,0 +1,160 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { BrowserCache, FileSystemCache, IntegrityError, MemoryCache, ValidationError } from '../FileStorage.js';
+import { createTestStorage } from './helpers.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Client whose backend counts downloads
+ * @param {Object} cache
+ */
+async function setup(cache) {
+    const { storage, backend } = await createTestStorage({ cache });
+    let downloads = 0;
+    const download = backend.download.bind(backend);
+    backend.download = (pieceCid) => {
+        downloads++;
+        return download(pieceCid);
+    };
+    return { storage, downloads: () => downloads };
+}
+
+async function uploadThree(storage) {
+    const ids = [];
+    for (const value of [1, 2, 3]) {
+        ids.push(String((await storage.uploadFile(new Uint8Array(1000).fill(value), `f${value}`, { embedMetadata: false })).pieceCid));
+    }
+    return ids;
+}
+
+test('MemoryCache serves repeat downloads and evicts the least recently used piece', async () => {
+    const { storage, downloads } = await setup(new MemoryCache({ maxBytes: 2500 }));
+    const [a, b, c] = await uploadThree(storage);
+
+    const first = await storage.downloadFile(a);
+    first[0] = 99;
+    assert.equal((await storage.downloadFile(a))[0], 1, 'cached bytes are copies');
+    assert.equal(downloads(), 1);
+
+    await storage.downloadFile(b);
+    await storage.downloadFile(a);
+    await storage.downloadFile(c);
+    assert.equal(await storage.cache.has(a), true);
+    assert.equal(await storage.cache.has(b), false);
+    assert.equal(storage.cache.size, 2000);
+
+    await storage.downloadFile(a, { cache: false });
+    assert.equal(downloads(), 4);
+});
+
+test('tampered bytes are never cached by a verified download, and a bad cached copy is replaced', async () => {
+    const { storage, backend } = await createTestStorage({ cache: new MemoryCache() });
+    const [pieceCid] = await uploadThree(storage);
+    const download = backend.download.bind(backend);
+    let tamper = true;
+    backend.download = async (cid) => {
+        const data = new Uint8Array(await download(cid));
+        if (tamper) data[0] ^= 0xff;
+        return data;
+    };
+
+    await assert.rejects(storage.downloadFile(pieceCid, { verify: true }), IntegrityError);
+    assert.equal(await storage.cache.has(pieceCid), false);
+
+    // An unverified read caches what the provider served
+    assert.equal((await storage.downloadFile(pieceCid))[0], 0xfe);
+    tamper = false;
+    assert.equal((await storage.downloadFile(pieceCid, { verify: true }))[0], 1);
+    assert.equal((await storage.downloadFile(pieceCid))[0], 1);
+    const stream = await storage.downloadStream(pieceCid, { verify: true });
+    assert.equal(new Uint8Array(await new Response(stream).arrayBuffer())[0], 1);
+});
+
+test('MemoryCache drops entries after ttlMs', async () => {
+    const cache = new MemoryCache({ ttlMs: 20 });
+    await cache.set('piece', new Uint8Array(3));
+    await sleep(30);
+    assert.equal(await cache.get('piece'), null);
+    assert.throws(() => new MemoryCache({ maxBytes: -1 }), ValidationError);
+});
+
+test('chunked files are cached one piece at a time', async () => {
+    const { storage, downloads } = await setup(new MemoryCache());
+    const result = await storage.uploadFile(new Uint8Array(3000).fill(4), 'chunked', { chunked: true, chunkSize: 1000 });
+
+    await storage.downloadFile(result.pieceCid);
+    const before = downloads();
+    await storage.downloadFile(result.pieceCid);
+    assert.equal(downloads(), before);
+});
+
+test('FileSystemCache keeps one file per piece within maxBytes', async (t) => {
+    const directory = await mkdtemp(join(tmpdir(), 'piece-cache-'));
+    t.after(() => rm(directory, { recursive: true, force: true }));
+    const { storage, downloads } = await setup(new FileSystemCache({ directory, maxBytes: 2500 }));
+    const [a, b, c] = await uploadThree(storage);
+
+    for (const pieceCid of [a, b, a, c]) {
+        await storage.downloadFile(pieceCid);
+        await sleep(10);
+    }
+    assert.equal(downloads(), 3);
+    assert.equal((await readdir(directory)).length, 2);
+    assert.equal(await storage.cache.has(b), false);
+
+    await storage.clearCache();
+    assert.deepEqual(await readdir(directory), []);
+    await assert.rejects(storage.cache.get('../etc'), ValidationError);
+});
+
+test('BrowserCache stores pieces through the Cache API', async () => {
+    const entries = new Map();
+    const caches = {
+        async open() {
+            return {
+                async match(request) {
+                    return entries.get(typeof request === 'string' ? request : request.url)?.clone();
+                },
+                async put(url, response) {
+                    entries.set(url, response);
+                },
+                async delete(request) {
+                    return entries.delete(typeof request === 'string' ? request : request.url);
+                },
+                async keys() {
+                    return [...entries.keys()].map((url) => ({ url }));
+                }
+            };
+        },
+        async delete() {
+            entries.clear();
+            return true;
+        }
+    };
+    const { storage, downloads } = await setup(new BrowserCache({ caches, maxBytes: 2500 }));
+    const [a, b, c] = await uploadThree(storage);
+
+    for (const pieceCid of [a, b, a, c]) {
+        await storage.downloadFile(pieceCid);
+        await sleep(5);
+    }
+    assert.equal(entries.size, 2);
+    assert.equal(await storage.cache.has(b), false);
+    assert.equal((await storage.downloadFile(a))[5], 1);
+    assert.equal(downloads(), 3);
+});
+
+test('a failing cache is treated as a miss', async () => {
+    const fail = async () => {
+        throw new Error('cache unavailable');
+    };
+    const { storage } = await setup({ get: fail, has: fail, set: fail, delete: fail, clear: fail });
+    const result = await storage.uploadFile('hi');
+
+    assert.equal(await storage.downloadFile(result.pieceCid, { returnAs: 'text' }), 'hi');
+    assert.equal(await storage.checkFileExists(result.pieceCid), true);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { JsonFileCatalogStore, createFileStorage } from '../FileStorage.js';
+import { createTestStorage } from './helpers.js';
+
+test('uploads are listed with filters, sorting and pagination', async () => {
+    const { storage } = await createTestStorage();
+    const a = await storage.uploadFile('hello world', 'a.txt', { tags: ['x', 'docs'] });
+    await storage.uploadJSON({ q: 1 }, 'b.json', { tags: ['x'] });
+    await storage.uploadFile(new Uint8Array(300), 'c.bin');
+
+    const tagged = await storage.listFiles({ filter: { tags: 'x' }, sort: { by: 'size', order: 'asc' } });
+    assert.deepEqual(tagged.items.map((entry) => entry.filename), ['b.json', 'a.txt']);
+
+    const json = await storage.listFiles({ filter: { mimeType: 'application/json' } });
+    assert.deepEqual(json.items.map((entry) => entry.filename), ['b.json']);
+
+    const page = await storage.listFiles({ paginate: { offset: 0, limit: 1 } });
+    assert.equal(page.items.length, 1);
+    assert.equal(page.total, 3);
+
+    const info = await storage.getFileInfo(a.pieceCid);
+    assert.equal(info.sha256, a.sha256);
+    assert.equal(info.mimeType, 'text/plain');
+});
+
+test('tagFile adds or replaces tags and removeFromCatalog forgets an entry', async () => {
+    const { storage, backend } = await createTestStorage();
+    const result = await storage.uploadFile('hello', 'a.txt', { tags: ['x'] });
+
+    assert.deepEqual((await storage.tagFile(result.pieceCid, 'urgent')).tags, ['urgent', 'x']);
+    assert.deepEqual((await storage.tagFile(result.pieceCid, ['y'], { replace: true })).tags, ['y']);
+
+    assert.equal(await storage.removeFromCatalog(result.pieceCid), true);
+    assert.equal(await storage.getFileInfo(result.pieceCid), null);
+    assert.ok(backend.pieces.has(String(result.pieceCid)));
+});
+
+test('a JSON file catalog is shared by clients using the same file', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'catalog-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const file = join(dir, 'nested', 'catalog.json');
+
+    const { storage } = await createTestStorage({ catalogStore: new JsonFileCatalogStore(file) });
+    const result = await storage.uploadFile('persisted', 'p.txt');
+
+    const reader = createFileStorage({ catalogStore: new JsonFileCatalogStore(file) });
+    const { items } = await reader.listFiles();
+    assert.deepEqual(items.map((entry) => entry.pieceCid), [String(result.pieceCid)]);
+});
+
+test('an unreadable catalog file is reported as CATALOG_ERROR', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'catalog-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const file = join(dir, 'catalog.json');
+    await writeFile(file, 'not json');
+
+    const store = new JsonFileCatalogStore(file);
+    await assert.rejects(store.list(), { code: 'CATALOG_ERROR' });
+});
@@ -0,0 +1,87 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { IntegrityError, ValidationError } from '../FileStorage.js';
+import {
+    MANIFEST_TYPE,
+    MANIFEST_VERSION,
+    assertChunkSize,
+    encodeChunkManifest,
+    parseChunkManifest,
+    splitIntoChunks
+} from '../lib/chunking.js';
+import { createTestStorage, sampleBytes } from './helpers.js';
+
+const encoder = new TextEncoder();
+
+test('splitIntoChunks keeps order and a short last chunk', () => {
+    const chunks = splitIntoChunks(sampleBytes(10), 4);
+    assert.deepEqual(chunks.map((chunk) => chunk.length), [4, 4, 2]);
+    assert.throws(() => assertChunkSize(0), ValidationError);
+    assert.throws(() => assertChunkSize(1.5), ValidationError);
+});
+
+test('chunked uploads store a manifest and download as the original bytes', async () => {
+    const { storage, backend } = await createTestStorage();
+    const data = sampleBytes(1000);
+
+    const result = await storage.uploadFile(data, 'big.bin', { chunked: true, chunkSize: 300 });
+    assert.equal(result.manifest.chunks.length, 4);
+    assert.equal(backend.pieces.size, 5);
+    assert.deepEqual(await storage.downloadFile(result.pieceCid), data);
+
+    const stored = backend.pieces.get(String(result.pieceCid));
+    assert.equal(new TextDecoder().decode(stored.subarray(0, 5)), 'FSMAN');
+
+    const manifest = await storage.downloadFile(result.pieceCid, { resolveManifest: false, returnAs: 'json' });
+    assert.equal(manifest.type, MANIFEST_TYPE);
+    assert.equal(manifest.filename, 'big.bin');
+});
+
+test('a tampered chunk fails the download with IntegrityError', async () => {
+    const { storage, backend } = await createTestStorage();
+    const result = await storage.uploadFile(sampleBytes(1000), 'big.bin', { chunked: true, chunkSize: 300 });
+
+    backend.pieces.get(String(result.manifest.chunks[1].pieceCid))[0] ^= 1;
+    await assert.rejects(storage.downloadFile(result.pieceCid), IntegrityError);
+});
+
+test('content that looks like a manifest is stored as plain content', async () => {
+    const { storage } = await createTestStorage();
+    const lookalike = encodeChunkManifest({ type: MANIFEST_TYPE, version: 1, chunks: [] });
+
+    const result = await storage.uploadFile(lookalike, 'lookalike.bin');
+    assert.deepEqual(await storage.downloadFile(result.pieceCid), lookalike);
+
+    const json = encoder.encode(JSON.stringify({ type: MANIFEST_TYPE, version: 1, chunks: [] }));
+    const plain = await storage.uploadFile(json, 'manifest.json');
+    assert.deepEqual(await storage.downloadFile(plain.pieceCid), json);
+});
+
+test('parseChunkManifest only accepts marked, supported manifests', () => {
+    assert.equal(parseChunkManifest(encoder.encode('{"type":"x"}')), null);
+
+    const corrupt = new Uint8Array([...encoder.encode('FSMAN'), 0x7b]);
+    assert.throws(() => parseChunkManifest(corrupt), IntegrityError);
+
+    const future = encodeChunkManifest({ type: MANIFEST_TYPE, version: 99, chunks: [] });
+    assert.throws(() => parseChunkManifest(future), (error) => {
+        assert.ok(error instanceof IntegrityError);
+        assert.equal(error.details.version, 99);
+        return true;
+    });
+});
+
+test('parseChunkManifest rejects malformed chunk entries and sizes', () => {
+    const manifest = (chunks, totalSize) => encodeChunkManifest({ type: MANIFEST_TYPE, version: MANIFEST_VERSION, totalSize, chunks });
+    const chunk = { index: 0, pieceCid: 'bafk', size: 4, sha256: 'ab' };
+    assert.equal(parseChunkManifest(manifest([chunk, chunk], 8)).chunks.length, 2);
+
+    for (const bad of [null, { ...chunk, pieceCid: 1 }, { ...chunk, size: -1 }, { ...chunk, size: 1.5 }, { ...chunk, size: '4' }, { ...chunk, sha256: undefined }]) {
+        assert.throws(() => parseChunkManifest(manifest([bad], 4)), IntegrityError);
+    }
+    assert.throws(() => parseChunkManifest(manifest([chunk], 1e12)), (error) => {
+        assert.ok(error instanceof IntegrityError);
+        assert.deepEqual(error.details, { expected: 4, actual: 1e12 });
+        return true;
+    });
+});
@@ -0,0 +1,142 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { PassThrough, Writable } from 'node:stream';
+// The CLI runs on the built bundle, so its backend and errors must come from there too
+import { createFileStorage, MemoryBackend } from '../dist/FileStorage.node.mjs';
+import {
+    main, EXIT_OK, EXIT_FAILURE, EXIT_USAGE, EXIT_NOT_FOUND, EXIT_INTERRUPTED
+} from '../bin/filecoin-storage.js';
+
+let cwd;
+
+before(async () => {
+    cwd = await mkdtemp(join(tmpdir(), 'filecoin-storage-cli-'));
+    await mkdir(join(cwd, 'site', 'sub'), { recursive: true });
+    await writeFile(join(cwd, 'a.txt'), 'hello cli world');
+    await writeFile(join(cwd, 'site', 'index.html'), '<h1>x</h1>');
+    await writeFile(join(cwd, 'site', 'sub', 'b.json'), '{"a":1}');
+});
+
+after(async () => {
+    await rm(cwd, { recursive: true, force: true });
+});
+
+function sink() {
+    const chunks = [];
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(Buffer.from(chunk));
+            callback();
+        }
+    });
+    stream.text = () => Buffer.concat(chunks).toString();
+    return stream;
+}
+
+// A terminal that types `input` once the prompt is waiting for it
+function terminal(input) {
+    const stream = new PassThrough();
+    stream.isTTY = true;
+    stream.setRawMode = () => stream;
+    setTimeout(() => stream.write(input), 10);
+    return stream;
+}
+
+/**
+ * CLI runner sharing one MemoryBackend between commands, funded and approved
+ * @returns {Promise<(argv: string[], io?: Object) => Promise<{code: number, stdout: string, stderr: string}>>}
+ */
+async function createCLI() {
+    const backend = new MemoryBackend();
+    const run = async (argv, { env = {}, stdin = new PassThrough(), signal } = {}) => {
+        const stdout = sink();
+        const stderr = sink();
+        const code = await main(argv, {
+            env, cwd, stdin, stdout, stderr, signal,
+            createStorage: (options) => createFileStorage({ ...options, backend })
+        });
+        return { code, stdout: stdout.text(), stderr: stderr.text() };
+    };
+    assert.equal((await run(['setup-wallet', '--deposit', '100'])).code, EXIT_OK);
+    return run;
+}
+
+test('upload, exists and download round trip files and directories', async () => {
+    const run = await createCLI();
+    const uploaded = await run(['upload', 'a.txt', 'site', '--json', '--tag', 'x']);
+    assert.equal(uploaded.code, EXIT_OK);
+    const [file, directory] = JSON.parse(uploaded.stdout);
+
+    assert.equal((await run(['exists', file.pieceCid])).code, EXIT_OK);
+    assert.equal((await run(['download', file.pieceCid])).stdout, 'hello cli world');
+    assert.equal((await run(['download', file.pieceCid, '-o', 'out.txt'])).code, EXIT_OK);
+    assert.equal(await readFile(join(cwd, 'out.txt'), 'utf8'), 'hello cli world');
+
+    assert.equal((await run(['download', directory.pieceCid, '--directory', '-o', 'copy'])).code, EXIT_OK);
+    assert.equal(await readFile(join(cwd, 'copy', 'sub', 'b.json'), 'utf8'), '{"a":1}');
+});
+
+test('exit codes tell failures, usage errors and missing pieces apart', async () => {
+    const run = await createCLI();
+    const partial = await run(['upload', 'a.txt', 'missing.txt', '--json']);
+    assert.equal(partial.code, EXIT_FAILURE);
+    assert.equal(JSON.parse(partial.stdout).length, 2);
+
+    const missing = 'bafkzcibcaabdjzpz6oykl4jmpqnk5t2guxwkfnuzufpxxxnpxmshjuakz3ggouy';
+    assert.equal((await run(['exists', missing])).code, EXIT_NOT_FOUND);
+    assert.equal((await run(['download', missing])).code, EXIT_NOT_FOUND);
+
+    assert.equal((await run(['exists', 'nope'])).code, EXIT_USAGE);
+    assert.equal((await run(['bogus'])).code, EXIT_USAGE);
+    assert.equal((await run(['upload', '--wat'])).code, EXIT_USAGE);
+    assert.equal((await run(['setup-wallet', '--days', 'x'])).code, EXIT_USAGE);
+    assert.equal((await run(['info', '--config', 'nope.json'])).code, EXIT_USAGE);
+    assert.equal((await run([])).code, EXIT_USAGE);
+
+    const error = await run(['bogus', '--json']);
+    assert.ok(JSON.parse(error.stdout).error);
+});
+
+test('an aborted command exits with 130', async () => {
+    const run = await createCLI();
+    const controller = new AbortController();
+    controller.abort();
+    const result = await run(['upload', 'a.txt'], { signal: controller.signal });
+    assert.equal(result.code, EXIT_INTERRUPTED);
+    assert.match(result.stderr, /Interrupted/);
+});
+
+test('passphrases come from the environment or a terminal prompt, never a flag', async () => {
+    const run = await createCLI();
+    // Backspace removes the typed 'x'
+    const uploaded = await run(['upload', 'a.txt', '--encrypt', '--json'], { stdin: terminal('pw1x\u007f\r') });
+    assert.equal(uploaded.code, EXIT_OK);
+    const [{ pieceCid }] = JSON.parse(uploaded.stdout);
+
+    const fromEnv = await run(['download', pieceCid], { env: { FILECOIN_STORAGE_PASSPHRASE: 'pw1' } });
+    assert.equal(fromEnv.stdout, 'hello cli world');
+    const prompted = await run(['download', pieceCid, '--decrypt'], { stdin: terminal('pw1\n') });
+    assert.equal(prompted.stdout, 'hello cli world');
+
+    assert.equal((await run(['download', pieceCid, '--decrypt'], { stdin: terminal('bad\n') })).code, EXIT_FAILURE);
+    assert.equal((await run(['download', pieceCid, '--decrypt'], { stdin: terminal('\u0003') })).code, EXIT_INTERRUPTED);
+
+    const notTerminal = await run(['download', pieceCid, '--decrypt']);
+    assert.equal(notTerminal.code, EXIT_USAGE);
+    assert.match(notTerminal.stderr, /FILECOIN_STORAGE_PASSPHRASE/);
+    assert.equal((await run(['download', pieceCid, '--passphrase', 'pw1'])).code, EXIT_USAGE);
+});
+
+test('--journal and FILECOIN_STORAGE_JOURNAL skip uploads already recorded', async () => {
+    const run = await createCLI();
+    assert.equal((await run(['upload', 'a.txt', '--journal', 'journal.json'])).code, EXIT_OK);
+    assert.equal(JSON.parse(await readFile(join(cwd, 'journal.json'), 'utf8')).uploads.length, 1);
+
+    const fromEnv = await run(['upload', 'a.txt'], { env: { FILECOIN_STORAGE_JOURNAL: 'journal.json' } });
+    assert.match(fromEnv.stdout, /\(already uploaded\)/);
+    const reused = await run(['upload', 'a.txt', '--json', '--journal', 'journal.json']);
+    assert.equal(JSON.parse(reused.stdout)[0].reused, true);
+});
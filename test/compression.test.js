@@ -0,0 +1,86 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'node:crypto';
+import { createTestStorage } from './helpers.js';
+
+const text = 'compress me please '.repeat(200);
+const json = JSON.stringify(Array.from({ length: 200 }, (_, id) => ({ id, name: `item ${id}`, active: id % 2 === 0 })));
+
+test('compressed uploads download, stream and verify as the original content', async () => {
+    const { storage } = await createTestStorage();
+    for (const compress of ['gzip', 'brotli', 'auto']) {
+        const result = await storage.uploadFile(json, 'data.json', { compress });
+        assert.ok(result.compression, compress);
+        assert.equal(result.originalSize, json.length);
+        assert.ok(result.storedSize < json.length);
+
+        assert.deepEqual(await storage.downloadJSON(result.pieceCid), JSON.parse(json));
+        assert.equal((await storage.downloadFile(result.pieceCid, { returnAs: 'blob' })).type, 'application/json');
+        assert.ok(await storage.downloadFile(result.pieceCid, { expectedHash: result.sha256 }));
+        assert.equal(await storage.verifyFile(result.pieceCid, json), true);
+        const stream = await storage.downloadStream(result.pieceCid);
+        assert.equal(await new Response(stream).text(), json);
+    }
+});
+
+test('content that does not shrink is stored uncompressed', async () => {
+    const { storage } = await createTestStorage();
+    const random = new Uint8Array(randomBytes(5000));
+    const result = await storage.uploadFile(random, 'r.bin', { compress: 'gzip' });
+    assert.equal(result.compression, null);
+    assert.equal(result.storedSize, 5000);
+
+    const png = new Uint8Array(5008);
+    png.set([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+    assert.equal((await storage.uploadFile(png, 'x.png', { compress: 'auto' })).compression, null);
+
+    await assert.rejects(storage.uploadFile(text, 'x', { compress: 'zip' }), /compress must be/);
+});
+
+test('compression combines with metadata, encryption and chunking', async () => {
+    const { storage } = await createTestStorage();
+    const encryption = { passphrase: 'p', iterations: 1000 };
+    const encrypted = await storage.uploadFile(text, 'h.md', { compress: 'gzip', mimeType: 'text/markdown', metadata: { a: 1 }, encryption });
+    const decrypted = await storage.downloadFile(encrypted.pieceCid, { returnAs: 'text', withMetadata: true, encryption });
+    assert.deepEqual(decrypted, { data: text, mimeType: 'text/markdown', metadata: { a: 1 } });
+
+    const chunked = await storage.uploadFile(text, 'c.txt', { compress: 'brotli', chunked: true, chunkSize: 100, metadata: { b: 2 } });
+    assert.equal(chunked.manifest.compression, chunked.compression);
+    const downloaded = await storage.downloadFile(chunked.pieceCid, { returnAs: 'text', withMetadata: true });
+    assert.equal(downloaded.data, text);
+    assert.deepEqual(downloaded.metadata, { b: 2 });
+    assert.equal(await storage.verifyFile(chunked.pieceCid, text), true);
+    assert.equal(await storage.verifyFile(chunked.pieceCid, text.slice(1)), false);
+    const stream = await storage.downloadStream(chunked.pieceCid, { format: 'node' });
+    const parts = [];
+    for await (const part of stream) parts.push(part);
+    assert.equal(Buffer.concat(parts).toString(), text);
+
+    const document = await storage.putDocument(true, { x: 'y'.repeat(1000) }, { compress: 'auto' });
+    assert.ok(document.compression);
+    assert.equal((await storage.getDocument(document.pieceCid)).data.x.length, 1000);
+});
+
+test('only content the SDK compressed is decompressed', async () => {
+    const { storage, backend } = await createTestStorage();
+    // Plain text that starts like a compressed piece
+    const lookalike = `FSZIP\x01\x01${'\x00'.repeat(8)}this is plain text, not gzip`;
+    for (const options of [{}, { embedMetadata: false }, { metadata: { a: 1 } }, { compress: 'gzip', metadata: { m: 1 } }]) {
+        const content = options.compress ? lookalike + 'x'.repeat(500) : lookalike;
+        const result = await storage.uploadFile(content, 'z.txt', options);
+        assert.equal(await storage.downloadFile(result.pieceCid, { returnAs: 'text' }), content);
+        assert.equal(await storage.verifyFile(result.pieceCid, content), true);
+        const stream = await storage.downloadStream(result.pieceCid);
+        assert.equal(await new Response(stream).text(), content);
+    }
+
+    const compressed = await storage.uploadFile(text, 'c.txt', { compress: 'gzip' });
+    assert.equal(new TextDecoder().decode(backend.pieces.get(String(compressed.pieceCid)).subarray(0, 5)), 'FSZIP');
+});
+
+test('corrupted compressed pieces fail the integrity check', async () => {
+    const { storage, backend } = await createTestStorage();
+    const result = await storage.uploadFile(text, 'g', { compress: 'gzip' });
+    backend.pieces.get(String(result.pieceCid))[40] ^= 0xff;
+    await assert.rejects(storage.downloadFile(result.pieceCid), { code: 'INTEGRITY_ERROR' });
+});
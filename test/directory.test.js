@@ -0,0 +1,79 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { PieceNotFoundError, ValidationError } from '../FileStorage.js';
+import { normalizeRelativePath } from '../lib/directory.js';
+import { createTestStorage } from './helpers.js';
+
+async function createSite(t) {
+    const dir = await mkdtemp(join(tmpdir(), 'site-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    await mkdir(join(dir, 'site', 'img', 'deep'), { recursive: true });
+    await writeFile(join(dir, 'site', 'index.html'), '<h1>hello</h1>');
+    await writeFile(join(dir, 'site', 'img', 'deep', 'data.json'), '{"a":1}');
+    await writeFile(join(dir, 'site', '.nojekyll'), '');
+    return dir;
+}
+
+test('normalizeRelativePath rejects paths that leave the directory', () => {
+    assert.equal(normalizeRelativePath('./a\\b//c.txt'), 'a/b/c.txt');
+    assert.throws(() => normalizeRelativePath('../x'), ValidationError);
+    assert.throws(() => normalizeRelativePath('C:/x'), ValidationError);
+    assert.throws(() => normalizeRelativePath(''), ValidationError);
+});
+
+test('a local directory uploads with a manifest and downloads back to disk', async (t) => {
+    const dir = await createSite(t);
+    const { storage } = await createTestStorage();
+
+    const result = await storage.uploadDirectory(join(dir, 'site'), { concurrency: 2 });
+    assert.equal(result.manifest.name, 'site');
+    assert.deepEqual(result.manifest.files.map((file) => file.path), ['.nojekyll', 'img/deep/data.json', 'index.html']);
+    assert.equal(result.manifest.files[0].pieceCid, null);
+
+    assert.deepEqual(await storage.readFromDirectory(result.pieceCid, 'img/deep/data.json', { returnAs: 'json' }), { a: 1 });
+    assert.equal(await storage.readFromDirectory(result.pieceCid, '.nojekyll', { returnAs: 'text' }), '');
+    const html = await storage.readFromDirectory(result.pieceCid, './index.html', { returnAs: 'blob' });
+    assert.equal(html.type, 'text/html');
+    await assert.rejects(storage.readFromDirectory(result.pieceCid, 'missing.txt'), PieceNotFoundError);
+
+    const { files } = await storage.downloadDirectory(result.pieceCid, join(dir, 'copy'));
+    assert.equal(files, 3);
+    assert.equal(await readFile(join(dir, 'copy', 'img', 'deep', 'data.json'), 'utf8'), '{"a":1}');
+});
+
+test('a browser file list takes its name from the common top folder', async () => {
+    const { storage } = await createTestStorage();
+    const files = [
+        Object.assign(new Blob(['a']), { name: 'a.txt', webkitRelativePath: 'proj/a.txt' }),
+        Object.assign(new Blob(['bb']), { name: 'b.css', webkitRelativePath: 'proj/sub/b.css' })
+    ];
+
+    const { manifest } = await storage.uploadDirectory(files);
+    assert.equal(manifest.name, 'proj');
+    assert.deepEqual(manifest.files.map((file) => [file.path, file.mimeType]), [
+        ['a.txt', 'text/plain'],
+        ['sub/b.css', 'text/css']
+    ]);
+});
+
+test('a failed file stops the manifest from being stored', async (t) => {
+    const dir = await createSite(t);
+    const { storage, backend } = await createTestStorage();
+    backend.injectFailure('upload', { error: new Error('invalid piece') });
+
+    await assert.rejects(storage.uploadDirectory(join(dir, 'site'), { concurrency: 1 }), (error) => {
+        assert.equal(error.code, 'DIRECTORY_UPLOAD_FAILED');
+        assert.equal(error.details.failures.length, 1);
+        return true;
+    });
+    assert.equal(backend.pieces.size, 1);
+});
+
+test('getDirectoryManifest refuses a piece that is not a directory', async () => {
+    const { storage } = await createTestStorage();
+    const result = await storage.uploadFile('plain file');
+    await assert.rejects(storage.getDirectoryManifest(result.pieceCid), ValidationError);
+});
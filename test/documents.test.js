@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema, ValidationError, IntegrityError } from '../FileStorage.js';
+import { DOCUMENT_TYPE, DOCUMENT_VERSION } from '../lib/documents.js';
+import { createTestStorage } from './helpers.js';
+
+const personSchema = {
+    type: 'object',
+    required: ['name', 'age'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        age: { type: 'integer', minimum: 0 },
+        tags: { type: 'array', items: { $ref: '#/$defs/tag' }, uniqueItems: true }
+    },
+    $defs: { tag: { type: 'string', pattern: '^[a-z]+$' } }
+};
+
+const errorsFor = (schema, value) => validateSchema(schema, value).map((error) => `${error.path} ${error.message}`);
+
+test('validateSchema reports every violation with its JSON pointer', () => {
+    assert.deepEqual(errorsFor(personSchema, { name: '', age: -1, x: 1, tags: ['A', 'A'] }), [
+        '/name must be at least 1 characters',
+        '/age must be >= 0',
+        '/x is not an allowed property',
+        '/tags/0 must match pattern ^[a-z]+$',
+        '/tags/1 must match pattern ^[a-z]+$',
+        '/tags must not contain duplicate items'
+    ]);
+    assert.deepEqual(errorsFor(personSchema, { name: 'Ada', age: 36, tags: ['math'] }), []);
+});
+
+test('validateSchema supports combinators, conditionals and tuple keywords', () => {
+    assert.deepEqual(errorsFor({ oneOf: [{ type: 'number' }, { type: 'integer' }] }, 1), ['/ must match exactly one schema in oneOf (matched 2)']);
+    assert.deepEqual(errorsFor({ anyOf: [{ type: 'string' }] }, 1), ['/ must match at least one schema in anyOf']);
+    assert.deepEqual(errorsFor({ not: { type: 'null' } }, null), ['/ must not match the schema in not']);
+    assert.deepEqual(errorsFor({ if: { properties: { k: { const: 'a' } } }, then: { required: ['a'] } }, { k: 'a' }), ['/ must have property "a"']);
+    assert.deepEqual(errorsFor({ type: ['string', 'null'] }, 3), ['/ must be string or null']);
+    assert.deepEqual(errorsFor({ prefixItems: [{ type: 'string' }], items: false }, ['a', 1]), ['/1 is not allowed']);
+    assert.deepEqual(errorsFor({ properties: { 'a/b': { type: 'string' } } }, { 'a/b': 1 }), ['/a~1b must be string']);
+    assert.deepEqual(errorsFor({ contains: { const: 2 } }, [1]), ['/ must contain a matching item']);
+
+    assert.deepEqual(errorsFor({ enum: [{ x: 1 }] }, { x: 1 }), []);
+    assert.deepEqual(errorsFor({ multipleOf: 0.5 }, 1.5), []);
+    // Lengths count code points, not UTF-16 units
+    assert.deepEqual(errorsFor({ maxLength: 2 }, '😀😀'), []);
+
+    assert.throws(() => validateSchema({ $ref: 'http://x' }, 1), /Unsupported \$ref/);
+});
+
+test('documents are validated, versioned and linked to their previous revision', async () => {
+    const { storage } = await createTestStorage();
+    const v1 = await storage.putDocument(personSchema, { name: 'Ada', age: 36 });
+    assert.equal(v1.revision, 1);
+    assert.equal(v1.previous, null);
+
+    await assert.rejects(storage.putDocument(personSchema, { name: '', age: -1 }), (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.equal(error.details.errors.length, 2);
+        return true;
+    });
+
+    const v2 = await storage.updateDocument(v1.pieceCid, { name: 'Ada', age: 37, tags: ['math'] });
+    assert.equal((await storage.getDocument(v2.pieceCid)).previous, String(v1.pieceCid));
+    // Updates are checked against the previous revision's schema unless given a new one
+    await assert.rejects(storage.updateDocument(v2.pieceCid, { name: 'Ada' }), /must have property "age"/);
+    const v3 = await storage.updateDocument(v2.pieceCid, { name: 'Ada', age: 38, extra: true }, {
+        schema: { ...personSchema, additionalProperties: true }
+    });
+
+    const history = await storage.getHistory(v3.pieceCid);
+    assert.deepEqual(history.map((version) => version.revision), [3, 2, 1]);
+    assert.deepEqual(history.map((version) => version.data.age), [38, 37, 36]);
+    assert.equal((await storage.getHistory(v3.pieceCid, { limit: 2 })).length, 2);
+    await assert.rejects(storage.getHistory(v3.pieceCid, { limit: 0 }), ValidationError);
+});
+
+test('encrypted documents keep their history', async () => {
+    const { storage } = await createTestStorage();
+    const encryption = { passphrase: 'pw', iterations: 1000 };
+    const v1 = await storage.putDocument(true, [1, 2], { encryption });
+    const v2 = await storage.updateDocument(v1.pieceCid, [3], { encryption });
+    const history = await storage.getHistory(v2.pieceCid, { encryption });
+    assert.deepEqual(history.map((version) => version.data), [[3], [1, 2]]);
+});
+
+test('documents must have a schema, JSON data and an unbroken chain', async () => {
+    const { storage } = await createTestStorage();
+    const plain = await storage.uploadJSON({ a: 1 });
+    await assert.rejects(storage.getDocument(plain.pieceCid), /is not a document/);
+    await assert.rejects(storage.updateDocument(plain.pieceCid, {}), /is not a document/);
+    await assert.rejects(storage.putDocument('nope', {}), /schema must be/);
+    await assert.rejects(storage.putDocument(true, () => 1), /JSON-serialisable/);
+
+    const first = await storage.putDocument(true, 1);
+    const skipped = await storage.uploadJSON({
+        type: DOCUMENT_TYPE,
+        version: DOCUMENT_VERSION,
+        revision: 5,
+        previous: String(first.pieceCid),
+        timestamp: 1,
+        schema: true,
+        data: 1
+    });
+    await assert.rejects(storage.getHistory(skipped.pieceCid), IntegrityError);
+});
@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DecryptionError, ValidationError } from '../FileStorage.js';
+import { MAX_KDF_ITERATIONS, decrypt, encrypt, generateKey, isEncryptedEnvelope } from '../lib/encryption.js';
+import { createTestStorage, sampleBytes } from './helpers.js';
+
+// Few iterations keep the tests fast; the envelope records the count
+const passphrase = { passphrase: 'correct horse', iterations: 1000 };
+
+test('encrypt and decrypt round trip with a key or a passphrase', async () => {
+    const data = sampleBytes(100);
+    const key = await generateKey();
+
+    const withKey = await encrypt(data, { key });
+    assert.ok(isEncryptedEnvelope(withKey));
+    assert.deepEqual(await decrypt(withKey, { key }), data);
+
+    const withPassphrase = await encrypt(data, passphrase);
+    assert.deepEqual(await decrypt(withPassphrase, passphrase), data);
+    await assert.rejects(decrypt(withPassphrase, { ...passphrase, passphrase: 'wrong' }), DecryptionError);
+});
+
+test('tampered ciphertext and headers fail to decrypt', async () => {
+    const key = await generateKey();
+    const envelope = await encrypt(sampleBytes(100), { key });
+
+    const body = envelope.slice();
+    body[body.length - 1] ^= 1;
+    await assert.rejects(decrypt(body, { key }), DecryptionError);
+
+    const header = envelope.slice();
+    header[10] ^= 1;
+    await assert.rejects(decrypt(header, { key }), DecryptionError);
+});
+
+test('PBKDF2 iteration counts above the cap are refused', async () => {
+    await assert.rejects(
+        encrypt(sampleBytes(10), { passphrase: 'p', iterations: MAX_KDF_ITERATIONS + 1 }),
+        ValidationError
+    );
+
+    const envelope = await encrypt(sampleBytes(10), passphrase);
+    for (const iterations of [0, 0xffffffff]) {
+        const crafted = envelope.slice();
+        new DataView(crafted.buffer).setUint32(7, iterations);
+        await assert.rejects(decrypt(crafted, passphrase), /Unsupported KDF iteration count/);
+    }
+});
+
+test('encrypted uploads only download with the same passphrase', async () => {
+    const { storage, backend } = await createTestStorage();
+    const result = await storage.uploadFile('top secret', 'secret.txt', { encryption: passphrase });
+
+    assert.equal(result.encrypted, true);
+    assert.ok(isEncryptedEnvelope(backend.pieces.get(String(result.pieceCid))));
+    assert.equal(await storage.downloadFile(result.pieceCid, { encryption: passphrase, returnAs: 'text' }), 'top secret');
+    await assert.rejects(storage.downloadFile(result.pieceCid), DecryptionError);
+});
+
+test('encrypted chunked uploads keep the manifest free of file details', async () => {
+    const { storage } = await createTestStorage();
+    const text = 'secret '.repeat(100);
+    const result = await storage.uploadFile(text, 'secret.txt', { chunked: true, chunkSize: 200, encryption: passphrase });
+
+    const manifest = await storage.downloadFile(result.pieceCid, { resolveManifest: false, returnAs: 'json' });
+    assert.equal(manifest.encrypted, true);
+    assert.equal(manifest.filename, undefined);
+    await assert.rejects(storage.downloadFile(result.pieceCid), DecryptionError);
+    assert.equal(await storage.downloadFile(result.pieceCid, { encryption: passphrase, returnAs: 'text' }), text);
+});
+
+test('plaintext that starts like an envelope is not mistaken for one', async () => {
+    const { storage } = await createTestStorage();
+    const plain = 'FSENC\x01\x01 not actually encrypted';
+
+    const single = await storage.uploadFile(plain, 'plain.txt', { embedMetadata: false });
+    assert.equal(await storage.downloadFile(single.pieceCid, { returnAs: 'text' }), plain);
+
+    const chunked = await storage.uploadFile(plain.repeat(50), 'plain.txt', { chunked: true, chunkSize: 100 });
+    assert.equal(await storage.downloadFile(chunked.pieceCid, { returnAs: 'text' }), plain.repeat(50));
+});
@@ -0,0 +1,75 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    FileStorageError,
+    InsufficientAllowanceError,
+    InsufficientFundsError,
+    IntegrityError,
+    NetworkError,
+    PieceNotFoundError,
+    ValidationError,
+    createFileStorage
+} from '../FileStorage.js';
+import { isTransientError, toFileStorageError } from '../lib/errors.js';
+import { createTestStorage, sampleBytes } from './helpers.js';
+
+const unknownCid = 'bafkzcibcpybdwfva4o2rqo4umvxhhvjgdgonxbc5cekwz7zhfakhsm7udnl7aky';
+
+test('isTransientError separates network failures from permanent ones', () => {
+    assert.equal(isTransientError(new Error('fetch failed')), true);
+    assert.equal(isTransientError(Object.assign(new Error('x'), { status: 503 })), true);
+    assert.equal(isTransientError(new Error('wrapped', { cause: Object.assign(new Error('x'), { code: 'ECONNRESET' }) })), true);
+    assert.equal(isTransientError(new Error('Insufficient lockup allowance')), false);
+    assert.equal(isTransientError(Object.assign(new Error('fetch failed'), { transient: false })), false);
+    assert.equal(isTransientError(new ValidationError('bad')), false);
+});
+
+test('toFileStorageError maps backend errors onto SDK classes', () => {
+    assert.ok(toFileStorageError(new Error('Piece not found'), { pieceCid: unknownCid }) instanceof PieceNotFoundError);
+    assert.ok(toFileStorageError(new Error('Insufficient rate allowance')) instanceof InsufficientAllowanceError);
+    assert.ok(toFileStorageError(new Error('fetch failed')) instanceof NetworkError);
+
+    const other = toFileStorageError(new Error('boom'), { operation: 'Upload' });
+    assert.equal(other.code, 'OPERATION_FAILED');
+    assert.equal(other.message, 'Upload failed: boom');
+    assert.equal(other.cause.message, 'boom');
+});
+
+test('SDK methods throw typed errors with stable codes', async () => {
+    await assert.rejects(createFileStorage().uploadFile('x'), { name: 'NotInitializedError', code: 'NOT_INITIALIZED' });
+
+    const { storage } = await createTestStorage();
+    await assert.rejects(storage.uploadFile(''), { code: 'VALIDATION_ERROR' });
+    await assert.rejects(storage.uploadFile(5), ValidationError);
+    await assert.rejects(storage.downloadFile(unknownCid), (error) => {
+        assert.ok(error instanceof PieceNotFoundError);
+        assert.ok(error instanceof FileStorageError);
+        assert.equal(error.code, 'PIECE_NOT_FOUND');
+        return true;
+    });
+    await assert.rejects(storage.withdraw(10000), InsufficientFundsError);
+});
+
+test('a chunk of the wrong size fails the stream with IntegrityError naming the chunk', async () => {
+    const { storage, backend } = await createTestStorage();
+    const result = await storage.uploadFile(sampleBytes(3000), 'big.bin', { chunked: true, chunkSize: 1000 });
+    const chunkCid = String(result.manifest.chunks[1].pieceCid);
+    backend.pieces.set(chunkCid, new Uint8Array(999));
+
+    const stream = await storage.downloadStream(result.pieceCid);
+    await assert.rejects(async () => {
+        for await (const part of stream) assert.ok(part);
+    }, (error) => {
+        assert.ok(error instanceof IntegrityError);
+        assert.equal(error.details.index, 1);
+        assert.equal(error.details.pieceCid, chunkCid);
+        return true;
+    });
+
+    backend.pieces.set(chunkCid, new Uint8Array(1000).fill(4));
+    await assert.rejects(storage.downloadFile(result.pieceCid), (error) => {
+        assert.ok(error instanceof IntegrityError);
+        assert.equal(error.details.index, 1);
+        return true;
+    });
+});
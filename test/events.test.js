@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ValidationError } from '../FileStorage.js';
+import { Emitter } from '../lib/emitter.js';
+import { createLogger } from '../lib/logger.js';
+import { createTestStorage } from './helpers.js';
+
+test('createLogger drops messages below the level', () => {
+    const lines = [];
+    const target = Object.fromEntries(['debug', 'info', 'warn', 'error'].map((level) => [level, (message) => lines.push([level, message])]));
+
+    const logger = createLogger({ logger: target, logLevel: 'warn' });
+    logger.debug('d');
+    logger.info('i');
+    logger.warn('w');
+    logger.error('e');
+    assert.deepEqual(lines, [['warn', 'w'], ['error', 'e']]);
+
+    createLogger({ logger: target }).debug('all levels by default');
+    assert.equal(lines.length, 3);
+    assert.throws(() => createLogger({ logLevel: 'loud' }), ValidationError);
+});
+
+test('Emitter supports on, once and off, and isolates throwing listeners', () => {
+    const emitter = new Emitter();
+    const seen = [];
+    const listener = (payload) => seen.push(['on', payload]);
+    emitter.on('event', () => {
+        throw new Error('listener failure');
+    });
+    emitter.on('event', listener);
+    emitter.once('event', (payload) => seen.push(['once', payload]));
+
+    assert.equal(emitter.emit('event', 1), true);
+    emitter.off('event', listener);
+    emitter.emit('event', 2);
+    assert.deepEqual(seen, [['on', 1], ['once', 1]]);
+    assert.equal(emitter.listenerCount('event'), 1);
+    assert.equal(emitter.emit('other'), false);
+});
+
+test('the SDK is silent by default', async (t) => {
+    const calls = [];
+    for (const level of ['log', 'debug', 'info', 'warn', 'error']) {
+        t.mock.method(console, level, (...args) => calls.push(args));
+    }
+    const { storage } = await createTestStorage({ logLevel: undefined });
+    await storage.uploadFile('quiet');
+    assert.deepEqual(calls, []);
+});
+
+test('uploads and downloads emit lifecycle events', async () => {
+    const { storage } = await createTestStorage();
+    const events = [];
+    for (const event of ['upload:start', 'upload:complete', 'download:start', 'download:complete', 'download:error']) {
+        storage.on(event, (payload) => events.push([event, payload]));
+    }
+
+    const result = await storage.uploadFile('hello', 'hello.txt');
+    await storage.downloadFile(result.pieceCid);
+    await assert.rejects(storage.downloadFile('bafkzcibcaapao7qbqgkbdjjtpbqdqkctxitcrbsrstqhapzbu2cfgbg3nqpozm4y'));
+
+    assert.deepEqual(events.map(([event]) => event), [
+        'upload:start', 'upload:complete', 'download:start', 'download:complete', 'download:start', 'download:error'
+    ]);
+    assert.deepEqual(events[0][1], { filename: 'hello.txt', size: 5 });
+    assert.equal(events[1][1].result, result);
+});
+
+test('a throwing listener is logged and does not fail the operation', async () => {
+    const errors = [];
+    const logger = { debug() {}, info() {}, warn() {}, error: (...args) => errors.push(args) };
+    const { storage } = await createTestStorage({ logger, logLevel: 'error' });
+    storage.on('upload:complete', () => {
+        throw new Error('listener failure');
+    });
+
+    await storage.uploadFile('hello');
+    assert.equal(errors.length, 1);
+    assert.match(String(errors[0][0]), /upload:complete/);
+});
@@ -0,0 +1,25 @@
+import { createFileStorage, MemoryBackend } from '../FileStorage.js';
+
+/**
+ * Initialized client on a fresh MemoryBackend, with the storage service
+ * approved so uploads go through
+ * @param {Object} [options] - Extra `initialize()` options
+ * @returns {Promise<{storage: import('../FileStorage.js').FileStorage, backend: MemoryBackend}>}
+ */
+export async function createTestStorage(options = {}) {
+    const backend = options.backend ?? new MemoryBackend();
+    const storage = createFileStorage({ retry: false, logLevel: 'silent', ...options, backend });
+    await storage.initialize();
+    await storage.setupWallet(100, 10, 1000, 30);
+    return { storage, backend };
+}
+
+/**
+ * Deterministic, non-repeating test bytes
+ * @param {number} size
+ * @param {number} [seed=0]
+ * @returns {Uint8Array}
+ */
+export function sampleBytes(size, seed = 0) {
+    return new Uint8Array(size).map((_, i) => (i * 31 + seed + (i >> 8)) % 251);
+}
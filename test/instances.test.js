@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fileStorage, { FileStorage, MemoryBackend, NotInitializedError, createFileStorage } from '../FileStorage.js';
+import { createTestStorage } from './helpers.js';
+
+test('the default export is a shared FileStorage instance', () => {
+    assert.ok(fileStorage instanceof FileStorage);
+    assert.ok(createFileStorage() instanceof FileStorage);
+    assert.notEqual(createFileStorage(), fileStorage);
+});
+
+test('instances keep their own backend and state', async () => {
+    const a = await createTestStorage();
+    const b = await createTestStorage();
+
+    const result = await a.storage.uploadFile('only in a');
+    assert.equal(await a.storage.checkFileExists(result.pieceCid), true);
+    assert.equal(await b.storage.checkFileExists(result.pieceCid), false);
+    assert.equal(b.backend.pieces.size, 0);
+});
+
+test('initialize options override the options given to the constructor', async () => {
+    const first = new MemoryBackend();
+    const second = new MemoryBackend();
+    const storage = new FileStorage({ backend: first, logLevel: 'silent' });
+
+    await storage.initialize({ backend: second });
+    assert.equal(storage.backend, second);
+});
+
+test('methods refuse to run before initialize', async () => {
+    const storage = createFileStorage();
+    await assert.rejects(storage.uploadFile('hello'), NotInitializedError);
+    await assert.rejects(storage.getStorageInfo(), NotInitializedError);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { IntegrityError } from '../FileStorage.js';
+import { createTestStorage, sampleBytes } from './helpers.js';
+
+const content = new TextEncoder().encode('integrity check');
+
+test('uploads report the SHA-256 of the content and downloads can check it', async () => {
+    const { storage } = await createTestStorage();
+    const result = await storage.uploadFile(content, 'f.txt');
+    assert.equal(result.sha256, createHash('sha256').update(content).digest('hex'));
+
+    const text = await storage.downloadFile(result.pieceCid, {
+        expectedHash: result.sha256.toUpperCase(),
+        verify: true,
+        returnAs: 'text'
+    });
+    assert.equal(text, 'integrity check');
+    await assert.rejects(storage.downloadFile(result.pieceCid, { expectedHash: 'ab'.repeat(32) }), IntegrityError);
+});
+
+test('verify recomputes the PieceCID of a tampered piece', async () => {
+    const { storage, backend } = await createTestStorage();
+    const result = await storage.uploadFile(content, 'f.txt', { embedMetadata: false });
+    backend.pieces.set(String(result.pieceCid), new TextEncoder().encode('integrity chEck'));
+
+    assert.equal(await storage.downloadFile(result.pieceCid, { returnAs: 'text', cache: false }), 'integrity chEck');
+    await assert.rejects(storage.downloadFile(result.pieceCid, { verify: true, cache: false }), (error) => {
+        assert.ok(error instanceof IntegrityError);
+        assert.equal(error.details.expected, String(result.pieceCid));
+        return true;
+    });
+});
+
+test('verifyFile matches local bytes against single and chunked uploads', async () => {
+    const { storage } = await createTestStorage();
+    const big = sampleBytes(5000);
+    const single = await storage.uploadFile(content, 'f.txt');
+    const chunked = await storage.uploadFile(big, 'big.bin', { chunked: true, chunkSize: 2048 });
+
+    assert.equal(await storage.verifyFile(single.pieceCid, content), true);
+    assert.equal(await storage.verifyFile(single.pieceCid, 'integrity chEck'), false);
+    assert.equal(await storage.verifyFile(chunked.pieceCid, big), true);
+    assert.equal(await storage.verifyFile(chunked.pieceCid, big.slice(1)), false);
+
+    const flipped = big.slice();
+    flipped[3000] ^= 1;
+    assert.equal(await storage.verifyFile(chunked.pieceCid, flipped), false);
+});
+
+test('verified chunked downloads reject a replaced chunk', async () => {
+    const { storage, backend } = await createTestStorage();
+    const result = await storage.uploadFile(sampleBytes(5000), 'big.bin', { chunked: true, chunkSize: 2048 });
+    assert.equal((await storage.downloadFile(result.pieceCid, { verify: true, expectedHash: result.sha256 })).length, 5000);
+
+    backend.pieces.set(String(result.manifest.chunks[1].pieceCid), new Uint8Array(2048));
+    await assert.rejects(storage.downloadFile(result.pieceCid, { verify: true, cache: false }), IntegrityError);
+});
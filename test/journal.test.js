@@ -0,0 +1,310 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import {
+    MemoryJournalStore, JsonFileJournalStore, IndexedDBCatalogStore, IndexedDBJournalStore,
+    createFileStorage, MemoryBackend, ValidationError
+} from '../FileStorage.js';
+import { createTestStorage, sampleBytes } from './helpers.js';
+
+// Count the pieces sent to the backend from now on
+function countUploads(backend) {
+    let count = 0;
+    const upload = backend.upload.bind(backend);
+    backend.upload = (...args) => {
+        count++;
+        return upload(...args);
+    };
+    return () => count;
+}
+
+// Journal store that fails to record finished uploads while `crashing` is set
+function crashingStore() {
+    const store = new MemoryJournalStore();
+    const put = store.put.bind(store);
+    store.crashing = true;
+    store.put = async (entry) => {
+        if (store.crashing && entry.stage === 'uploaded') throw new Error('crash');
+        return await put(entry);
+    };
+    return store;
+}
+
+test('uploading the same content again reuses the journaled piece', async () => {
+    const { storage, backend } = await createTestStorage({ journal: new MemoryJournalStore() });
+    const uploads = countUploads(backend);
+
+    const first = await storage.uploadFile('hello journal', 'a.txt');
+    const again = await storage.uploadFile('hello journal', 'b.txt');
+    assert.equal(uploads(), 1);
+    assert.equal(String(again.pieceCid), String(first.pieceCid));
+    assert.equal(typeof again.pieceCid, 'object');
+    assert.equal(again.reused, true);
+    assert.equal(first.reused, undefined);
+    assert.equal(again.filename, 'b.txt');
+
+    await storage.uploadFile('hello journal', 'c.txt', { journal: false });
+    assert.equal(uploads(), 2);
+    // Settings that change the stored bytes make a different entry
+    await storage.uploadFile('hello journal', 'a.txt', { metadata: { x: 1 } });
+    assert.equal(uploads(), 3);
+    // Encrypted uploads are never journaled
+    const encryption = { passphrase: 'pw', iterations: 1000 };
+    await storage.uploadFile('hello journal', 'a.txt', { encryption });
+    await storage.uploadFile('hello journal', 'a.txt', { encryption });
+    assert.equal(uploads(), 5);
+});
+
+test('clients on different networks or accounts sharing a journal store each upload', async () => {
+    const store = new MemoryJournalStore();
+    const budget = { maxPerSession: 10 };
+    const { storage: calibration } = await createTestStorage({ journal: store, budget });
+    const mainnetBackend = new MemoryBackend({ network: 'mainnet' });
+    const { storage: mainnet } = await createTestStorage({
+        backend: mainnetBackend, network: 'mainnet', journal: store, budget
+    });
+    const mainnetUploads = countUploads(mainnetBackend);
+
+    const first = await calibration.uploadFile('shared journal', 's.txt');
+    const second = await mainnet.uploadFile('shared journal', 's.txt');
+    assert.equal(mainnetUploads(), 1);
+    assert.equal(second.reused, undefined);
+    assert.equal(String(second.pieceCid), String(first.pieceCid));
+    assert.ok(mainnet.getBudgetUsage().session > 0n);
+    assert.equal((await mainnet.listJournal()).length, 2);
+
+    const otherAccount = new MemoryBackend({ account: '0x00000000000000000000000000000000000000aa' });
+    const { storage: other } = await createTestStorage({ backend: otherAccount, journal: store });
+    const otherUploads = countUploads(otherAccount);
+    assert.equal((await other.uploadFile('shared journal', 's.txt')).reused, undefined);
+    assert.equal(otherUploads(), 1);
+});
+
+test('a journaled piece that is no longer stored is uploaded and charged again', async () => {
+    const { storage, backend } = await createTestStorage({
+        journal: new MemoryJournalStore(), budget: { maxPerSession: 10 }
+    });
+    const uploads = countUploads(backend);
+    const first = await storage.uploadFile('dropped piece', 'd.txt');
+    const usage = storage.getBudgetUsage().session;
+
+    backend.pieces.delete(String(first.pieceCid));
+    backend.pieceIds.delete(String(first.pieceCid));
+    const again = await storage.uploadFile('dropped piece', 'd.txt');
+    assert.equal(again.reused, undefined);
+    assert.equal(uploads(), 2);
+    assert.equal(storage.getBudgetUsage().session, usage * 2n);
+    assert.equal((await storage.uploadFile('dropped piece', 'd.txt')).reused, true);
+});
+
+test('listJournal and removeFromJournal manage journal entries', async () => {
+    const { storage, backend } = await createTestStorage({ journal: new MemoryJournalStore() });
+    const uploads = countUploads(backend);
+    const result = await storage.uploadFile('hello journal', 'a.txt');
+    await storage.uploadFile('hello journal', 'a.txt', { metadata: { x: 1 } });
+
+    assert.equal((await storage.listJournal()).length, 2);
+    assert.equal((await storage.listJournal({ stage: 'uploaded' })).length, 2);
+    assert.equal((await storage.listJournal({ stage: 'pinned' })).length, 0);
+    await assert.rejects(storage.listJournal({ stage: 'nope' }), ValidationError);
+
+    assert.equal(await storage.removeFromJournal(result.sha256), 2);
+    await storage.uploadFile('hello journal', 'a.txt');
+    assert.equal(uploads(), 3);
+});
+
+test('an upload interrupted after sending its piece resumes without sending it again', async () => {
+    const store = crashingStore();
+    const { storage, backend } = await createTestStorage({ journal: store, budget: { maxPerSession: 10 } });
+    const uploads = countUploads(backend);
+
+    const first = await storage.uploadFile('crashy content');
+    const [entry] = await storage.listJournal();
+    assert.equal(entry.stage, 'preflight');
+    assert.equal(entry.pieceCid, String(first.pieceCid));
+    const usage = storage.getBudgetUsage();
+
+    store.crashing = false;
+    const resumed = await storage.uploadFile('crashy content');
+    assert.equal(uploads(), 1);
+    assert.equal(String(resumed.pieceCid), String(first.pieceCid));
+    assert.equal((await storage.listJournal())[0].stage, 'uploaded');
+    // The piece was already paid for
+    assert.deepEqual(storage.getBudgetUsage(), usage);
+
+    await storage.uploadFile('fresh content');
+    assert.notDeepEqual(storage.getBudgetUsage(), usage);
+});
+
+test('a chunked upload resumes from the chunks already stored', async () => {
+    const { storage, backend } = await createTestStorage({ journal: new MemoryJournalStore() });
+    const uploads = countUploads(backend);
+    const data = sampleBytes(5000);
+    const options = { chunked: true, chunkSize: 1000 };
+
+    backend.injectFailure('upload', { after: 2 });
+    await assert.rejects(storage.uploadFile(data, 'big.bin', options));
+    const [entry] = await storage.listJournal({ stage: 'preflight' });
+    assert.equal(entry.chunks.length, 2);
+
+    const sent = uploads();
+    const result = await storage.uploadFile(data, 'big.bin', options);
+    // The three remaining chunks and the manifest
+    assert.equal(uploads() - sent, 4);
+    assert.deepEqual(await storage.downloadFile(result.pieceCid), data);
+
+    const again = await storage.uploadFile(data, 'big.bin', options);
+    assert.equal(again.reused, true);
+    assert.ok(again.manifest);
+});
+
+test('a journaled upload that failed to pin is pinned when uploaded again', async () => {
+    let pinFails = true;
+    let pins = 0;
+    const pinning = {
+        name: 'fake',
+        async pin(cid, { name }) {
+            pins++;
+            if (pinFails) throw new Error('pin down');
+            return { cid: String(cid), name, status: 'pinned' };
+        },
+        async unpin() {
+            return true;
+        },
+        async listPins() {
+            return [];
+        },
+        async pinStatus() {
+            return null;
+        }
+    };
+    const { storage, backend } = await createTestStorage({ journal: new MemoryJournalStore(), pinning });
+    const uploads = countUploads(backend);
+
+    const unpinned = await storage.uploadFile('pin me', 'p.txt');
+    assert.equal(unpinned.gatewayURL, undefined);
+    assert.equal((await storage.listJournal())[0].stage, 'uploaded');
+
+    pinFails = false;
+    const pinned = await storage.uploadFile('pin me', 'p.txt');
+    assert.equal(uploads(), 1);
+    assert.ok(pinned.gatewayURL);
+    const [entry] = await storage.listJournal();
+    assert.equal(entry.stage, 'pinned');
+    assert.equal(entry.gatewayURL, pinned.gatewayURL);
+
+    const again = await storage.uploadFile('pin me', 'p.txt');
+    assert.equal(pins, 2);
+    assert.equal(again.gatewayURL, pinned.gatewayURL);
+});
+
+test('a JSON file journal is shared by clients using the same file', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'filecoin-storage-journal-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const path = join(dir, 'journal.json');
+
+    const backend = new MemoryBackend();
+    const { storage: first } = await createTestStorage({ backend, journal: new JsonFileJournalStore(path) });
+    const uploaded = await first.uploadFile({ hi: 1 }, 'x.json');
+    assert.equal(JSON.parse(await readFile(path, 'utf8')).uploads.length, 1);
+
+    const second = createFileStorage({ backend, logLevel: 'silent' });
+    await second.initialize({ journal: new JsonFileJournalStore(path) });
+    const uploads = countUploads(backend);
+    const reused = await second.uploadFile({ hi: 1 }, 'x.json');
+    assert.equal(uploads(), 0);
+    assert.equal(reused.reused, true);
+    assert.equal(String(reused.pieceCid), String(uploaded.pieceCid));
+
+    await second.initialize({ journal: false });
+    assert.equal(second.journal, null);
+});
+
+test('JSON file stores keep every concurrent write', async (t) => {
+    const dir = await mkdtemp(join(tmpdir(), 'filecoin-storage-journal-'));
+    t.after(() => rm(dir, { recursive: true, force: true }));
+    const path = join(dir, 'journal.json');
+
+    const store = new JsonFileJournalStore(path);
+    await Promise.all(Array.from({ length: 10 }, (_, i) => store.put({ key: `k${i}`, i })));
+    assert.equal(await store.delete('k0'), true);
+    assert.equal(await store.delete('k0'), false);
+
+    const reopened = new JsonFileJournalStore(path);
+    assert.equal((await reopened.list()).length, 9);
+    assert.equal((await reopened.get('k9')).i, 9);
+    assert.equal(await reopened.get('k0'), null);
+    assert.throws(() => new JsonFileJournalStore(''), ValidationError);
+});
+
+/**
+ * Minimal in-memory `indexedDB` with the requests the IndexedDB stores make
+ * @returns {{indexedDB: Object, databases: Map<string, Object>}}
+ */
+function createFakeIndexedDB() {
+    const databases = new Map();
+    const request = (operation) => {
+        const pending = {};
+        queueMicrotask(() => {
+            pending.result = operation();
+            pending.onsuccess?.();
+        });
+        return pending;
+    };
+    const createDatabase = () => {
+        const stores = new Map();
+        return {
+            objectStoreNames: { contains: (name) => stores.has(name) },
+            createObjectStore(name, { keyPath }) {
+                stores.set(name, { keyPath, entries: new Map() });
+            },
+            transaction(name) {
+                const { keyPath, entries } = stores.get(name);
+                return {
+                    objectStore: () => ({
+                        get: (key) => request(() => entries.get(key)),
+                        put: (entry) => request(() => entries.set(entry[keyPath], entry)),
+                        delete: (key) => request(() => entries.delete(key)),
+                        getAll: () => request(() => [...entries.values()])
+                    })
+                };
+            }
+        };
+    };
+    const indexedDB = {
+        open(name) {
+            const pending = {};
+            queueMicrotask(() => {
+                let database = databases.get(name);
+                pending.result = database ?? createDatabase();
+                if (!database) {
+                    database = pending.result;
+                    databases.set(name, database);
+                    pending.onupgradeneeded?.();
+                }
+                pending.onsuccess();
+            });
+            return pending;
+        }
+    };
+    return { indexedDB, databases };
+}
+
+test('IndexedDB catalog and journal stores keep entries in their own databases', async () => {
+    const { indexedDB, databases } = createFakeIndexedDB();
+
+    const catalog = new IndexedDBCatalogStore({ indexedDB });
+    await catalog.put({ pieceCid: 'p1', a: 1 });
+    assert.equal((await catalog.get('p1')).a, 1);
+    assert.equal(await catalog.delete('p1'), true);
+    assert.equal(await catalog.delete('p1'), false);
+    assert.equal(await catalog.get('p1'), null);
+
+    const journal = new IndexedDBJournalStore({ indexedDB });
+    await journal.put({ key: 'k', b: 2 });
+    assert.deepEqual(await journal.list(), [{ key: 'k', b: 2 }]);
+
+    assert.deepEqual([...databases.keys()], ['filecoin-storage-sdk', 'filecoin-storage-sdk-journal']);
+});
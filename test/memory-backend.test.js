@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createFileStorage,
+    MemoryBackend,
+    InsufficientAllowanceError,
+    PieceNotFoundError
+} from '../FileStorage.js';
+
+async function setup(options = {}) {
+    const backend = new MemoryBackend();
+    const storage = createFileStorage({ backend, retry: false, logLevel: 'silent', ...options });
+    await storage.initialize();
+    return { storage, backend };
+}
+
+test('initialize with a backend needs no network or private key', async () => {
+    const { storage, backend } = await setup();
+    assert.equal(storage.isInitialized, true);
+    assert.equal(storage.backend, backend);
+    assert.equal(storage.synapse, null);
+});
+
+test('uploads are refused until the storage service is approved', async () => {
+    const { storage, backend } = await setup();
+    await assert.rejects(storage.uploadFile('hello'), InsufficientAllowanceError);
+    assert.equal(backend.pieces.size, 0);
+});
+
+test('setupWallet deposits funds and approves the storage service', async () => {
+    const { storage, backend } = await setup();
+    await storage.setupWallet(100, 10, 1000, 30);
+    assert.equal(backend.funds, 100n * 10n ** 18n);
+    assert.equal(backend.wallet, 900n * 10n ** 18n);
+    assert.equal(backend.approval.isApproved, true);
+    assert.equal(backend.approval.rateAllowance, 10n * 10n ** 18n);
+    assert.equal(backend.approval.maxLockupPeriod, 30n * 2880n);
+});
+
+test('uploaded pieces are stored under their PieceCID and download intact', async () => {
+    const { storage, backend } = await setup();
+    await storage.setupWallet(100, 10, 1000, 30);
+    const data = new Uint8Array(4096).map((_, i) => i % 251);
+
+    const result = await storage.uploadFile(data, 'data.bin');
+    assert.ok(backend.pieces.has(String(result.pieceCid)));
+    assert.deepEqual(await storage.downloadFile(result.pieceCid), data);
+    assert.ok(backend.lockupCurrent > 0n);
+});
+
+test('downloading an unknown piece throws PieceNotFoundError', async () => {
+    const { storage } = await setup();
+    const pieceCid = 'bafkzcibcaabdjzpz6oykl4jmpqnk5t2guxwkfnuzufpxxxnpxmshjuakz3ggouy';
+    await assert.rejects(storage.downloadFile(pieceCid), PieceNotFoundError);
+});
+
+test('injectFailure fails the given calls, then lets later calls through', async () => {
+    const backend = new MemoryBackend();
+    const error = new Error('boom');
+    backend.injectFailure('balance', { error, times: 2, after: 1 });
+
+    assert.equal(await backend.balance(), 0n);
+    await assert.rejects(backend.balance(), error);
+    await assert.rejects(backend.balance(), error);
+    assert.equal(await backend.balance(), 0n);
+
+    backend.injectFailure('balance');
+    backend.clearFailures();
+    assert.equal(await backend.balance(), 0n);
+});
+
+test('withdrawals cannot take locked funds', async () => {
+    const backend = new MemoryBackend({ funds: 10n });
+    backend.lockupCurrent = 4n;
+    await assert.rejects(backend.withdraw(7n), /Insufficient available funds/);
+    await backend.withdraw(6n);
+    assert.equal(backend.funds, 4n);
+});
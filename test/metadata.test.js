@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ValidationError } from '../FileStorage.js';
+import { computePieceCid } from '../lib/hash.js';
+import { sniffMimeType, wrapWithMetadata, unwrapMetadata } from '../lib/metadata.js';
+import { createTestStorage } from './helpers.js';
+
+const encode = (text) => new TextEncoder().encode(text);
+const png = new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 1, 2, 3, 0]);
+
+test('sniffMimeType recognises common formats from their first bytes', () => {
+    assert.equal(sniffMimeType(png), 'image/png');
+    assert.equal(sniffMimeType(new Uint8Array([0xff, 0xd8, 0xff, 0xe0])), 'image/jpeg');
+    assert.equal(sniffMimeType(encode('GIF89a..')), 'image/gif');
+    assert.equal(sniffMimeType(encode('RIFF\0\0\0\0WEBPVP8 ')), 'image/webp');
+    assert.equal(sniffMimeType(encode('%PDF-1.7')), 'application/pdf');
+    assert.equal(sniffMimeType(encode(' {"a":1}\n')), 'application/json');
+    assert.equal(sniffMimeType(encode('[1,2')), 'text/plain');
+    assert.equal(sniffMimeType(encode('héllo\n')), 'text/plain');
+    assert.equal(sniffMimeType(new Uint8Array([0, 1, 2, 200])), null);
+});
+
+test('wrapWithMetadata and unwrapMetadata round trip, and ignore truncated headers', () => {
+    const wrapped = wrapWithMetadata(encode('abc'), { mimeType: 'a/b' });
+    const unwrapped = unwrapMetadata(wrapped);
+    assert.equal(unwrapped.descriptor.mimeType, 'a/b');
+    assert.deepEqual(unwrapped.content, encode('abc'));
+    assert.equal(unwrapMetadata(wrapped.subarray(0, 12)).descriptor, null);
+});
+
+test('MIME type and metadata are stored with the file and come back on download', async () => {
+    const { storage } = await createTestStorage();
+    const result = await storage.uploadFile('# Title', 'r.md', { mimeType: 'text/markdown', metadata: { author: 'x', n: 1 } });
+    assert.equal(result.mimeType, 'text/markdown');
+    assert.deepEqual(result.metadata, { author: 'x', n: 1 });
+
+    const downloaded = await storage.downloadFile(result.pieceCid, { returnAs: 'text', withMetadata: true, expectedHash: result.sha256 });
+    assert.deepEqual(downloaded, { data: '# Title', mimeType: 'text/markdown', metadata: { author: 'x', n: 1 } });
+    assert.equal(await storage.verifyFile(result.pieceCid, '# Title'), true);
+    assert.equal(await storage.verifyFile(result.pieceCid, '# Other'), false);
+    assert.deepEqual((await storage.getFileInfo(result.pieceCid)).metadata, { author: 'x', n: 1 });
+
+    const stream = await storage.downloadStream(result.pieceCid);
+    assert.equal(await new Response(stream).text(), '# Title');
+});
+
+test('a sniffed MIME type becomes the blob type on download', async () => {
+    const { storage } = await createTestStorage();
+    const result = await storage.uploadFile(png, 'x');
+    assert.equal(result.mimeType, 'image/png');
+    assert.equal(result.size, png.length);
+    const blob = await storage.downloadFile(result.pieceCid, { returnAs: 'blob' });
+    assert.equal(blob.type, 'image/png');
+    assert.equal(blob.size, png.length);
+});
+
+test('metadata survives encryption and chunking', async () => {
+    const { storage } = await createTestStorage();
+    const key = await storage.generateEncryptionKey();
+    const encrypted = await storage.uploadFile('{"x":1}', 'e.json', { encryption: { key }, metadata: { secret: true } });
+    const decrypted = await storage.downloadFile(encrypted.pieceCid, { returnAs: 'json', withMetadata: true, encryption: { key } });
+    assert.deepEqual(decrypted.data, { x: 1 });
+    assert.deepEqual(decrypted.metadata, { secret: true });
+
+    const big = new Uint8Array(1000).fill(65);
+    const chunked = await storage.uploadFile(big, 'big.csv', { chunked: true, chunkSize: 300, mimeType: 'text/csv', metadata: { rows: 3 } });
+    assert.equal(chunked.manifest.mimeType, 'text/csv');
+    assert.deepEqual(chunked.manifest.metadata, { rows: 3 });
+    assert.equal((await storage.downloadFile(chunked.pieceCid, { returnAs: 'blob' })).type, 'text/csv');
+    assert.equal(await storage.verifyFile(chunked.pieceCid, big), true);
+});
+
+test('embedMetadata: false stores the bare content, so the type is sniffed on download', async () => {
+    const { storage } = await createTestStorage();
+    const result = await storage.uploadFile('body{}', 's.css', { mimeType: 'text/css', embedMetadata: false });
+    assert.equal(String(result.pieceCid), computePieceCid(encode('body{}')));
+    assert.equal((await storage.downloadFile(result.pieceCid, { returnAs: 'blob' })).type, 'text/plain');
+});
+
+test('content that starts with a metadata header is stored and returned unchanged', async () => {
+    const { storage } = await createTestStorage();
+    const lookalike = wrapWithMetadata(encode('hello'), { mimeType: 'text/plain' });
+
+    for (const options of [{}, { embedMetadata: false }, { metadata: { a: 1 } }]) {
+        const result = await storage.uploadFile(lookalike, 'h.bin', options);
+        const downloaded = await storage.downloadFile(result.pieceCid, { withMetadata: true });
+        assert.deepEqual(downloaded.data, lookalike);
+        assert.equal(await storage.verifyFile(result.pieceCid, lookalike), true);
+        if (options.metadata) assert.deepEqual(downloaded.metadata, { a: 1 });
+    }
+
+    const streamed = await storage.uploadStream(new Blob([lookalike]).stream());
+    assert.deepEqual(await storage.downloadFile(streamed.pieceCid), lookalike);
+    const stream = await storage.downloadStream(streamed.pieceCid);
+    assert.deepEqual(new Uint8Array(await new Response(stream).arrayBuffer()), lookalike);
+});
+
+test('metadata must be a plain object', async () => {
+    const { storage } = await createTestStorage();
+    await assert.rejects(storage.uploadFile('x', 'x', { metadata: [1] }), ValidationError);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+import { fileURLToPath } from 'node:url';
+
+// Resolved through the package's own `exports` map, as consumers resolve it
+const PACKAGE = '@borderlessdev/filecoin-storage-sdk';
+const require = createRequire(import.meta.url);
+const dist = (file) => fileURLToPath(new URL(`../dist/${file}`, import.meta.url));
+
+test('require and import resolve to the Node bundles with the same exports', async () => {
+    assert.equal(require.resolve(PACKAGE), dist('FileStorage.node.cjs'));
+    assert.equal(fileURLToPath(import.meta.resolve(PACKAGE)), dist('FileStorage.node.mjs'));
+
+    const cjs = require(PACKAGE);
+    const esm = await import(PACKAGE);
+    assert.deepEqual(Object.keys(cjs).sort(), Object.keys(esm).sort());
+    assert.equal(typeof cjs.createFileStorage, 'function');
+});
+
+test('the CommonJS bundle uploads and downloads', async () => {
+    const { createFileStorage, MemoryBackend } = require(PACKAGE);
+    const storage = createFileStorage({ backend: new MemoryBackend(), logLevel: 'silent' });
+    await storage.initialize();
+    await storage.setupWallet(100, 1, 1000, 30);
+    const result = await storage.uploadFile('hello '.repeat(200), 'a.txt', { compress: 'gzip' });
+    assert.equal(await storage.downloadFile(result.pieceCid, { returnAs: 'text' }), 'hello '.repeat(200));
+});
+
+test('the browser bundle does not use Node.js built-ins or process.env', async () => {
+    const bundle = await readFile(dist('FileStorage.esm.js'), 'utf8');
+    assert.doesNotMatch(bundle, /process\.env/);
+    assert.doesNotMatch(bundle, /from ['"]node:/);
+    assert.doesNotMatch(bundle, /require\(['"](node:)?(fs|path|os|stream|crypto|zlib)['"]\)/);
+});
+
+test('type declarations ship for both module systems', async () => {
+    const types = await readFile(new URL('../types/index.d.ts', import.meta.url), 'utf8');
+    assert.match(types, /export (declare )?class FileStorage\b/);
+    assert.equal(await readFile(dist('FileStorage.node.d.cts'), 'utf8'), types);
+});
@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createFileStorage, MemoryBackend, InsufficientFundsError, ValidationError } from '../FileStorage.js';
+import { sampleBytes } from './helpers.js';
+
+const USDFC = 10n ** 18n;
+
+// Unlike createTestStorage, nothing is deposited or approved yet
+async function createUnfundedStorage() {
+    const backend = new MemoryBackend();
+    const storage = createFileStorage({ retry: false, logLevel: 'silent', backend });
+    await storage.initialize();
+    return { storage, backend };
+}
+
+test('ensureFunded deposits up to the target only when below the minimum', async () => {
+    const { storage } = await createUnfundedStorage();
+    const deposits = [];
+    storage.on('deposit:confirmed', (event) => deposits.push(event));
+
+    const first = await storage.ensureFunded({ minAvailable: 5, targetDeposit: 8 });
+    assert.equal(first.deposited, 8n * USDFC);
+    assert.equal(first.available, 8n * USDFC);
+    assert.ok(first.hash);
+
+    const second = await storage.ensureFunded({ minAvailable: 5, targetDeposit: 8 });
+    assert.deepEqual(second, { deposited: 0n, available: 8n * USDFC, hash: null });
+    assert.equal(deposits.length, 1);
+
+    const concurrent = await Promise.all([storage.ensureFunded({ minAvailable: 10 }), storage.ensureFunded({ minAvailable: 10 })]);
+    assert.deepEqual(concurrent.map((result) => result.deposited), [2n * USDFC, 0n]);
+
+    await assert.rejects(storage.ensureFunded({ minAvailable: 5000 }), InsufficientFundsError);
+    await assert.rejects(storage.ensureFunded({ minAvailable: 5, targetDeposit: 1 }), ValidationError);
+});
+
+test('withdraw returns available funds to the wallet', async () => {
+    const { storage } = await createUnfundedStorage();
+    await storage.ensureFunded({ minAvailable: 8 });
+    const events = [];
+    storage.on('withdraw:confirmed', (event) => events.push(event));
+
+    const result = await storage.withdraw(2);
+    assert.equal(result.amount, 2n * USDFC);
+    assert.equal(events.length, 1);
+    assert.equal((await storage.ensureFunded({ minAvailable: 6 })).available, 6n * USDFC);
+
+    await assert.rejects(storage.withdraw(100), (error) => {
+        assert.ok(error instanceof InsufficientFundsError);
+        assert.match(error.message, /Cannot withdraw 100\.0 USDFC; 6\.0 USDFC is available/);
+        return true;
+    });
+    await assert.rejects(storage.withdraw(0), ValidationError);
+});
+
+test('getServiceApproval and revokeService report and remove the storage service allowances', async () => {
+    const { storage } = await createUnfundedStorage();
+    assert.equal((await storage.getServiceApproval()).isApproved, false);
+
+    await storage.setupWallet(0.5, 1, 10, 30);
+    const approval = await storage.getServiceApproval();
+    assert.equal(approval.isApproved, true);
+    assert.equal(approval.maxLockupDays, 30);
+    assert.deepEqual(approval.formatted, { rateAllowance: '1.0', rateUsed: '0.0', lockupAllowance: '10.0', lockupUsed: '0.0' });
+
+    const revoked = await storage.revokeService();
+    assert.ok(revoked.hash);
+    assert.equal((await storage.getServiceApproval()).isApproved, false);
+    await assert.rejects(storage.uploadFile('hello', 'a'), { code: 'INSUFFICIENT_ALLOWANCE' });
+});
+
+test('autoTopUp deposits and approves just enough for an upload', async () => {
+    const { storage, backend } = await createUnfundedStorage();
+    await storage.initialize({ backend, autoTopUp: { minAvailable: 1, targetDeposit: 2 } });
+    const topUps = [];
+    storage.on('topup', (event) => topUps.push(event));
+
+    await storage.uploadFile(sampleBytes(1024 * 1024), 'b');
+    assert.equal(topUps.length, 1);
+    const approval = await storage.getServiceApproval();
+    assert.equal(approval.isApproved, true);
+    assert.equal(approval.rateUsed, approval.rateAllowance);
+
+    await storage.uploadFile(sampleBytes(1024 * 1024, 1), 'c');
+    assert.equal(topUps.length, 2);
+});
+
+test('getStorageInfo formats balances with USDFC decimals when the token cannot be queried', async () => {
+    const { storage, backend } = await createUnfundedStorage();
+    backend.funds = 100n * USDFC;
+    backend.injectFailure('decimals', { times: Infinity });
+    const info = await storage.getStorageInfo();
+    assert.equal(info.balance, '100.0');
+    assert.equal(info.accountInfo.availableFunds, '100.0');
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ValidationError } from '../FileStorage.js';
+import { SynapseBackend } from '../lib/backends/synapse.js';
+import { computePieceCid } from '../lib/hash.js';
+import { createTestStorage } from './helpers.js';
+
+const unknownCid = computePieceCid(new TextEncoder().encode('never uploaded'));
+
+test('getPieceStatus reports where a piece is stored without downloading it', async () => {
+    const { storage, backend } = await createTestStorage();
+    const result = await storage.uploadFile('status check', 's.txt', { embedMetadata: false });
+    backend.download = () => assert.fail('pieceStatus must not download');
+
+    const status = await storage.getPieceStatus(result.pieceCid);
+    assert.equal(status.exists, true);
+    assert.equal(status.size, 12);
+    assert.equal(status.provider.name, 'memory');
+    assert.equal(typeof status.pieceId, 'number');
+    assert.equal(status.proof.overdue, false);
+
+    assert.equal(await storage.checkFileExists(result.pieceCid), true);
+    assert.equal((await storage.getPieceStatus(unknownCid)).exists, false);
+    assert.equal(await storage.checkFileExists(unknownCid), false);
+});
+
+test('getPieceStatus rejects strings that are not PieceCIDs', async () => {
+    const { storage } = await createTestStorage();
+    await assert.rejects(storage.getPieceStatus('not-a-cid'), ValidationError);
+    await assert.rejects(storage.checkFileExists('not-a-cid'), ValidationError);
+});
+
+test('SynapseBackend asks your other providers when no data set holds the piece, without downloading it', async () => {
+    const dataSets = [
+        { providerId: 1, isLive: true, isManaged: false },
+        { providerId: 2, isLive: false, isManaged: false }
+    ];
+    const providers = {
+        1: { id: 1, name: 'p1', serviceProvider: '0xp1', products: { PDP: { data: { serviceURL: 'https://p1.example/' } } } }
+    };
+    const synapse = {
+        storage: {
+            findDataSets: async () => dataSets,
+            download: () => assert.fail('pieceStatus must not download')
+        },
+        getProviderInfo: async (id) => providers[id] ?? assert.fail(`provider ${id} must not be asked`)
+    };
+    const backendWith = (status) => {
+        const urls = [];
+        const fetch = async (url) => {
+            urls.push(url);
+            return new Response(null, { status });
+        };
+        return { backend: new SynapseBackend(synapse, { fetch }), urls };
+    };
+
+    const { backend: holding, urls } = backendWith(200);
+    const found = await holding.pieceStatus(unknownCid);
+    assert.equal(found.exists, true);
+    assert.deepEqual(found.provider, { id: 1, name: 'p1', address: '0xp1' });
+    assert.equal(found.dataSetId, null);
+    assert.equal(found.retrievalUrl, `https://p1.example/piece/${unknownCid}`);
+    assert.deepEqual(urls, [`https://p1.example/pdp/piece?pieceCid=${unknownCid}`]);
+
+    const missing = await backendWith(404).backend.pieceStatus(unknownCid);
+    assert.equal(missing.exists, false);
+    assert.equal(missing.provider, null);
+
+    await assert.rejects(backendWith(500).backend.pieceStatus(unknownCid), /HTTP 500/);
+});
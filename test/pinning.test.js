@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PinningError, ValidationError } from '../FileStorage.js';
+import { createPinningProvider, formatGatewayURL } from '../lib/pinning/pinning.js';
+import { createTestStorage } from './helpers.js';
+
+const json = (status, body) => new Response(body === undefined ? '' : JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' }
+});
+
+/**
+ * In-memory stand-in for the Pinata API
+ * @param {Object} [options]
+ * @param {number} [options.failures=0] - Leading requests answered with HTTP 503
+ */
+function pinataFetch({ failures = 0 } = {}) {
+    const pins = new Map();
+    const fetch = async (url, init = {}) => {
+        const { pathname, searchParams } = new URL(url);
+        if (failures > 0) {
+            failures--;
+            return json(503, { error: 'busy' });
+        }
+        if (init.headers?.Authorization !== 'Bearer good-jwt') {
+            return json(401, { error: 'auth' });
+        }
+        if (pathname === '/pinning/pinByHash') {
+            const { hashToPin, pinataMetadata } = JSON.parse(init.body);
+            pins.set(hashToPin, pinataMetadata?.name);
+            return json(200, { id: 'job', ipfsHash: hashToPin, status: 'prechecking' });
+        }
+        if (pathname.startsWith('/pinning/unpin/')) {
+            return pins.delete(pathname.split('/').pop()) ? json(200) : json(404, {});
+        }
+        if (pathname === '/data/pinList') {
+            const cid = searchParams.get('hashContains');
+            const rows = [...pins]
+                .filter(([pinned]) => !cid || pinned === cid)
+                .map(([pinned, name]) => ({ ipfs_pin_hash: pinned, metadata: { name }, date_pinned: 'today' }));
+            return json(200, { count: rows.length, rows });
+        }
+        if (pathname === '/pinning/pinJobs') {
+            return json(200, { rows: [] });
+        }
+        return json(404, {});
+    };
+    return { fetch, pins };
+}
+
+test('formatGatewayURL substitutes the CID and the encoded filename', () => {
+    assert.equal(formatGatewayURL('https://{cid}.ipfs.dweb.link/?filename={filename}', 'bafy', 'a b.txt'),
+        'https://bafy.ipfs.dweb.link/?filename=a%20b.txt');
+});
+
+test('createPinningProvider builds the configured provider', () => {
+    assert.equal(createPinningProvider(false), null);
+    assert.equal(createPinningProvider({ type: 'kubo' }).name, 'Kubo');
+    const custom = { name: 'custom', pin() {}, unpin() {}, listPins() {}, pinStatus() {} };
+    assert.equal(createPinningProvider(custom), custom);
+    assert.throws(() => createPinningProvider({ type: 'nope' }), ValidationError);
+});
+
+test('uploads are pinned and get a gateway URL', async () => {
+    const pinata = pinataFetch({ failures: 1 });
+    const { storage } = await createTestStorage({
+        pinning: { type: 'pinata', jwt: 'good-jwt', fetch: pinata.fetch },
+        gatewayURL: 'https://{cid}.ipfs.dweb.link/?filename={filename}',
+        retry: { initialDelayMs: 1, jitter: false }
+    });
+
+    const result = await storage.uploadFile('pin me', 'a b.txt');
+    const cid = String(result.pieceCid);
+    assert.equal(result.gatewayURL, `https://${cid}.ipfs.dweb.link/?filename=a%20b.txt`);
+    assert.equal(pinata.pins.get(cid), 'a b.txt');
+
+    assert.equal((await storage.pinStatus(cid)).status, 'pinned');
+    assert.equal((await storage.listPins()).length, 1);
+    assert.equal(await storage.unpin(cid), true);
+    assert.equal(await storage.unpin(cid), false);
+    assert.equal(await storage.pinStatus(cid), null);
+});
+
+test('pinning errors are thrown by pinToIPFS but only reported for uploads', async () => {
+    const { storage } = await createTestStorage({
+        pinning: { type: 'pinata', jwt: 'bad-jwt', fetch: pinataFetch().fetch }
+    });
+    const failed = [];
+    storage.on('pin:failed', ({ error }) => failed.push(error));
+
+    await assert.rejects(storage.pinToIPFS('bafy', 'x'), (error) => {
+        assert.ok(error instanceof PinningError);
+        assert.equal(error.details.status, 401);
+        return true;
+    });
+
+    const result = await storage.uploadFile('still stored');
+    assert.ok(result.pieceCid);
+    assert.equal(result.gatewayURL, undefined);
+    assert.equal(failed.length, 2);
+});
+
+test('without a provider, uploads are not pinned and pin management is refused', async () => {
+    const { storage } = await createTestStorage({ pinning: false });
+    assert.equal(await storage.pinToIPFS('bafy'), null);
+    await assert.rejects(storage.listPins(), ValidationError);
+});
@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createTestStorage, sampleBytes } from './helpers.js';
+
+const phases = (updates) => updates.map((update) => `${update.phase} ${update.bytesDone}/${update.totalBytes}`);
+
+test('a single-piece upload reports reading, preflight, uploading and confirmed', async () => {
+    const { storage } = await createTestStorage();
+    const updates = [];
+
+    await storage.uploadFile(new Blob([sampleBytes(3000)]), 'b.bin', { onProgress: (update) => updates.push(update) });
+    assert.deepEqual(phases(updates), [
+        'reading 0/3000',
+        'reading 3000/3000',
+        'preflight 0/3000',
+        'uploading 0/3000',
+        'uploading 3000/3000',
+        'confirmed 3000/3000'
+    ]);
+    assert.equal(updates[0].filename, 'b.bin');
+    assert.ok(updates.at(-1).pieceCid);
+});
+
+test('chunked uploads count the bytes of finished chunks', async () => {
+    const { storage } = await createTestStorage();
+    const updates = [];
+
+    await storage.uploadFile(sampleBytes(2500), 'c.bin', {
+        chunked: true,
+        chunkSize: 1024,
+        onProgress: (update) => updates.push(update)
+    });
+    const confirmed = updates.filter((update) => update.phase === 'confirmed').map((update) => update.bytesDone);
+    assert.deepEqual(confirmed, [1024, 2048, 2500]);
+});
+
+test('streams report a null total until the end is read', async () => {
+    const { storage } = await createTestStorage();
+    const updates = [];
+    const stream = new Blob([sampleBytes(2000)]).stream();
+
+    await storage.uploadStream(stream, { chunkSize: 1024, onProgress: (update) => updates.push(update) });
+    assert.equal(updates[0].totalBytes, null);
+    assert.deepEqual(phases(updates.slice(-2)), ['uploading 2000/2000', 'confirmed 2000/2000']);
+});
+
+test('progress is also emitted as upload:progress, and a throwing callback is ignored', async () => {
+    const { storage } = await createTestStorage();
+    const events = [];
+    storage.on('upload:progress', (update) => events.push(update.phase));
+
+    const result = await storage.uploadFile('hello', 'h.txt', {
+        onProgress: () => {
+            throw new Error('callback failure');
+        }
+    });
+    assert.ok(result.pieceCid);
+    assert.deepEqual(events, ['reading', 'preflight', 'uploading', 'uploading', 'confirmed']);
+});
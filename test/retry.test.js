@@ -0,0 +1,121 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { TimeoutError, ValidationError } from '../FileStorage.js';
+import { backoffDelay, resolveRetryPolicy, withRetry } from '../lib/retry.js';
+import { createTestStorage } from './helpers.js';
+
+const fast = { initialDelayMs: 1, maxDelayMs: 5 };
+
+function transient(message = 'fetch failed') {
+    return Object.assign(new Error(message), { transient: true });
+}
+
+test('resolveRetryPolicy merges policies and validates the result', () => {
+    assert.equal(resolveRetryPolicy({ maxAttempts: 5 }, false).maxAttempts, 1);
+    assert.equal(resolveRetryPolicy({ timeoutMs: 100 }, undefined).timeoutMs, 100);
+    assert.throws(() => resolveRetryPolicy({ maxAttempts: 0 }), ValidationError);
+    assert.throws(() => resolveRetryPolicy({ timeoutMs: -1 }), ValidationError);
+});
+
+test('backoffDelay grows exponentially up to maxDelayMs', () => {
+    const policy = resolveRetryPolicy({ initialDelayMs: 100, maxDelayMs: 300, jitter: false });
+    assert.deepEqual([1, 2, 3].map((attempt) => backoffDelay(attempt, policy)), [100, 200, 300]);
+
+    const jittered = resolveRetryPolicy({ initialDelayMs: 100 });
+    assert.equal(backoffDelay(1, jittered, () => 0), 50);
+    assert.equal(backoffDelay(1, jittered, () => 1), 100);
+});
+
+test('withRetry retries transient errors only', async () => {
+    let calls = 0;
+    const result = await withRetry(async () => {
+        if (++calls < 3) throw transient();
+        return 'done';
+    }, { policy: resolveRetryPolicy(fast) });
+    assert.equal(result, 'done');
+    assert.equal(calls, 3);
+
+    calls = 0;
+    const permanent = new Error('Insufficient funds');
+    await assert.rejects(withRetry(async () => {
+        calls++;
+        throw permanent;
+    }, { policy: resolveRetryPolicy(fast) }), permanent);
+    assert.equal(calls, 1);
+});
+
+test('withRetry times out each attempt', async () => {
+    const never = () => new Promise(() => {});
+    await assert.rejects(
+        withRetry(never, { policy: resolveRetryPolicy(fast, { maxAttempts: 2, timeoutMs: 20 }) }),
+        TimeoutError
+    );
+});
+
+test('withRetry does not retry timeouts when retryTimeouts is false', async () => {
+    let attempts = 0;
+    const slow = () => {
+        attempts++;
+        return new Promise(() => {});
+    };
+    const policy = resolveRetryPolicy(fast, { maxAttempts: 3, timeoutMs: 20 });
+    await assert.rejects(withRetry(slow, { policy, retryTimeouts: false }), TimeoutError);
+    assert.equal(attempts, 1);
+});
+
+test('a timed-out upload that finishes late is not uploaded a second time', async () => {
+    const { storage, backend } = await createTestStorage({ retry: fast });
+    const upload = backend.upload.bind(backend);
+    let uploads = 0;
+    let finished;
+    backend.upload = async (...args) => {
+        uploads++;
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        finished = upload(...args);
+        return await finished;
+    };
+
+    await assert.rejects(storage.uploadFile('slow piece', 's.txt', { timeoutMs: 20 }), TimeoutError);
+    await new Promise((resolve) => setTimeout(resolve, 150));
+    const late = await finished;
+    assert.equal(uploads, 1);
+    assert.equal(backend.pieces.size, 1);
+    assert.ok(backend.pieces.has(String(late.pieceCid)));
+});
+
+test('uploads are retried after transient backend failures', async () => {
+    const { storage, backend } = await createTestStorage({ retry: fast });
+    backend.injectFailure('upload', { times: 2, transient: true });
+
+    const result = await storage.uploadFile('hello');
+    assert.ok(backend.pieces.has(String(result.pieceCid)));
+});
+
+test('a slow attempt times out and the next one succeeds', async () => {
+    const { storage, backend } = await createTestStorage({ retry: fast });
+    const result = await storage.uploadFile('hello');
+    backend.injectFailure('download', { delayMs: 200, transient: true });
+
+    assert.equal(await storage.downloadFile(result.pieceCid, { returnAs: 'text', timeoutMs: 50 }), 'hello');
+});
+
+test('deposits are not retried', async () => {
+    const { storage, backend } = await createTestStorage({ retry: fast });
+    backend.injectFailure('deposit', { transient: true });
+    const funds = backend.funds;
+
+    await assert.rejects(storage.setupWallet(1, 10, 1000, 30), /Simulated deposit failure/);
+    assert.equal(backend.funds, funds);
+});
+
+test('aborting rejects with the signal reason, before or during a call', async () => {
+    const { storage, backend } = await createTestStorage({ retry: fast });
+    const result = await storage.uploadFile('hello');
+
+    await assert.rejects(storage.uploadFile('other', 'b', { signal: AbortSignal.abort() }), { name: 'AbortError' });
+
+    const controller = new AbortController();
+    backend.injectFailure('download', { delayMs: 300 });
+    setTimeout(() => controller.abort(), 20);
+    await assert.rejects(storage.downloadFile(result.pieceCid, { signal: controller.signal }), { name: 'AbortError' });
+});
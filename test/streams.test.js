@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import { DecryptionError, ValidationError } from '../FileStorage.js';
+import { generateKey } from '../lib/encryption.js';
+import { createTestStorage, sampleBytes } from './helpers.js';
+
+async function collect(stream) {
+    const parts = [];
+    for await (const part of stream) parts.push(...part);
+    return new Uint8Array(parts);
+}
+
+test('uploadStream splits a Node.js stream into chunks of chunkSize', async () => {
+    const { storage } = await createTestStorage();
+    const data = sampleBytes(1000);
+    const source = Readable.from([data.subarray(0, 123), Buffer.from(data.subarray(123, 700)), data.subarray(700)]);
+
+    const result = await storage.uploadStream(source, { chunkSize: 300, filename: 'stream.bin' });
+    assert.deepEqual(result.manifest.chunks.map((chunk) => chunk.size), [300, 300, 300, 100]);
+    assert.equal(result.size, 1000);
+    assert.deepEqual(await storage.downloadFile(result.pieceCid), data);
+});
+
+test('uploadStream stores a stream shorter than chunkSize as one piece', async () => {
+    const { storage } = await createTestStorage();
+    const data = sampleBytes(200);
+
+    const result = await storage.uploadStream(new Blob([data]).stream());
+    assert.equal(result.manifest, undefined);
+    assert.deepEqual(await storage.downloadFile(result.pieceCid), data);
+});
+
+test('uploadStream rejects an empty stream', async () => {
+    const { storage } = await createTestStorage();
+    await assert.rejects(storage.uploadStream(Readable.from([])), ValidationError);
+});
+
+test('downloadStream yields web and Node.js streams of the content', async () => {
+    const { storage } = await createTestStorage();
+    const data = sampleBytes(5000);
+    const chunked = await storage.uploadFile(data, 'big.bin', { chunked: true, chunkSize: 1000 });
+    const single = await storage.uploadFile('hello');
+
+    const web = await storage.downloadStream(chunked.pieceCid);
+    assert.ok(web instanceof ReadableStream);
+    assert.deepEqual(await collect(web), data);
+
+    const node = await storage.downloadStream(chunked.pieceCid, { format: 'node' });
+    assert.ok(node instanceof Readable);
+    assert.deepEqual(await collect(node), data);
+
+    const text = await collect(await storage.downloadStream(single.pieceCid));
+    assert.equal(new TextDecoder().decode(text), 'hello');
+});
+
+test('downloadStream decrypts encrypted uploads and refuses them without a key', async () => {
+    const { storage } = await createTestStorage();
+    const key = await generateKey();
+    const data = sampleBytes(1000);
+    const single = await storage.uploadFile(data, 's.bin', { encryption: { key } });
+    const chunked = await storage.uploadFile(data, 'c.bin', { encryption: { key }, chunked: true, chunkSize: 300 });
+
+    for (const { pieceCid } of [single, chunked]) {
+        await assert.rejects(storage.downloadStream(pieceCid), DecryptionError);
+        await assert.rejects(storage.downloadStream(pieceCid, { encryption: { key: await generateKey() } }), DecryptionError);
+        assert.deepEqual(await collect(await storage.downloadStream(pieceCid, { encryption: { key } })), data);
+        assert.deepEqual(await collect(await storage.downloadStream(pieceCid, { encryption: { key }, format: 'node' })), data);
+    }
+});
@@ -0,0 +1,151 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createFileStorage, MemoryBackend, WalletError, WrongNetworkError, NotInitializedError
+} from '../FileStorage.js';
+
+const CALIBRATION = 314159;
+const MAINNET = 314;
+
+/**
+ * EIP-1193 provider that answers the requests connectBrowserWallet makes
+ */
+class FakeWallet {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.chainId=1] - Chain the wallet starts on
+     * @param {number[]} [options.known=[1]] - Chains the wallet can switch to without adding them
+     * @param {Object<string, number>} [options.reject] - RPC error code to fail each method with
+     */
+    constructor({ chainId = 1, known = [1], reject = {} } = {}) {
+        this.chainId = chainId;
+        this.accounts = ['0xAbC'];
+        this.known = new Set(known);
+        this.reject = reject;
+        this.calls = [];
+        this.listeners = {};
+    }
+
+    on(event, listener) {
+        (this.listeners[event] ??= []).push(listener);
+    }
+
+    removeListener(event, listener) {
+        this.listeners[event] = (this.listeners[event] ?? []).filter((item) => item !== listener);
+    }
+
+    fire(event, value) {
+        for (const listener of this.listeners[event] ?? []) listener(value);
+    }
+
+    async request({ method, params }) {
+        this.calls.push(method);
+        if (this.reject[method]) {
+            throw Object.assign(new Error('nope'), { code: this.reject[method] });
+        }
+        switch (method) {
+            case 'eth_requestAccounts':
+            case 'eth_accounts':
+                return this.accounts;
+            case 'eth_chainId':
+                return `0x${this.chainId.toString(16)}`;
+            case 'wallet_switchEthereumChain': {
+                const chainId = Number(params[0].chainId);
+                if (!this.known.has(chainId)) {
+                    throw Object.assign(new Error('unknown chain'), { code: 4902 });
+                }
+                this.chainId = chainId;
+                return null;
+            }
+            case 'wallet_addEthereumChain':
+                this.chainId = Number(params[0].chainId);
+                this.known.add(this.chainId);
+                return null;
+            default:
+                throw new Error(`unsupported ${method}`);
+        }
+    }
+}
+
+// Fire a wallet event and wait until the client has followed it
+async function walletEvent(storage, wallet, event, value, clientEvent) {
+    const followed = new Promise((resolve) => storage.once(clientEvent, resolve));
+    wallet.fire(event, value);
+    return await followed;
+}
+
+test('connectBrowserWallet adds and switches to the Filecoin chain', async () => {
+    const wallet = new FakeWallet();
+    const storage = createFileStorage({ logLevel: 'silent' });
+    const result = await storage.connectBrowserWallet({ provider: wallet, backend: new MemoryBackend() });
+
+    assert.equal(result.chainId, CALIBRATION);
+    assert.equal(result.network, 'calibration');
+    assert.ok(wallet.calls.includes('wallet_addEthereumChain'));
+    assert.equal(storage.isInitialized, true);
+});
+
+test('a wallet already on the requested network is not switched', async () => {
+    const wallet = new FakeWallet({ chainId: MAINNET, known: [MAINNET] });
+    const storage = createFileStorage({ logLevel: 'silent' });
+    const result = await storage.connectBrowserWallet({ provider: wallet, backend: new MemoryBackend(), network: 'mainnet' });
+    assert.equal(result.network, 'mainnet');
+    assert.deepEqual(wallet.calls, ['eth_requestAccounts', 'eth_chainId']);
+});
+
+test('the client follows chain and account changes in the wallet', async () => {
+    const wallet = new FakeWallet();
+    const storage = createFileStorage({ logLevel: 'silent' });
+    await storage.connectBrowserWallet({ provider: wallet, backend: new MemoryBackend() });
+
+    const away = await walletEvent(storage, wallet, 'chainChanged', '0x1', 'wallet:chainChanged');
+    assert.equal(away.supported, false);
+    assert.equal(storage.isInitialized, false);
+    await assert.rejects(storage.uploadFile(new Uint8Array([1])), NotInitializedError);
+
+    await walletEvent(storage, wallet, 'chainChanged', `0x${CALIBRATION.toString(16)}`, 'wallet:chainChanged');
+    assert.equal(storage.isInitialized, true);
+
+    const changed = await walletEvent(storage, wallet, 'accountsChanged', ['0xdef'], 'wallet:accountsChanged');
+    assert.deepEqual(changed, { account: '0xdef', previousAccount: '0xAbC' });
+
+    const disconnected = await walletEvent(storage, wallet, 'accountsChanged', [], 'wallet:disconnected');
+    assert.equal(disconnected.account, '0xdef');
+    assert.equal(storage.isInitialized, false);
+
+    await walletEvent(storage, wallet, 'accountsChanged', ['0xdef'], 'wallet:accountsChanged');
+    assert.equal(storage.isInitialized, true);
+
+    storage.disconnectBrowserWallet();
+    assert.equal(wallet.listeners.chainChanged.length, 0);
+    assert.equal(wallet.listeners.accountsChanged.length, 0);
+});
+
+test('refused wallet requests surface as WalletError and WrongNetworkError', async () => {
+    const storage = createFileStorage({ logLevel: 'silent' });
+    const backend = new MemoryBackend();
+
+    await assert.rejects(
+        storage.connectBrowserWallet({ provider: new FakeWallet({ reject: { eth_requestAccounts: 4001 } }), backend }),
+        (error) => {
+            assert.ok(error instanceof WalletError);
+            assert.equal(error.details.rpcCode, 4001);
+            assert.match(error.message, /rejected/);
+            return true;
+        }
+    );
+    await assert.rejects(
+        storage.connectBrowserWallet({ provider: new FakeWallet({ reject: { wallet_switchEthereumChain: 4001 } }), backend }),
+        { code: 'WRONG_NETWORK' }
+    );
+    await assert.rejects(storage.connectBrowserWallet({ provider: new FakeWallet(), backend, switchChain: false }), WrongNetworkError);
+    await assert.rejects(storage.connectBrowserWallet({ provider: new FakeWallet(), backend, addChain: false }), WrongNetworkError);
+});
+
+test('connectBrowserWallet needs an EIP-1193 provider and a known network', async () => {
+    const storage = createFileStorage({ logLevel: 'silent' });
+    const backend = new MemoryBackend();
+    await assert.rejects(storage.connectBrowserWallet({ backend }), WalletError);
+    await assert.rejects(storage.connectBrowserWallet({ provider: {}, backend }), /EIP-1193/);
+    await assert.rejects(storage.connectBrowserWallet({ provider: new FakeWallet(), network: 'x' }), /Unknown network/);
+});
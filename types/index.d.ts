@@ -0,0 +1,933 @@
+// Type definitions for @borderlessdev/filecoin-storage-sdk
+//
+// Written by hand alongside FileStorage.js; keep the two in step. Amounts
+// documented as base units are USDFC with 18 decimals.
+
+import type { Eip1193Provider, Provider } from 'ethers';
+
+export type Network = 'mainnet' | 'calibration';
+
+/** USDFC amount in whole tokens (number or decimal string), or base units as a bigint */
+export type USDFCAmount = number | string | bigint;
+
+/**
+ * A PieceCID as returned by uploads: a CID object. `String(pieceCid)` gives
+ * the `bafkzcib...` form, which every method also accepts.
+ */
+export interface PieceCID {
+    readonly bytes: Uint8Array;
+    toString(): string;
+    toJSON(): unknown;
+}
+
+export type PieceCIDInput = string | PieceCID;
+
+export type FileInput = Blob | Uint8Array | string | object;
+
+/** Parsed JSON */
+export type JSONValue = string | number | boolean | null | JSONValue[] | { [key: string]: JSONValue };
+
+/** A JSON Schema (see `validateSchema` for the supported keywords) */
+export type JSONSchema = boolean | { [keyword: string]: unknown };
+
+// ---------------------------------------------------------------------------
+// Options
+
+export interface RetryPolicy {
+    /** Attempts including the first (default 3) */
+    maxAttempts?: number;
+    /** Delay before the first retry (default 500) */
+    initialDelayMs?: number;
+    /** Cap on the delay between attempts (default 10000) */
+    maxDelayMs?: number;
+    /** Backoff multiplier (default 2) */
+    factor?: number;
+    /** Randomise half of each delay (default true) */
+    jitter?: boolean;
+    /** Per-attempt timeout; 0 disables it (default 0) */
+    timeoutMs?: number;
+}
+
+/** Options every network call accepts */
+export interface CallOptions {
+    signal?: AbortSignal;
+    /** Retry policy overrides for this call, or `false` for a single attempt */
+    retry?: RetryPolicy | false;
+    /** Per-attempt timeout for this call */
+    timeoutMs?: number;
+}
+
+export interface Logger {
+    debug(...args: unknown[]): void;
+    info(...args: unknown[]): void;
+    warn(...args: unknown[]): void;
+    error(...args: unknown[]): void;
+}
+
+export type LogLevel = 'silent' | 'error' | 'warn' | 'info' | 'debug';
+
+export type PinningConfig =
+    | PinningProvider
+    | { type: 'pinata'; jwt: string; apiURL?: string; fetch?: typeof fetch }
+    | { type: 'pinning-service'; endpoint: string; accessToken: string; name?: string; fetch?: typeof fetch }
+    | { type: 'kubo'; apiURL?: string; headers?: Record<string, string>; fetch?: typeof fetch };
+
+export interface BudgetOptions {
+    /** Limit for a single upload */
+    maxPerUpload?: USDFCAmount;
+    /** Limit for uploads in any 24 hour window */
+    maxPerDay?: USDFCAmount;
+    /** Limit for all uploads made by this instance */
+    maxPerSession?: USDFCAmount;
+    /** Storage period an upload's cost is projected over (default 30) */
+    durationDays?: number;
+}
+
+export interface AutoTopUpOptions {
+    minAvailable: USDFCAmount;
+    targetDeposit?: USDFCAmount;
+}
+
+export interface InitializeOptions extends Pick<CallOptions, 'signal'> {
+    privateKey?: string;
+    /** Ethers provider, e.g. a `BrowserProvider` */
+    provider?: Provider;
+    network?: Network;
+    /** GLIF authorization token */
+    authorization?: string;
+    /** Custom storage backend; skips Synapse entirely */
+    backend?: StorageBackend;
+    catalogStore?: CatalogStore;
+    /** Upload journal; re-uploads of stored content are not paid for again, interrupted uploads resume */
+    journal?: JournalStore | false;
+    retry?: RetryPolicy | false;
+    logger?: Logger;
+    logLevel?: LogLevel;
+    pinning?: PinningConfig | false;
+    /** Gateway URL template; `{cid}` and `{filename}` are substituted */
+    gatewayURL?: string;
+    cache?: DownloadCache | false;
+    budget?: BudgetOptions;
+    autoTopUp?: AutoTopUpOptions | false;
+}
+
+export interface ConnectBrowserWalletOptions extends Omit<InitializeOptions, 'provider' | 'privateKey'> {
+    /** EIP-1193 provider (defaults to `window.ethereum`) */
+    provider?: Eip1193Provider;
+    switchChain?: boolean;
+    addChain?: boolean;
+    watch?: boolean;
+}
+
+export interface EncryptionOptions {
+    /** AES key (16, 24 or 32 bytes) */
+    key?: CryptoKey | Uint8Array;
+    /** Passphrase to derive a key from (PBKDF2-SHA256) */
+    passphrase?: string;
+    /** PBKDF2 iterations (default 600000, at most 10000000) */
+    iterations?: number;
+}
+
+export type CompressionMode = 'gzip' | 'brotli' | 'auto';
+
+export type UploadPhase = 'reading' | 'preflight' | 'uploading' | 'confirmed' | 'pinning';
+
+export interface UploadProgress {
+    filename: string | null;
+    phase: UploadPhase;
+    bytesDone: number;
+    totalBytes: number | null;
+    pieceCid?: string;
+}
+
+export interface UploadOptions extends CallOptions {
+    /** Split into several pieces behind a manifest; automatic above 200 MiB unless `false` */
+    chunked?: boolean;
+    /** Chunk size in bytes (max 200 MiB) */
+    chunkSize?: number;
+    encryption?: EncryptionOptions;
+    mimeType?: string;
+    /** JSON-serialisable user metadata stored with the piece (max 64 KiB) */
+    metadata?: Record<string, unknown>;
+    embedMetadata?: boolean;
+    compress?: CompressionMode;
+    tags?: string[];
+    onProgress?: (progress: UploadProgress) => void;
+    preflight?: boolean;
+    /** Set to false to bypass the upload journal for this call */
+    journal?: boolean;
+}
+
+export type ReturnAs = 'uint8array' | 'blob' | 'text' | 'json';
+
+export interface DownloadOptions extends CallOptions {
+    returnAs?: ReturnAs;
+    withMetadata?: boolean;
+    resolveManifest?: boolean;
+    encryption?: EncryptionOptions;
+    /** Hex SHA-256 of the content (the `sha256` of the upload result) */
+    expectedHash?: string;
+    /** Recompute the PieceCID of every downloaded piece locally */
+    verify?: boolean;
+    /** Set to false to bypass the download cache */
+    cache?: boolean;
+}
+
+/** Data type produced by each `returnAs` */
+export interface DownloadTypes {
+    uint8array: Uint8Array;
+    blob: Blob;
+    text: string;
+    json: any;
+}
+
+export interface DownloadWithMetadata<T> {
+    data: T;
+    mimeType: string | null;
+    metadata: Record<string, unknown> | null;
+}
+
+export interface StreamDownloadOptions extends CallOptions {
+    format?: 'web' | 'node';
+    verify?: boolean;
+    cache?: boolean;
+    encryption?: EncryptionOptions;
+}
+
+export interface BatchOptions {
+    /** Maximum operations in flight (default 3) */
+    concurrency?: number;
+    signal?: AbortSignal;
+}
+
+export interface UploadManyProgress {
+    completed: number;
+    failed: number;
+    total: number;
+    bytesDone: number;
+    totalBytes: number;
+    item: { index: number; filename: string | null; phase: UploadPhase };
+}
+
+export interface UploadManyOptions extends BatchOptions, Omit<UploadOptions, 'onProgress' | 'signal'> {
+    onProgress?: (progress: UploadManyProgress) => void;
+}
+
+export interface UploadDescriptor {
+    file: FileInput;
+    filename?: string;
+    options?: UploadOptions;
+}
+
+export interface DownloadManyProgress {
+    completed: number;
+    failed: number;
+    total: number;
+    bytesDone: number;
+    item: { index: number; pieceCid: string; ok: boolean };
+}
+
+export interface DownloadManyOptions extends BatchOptions, Omit<DownloadOptions, 'signal'> {
+    onProgress?: (progress: DownloadManyProgress) => void;
+}
+
+export interface UploadDirectoryOptions extends UploadManyOptions {
+    /** Directory name recorded in the manifest */
+    name?: string;
+}
+
+export interface ListFilesFilter {
+    /** Substring (case-insensitive) or RegExp */
+    filename?: string | RegExp;
+    /** Exact type, or a prefix ending in '/' */
+    mimeType?: string;
+    /** Every tag must match */
+    tags?: string | string[];
+    minSize?: number;
+    maxSize?: number;
+    since?: number | Date;
+    until?: number | Date;
+}
+
+export interface ListFilesOptions {
+    filter?: ListFilesFilter | ((entry: CatalogEntry) => boolean);
+    sort?: { by?: 'timestamp' | 'size' | 'filename' | 'mimeType'; order?: 'asc' | 'desc' };
+    paginate?: { offset?: number; limit?: number };
+}
+
+export interface EnsureFundedParams extends CallOptions {
+    /** Available balance to guarantee */
+    minAvailable: USDFCAmount;
+    /** Available balance to top up to when below the minimum (default `minAvailable`) */
+    targetDeposit?: USDFCAmount;
+}
+
+export interface EstimateCostOptions extends CallOptions {
+    durationDays?: number;
+    withCDN?: boolean;
+}
+
+export type PinStatus = 'queued' | 'pinning' | 'pinned' | 'failed';
+
+export interface ListPinsOptions extends CallOptions {
+    status?: PinStatus | PinStatus[];
+    limit?: number;
+}
+
+// ---------------------------------------------------------------------------
+// Results
+
+export interface ChunkManifest {
+    type: 'filecoin-storage-sdk/chunked-manifest';
+    version: number;
+    totalSize: number;
+    chunkSize: number;
+    chunks: Array<{ index: number; pieceCid: string; size: number; sha256: string }>;
+    sha256?: string;
+    filename?: string;
+    mimeType?: string;
+    metadata?: Record<string, unknown>;
+    compression?: 'gzip' | 'brotli';
+    /** The chunks hold an encryption envelope; the type, metadata and filename stay inside it */
+    encrypted?: boolean;
+}
+
+export interface DirectoryManifest {
+    type: 'filecoin-storage-sdk/directory-manifest';
+    version: number;
+    totalSize: number;
+    files: Array<{ path: string; pieceCid: string | null; size: number; mimeType: string }>;
+    name?: string;
+}
+
+export interface UploadResult {
+    pieceCid: PieceCID;
+    /** Stored bytes */
+    size: number;
+    timestamp: number;
+    /** Hex SHA-256 of the content before compression and encryption */
+    sha256: string;
+    filename?: string;
+    mimeType?: string;
+    metadata?: Record<string, unknown>;
+    /** Set for chunked uploads */
+    manifest?: ChunkManifest;
+    encrypted?: boolean;
+    /** Algorithm used when `compress` was given; null if compression was skipped */
+    compression?: 'gzip' | 'brotli' | null;
+    originalSize?: number;
+    storedSize?: number;
+    /** Gateway URL when the upload was pinned */
+    gatewayURL?: string;
+    /** True when the upload journal already held this content and nothing was uploaded */
+    reused?: boolean;
+}
+
+export interface ImageUploadResult extends UploadResult {
+    filename: string;
+    /** MIME type of the file, or the type detected from its content */
+    type: string;
+}
+
+export interface StreamUploadResult {
+    pieceCid: PieceCID;
+    size: number;
+    timestamp: number;
+    filename?: string;
+    manifest?: ChunkManifest;
+    gatewayURL?: string;
+}
+
+export interface DirectoryUploadResult extends Omit<UploadResult, 'manifest'> {
+    filename: string;
+    manifest: DirectoryManifest;
+}
+
+export type UploadManyItem =
+    | { ok: true; filename: string | null; result: UploadResult }
+    | { ok: false; filename: string | null; error: Error };
+
+export interface UploadManyResult {
+    results: UploadManyItem[];
+    succeeded: number;
+    failed: number;
+}
+
+export type DownloadManyItem<T> =
+    | { ok: true; pieceCid: string; data: T }
+    | { ok: false; pieceCid: string; error: Error };
+
+export interface DownloadManyResult<T> {
+    results: Array<DownloadManyItem<T>>;
+    succeeded: number;
+    failed: number;
+}
+
+export interface DocumentResult extends UploadResult {
+    revision: number;
+    previous: string | null;
+}
+
+export interface DocumentVersion<T = any> {
+    cid: string;
+    revision: number;
+    previous: string | null;
+    timestamp: number;
+    schema: JSONSchema;
+    data: T;
+}
+
+/** Amounts formatted as USDFC strings */
+export interface StorageInfo {
+    balance: string;
+    accountInfo: {
+        availableFunds: string;
+        lockedFunds: string;
+        totalFunds: string;
+    };
+    storageInfo: {
+        /** Storage prices in base units, as reported by the network (empty when it cannot be reached) */
+        pricing: {
+            noCDN?: StoragePrice;
+            withCDN?: StoragePrice;
+            tokenAddress?: string;
+            tokenSymbol?: string;
+        };
+        /** Number of approved storage providers */
+        providers: number;
+        network: Network | 'unknown';
+    };
+}
+
+export interface StoragePrice {
+    perTiBPerMonth: bigint;
+    perTiBPerDay: bigint;
+    perTiBPerEpoch: bigint;
+}
+
+export interface PieceStatus {
+    pieceCid: string;
+    exists: boolean;
+    /** Payload size encoded in the PieceCID */
+    size: number;
+    provider: { id: number; name: string; address: string } | null;
+    dataSetId: number | null;
+    pieceId: number | null;
+    withCDN: boolean | null;
+    retrievalUrl: string | null;
+    proof: {
+        lastProven: Date | null;
+        nextProofDue: Date | null;
+        inChallengeWindow: boolean;
+        hoursUntilChallengeWindow: number | null;
+        overdue: boolean;
+    };
+}
+
+export interface CostEstimate {
+    size: number;
+    withCDN: boolean;
+    durationDays: number;
+    perEpoch: bigint;
+    perDay: bigint;
+    perMonth: bigint;
+    total: bigint;
+    /** Deposit the Warm Storage service locks while the data is stored */
+    lockup: bigint;
+    formatted: { perEpoch: string; perDay: string; perMonth: string; total: string; lockup: string };
+}
+
+export interface BudgetUsage {
+    limits: { maxPerUpload: bigint | null; maxPerDay: bigint | null; maxPerSession: bigint | null };
+    durationDays: number;
+    session: bigint;
+    lastDay: bigint;
+    formatted: { session: string; lastDay: string };
+}
+
+export interface ServiceApproval {
+    service: string;
+    isApproved: boolean;
+    rateAllowance: bigint;
+    rateUsed: bigint;
+    lockupAllowance: bigint;
+    lockupUsed: bigint;
+    /** Epochs */
+    maxLockupPeriod: bigint;
+    maxLockupDays: number;
+    formatted: { rateAllowance: string; rateUsed: string; lockupAllowance: string; lockupUsed: string };
+}
+
+export interface CatalogEntry {
+    pieceCid: string;
+    filename: string | null;
+    mimeType: string | null;
+    metadata: Record<string, unknown> | null;
+    size: number;
+    sha256: string | null;
+    gatewayURL: string | null;
+    tags: string[];
+    encrypted: boolean;
+    chunked: boolean;
+    timestamp: number;
+}
+
+export type JournalStage = 'preflight' | 'uploaded' | 'pinned';
+
+export interface JournalEntry {
+    /** `<sha256>:<settings fingerprint>` */
+    key: string;
+    sha256: string;
+    stage: JournalStage;
+    /** Expected PieceCID while in 'preflight' (null for chunked uploads), then the stored one */
+    pieceCid: string | null;
+    /** Chunks of a chunked upload stored so far */
+    chunks: Array<{ pieceCid: string; size: number; sha256: string }>;
+    /** Upload result once uploaded, with PieceCIDs as strings */
+    result: (Omit<UploadResult, 'pieceCid'> & { pieceCid: string }) | null;
+    gatewayURL: string | null;
+    createdAt: number;
+    updatedAt: number;
+}
+
+export interface CatalogPage {
+    items: CatalogEntry[];
+    total: number;
+    offset: number;
+    limit: number;
+}
+
+export interface Pin {
+    cid: string;
+    name: string | null;
+    status: PinStatus;
+    requestId: string | null;
+    created: string | null;
+}
+
+export interface WalletConnection {
+    account: string;
+    chainId: number;
+    network: Network;
+}
+
+// ---------------------------------------------------------------------------
+// Events
+
+export interface FileStorageEvents {
+    'initialized': { network: Network };
+    'upload:start': { filename: string | null; size: number | null };
+    'upload:progress': UploadProgress;
+    'upload:complete': { result: UploadResult | StreamUploadResult };
+    'upload:error': { filename: string | null; error: Error };
+    'download:start': { pieceCid: string };
+    'download:complete': { pieceCid: string; size: number };
+    'download:error': { pieceCid: string; error: Error };
+    'deposit:submitted': { amount: bigint; hash: string };
+    'deposit:confirmed': { amount: bigint; hash: string };
+    'approval:submitted': { service: string; hash: string };
+    'approval:confirmed': { service: string; hash: string };
+    'withdraw:submitted': { amount: bigint; hash: string };
+    'withdraw:confirmed': { amount: bigint; hash: string };
+    'revocation:submitted': { service: string; hash: string };
+    'revocation:confirmed': { service: string; hash: string };
+    'topup': { size: number; deposited: bigint; rateAllowance: bigint; lockupAllowance: bigint };
+    'wallet:connected': WalletConnection;
+    'wallet:accountsChanged': { account: string; previousAccount: string | null };
+    'wallet:chainChanged': { chainId: number; network: Network | null; supported: boolean };
+    'wallet:disconnected': { account: string | null };
+    'wallet:error': { error: Error };
+    'pin:complete': { cid: string; gatewayURL: string };
+    'pin:failed': { cid: string; error: Error };
+    'retry': { operation: string; attempt: number; delayMs: number; error: Error };
+}
+
+export type FileStorageEvent = keyof FileStorageEvents;
+
+// ---------------------------------------------------------------------------
+// Extension points
+
+/** See `lib/backends/synapse.js` for the full contract */
+export interface StorageBackend {
+    withCDN?: boolean;
+    preflightUpload(size: number): Promise<{
+        estimatedCost: { perEpoch: bigint; perDay: bigint; perMonth: bigint };
+        allowanceCheck: { sufficient: boolean; message?: string };
+    }>;
+    upload(data: Uint8Array, callbacks?: {
+        onUploadComplete?(pieceCid: PieceCID): void;
+        onPieceAdded?(transaction?: unknown): void;
+        onPieceConfirmed?(pieceIds: number[]): void;
+    }): Promise<{ pieceCid: PieceCID; size: number; pieceId?: number }>;
+    download(pieceCid: PieceCIDInput): Promise<Uint8Array>;
+    pieceStatus(pieceCid: string): Promise<object>;
+    getStorageInfo(): Promise<object>;
+    walletBalance(): Promise<bigint>;
+    balance(): Promise<bigint>;
+    accountInfo(): Promise<object>;
+    decimals(): Promise<number>;
+    deposit(amount: bigint): Promise<Transaction>;
+    withdraw(amount: bigint): Promise<Transaction>;
+    approveService(service: string, rateAllowance: bigint, lockupAllowance: bigint, maxLockupPeriod: bigint): Promise<Transaction>;
+    revokeService(service: string): Promise<Transaction>;
+    serviceApproval(service: string): Promise<{
+        isApproved: boolean;
+        rateAllowance: bigint;
+        rateUsed: bigint;
+        lockupAllowance: bigint;
+        lockupUsed: bigint;
+        maxLockupPeriod: bigint;
+    }>;
+    getWarmStorageAddress(): Promise<string>;
+    address(): Promise<string>;
+}
+
+export interface Transaction {
+    hash: string;
+    wait(): Promise<unknown>;
+}
+
+export interface CatalogStore {
+    get(pieceCid: string): Promise<CatalogEntry | null>;
+    put(entry: CatalogEntry): Promise<void>;
+    delete(pieceCid: string): Promise<boolean>;
+    list(): Promise<CatalogEntry[]>;
+}
+
+export interface JournalStore {
+    get(key: string): Promise<JournalEntry | null>;
+    put(entry: JournalEntry): Promise<void>;
+    delete(key: string): Promise<boolean>;
+    list(): Promise<JournalEntry[]>;
+}
+
+export interface DownloadCache {
+    get(pieceCid: string): Promise<Uint8Array | null>;
+    has(pieceCid: string): Promise<boolean>;
+    set(pieceCid: string, data: Uint8Array): Promise<void>;
+    delete(pieceCid: string): Promise<boolean>;
+    clear(): Promise<void>;
+}
+
+export interface PinningProvider {
+    readonly name: string;
+    pin(cid: string, options?: { name?: string; signal?: AbortSignal }): Promise<Pin>;
+    unpin(cid: string, options?: { signal?: AbortSignal }): Promise<boolean>;
+    listPins(options?: { status?: PinStatus | PinStatus[]; limit?: number; signal?: AbortSignal }): Promise<Pin[]>;
+    pinStatus(cid: string, options?: { signal?: AbortSignal }): Promise<Pin | null>;
+}
+
+export interface CacheLimits {
+    /** Total bytes kept before the least recently used pieces are evicted */
+    maxBytes?: number;
+    /** Drop entries this long after they were stored; 0 keeps them until evicted */
+    ttlMs?: number;
+}
+
+// The classes below implement the interfaces above; each class declaration
+// merges with an interface of the same name that lists its methods.
+
+export interface SynapseBackend extends StorageBackend {}
+export class SynapseBackend {
+    /** @param synapse - Initialized Synapse SDK instance */
+    constructor(synapse: unknown, options?: { withCDN?: boolean; fetch?: typeof fetch });
+    synapse: unknown;
+    withCDN: boolean;
+    fetch: typeof fetch;
+}
+
+export interface MemoryBackend extends StorageBackend {}
+/** Simulates storage and payments in memory, for tests and demos */
+export class MemoryBackend {
+    constructor(options?: {
+        walletBalance?: bigint;
+        funds?: bigint;
+        pricePerTiBPerMonth?: bigint;
+        pricePerTiBPerMonthWithCDN?: bigint;
+        withCDN?: boolean;
+        network?: Network;
+        decimals?: number;
+        account?: string;
+    });
+    withCDN: boolean;
+    /** Stored pieces by PieceCID */
+    pieces: Map<string, Uint8Array>;
+    /** Make upcoming calls to a backend method reject */
+    injectFailure(operation: string, options?: {
+        error?: Error;
+        times?: number;
+        after?: number;
+        transient?: boolean;
+        delayMs?: number;
+    }): void;
+    clearFailures(): void;
+}
+
+export interface MemoryCatalogStore extends CatalogStore {}
+export class MemoryCatalogStore {
+    constructor();
+}
+
+export interface JsonFileCatalogStore extends CatalogStore {}
+/** Node.js only */
+export class JsonFileCatalogStore {
+    constructor(filePath: string);
+}
+
+export interface IndexedDBCatalogStore extends CatalogStore {}
+/** Browser only */
+export class IndexedDBCatalogStore {
+    constructor(options?: { dbName?: string; storeName?: string; indexedDB?: IDBFactory });
+}
+
+export interface MemoryJournalStore extends JournalStore {}
+export class MemoryJournalStore {
+    constructor();
+}
+
+export interface JsonFileJournalStore extends JournalStore {}
+/** Node.js only */
+export class JsonFileJournalStore {
+    constructor(filePath: string);
+}
+
+export interface IndexedDBJournalStore extends JournalStore {}
+/** Browser only */
+export class IndexedDBJournalStore {
+    constructor(options?: { dbName?: string; storeName?: string; indexedDB?: IDBFactory });
+}
+
+export interface MemoryCache extends DownloadCache {}
+export class MemoryCache {
+    constructor(options?: CacheLimits);
+}
+
+export interface FileSystemCache extends DownloadCache {}
+/** Node.js only */
+export class FileSystemCache {
+    constructor(options: CacheLimits & { directory: string });
+}
+
+export interface BrowserCache extends DownloadCache {}
+/** Browser only (Cache Storage) */
+export class BrowserCache {
+    constructor(options?: CacheLimits & { cacheName?: string; caches?: CacheStorage });
+}
+
+export interface PinataPinningProvider extends PinningProvider {}
+export class PinataPinningProvider {
+    constructor(options: { jwt: string; apiURL?: string; fetch?: typeof fetch });
+}
+
+export interface PinningServiceProvider extends PinningProvider {}
+/** Any service implementing the IPFS Pinning Services API */
+export class PinningServiceProvider {
+    constructor(options: { endpoint: string; accessToken: string; name?: string; fetch?: typeof fetch });
+}
+
+export interface KuboPinningProvider extends PinningProvider {}
+/** A Kubo (go-ipfs) node's RPC API */
+export class KuboPinningProvider {
+    constructor(options?: { apiURL?: string; headers?: Record<string, string>; fetch?: typeof fetch });
+}
+
+// ---------------------------------------------------------------------------
+// Errors
+
+export interface FileStorageErrorOptions {
+    code?: string;
+    cause?: unknown;
+    details?: Record<string, any>;
+}
+
+/** Base class for every error thrown by the SDK; branch on `code` */
+export class FileStorageError extends Error {
+    constructor(message: string, options?: FileStorageErrorOptions);
+    code: string;
+    details?: Record<string, any>;
+}
+
+export class NotInitializedError extends FileStorageError {
+    constructor(message?: string, options?: FileStorageErrorOptions);
+    code: 'NOT_INITIALIZED';
+}
+
+export class ValidationError extends FileStorageError {
+    constructor(message: string, options?: FileStorageErrorOptions);
+}
+
+export class FileTooLargeError extends ValidationError {
+    constructor(size: number, maxSize: number, options?: FileStorageErrorOptions);
+    code: 'FILE_TOO_LARGE';
+    details: { size: number; maxSize: number };
+}
+
+export class InsufficientAllowanceError extends FileStorageError {
+    constructor(message?: string, options?: FileStorageErrorOptions);
+    code: 'INSUFFICIENT_ALLOWANCE';
+}
+
+export class InsufficientFundsError extends FileStorageError {
+    constructor(message: string, options?: FileStorageErrorOptions);
+    code: 'INSUFFICIENT_FUNDS';
+}
+
+export class BudgetExceededError extends FileStorageError {
+    constructor(message: string, options?: FileStorageErrorOptions);
+    code: 'BUDGET_EXCEEDED';
+}
+
+export class PieceNotFoundError extends FileStorageError {
+    constructor(pieceCid: PieceCIDInput, options?: FileStorageErrorOptions & { message?: string });
+    code: 'PIECE_NOT_FOUND';
+    details: { pieceCid: string; [key: string]: any };
+}
+
+export class PinningError extends FileStorageError {
+    constructor(message: string, options?: FileStorageErrorOptions);
+    code: 'PINNING_FAILED';
+}
+
+/** `details.rpcCode` holds the wallet's EIP-1193 error code */
+export class WalletError extends FileStorageError {
+    constructor(message: string, options?: FileStorageErrorOptions);
+}
+
+export class WrongNetworkError extends WalletError {
+    code: 'WRONG_NETWORK';
+}
+
+export class NetworkError extends FileStorageError {
+    constructor(message: string, options?: FileStorageErrorOptions);
+    transient: boolean;
+}
+
+export class TimeoutError extends NetworkError {
+    code: 'TIMEOUT';
+}
+
+export class IntegrityError extends FileStorageError {
+    constructor(message: string, options?: FileStorageErrorOptions);
+}
+
+export class DecryptionError extends IntegrityError {
+    code: 'DECRYPTION_FAILED';
+}
+
+// ---------------------------------------------------------------------------
+// FileStorage
+
+export class FileStorage {
+    constructor(options?: InitializeOptions);
+
+    options: InitializeOptions;
+    logger: Logger;
+    /** The Synapse SDK instance, or null with a custom backend */
+    synapse: unknown;
+    backend: StorageBackend | null;
+    network: Network | null;
+    isInitialized: boolean;
+    pinning: PinningProvider | null;
+    cache: DownloadCache | null;
+
+    on<E extends FileStorageEvent>(event: E, listener: (payload: FileStorageEvents[E]) => void): this;
+    once<E extends FileStorageEvent>(event: E, listener: (payload: FileStorageEvents[E]) => void): this;
+    off<E extends FileStorageEvent>(event: E, listener: (payload: FileStorageEvents[E]) => void): this;
+    removeAllListeners(event?: FileStorageEvent): this;
+    listenerCount(event: FileStorageEvent): number;
+    emit<E extends FileStorageEvent>(event: E, payload: FileStorageEvents[E]): boolean;
+
+    initialize(options?: InitializeOptions): Promise<true>;
+    connectBrowserWallet(options?: ConnectBrowserWalletOptions): Promise<WalletConnection>;
+    disconnectBrowserWallet(): void;
+
+    setupWallet(
+        depositAmount?: USDFCAmount,
+        rateAllowance?: USDFCAmount,
+        lockupAllowance?: USDFCAmount,
+        maxLockupDays?: number,
+        options?: CallOptions
+    ): Promise<true>;
+    ensureFunded(params: EnsureFundedParams): Promise<{ deposited: bigint; available: bigint; hash: string | null }>;
+    withdraw(amount: USDFCAmount, options?: CallOptions): Promise<{ amount: bigint; hash: string }>;
+    getServiceApproval(options?: CallOptions): Promise<ServiceApproval>;
+    revokeService(options?: CallOptions): Promise<{ service: string; hash: string }>;
+
+    generateEncryptionKey(): Promise<Uint8Array>;
+
+    pinToIPFS(cid: string, filename?: string, options?: CallOptions): Promise<string | null>;
+    unpin(cid: string, options?: CallOptions): Promise<boolean>;
+    listPins(options?: ListPinsOptions): Promise<Pin[]>;
+    pinStatus(cid: string, options?: CallOptions): Promise<Pin | null>;
+    getGatewayURL(cid: string, filename?: string): string;
+
+    uploadFile(file: FileInput, filename?: string, options?: UploadOptions): Promise<UploadResult>;
+    uploadImage(imageFile: Blob, options?: UploadOptions): Promise<ImageUploadResult>;
+    uploadJSON(jsonData: object | string, filename?: string, options?: UploadOptions): Promise<UploadResult>;
+    uploadStream(
+        readable: ReadableStream<Uint8Array> | AsyncIterable<Uint8Array | string>,
+        options?: Omit<UploadOptions, 'chunked' | 'encryption' | 'metadata' | 'embedMetadata' | 'compress'> & { filename?: string }
+    ): Promise<StreamUploadResult>;
+    uploadMany(files: Array<FileInput | UploadDescriptor>, options?: UploadManyOptions): Promise<UploadManyResult>;
+    uploadDirectory(source: string | FileList | File[], options?: UploadDirectoryOptions): Promise<DirectoryUploadResult>;
+
+    downloadFile(pieceCid: PieceCIDInput, options: DownloadOptions & { withMetadata: true; returnAs?: 'uint8array' }): Promise<DownloadWithMetadata<Uint8Array>>;
+    downloadFile<R extends ReturnAs>(pieceCid: PieceCIDInput, options: DownloadOptions & { withMetadata: true; returnAs: R }): Promise<DownloadWithMetadata<DownloadTypes[R]>>;
+    downloadFile(pieceCid: PieceCIDInput, options?: DownloadOptions & { withMetadata?: false; returnAs?: 'uint8array' }): Promise<Uint8Array>;
+    downloadFile<R extends ReturnAs>(pieceCid: PieceCIDInput, options: DownloadOptions & { withMetadata?: false; returnAs: R }): Promise<DownloadTypes[R]>;
+    downloadFile(pieceCid: PieceCIDInput, options?: DownloadOptions): Promise<DownloadTypes[ReturnAs] | DownloadWithMetadata<DownloadTypes[ReturnAs]>>;
+
+    verifyFile(pieceCid: PieceCIDInput, localBytes: Blob | Uint8Array | string, options?: CallOptions): Promise<boolean>;
+    downloadImage(pieceCid: PieceCIDInput, options?: DownloadOptions): Promise<string>;
+    downloadJSON<T = any>(pieceCid: PieceCIDInput, options?: DownloadOptions): Promise<T>;
+
+    downloadStream(pieceCid: PieceCIDInput, options: StreamDownloadOptions & { format: 'node' }): Promise<import('stream').Readable>;
+    downloadStream(pieceCid: PieceCIDInput, options?: StreamDownloadOptions & { format?: 'web' }): Promise<ReadableStream<Uint8Array>>;
+
+    downloadMany(pieceCids: PieceCIDInput[], options?: DownloadManyOptions & { returnAs?: 'uint8array'; withMetadata?: false }): Promise<DownloadManyResult<Uint8Array>>;
+    downloadMany<R extends ReturnAs>(pieceCids: PieceCIDInput[], options: DownloadManyOptions & { returnAs: R; withMetadata?: false }): Promise<DownloadManyResult<DownloadTypes[R]>>;
+    downloadMany(pieceCids: PieceCIDInput[], options?: DownloadManyOptions): Promise<DownloadManyResult<unknown>>;
+
+    getDirectoryManifest(manifestCid: PieceCIDInput, options?: DownloadOptions): Promise<DirectoryManifest>;
+    /** Node.js only */
+    downloadDirectory(manifestCid: PieceCIDInput, targetDir: string, options?: DownloadManyOptions): Promise<{ manifest: DirectoryManifest; targetDir: string; files: number }>;
+    readFromDirectory(manifestCid: PieceCIDInput, relPath: string, options?: DownloadOptions & { returnAs?: 'uint8array' }): Promise<Uint8Array>;
+    readFromDirectory<R extends ReturnAs>(manifestCid: PieceCIDInput, relPath: string, options: DownloadOptions & { returnAs: R }): Promise<DownloadTypes[R]>;
+
+    putDocument(schema: JSONSchema, data: unknown, options?: UploadOptions & { filename?: string }): Promise<DocumentResult & { revision: 1; previous: null }>;
+    updateDocument(
+        prevCid: PieceCIDInput,
+        data: unknown,
+        options?: UploadOptions & Pick<DownloadOptions, 'encryption'> & { schema?: JSONSchema; filename?: string }
+    ): Promise<DocumentResult & { previous: string }>;
+    getDocument<T = any>(cid: PieceCIDInput, options?: DownloadOptions): Promise<DocumentVersion<T>>;
+    getHistory<T = any>(cid: PieceCIDInput, options?: DownloadOptions & { limit?: number }): Promise<Array<DocumentVersion<T>>>;
+
+    getStorageInfo(options?: CallOptions): Promise<StorageInfo>;
+    getPieceStatus(pieceCid: PieceCIDInput, options?: CallOptions): Promise<PieceStatus>;
+    estimateCost(sizeBytes: number, options?: EstimateCostOptions): Promise<CostEstimate>;
+    getBudgetUsage(): BudgetUsage | null;
+    checkFileExists(pieceCid: PieceCIDInput, options?: CallOptions & { cache?: boolean }): Promise<boolean>;
+    clearCache(): Promise<void>;
+
+    listFiles(options?: ListFilesOptions): Promise<CatalogPage>;
+    getFileInfo(pieceCid: PieceCIDInput): Promise<CatalogEntry | null>;
+    tagFile(pieceCid: PieceCIDInput, tags: string | string[], options?: { replace?: boolean }): Promise<CatalogEntry>;
+    removeFromCatalog(pieceCid: PieceCIDInput): Promise<boolean>;
+
+    listJournal(options?: { stage?: JournalStage }): Promise<JournalEntry[]>;
+    /** Forget journaled uploads of some content; returns the number of entries removed */
+    removeFromJournal(sha256: string): Promise<number>;
+}
+
+/** Create a new, independent FileStorage instance */
+export function createFileStorage(options?: InitializeOptions): FileStorage;
+
+/**
+ * Validate a value against a JSON Schema
+ * @returns Failures with a JSON Pointer to the offending value; empty when `value` is valid
+ */
+export function validateSchema(schema: JSONSchema, value: unknown): Array<{ path: string; message: string }>;
+
+declare const fileStorage: FileStorage;
+export default fileStorage;